@@ -0,0 +1,32 @@
+// Entry for browsers, edge runtimes and bundlers: the same API as index.js,
+// with the data loaded from a generated ES module instead of the file system.
+import dogBreeds from './dog-breeds.js';
+import {createApi} from './lib/api.js';
+
+export {default as metadata} from './dog-breeds.metadata.js';
+
+export const {
+  extant,
+  extinct,
+  all,
+  random,
+  find,
+  get,
+  search,
+  filter,
+  byCountry,
+  byGroup,
+  recognizedBy,
+  localize,
+  imageURL,
+  toGeoJSON,
+  breedsNear,
+  parentsOf,
+  ancestorsOf,
+  descendantsOf,
+  validate,
+  createRandom,
+  sample,
+  shuffle,
+  quiz,
+} = createApi(dogBreeds);
@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+
+/**
+ * The `dog-breeds` command: look up breeds from the shell.
+ *
+ * Usage:
+ *   dog-breeds <command> [options]
+ *
+ * Commands and options are listed in `HELP` below. Exit codes:
+ *   0  Success
+ *   1  Nothing found: no search results, no breeds from the `list --origin`
+ *      place, or no breed for `show`
+ *   2  Usage error: unknown command or option, or an invalid value
+ */
+
+import {readFileSync, realpathSync} from 'node:fs';
+import process from 'node:process';
+import {fileURLToPath} from 'node:url';
+import {breedSlug} from './lib/search.js';
+import {
+  all,
+  find,
+  get,
+  search,
+  filter,
+  sample,
+} from './index.js';
+
+export const EXIT_NOT_FOUND = 1;
+export const EXIT_USAGE = 2;
+
+export const HELP = `Usage: dog-breeds <command> [options]
+
+Commands:
+  random              Print a random breed
+    --count <n>       Print n distinct breeds (default 1)
+    --seed <seed>     Pick the same breeds on every run
+  search <query>      Print breeds matching a name, best match first
+    --limit <n>       Print at most n breeds (default 10)
+  show <id|name>      Print a breed by Wikidata QID, slug or name
+  list                Print all breeds
+    --origin <place>  Only breeds from a country or region, by name
+                      (e.g. Japan) or ISO 3166 code (e.g. JP)
+
+Output (default: a table):
+  --json              Print JSON
+  --ndjson            Print one JSON object per line
+
+  -h, --help          Show this help
+  -v, --version       Show the version
+
+Extinct breeds are only printed by \`show\`.
+Exits with 1 when nothing is found and 2 on usage errors.`;
+
+const COMMANDS = new Set(['random', 'search', 'show', 'list']);
+
+const BOOLEAN_FLAGS = new Map([
+  ['--json', 'json'],
+  ['--ndjson', 'ndjson'],
+  ['--help', 'help'],
+  ['-h', 'help'],
+  ['--version', 'version'],
+  ['-v', 'version'],
+]);
+
+const VALUE_FLAGS = new Map([
+  ['--count', 'count'],
+  ['--seed', 'seed'],
+  ['--limit', 'limit'],
+  ['--origin', 'origin'],
+]);
+
+// Flags each command accepts besides the output and help flags
+const COMMAND_FLAGS = {
+  random: new Set(['count', 'seed']),
+  search: new Set(['limit']),
+  show: new Set(),
+  list: new Set(['origin']),
+};
+
+// Columns of table output: header → value of a breed
+const COLUMNS = new Map([
+  ['NAME', breed => breed.name],
+  ['ORIGIN', breed => breed.origin],
+  ['SLUG', breed => breedSlug(breed)],
+]);
+
+// Fields `show` prints as a table, in order, if the breed has them
+const DETAILS = new Map([
+  ['Name', breed => breed.name],
+  ['Origin', breed => breed.origin],
+  ['Wikidata', breed => breed.id],
+  ['Slug', breed => breedSlug(breed)],
+  ['Status', breed => breed.status],
+  ['Size', breed => breed.size],
+  ['Aliases', breed => breed.aliases?.join(', ')],
+  ['Article', breed => breed.article && `https://en.wikipedia.org/wiki/${encodeURIComponent(breed.article.replaceAll(' ', '_'))}`],
+  ['Image', breed => breed.imageURL],
+]);
+
+/**
+ * A command-line usage error, reported with exit code 2.
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse a flag value as a positive integer.
+ *
+ * @param {string} flag - The flag, for the error message
+ * @param {string} value - The value
+ * @returns {number} The integer
+ */
+function positiveInteger(flag, value) {
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < 1) {
+    throw new UsageError(`Expected ${flag} to be a positive integer, got "${value}"`);
+  }
+
+  return number;
+}
+
+/**
+ * Split arguments into flags and positional arguments.
+ *
+ * @param {string[]} argv - Arguments after the executable and script path
+ * @returns {{options: object, positionals: string[]}} Flag values by option name, and the other arguments
+ */
+function parseFlags(argv) {
+  const options = {
+    json: false,
+    ndjson: false,
+    help: false,
+    version: false,
+  };
+  const positionals = [];
+  const queue = [...argv];
+
+  while (queue.length > 0) {
+    const argument = queue.shift();
+    const [flag, inlineValue] = argument.split(/=(.*)/s);
+
+    if (!argument.startsWith('-')) {
+      positionals.push(argument);
+    } else if (BOOLEAN_FLAGS.has(flag) && inlineValue === undefined) {
+      options[BOOLEAN_FLAGS.get(flag)] = true;
+    } else if (VALUE_FLAGS.has(flag)) {
+      const value = inlineValue ?? queue.shift();
+      if (value === undefined) {
+        throw new UsageError(`Missing value for ${flag}`);
+      }
+
+      options[VALUE_FLAGS.get(flag)] = value;
+    } else {
+      throw new UsageError(`Unknown option: ${argument}`);
+    }
+  }
+
+  return {options, positionals};
+}
+
+/**
+ * Parse command-line arguments.
+ *
+ * Value flags accept both `--flag value` and `--flag=value`. Arguments that
+ * are not flags after the command are joined into one, so names with spaces
+ * don't need quoting.
+ *
+ * @param {string[]} argv - Arguments after the executable and script path
+ * @returns {object} { command, argument, json, ndjson, help, version, count, seed, limit, origin }
+ */
+export function parseCliArguments(argv) {
+  const {options, positionals} = parseFlags(argv);
+
+  if (options.help || options.version) {
+    return options;
+  }
+
+  const [command, ...rest] = positionals;
+  if (command === undefined) {
+    throw new UsageError('Missing command');
+  }
+
+  if (!COMMANDS.has(command)) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  for (const [flag, key] of VALUE_FLAGS) {
+    if (options[key] !== undefined && !COMMAND_FLAGS[command].has(key)) {
+      throw new UsageError(`${flag} cannot be used with ${command}`);
+    }
+  }
+
+  if (options.json && options.ndjson) {
+    throw new UsageError('--json and --ndjson cannot be used together');
+  }
+
+  const argument = rest.join(' ');
+  const takesArgument = command === 'search' || command === 'show';
+  if (takesArgument && !argument) {
+    throw new UsageError(`Missing ${command === 'search' ? 'query' : 'id or name'} for ${command}`);
+  }
+
+  if (!takesArgument && argument) {
+    throw new UsageError(`Unexpected argument for ${command}: ${argument}`);
+  }
+
+  return {
+    ...options,
+    command,
+    argument,
+    count: options.count === undefined ? undefined : positiveInteger('--count', options.count),
+    limit: options.limit === undefined ? undefined : positiveInteger('--limit', options.limit),
+  };
+}
+
+/**
+ * Render rows as a table with aligned columns.
+ *
+ * @param {string[]} headers - Column headers
+ * @param {Array<Array<string|null|undefined>>} rows - Cell values; empty cells print as "-"
+ * @returns {string} The table, without a trailing newline
+ */
+export function formatTable(headers, rows) {
+  const cells = [headers, ...rows.map(row => row.map(value => (value === null || value === undefined || value === '') ? '-' : String(value)))];
+  const widths = headers.map((header, column) => Math.max(...cells.map(row => row[column].length)));
+
+  return cells
+    .map(row => row.map((value, column) => column === row.length - 1 ? value : value.padEnd(widths[column])).join('  '))
+    .join('\n');
+}
+
+/**
+ * Render breeds in the requested output format.
+ *
+ * @param {object[]} breeds - Breed records
+ * @param {object} options - Parsed arguments
+ * @returns {string} The output, without a trailing newline
+ */
+function formatBreeds(breeds, {command, json, ndjson}) {
+  if (json) {
+    return JSON.stringify(command === 'show' ? breeds[0] : breeds, null, 2);
+  }
+
+  if (ndjson) {
+    return breeds.map(breed => JSON.stringify(breed)).join('\n');
+  }
+
+  if (command === 'show') {
+    const rows = [...DETAILS].map(([field, value]) => [field, value(breeds[0])]).filter(([, value]) => value);
+    return formatTable(['FIELD', 'VALUE'], rows);
+  }
+
+  return formatTable([...COLUMNS.keys()], breeds.map(breed => [...COLUMNS.values()].map(value => value(breed))));
+}
+
+/**
+ * Find the breeds a command asks for.
+ *
+ * @param {object} options - Parsed arguments
+ * @returns {object[]} The breeds
+ */
+function selectBreeds({command, argument, count = 1, seed, limit, origin}) {
+  switch (command) {
+    case 'random': {
+      return sample(count, {seed});
+    }
+
+    case 'search': {
+      return search(argument, {limit});
+    }
+
+    case 'show': {
+      const breed = get(argument) ?? find(argument);
+      return breed ? [breed] : [];
+    }
+
+    default: {
+      if (origin === undefined) {
+        return all;
+      }
+
+      // Values shaped like ISO 3166 codes can still be labels, e.g. "UK"
+      const byCountry = /^[a-z]{2}(?:-[a-z\d]{1,3})?$/i.test(origin) ? filter({country: origin}) : [];
+      return byCountry.length > 0 ? byCountry : filter({origin});
+    }
+  }
+}
+
+/**
+ * Run the command line.
+ *
+ * @param {object} options
+ * @param {string[]} options.argv - Arguments after the executable and script path
+ * @param {Function} options.log - Output function for results
+ * @param {Function} options.error - Output function for errors
+ * @returns {number} The exit code
+ */
+export function run({argv, log = console.log, error = console.error}) {
+  let options;
+  try {
+    options = parseCliArguments(argv);
+  } catch (error_) {
+    if (!(error_ instanceof UsageError)) {
+      throw error_;
+    }
+
+    error(`${error_.message}\n\n${HELP}`);
+    return EXIT_USAGE;
+  }
+
+  if (options.help) {
+    log(HELP);
+    return 0;
+  }
+
+  if (options.version) {
+    log(JSON.parse(readFileSync(new URL('package.json', import.meta.url), 'utf8')).version);
+    return 0;
+  }
+
+  const breeds = selectBreeds(options);
+
+  if (options.command === 'show' && breeds.length === 0) {
+    error(`No breed found for "${options.argument}"`);
+    return EXIT_NOT_FOUND;
+  }
+
+  if (breeds.length > 0 || options.json) {
+    log(formatBreeds(breeds, options));
+  }
+
+  return breeds.length === 0 ? EXIT_NOT_FOUND : 0;
+}
+
+// Run when executed directly, including through the npm bin symlink
+const isMainModule = process.argv[1] !== undefined && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+if (isMainModule) {
+  // Stop quietly when piped into a command that exits early, like `head`
+  process.stdout.on('error', error => {
+    if (error.code !== 'EPIPE') {
+      throw error;
+    }
+
+    process.exit(0);
+  });
+
+  process.exitCode = run({argv: process.argv.slice(2)});
+}
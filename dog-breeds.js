@@ -0,0 +1,2775 @@
+// Generated by scripts/generate-modules.js from dog-breeds.json.
+// Do not edit; run `npm run generate-modules` instead.
+
+export default [
+  {
+    "name": "Affenpinscher",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Affenpinscher.jpg"
+  },
+  {
+    "name": "Afghan Hound",
+    "origin": "Afghanistan",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Afghan%20Hound%20in%20Tallinn.JPG"
+  },
+  {
+    "name": "Africanis",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Africanis%20%281%29.jpg"
+  },
+  {
+    "name": "Aidi",
+    "origin": "North Africa",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Aidi.jpg"
+  },
+  {
+    "name": "Airedale Terrier",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Airedale%20Terrier.jpg"
+  },
+  {
+    "name": "Akbash",
+    "origin": "Turkey",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Akbash%20Dog%20in%20CA.jpg"
+  },
+  {
+    "name": "Akita",
+    "origin": "Japan, United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Akita%20inu%20criado%20por%20Tsutsui%20Kennel.jpg"
+  },
+  {
+    "name": "Aksaray Malaklisi",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Aksaray%20malaklisinin%20malaklari.jpg"
+  },
+  {
+    "name": "Alano Español",
+    "origin": "Spain",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Spanish%20Alano%202.jpg"
+  },
+  {
+    "name": "Alapaha Blue Blood Bulldog",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Alapaha%20blue%20blood%20bulldog2.jpg"
+  },
+  {
+    "name": "Alaskan Husky",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Alaskan Klee Kai",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Standard%20Alaskan%20Klee%20Kai.jpg"
+  },
+  {
+    "name": "Alaskan Malamute",
+    "origin": "Alaska",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Alaskan%20Malamute.jpg"
+  },
+  {
+    "name": "Alopekis",
+    "origin": "Greece",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Alopekis%20white%20male.jpg"
+  },
+  {
+    "name": "Alpine Dachsbracke",
+    "origin": "Austria",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Alpejski%20go%C5%84czy%20kr%C3%B3tkono%C5%BCny%20g99.jpg"
+  },
+  {
+    "name": "American Bulldog",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/BUCKEYE%202010%20ANCHOR%20BULLY%20RASCALZ.jpg"
+  },
+  {
+    "name": "American Bully",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/%282x%20ch%20GRAN%20DALI%29%20BOTTIcelli%20.jpg"
+  },
+  {
+    "name": "American Cocker Spaniel",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/AmericanCockerSpaniel%20wb.jpg"
+  },
+  {
+    "name": "American English Coonhound",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Maddie%20%288416820450%29.jpg"
+  },
+  {
+    "name": "American Eskimo Dog",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/American%20Eskimo%20Dog%201.jpg"
+  },
+  {
+    "name": "American Foxhound",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/AmericanFoxhound2.jpg"
+  },
+  {
+    "name": "American Hairless Terrier",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/American%20Hairless%20Terrier%20Adelor.jpg"
+  },
+  {
+    "name": "American Leopard Hound",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Lep2.jpg"
+  },
+  {
+    "name": "American Pit Bull Terrier",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/American%20Pitbull%20001.jpg"
+  },
+  {
+    "name": "American Staffordshire Terrier",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/AMERICAN%20STAFFORDSHIRE%20TERRIER%2C%20Zican%E2%80%99s%20Bz%20Ez%20Dragon%20%2824208348891%29.2.jpg"
+  },
+  {
+    "name": "American Water Spaniel",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/AmWaterSpan1.jpg"
+  },
+  {
+    "name": "Andalusian Terrier",
+    "origin": "Spain",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bodeguero%20young.jpg"
+  },
+  {
+    "name": "Anglo-Français de Petite Vénerie",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Anglo-Fran%C3%A7ais%20de%20petite%20v%C3%A9nerie.jpg"
+  },
+  {
+    "name": "Appenzeller Sennenhund",
+    "origin": "Switzerland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Abora%20z%20Velk%C3%A9ho%20%C3%9Ajezda5.jpg"
+  },
+  {
+    "name": "Argentine Pila",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Pilas%20Argentinos-Felix-%26-Fortuna-04-1912.jpg"
+  },
+  {
+    "name": "Ariège Pointer",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Pointer%20of%20Ariege%20from%201915.JPG"
+  },
+  {
+    "name": "Ariégeois",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Ariegeois.jpg"
+  },
+  {
+    "name": "Armant",
+    "origin": "Egypt",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Armant%20dog%2C%20with%20some%20orange%20stuff%20and%20trees%20in%20background.jpg"
+  },
+  {
+    "name": "Armenian Gampr",
+    "origin": "Armenia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Armenian%20Gampr%2001.jpg"
+  },
+  {
+    "name": "Artois Hound",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Artois%20from%201915.JPG"
+  },
+  {
+    "name": "Australian Cattle Dog",
+    "origin": "Australia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/ACD-blue-spud.jpg"
+  },
+  {
+    "name": "Australian Kelpie",
+    "origin": "Australia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bashyr.jpg"
+  },
+  {
+    "name": "Australian Shepherd",
+    "origin": "United States, Australia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Aussi.jpg"
+  },
+  {
+    "name": "Australian Silky Terrier",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/02%20Australian%20Silky%20Terrier%2C%20Zack%2C%20spring%202012.jpg"
+  },
+  {
+    "name": "Australian Stumpy Tail Cattle Dog",
+    "origin": "Australia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Australian%20Stumpy%20Tail%20Cattle%20Dog.jpg"
+  },
+  {
+    "name": "Australian Terrier",
+    "origin": "Australia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Australian%20Terrier%20002%20U.jpg"
+  },
+  {
+    "name": "Austrian Black and Tan Hound",
+    "origin": "Austria",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Brandlbracke.JPG"
+  },
+  {
+    "name": "Austrian Pinscher",
+    "origin": "Austria",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Pinczer%20austiacki%20678.jpg"
+  },
+  {
+    "name": "Azawakh",
+    "origin": "Mali",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Azawakh%20bitch%20Shira-tb.jpg"
+  },
+  {
+    "name": "Bắc Hà",
+    "origin": "Vietnam",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/B%E1%BA%AFc%20H%C3%A0%20dog%20face.jpg"
+  },
+  {
+    "name": "Bakharwal",
+    "origin": "India",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bakarwal.jpg"
+  },
+  {
+    "name": "Banjara Hound",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Bankhar Dog",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Hotosho-1.jpg"
+  },
+  {
+    "name": "Barak hound",
+    "origin": "Bosnia and Herzegovina",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/BIR%20Grupp%206-%20BOSANSKI%20OSTRODLAKI%20GONIC-BARAK%2C%20Sandy%20%2823866392689%29.jpg"
+  },
+  {
+    "name": "Barbado da Terceira",
+    "origin": "Portugal",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Barbado%20da%20Terceira%20%28male%29.JPG"
+  },
+  {
+    "name": "Barbet",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Chien%20de%20race%20Barbet.jpg"
+  },
+  {
+    "name": "Basenji",
+    "origin": "Democratic Republic of the Congo",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/2008-05-01%20a%20Basenji%2003.jpg"
+  },
+  {
+    "name": "Basque Shepherd Dog",
+    "origin": "Spain",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Pastor%20vasco%20m%2014months%20loby%203018.jpg"
+  },
+  {
+    "name": "Basset Artésien Normand",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Grupp%206%20BASSET%20ART%C3%89SIEN%20NORMAND%2C%20Skogvaktarens%20Queen%20Sally%20%2824180074612%29.jpg"
+  },
+  {
+    "name": "Basset Bleu de Gascogne",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Basset%20bleu%20de%20Gascogne.jpg"
+  },
+  {
+    "name": "Basset Fauve de Bretagne",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Basset%20Fauve%20de%20Bretagne%20600.jpg"
+  },
+  {
+    "name": "Basset Hound",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Basset%20Hound%20600.jpg"
+  },
+  {
+    "name": "Bavarian Mountain Hound",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/2005-09%20Zoran%201.jpg"
+  },
+  {
+    "name": "Beagle",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/MiloSmet.JPG"
+  },
+  {
+    "name": "Beagle-Harrier",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Beagle%20harrier.JPG"
+  },
+  {
+    "name": "Bearded Collie",
+    "origin": "Scotland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bearded%20Collie.jpg"
+  },
+  {
+    "name": "Beauceron",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/BeauceronStand.jpg"
+  },
+  {
+    "name": "Bedlington Terrier",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bedlington%20terrier.jpeg"
+  },
+  {
+    "name": "Belgian Shepherd",
+    "origin": "Belgium",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/04%20-%20Belgian%20shepherd%20dog%20varieties%20-%20Groenendael%2CTervuren%2C%20Malinois%2C%20Laekenois.jpg"
+  },
+  {
+    "name": "Bergamasco Shepherd",
+    "origin": "Italy",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bergamasco%20600.jpg"
+  },
+  {
+    "name": "Berger Picard",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Owczarek%20pikardyjski%2063.jpg"
+  },
+  {
+    "name": "Bernese Mountain Dog",
+    "origin": "Switzerland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bouviers%20Bernois%20Ganjo.jpg"
+  },
+  {
+    "name": "Bichon Frisé",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bichon%20Fris%C3%A9%20-%20studdogbichon.jpg"
+  },
+  {
+    "name": "Biewer Terrier",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/BiewerH%C3%BCndin.jpg"
+  },
+  {
+    "name": "Billy",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Billy%28dog%29.jpg"
+  },
+  {
+    "name": "Black and Tan Coonhound",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Black%20and%20Tan%20Coonhound.jpg"
+  },
+  {
+    "name": "Black Mouth Cur",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/BlackMouthCurPortrait.jpg"
+  },
+  {
+    "name": "Black Norwegian Elkhound",
+    "origin": "Norway",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/BlackNorwegianElkhound.jpg"
+  },
+  {
+    "name": "Black Russian Terrier",
+    "origin": "Soviet Union",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Malahovkaja%20Serenada.jpg"
+  },
+  {
+    "name": "Bloodhound",
+    "origin": "Belgium",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Perro%20de%20San%20Huberto.jpg"
+  },
+  {
+    "name": "Blue Lacy",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/BlueLacyPhoto1.jpg"
+  },
+  {
+    "name": "Blue Picardy Spaniel",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Epagneul%20bleu%20de%20picardie%20868.jpg"
+  },
+  {
+    "name": "Bluetick Coonhound",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/BluetickCoonhound.jpg"
+  },
+  {
+    "name": "Boerboel",
+    "origin": "South Africa",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Boerboel.jpg"
+  },
+  {
+    "name": "Bohemian Shepherd",
+    "origin": "Czech Republic",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/OREADY%20KROSANDRA%20%2814%29.JPG"
+  },
+  {
+    "name": "Bohemian Spotted Dog",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bohemian%20Spotted%20Dog.jpg"
+  },
+  {
+    "name": "Bolognese",
+    "origin": "Italy",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bolo%C5%84czyk%205e3.jpg"
+  },
+  {
+    "name": "Bolonka",
+    "origin": "Russia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Irsika.jpg"
+  },
+  {
+    "name": "Border Collie",
+    "origin": "England, Scotland, United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Border%20Collie%20600.jpg"
+  },
+  {
+    "name": "Border Terrier",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Border%20Terri%C3%ABr.JPG"
+  },
+  {
+    "name": "Borzoi",
+    "origin": "Russia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Borzoi%20female.jpg"
+  },
+  {
+    "name": "Boston Terrier",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/BOSTON%20TERRIER%2C%20Ving%C3%A5rdens%20Essi%20von%20Richards%20%2823995273800%29.2.jpg"
+  },
+  {
+    "name": "Bouvier des Ardennes",
+    "origin": "Belgium",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Boyero-de-las-ardenas7.jpg"
+  },
+  {
+    "name": "Bouvier des Flandres",
+    "origin": "Belgium",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bouvier.JPG"
+  },
+  {
+    "name": "Boxer",
+    "origin": "German Empire",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Boxer%20female%20brown.jpg"
+  },
+  {
+    "name": "Boykin Spaniel",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Boykin%20Spaniel%20Relaxing2.jpg"
+  },
+  {
+    "name": "Bracco Italiano",
+    "origin": "Italy",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/BIR%20Grupp%207-%20BRACCO%20ITALIANO%2C%20Nuits%20Di%20Montemassi%20%2823866391829%29.jpg"
+  },
+  {
+    "name": "Braque d'Auvergne",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Braque%20d%20Auvergne.jpg"
+  },
+  {
+    "name": "Braque du Bourbonnais",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Braque%20du%20Bourbonnais.jpg"
+  },
+  {
+    "name": "Braque Français",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Wy%C5%BCe%C5%82%20pirenejski%20308.jpg"
+  },
+  {
+    "name": "Braque Saint-Germain",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Braque%20saint-germain%20666.jpg"
+  },
+  {
+    "name": "Brazilian Terrier",
+    "origin": "Brazil",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/TERRIER%20BRASILEIRO%2C%20DK%20JV-15%20DK%20V-15%20Jyv%C3%A4m%C3%A4en%20Zircon%20Zr%20%2824265479706%29.2.jpg"
+  },
+  {
+    "name": "Briard",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Briard%20fauve.JPG"
+  },
+  {
+    "name": "Briquet de Provence",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Briquet Griffon Vendéen",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Briquet%20Griffon%20Vendeen.jpg"
+  },
+  {
+    "name": "Brittany",
+    "origin": "Brittany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/American%20Brittany%20standing.jpg"
+  },
+  {
+    "name": "Broholmer",
+    "origin": "Denmark",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Broholmer%20634.jpg"
+  },
+  {
+    "name": "Bruno Jura Hound",
+    "origin": "Switzerland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/09057110%20Jura%20Laufhund.jpg"
+  },
+  {
+    "name": "Bucovina Shepherd Dog",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bucovina%20Sheepdog.jpg"
+  },
+  {
+    "name": "Bulgarian Hound",
+    "origin": "Bulgaria",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bulgarian%20barak.jpg"
+  },
+  {
+    "name": "Bulgarian Scenthound",
+    "origin": "Bulgaria",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bulgarsko%20gonche.jpg"
+  },
+  {
+    "name": "Bull Arab",
+    "origin": "Australia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bull%20Arab%20%28dog%29.jpg"
+  },
+  {
+    "name": "Bull Terrier",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bullterier%20089%20LM.jpg"
+  },
+  {
+    "name": "Bulldog",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Racib%C3%B3rz%202007%20082.jpg"
+  },
+  {
+    "name": "Bullmastiff",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Dog%20Bullmastiff%20600.jpg"
+  },
+  {
+    "name": "Bully Kutta",
+    "origin": "Pakistan",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bully%20kutta%20naulakhia.tif"
+  },
+  {
+    "name": "Burgos Pointer",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Burgos%20Pointer%20or%20Perdiguero%20de%20Burgos.JPG"
+  },
+  {
+    "name": "Ca de Bou",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Ca%20de%20bou%20dog.jpg"
+  },
+  {
+    "name": "Ca Mè Mallorquí",
+    "origin": "Mallorca",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Ca%20m%C3%A8%20mallorqu%C3%AD%2003a.jpg"
+  },
+  {
+    "name": "Ca Rater Mallorquí",
+    "origin": "Mallorca",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Ratero%20mallorquin.JPG"
+  },
+  {
+    "name": "Cairn Terrier",
+    "origin": "Scotland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Cairn-Terrier-Garten1.jpg"
+  },
+  {
+    "name": "Calupoh",
+    "origin": "Mexico",
+    "imageURL": ""
+  },
+  {
+    "name": "Campeiro Bulldog",
+    "origin": "Brazil",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Buldogue%20Campeiro.jpg"
+  },
+  {
+    "name": "Can de Chira",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Can%20de%20Chira.jpg"
+  },
+  {
+    "name": "Can de Palleiro",
+    "origin": "Spain",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Palleiro1.JPG"
+  },
+  {
+    "name": "Canaan Dog",
+    "origin": "Palestine, Canaan",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/CanaanDogChakede1.jpg"
+  },
+  {
+    "name": "Canadian Eskimo Dog",
+    "origin": "Canada",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Cedpup.jpg"
+  },
+  {
+    "name": "Cane Corso",
+    "origin": "Italy",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Anita%20Cane%20Corso%20Italiano%20allevato%20in%20Italia.jpg"
+  },
+  {
+    "name": "Cane di Oropa",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Cane Paratore",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Cane%20Paratore.jpg"
+  },
+  {
+    "name": "Cantabrian Water Dog",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Perro%20de%20Agua%20del%20Cant%C3%A1brico%20Macho%20Exposici%C3%B3n.jpg"
+  },
+  {
+    "name": "Cão de Gado Transmontano",
+    "origin": "Portugal",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/TRANSMONTANO.jpg"
+  },
+  {
+    "name": "Cardigan Welsh Corgi",
+    "origin": "Wales",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Cardigan%20Welsh%20Corgi%20600.jpg"
+  },
+  {
+    "name": "Carea Leonés",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Carolina Dog",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Carolina%20Strand.jpg"
+  },
+  {
+    "name": "Carpathian Shepherd Dog",
+    "origin": "Romania",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Carpatin.jpg"
+  },
+  {
+    "name": "Castro Laboreiro Dog",
+    "origin": "Portugal",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Cao%20de%20castro%20laboreiro.jpg"
+  },
+  {
+    "name": "Catahoula Leopard Dog",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/SasquatchCatahoulaCurDog.jpg"
+  },
+  {
+    "name": "Catalan Sheepdog",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Catalaanse%20herder.JPG"
+  },
+  {
+    "name": "Caucasian Shepherd Dog",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Owczarek%20kaukaski%2065556.jpg"
+  },
+  {
+    "name": "Cavalier King Charles Spaniel",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Betty%20Verdure.Photo%20Ph.BRIZARD.JPG"
+  },
+  {
+    "name": "Central Asian Shepherd Dog",
+    "origin": "Soviet Central Asia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/2.CAO%20in%20Hungary.jpg"
+  },
+  {
+    "name": "Český fousek",
+    "origin": "Czech Republic",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Cesky%20Fousek%20Flickr.jpg"
+  },
+  {
+    "name": "Cesky Terrier",
+    "origin": "Czech Republic",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Cesky-Terier.jpg"
+  },
+  {
+    "name": "Chesapeake Bay Retriever",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Chesapeake%20Bay%20Retriever1.jpg"
+  },
+  {
+    "name": "Chien Français Blanc et Noir",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Fran%C3%A7ais%20noir%20et%20blanc.JPG"
+  },
+  {
+    "name": "Chien Français Blanc et Orange",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Grand%20Anglo-Fran%C3%A7ais%20Blanc%20Et%20Orange.jpg"
+  },
+  {
+    "name": "Chien Français Tricolore",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Grand%20Anglo-Fran%C3%A7ais%20Tricolore.jpg"
+  },
+  {
+    "name": "Chihuahua",
+    "origin": "Mexico",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Chihuahuas-%20Holly%2C%20Nina%2C%20Doralice.jpg"
+  },
+  {
+    "name": "Chilean Terrier",
+    "origin": "Chile",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Chilean%20Fox%20Terrier.jpg"
+  },
+  {
+    "name": "Chinese Crested Dog",
+    "origin": "People's Republic of China",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/IndyStands.jpg"
+  },
+  {
+    "name": "Chinook",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Mountan%20Laurel%20Ajax%20the%20Chinook%20dog.jpg"
+  },
+  {
+    "name": "Chippiparai",
+    "origin": "India",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Female%20Chippiparai%20sitting.jpg"
+  },
+  {
+    "name": "Chongqing",
+    "origin": "People's Republic of China",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Chinese%20Chongqing%20Dog%20H%C3%BCndin.jpg"
+  },
+  {
+    "name": "Chortai",
+    "origin": "Ukraine",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Hortaya%20Borzaya.jpg"
+  },
+  {
+    "name": "Chow Chow",
+    "origin": "People's Republic of China",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/01%20Chow%20Chow.jpg"
+  },
+  {
+    "name": "Chukotka sled dog",
+    "origin": "Russia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Die%20Gartenlaube%20%281882%29%20b%20829.jpg"
+  },
+  {
+    "name": "Cimarrón Uruguayo",
+    "origin": "Uruguay",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/PERRO%20CIMARRON.jpg"
+  },
+  {
+    "name": "Cirneco dell'Etna",
+    "origin": "Italy",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Cirneco%20dell%20Etna%20611.jpg"
+  },
+  {
+    "name": "Clumber Spaniel",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Clumber%20spaniel%20767.jpg"
+  },
+  {
+    "name": "Colombian Fino Hound",
+    "origin": "Colombia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Colombianus%20Finus.jpg"
+  },
+  {
+    "name": "Continental bulldog",
+    "origin": "Switzerland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Pitsch-Dog.jpg"
+  },
+  {
+    "name": "Corsican Dog",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Cursinu%201.jpg"
+  },
+  {
+    "name": "Coton de Tulear",
+    "origin": "Madagascar",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Coton%20de%20Tular%202.jpg"
+  },
+  {
+    "name": "Cretan Hound",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Kritikosichnilatis%201.jpg"
+  },
+  {
+    "name": "Croatian Sheepdog",
+    "origin": "Croatia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/GeraHojda09112055ZG.jpeg"
+  },
+  {
+    "name": "Curly-coated Retriever",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Curley%20coated%20retriever5.jpg"
+  },
+  {
+    "name": "Czechoslovakian Wolfdog",
+    "origin": "Czechoslovakia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/TWH-jolly.JPG"
+  },
+  {
+    "name": "Dachshund",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/MiniDachshund1%20wb.jpg"
+  },
+  {
+    "name": "Dalmatian",
+    "origin": "Croatia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Dalmatien.jpg"
+  },
+  {
+    "name": "Dandie Dinmont Terrier",
+    "origin": "Scotland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Dandie%20Dinmont%20Terrier%20600.jpg"
+  },
+  {
+    "name": "Danish Spitz",
+    "origin": "Denmark",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Dansk%20spids.jpg"
+  },
+  {
+    "name": "Danish–Swedish Farmdog",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Danish%20Swedish%20Farmdog%20cropped.jpg"
+  },
+  {
+    "name": "Denmark Feist",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Dikkulak",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Dingo",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Dingo%20Side.JPG"
+  },
+  {
+    "name": "Dobermann",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Dobermann%20Father-and-son.jpg"
+  },
+  {
+    "name": "Dogo Argentino",
+    "origin": "Argentina",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/0Dogo-argentino-22122251920.jpg"
+  },
+  {
+    "name": "Dogo Sardesco",
+    "origin": "Italy",
+    "imageURL": ""
+  },
+  {
+    "name": "Dogue Brasileiro",
+    "origin": "Brazil",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Dogue%20Brasileiro%20Orelha%20Cortada.jpg"
+  },
+  {
+    "name": "Dogue de Bordeaux",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/DJT%200086.jpg"
+  },
+  {
+    "name": "Donggyeongi",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/White%20Donggyeongi%20%28Baekgu%29%2018%20September%202017.jpg"
+  },
+  {
+    "name": "Drentse Patrijshond",
+    "origin": "Netherlands",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Drentse%20Patrijshond.jpg"
+  },
+  {
+    "name": "Drever",
+    "origin": "Sweden",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Drever%20NUCh%20Tanjo.jpg"
+  },
+  {
+    "name": "Dunker",
+    "origin": "Norway",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Dunker.jpg"
+  },
+  {
+    "name": "Dutch Shepherd",
+    "origin": "Netherlands",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Hollandse%20herder%20korthaar.jpg"
+  },
+  {
+    "name": "Dutch Smoushond",
+    "origin": "Netherlands",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Hollandsche%20smoushonden%202.JPG"
+  },
+  {
+    "name": "East European Shepherd",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Vostochno%20Evropeiskaya%20Ovcharka.jpg"
+  },
+  {
+    "name": "East Siberian Laika",
+    "origin": "Russia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/East%20Siberian%20Laika%2003.jpg"
+  },
+  {
+    "name": "Ecuadorian Hairless Dog",
+    "origin": "Ecuador",
+    "imageURL": ""
+  },
+  {
+    "name": "English Cocker Spaniel",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/%22Bill%22%20-%20Cocker%20spaniel%20anglais%201.jpg"
+  },
+  {
+    "name": "English Foxhound",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/English%20Foxhound.jpg"
+  },
+  {
+    "name": "English Mastiff",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Mastif%20angielski%20pregowany%20nn.jpg"
+  },
+  {
+    "name": "English Setter",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/English%20setter.jpg"
+  },
+  {
+    "name": "English Shepherd",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/TricolorEnglishShepherdDog.jpg"
+  },
+  {
+    "name": "English Springer Spaniel",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Englishspringerspaniel%20Winston.jpg"
+  },
+  {
+    "name": "English Toy Terrier (Black & Tan)",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/English%20Toy%20Terrier%20600%2001.jpg"
+  },
+  {
+    "name": "Entlebucher Mountain Dog",
+    "origin": "Switzerland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Entlebucher.jpg"
+  },
+  {
+    "name": "Erbi Txakur",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Estonian Hound",
+    "origin": "Estonia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Go%C5%84czy%20esto%C5%84ski%20MB%2001.jpg"
+  },
+  {
+    "name": "Estrela Mountain Dog",
+    "origin": "Portugal",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Estrela%20Mountain%20Dog%206%20month%20old%20male.jpg"
+  },
+  {
+    "name": "Eurasier",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Eurasier.jpg"
+  },
+  {
+    "name": "Faroese Sheepdog",
+    "origin": "Faroe Islands",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Faroe%20stamp%20255%20sheepdog.jpg"
+  },
+  {
+    "name": "Field Spaniel",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Field%20spaniel%20581.jpg"
+  },
+  {
+    "name": "Fila Brasileiro",
+    "origin": "Brazil",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Yacare%20De%20El%20Siledin.JPG"
+  },
+  {
+    "name": "Finnish Hound",
+    "origin": "Finland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Nuori-suomenajokoira.jpg"
+  },
+  {
+    "name": "Finnish Lapphund",
+    "origin": "Finland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Finselappenhond%20louhi-no%20watermark.jpg"
+  },
+  {
+    "name": "Finnish Spitz",
+    "origin": "Finland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Finnish%20Spitz%20600.jpg"
+  },
+  {
+    "name": "Flat-coated Retriever",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Flat%20Coated%20Retriever.jpg"
+  },
+  {
+    "name": "Florida Brown Dog a/k/a Florida Cracker Cur",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/BlackMouthCurPortrait.jpg"
+  },
+  {
+    "name": "French Bulldog",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/%D0%A4%D1%80%D0%B0%D0%BD%D1%86%D1%83%D0%B7%D1%81%D0%BA%D0%B8%D0%B5%20%D0%B1%D1%83%D0%BB%D1%8C%D0%B4%D0%BE%D0%B3%D0%B8%202013-09-02%2011-36.JPG"
+  },
+  {
+    "name": "French Spaniel",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Epagneulfrancais.jpg"
+  },
+  {
+    "name": "Galgo Español",
+    "origin": "Spain",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Galgo%20espagnol%20005.jpg"
+  },
+  {
+    "name": "Gascon Saintongeois",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Petit%20Gascon%20Saintongeois%20croped.JPG"
+  },
+  {
+    "name": "Gaucho sheepdog",
+    "origin": "Brazil",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/2%20Teimoso.jpg"
+  },
+  {
+    "name": "Georgian Shepherd",
+    "origin": "Georgia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Georgia%20Shepherd.jpg"
+  },
+  {
+    "name": "German Hound",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/DeutscheBracke.jpg"
+  },
+  {
+    "name": "German Longhaired Pointer",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/DeutschLanghaarneu.jpg"
+  },
+  {
+    "name": "German Pinscher",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/German%20Pinscher.JPG"
+  },
+  {
+    "name": "German Roughhaired Pointer",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/03030288%20Deutsch%20Stichelhaa.jpg"
+  },
+  {
+    "name": "German Shepherd",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Pastor%20aleman%20a.jpg"
+  },
+  {
+    "name": "German Shorthaired Pointer",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Duitse%20staande%20korthaar%2010-10-1.jpg"
+  },
+  {
+    "name": "German Spaniel",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Deutscher%20Wachtel%202.jpg"
+  },
+  {
+    "name": "German Spitz",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Un%20chien%20Spitz%20allemand.jpg"
+  },
+  {
+    "name": "German Wirehaired Pointer",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/GermanWirehrPtr1%20wb.jpg"
+  },
+  {
+    "name": "Giant Schnauzer",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bvdb-riesen%20schnauzer.jpg"
+  },
+  {
+    "name": "Glen of Imaal Terrier",
+    "origin": "Ireland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Adult%20Glen%20of%20Imaal%20terrier.jpg"
+  },
+  {
+    "name": "Golden Retriever",
+    "origin": "Scotland, United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Golden%20Retriever%20Dukedestiny01%20drvd.jpg"
+  },
+  {
+    "name": "Gończy Polski",
+    "origin": "Poland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/PolishScenthound-ChPl-NEMROD-KlusujacaSfora-wl.GrzegorzWeron.jpg"
+  },
+  {
+    "name": "Gordon Setter",
+    "origin": "Scotland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Orrvilas%20enska%20w800px.jpg"
+  },
+  {
+    "name": "Grand Anglo-Français Blanc et Noir",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Grand%20anglo%20francais%20noir.jpg"
+  },
+  {
+    "name": "Grand Anglo-Français Blanc et Orange",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/06101298%20Grand%20anglo%20francais%20orange.jpg"
+  },
+  {
+    "name": "Grand Anglo-Français Tricolore",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Grand%20anglo%20francais%20tricol%20mod.jpg"
+  },
+  {
+    "name": "Grand Basset Griffon Vendéen",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/G%20Basset%20Griffon%20Vendeen%20600.jpg"
+  },
+  {
+    "name": "Grand Bleu de Gascogne",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Grand%20Bleu%20de%20Gascogne%20in%20a%20blue%20dogcollar.jpg"
+  },
+  {
+    "name": "Grand Griffon Vendéen",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Rosa%20Bonheur%20Grand%20Griffon%20Vendeen.jpg"
+  },
+  {
+    "name": "Great Dane",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/8675eds%20win.jpg"
+  },
+  {
+    "name": "Greater Swiss Mountain Dog",
+    "origin": "Switzerland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Swissy-2009-11-02.jpg"
+  },
+  {
+    "name": "Greek Harehound",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Hellinikos%20Ichnilatis%20%28Georging%29%20cropped.jpg"
+  },
+  {
+    "name": "Greek Shepherd",
+    "origin": "Greece",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Gr11.jpg"
+  },
+  {
+    "name": "Greenland Dog",
+    "origin": "Greenland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Greenland%20dog%20upernavik%202007-06-02%20sample.jpg"
+  },
+  {
+    "name": "Greyhound",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/GraceTheGreyhound.jpg"
+  },
+  {
+    "name": "Griffon Bleu de Gascogne",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/04031124%20Griffon%20Bleu%20de%20Gascogne.jpg"
+  },
+  {
+    "name": "Griffon Bruxellois",
+    "origin": "Belgium",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Monkey%20Bizniz%20Drama%20Queen.jpg"
+  },
+  {
+    "name": "Griffon Fauve de Bretagne",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/08115500%20Griffon%20Fauve%20Bretagne.jpg"
+  },
+  {
+    "name": "Griffon Nivernais",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Griffon%20nivernais.jpg"
+  },
+  {
+    "name": "Gull Dong",
+    "origin": "Pakistan",
+    "imageURL": ""
+  },
+  {
+    "name": "Gull Terrier",
+    "origin": "Pakistan",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/GULL%20TERR%20%28PAKISTANI%20BULL%20TERRIER%29.jpg"
+  },
+  {
+    "name": "Halden Hound",
+    "origin": "Norway",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Haldenstovare.jpg"
+  },
+  {
+    "name": "Hällefors Elkhound",
+    "origin": "Sweden",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Hades%20Mosshult%20H%C3%A4lleforsare.jpg"
+  },
+  {
+    "name": "Hamiltonstövare",
+    "origin": "Sweden",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Hamiltonstovare%20600.jpg"
+  },
+  {
+    "name": "Hanover Hound",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Hannoverscher%20Schweisshund.jpg"
+  },
+  {
+    "name": "Harrier",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Harrier%20tricolour.jpg"
+  },
+  {
+    "name": "Havanese",
+    "origin": "Cuba",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/A%20Havanese%20judging.jpg"
+  },
+  {
+    "name": "Himalayan Sheepdog",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Himalayan%20sheepdog2.jpg"
+  },
+  {
+    "name": "Hmong bobtail dog",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Hmong%20Bobtail%201.jpg"
+  },
+  {
+    "name": "Hokkaido",
+    "origin": "Japan",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Hokkaido%2002.jpg"
+  },
+  {
+    "name": "Hovawart",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Dog%20Hovavart.jpg"
+  },
+  {
+    "name": "Huntaway",
+    "origin": "New Zealand",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Huntaway.JPG"
+  },
+  {
+    "name": "Hygen Hound",
+    "origin": "Norway",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Norwegian%20Hygenhound.jpg"
+  },
+  {
+    "name": "Ibizan Hound",
+    "origin": "Ibiza",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/AdemasAout2021.ret.jpg"
+  },
+  {
+    "name": "Icelandic Sheepdog",
+    "origin": "Iceland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Ulfur.jpg"
+  },
+  {
+    "name": "Indian pariah dog",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Indian Spitz",
+    "origin": "India",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Indian%20spitz.jpg"
+  },
+  {
+    "name": "Irish Red and White Setter",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Irish%20Red%20And%20White%20Setter%202005.jpg"
+  },
+  {
+    "name": "Irish Setter",
+    "origin": "Ireland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Can%20Setter%20dog%20GFDL.jpg"
+  },
+  {
+    "name": "Irish Terrier",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Irish%20Terrier%20P1060074.jpg"
+  },
+  {
+    "name": "Irish Water Spaniel",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Irlandzki%20spaniel%20wodny%20676.jpg"
+  },
+  {
+    "name": "Irish Wolfhound",
+    "origin": "Ireland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Irish%20wolfhound%20giaccomo.JPG"
+  },
+  {
+    "name": "Istrian Coarse-haired Hound",
+    "origin": "Croatia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Istrian%20hound2.jpg"
+  },
+  {
+    "name": "Istrian Shorthaired Hound",
+    "origin": "Croatia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Istrische%20Bracke.jpg"
+  },
+  {
+    "name": "Italian Greyhound",
+    "origin": "Italy",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Charciki%20W%C5%82oskie%2C%20doros%C5%82y%20i%20szczeniak.jpg"
+  },
+  {
+    "name": "Jack Russell Terrier",
+    "origin": "United Kingdom, Australia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Jack%20Russell%20Terrier%201.jpg"
+  },
+  {
+    "name": "Jagdterrier",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Terier%20niemiecki%20my%C5%9Bliwski%20721.jpg"
+  },
+  {
+    "name": "Jämthund",
+    "origin": "Sweden",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Jamthlnd.jpg"
+  },
+  {
+    "name": "Japanese Chin",
+    "origin": "Japan",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Japanese%20Chin%20adult.jpg"
+  },
+  {
+    "name": "Japanese Spitz",
+    "origin": "Japan",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/JapaneseSpitzPhoto1%20-%20hiro.jpg"
+  },
+  {
+    "name": "Japanese Terrier",
+    "origin": "Japan",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Japanese%20Terrier%2022.04.2012%202pl.jpg"
+  },
+  {
+    "name": "Jeju",
+    "origin": "South Korea",
+    "imageURL": ""
+  },
+  {
+    "name": "Jindo",
+    "origin": "South Korea",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Korean%20Jindo%20Dog.jpg"
+  },
+  {
+    "name": "Jonangi",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Jonangi%20from%20Krishna%20District.jpg"
+  },
+  {
+    "name": "Kai Ken",
+    "origin": "Japan",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Image%20of%20Kai%20%28dog%29.jpg"
+  },
+  {
+    "name": "Kaikadi",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Kamchatka Sled Dog",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Kangal Shepherd Dog",
+    "origin": "Turkey",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Kangal%20dog%20with%20spikey%20collar%2C%20Turkey.jpg"
+  },
+  {
+    "name": "Kanni",
+    "origin": "India",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Kanni.jpg"
+  },
+  {
+    "name": "Karakachan",
+    "origin": "Greece",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Karakatschan.jpg"
+  },
+  {
+    "name": "Karelian Bear Dog",
+    "origin": "Finland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Karelski%20pies%20na%20nied%C5%BAwiedzie%20sylwetka.JPG"
+  },
+  {
+    "name": "Karelo-Finnish Laika",
+    "origin": "Finland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Karelo%20Finnish%20Laika.jpg"
+  },
+  {
+    "name": "Kars",
+    "origin": "Turkey",
+    "imageURL": ""
+  },
+  {
+    "name": "Karst Shepherd",
+    "origin": "Slovenia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Owczarek%20kraski%20654.jpg"
+  },
+  {
+    "name": "Kazakh Tazy",
+    "origin": "Kazakhstan",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Chart%20%C5%9Brodkowoazjatycki%20Zeila.jpg"
+  },
+  {
+    "name": "Keeshond",
+    "origin": "Netherlands, Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Keeshond%20Majic%20standing%20cropped.jpg"
+  },
+  {
+    "name": "Kerry Beagle",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Kerry%20Beagle.jpg"
+  },
+  {
+    "name": "Kerry Blue Terrier",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Kerry%20Blue%20Terrier.jpg"
+  },
+  {
+    "name": "Khala",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/MexicaanseHairless.jpg"
+  },
+  {
+    "name": "King Charles Spaniel",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/King%20Charles%20Spaniel%20200.jpg"
+  },
+  {
+    "name": "King Shepherd",
+    "origin": "United States",
+    "imageURL": ""
+  },
+  {
+    "name": "Kintamani",
+    "origin": "Indonesia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Kintamani.jpg"
+  },
+  {
+    "name": "Kishu",
+    "origin": "Japan",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Kishu.jpg"
+  },
+  {
+    "name": "Kokoni",
+    "origin": "Greece",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/SmallGreekDomesticDog.jpg"
+  },
+  {
+    "name": "Kombai",
+    "origin": "India",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Kombai%20dog.jpg"
+  },
+  {
+    "name": "Komondor",
+    "origin": "Hungary",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Komondor%20dog%20breed.jpg"
+  },
+  {
+    "name": "Kooikerhondje",
+    "origin": "Netherlands",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Kooiker03.jpg"
+  },
+  {
+    "name": "Koolie",
+    "origin": "Australia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Pete%20may01%20web.JPG"
+  },
+  {
+    "name": "Kromfohrländer",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Kromfohrlaender%20glatt.jpg"
+  },
+  {
+    "name": "Kuchi",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Kunma",
+    "origin": "People's Republic of China",
+    "imageURL": ""
+  },
+  {
+    "name": "Kunming",
+    "origin": "People's Republic of China",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Kunming%20Dog.jpg"
+  },
+  {
+    "name": "Kurdish Mastiff",
+    "origin": "Kurdistan",
+    "imageURL": ""
+  },
+  {
+    "name": "Kuvasz",
+    "origin": "Hungary",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/2-kuvasz.jpg"
+  },
+  {
+    "name": "Labrador Retriever",
+    "origin": "Canada, England, United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Yellow%20Labrador%20Retriever%202.jpg"
+  },
+  {
+    "name": "Lagotto Romagnolo",
+    "origin": "Italy",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Lagotto%20Romagnolo.jpg"
+  },
+  {
+    "name": "Lài",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/L%C3%A0i%20Dog.jpg"
+  },
+  {
+    "name": "Laizhou Hong",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Laizhoureddog6.jpg"
+  },
+  {
+    "name": "Lakeland Terrier",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Lakeland%20Terrier.jpg"
+  },
+  {
+    "name": "Lancashire Heeler",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Grupp%201%2C%20LANCASHIRE%20HEELER%2C%20NO%20UCH%20NO%20V-14%20NO%20V-15%20SE%20UCH%20St%C3%A5hlskyttens%20Longed%20For%20Antony%20%2824284065606%29.jpg"
+  },
+  {
+    "name": "Landseer",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Landseer.jpg"
+  },
+  {
+    "name": "Langqing",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Lapponian Herder",
+    "origin": "Finland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Lapskvallhund.jpg"
+  },
+  {
+    "name": "Large Münsterländer",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/GrosserMuensterlaender.jpg"
+  },
+  {
+    "name": "Leonberger",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Leonberger%20male.jpg"
+  },
+  {
+    "name": "Levriero Sardo",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Lhasa Apso",
+    "origin": "Tibet",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Grupp%209%2C%20LHASA%20APSO%2C%20DK%20JV-13%20DK%20V-14%20DK%20V-15%20NO%20UCH%20NO%20V-15%20SE%20UCH%20Chic%20Choix%20Some%20Like%20It%20Chic%20%2824014621720%29.jpg"
+  },
+  {
+    "name": "Liangshan Dog",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Lithuanian Hound",
+    "origin": "Lithuania",
+    "imageURL": ""
+  },
+  {
+    "name": "Lobito Herreño",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Kinha.jpg"
+  },
+  {
+    "name": "Löwchen",
+    "origin": "Europe",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/LowchenFemale.jpg"
+  },
+  {
+    "name": "Lucas Terrier",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Lucas%20Terrier.jpg"
+  },
+  {
+    "name": "Lupo Italiano",
+    "origin": "Italy",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/LUPO%20ITALIANO%20-%20PALIO%20DI%20CENEDA%202018%2015.png"
+  },
+  {
+    "name": "Mackenzie River Husky",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Magyar Agár",
+    "origin": "Hungary",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/HungarianGreyhound.jpg"
+  },
+  {
+    "name": "Mahratta Hound",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Majorca Shepherd Dog",
+    "origin": "Mallorca",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Ca%20de%20Bestiar.JPG"
+  },
+  {
+    "name": "Maltese",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Maltezer%20Vereniging%20Belgie.jpg"
+  },
+  {
+    "name": "Manchester Terrier",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Manchesterterrier.jpg"
+  },
+  {
+    "name": "Maneto",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Maneto1.jpg"
+  },
+  {
+    "name": "Maremmano-Abruzzese Sheepdog",
+    "origin": "Italy",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Cane%20Pastore%20Abruzzese%20Abruzzo.jpg"
+  },
+  {
+    "name": "Markiesje",
+    "origin": "Netherlands",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Us%20babbe.jpg"
+  },
+  {
+    "name": "McNab",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Miniature American Shepherd",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Miniature-american-shepherd-energies.jpg"
+  },
+  {
+    "name": "Miniature Bull Terrier",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bull%20Terrier%20Miniature.jpg"
+  },
+  {
+    "name": "Miniature Fox Terrier",
+    "origin": "Australia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Mini%20Fox%20Terrier.jpg"
+  },
+  {
+    "name": "Miniature Pinscher",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Grupp%202%20DV%C3%84RGPINCHER%2C%20Pincerella%E2%80%99s%20Rinaldo%20Rosso%20%2824260846206%29.jpg"
+  },
+  {
+    "name": "Miniature Schnauzer",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/%D0%9F%D0%B8%D1%82%D0%BE%D0%BC%D0%BD%D0%B8%D0%BA%20%22%D0%90%D1%81%D1%81%D0%BE%D0%BD%20%D0%90%D1%80%D0%B8%22%20%D0%A6%D0%B2%D0%B5%D1%80%D0%B3%D1%88%D0%BD%D0%B0%D1%83%D1%86%D0%B5%D1%80%D1%8B%20%D0%B1%D0%B5%D0%BB%D1%8B%D0%B5%20%D0%B8%20%D1%87%D0%B5%D1%80%D0%BD%D1%8B%D0%B5%20%D1%81%20%D1%81%D0%B5%D1%80%D0%B5%D0%B1%D1%80%D0%BE%D0%BC%2012.jpg"
+  },
+  {
+    "name": "Mojee",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Molossus of Epirus",
+    "origin": "Greece",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Molossus%20dog%20in%20Albania.jpeg"
+  },
+  {
+    "name": "Mongrel",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Mutt%20dog.%20%E2%80%9CCanis%20lupus%20familiaris%E2%80%9D%2001.jpg"
+  },
+  {
+    "name": "Montenegrin Mountain Hound",
+    "origin": "Montenegro",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Montenegronak.jpg"
+  },
+  {
+    "name": "Moscow Watchdog",
+    "origin": "Soviet Union",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Moscowwatchdog.jpg"
+  },
+  {
+    "name": "Mountain Cur",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Mtncur.png"
+  },
+  {
+    "name": "Mountain Feist",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Mudhol Hound",
+    "origin": "India",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Caravan%20hound%20Closeupfire.jpg"
+  },
+  {
+    "name": "Mudi",
+    "origin": "Hungary",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Hondenras%20Mudi.jpg"
+  },
+  {
+    "name": "Neapolitan Mastiff",
+    "origin": "Ancient Rome",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Mastino%20sylwetka.jpg"
+  },
+  {
+    "name": "Nenets Herding Laika",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/%D0%9D%D0%B5%D0%BD%D0%B5%D1%86%D0%BA%D0%B0%D1%8F%20%D0%BB%D0%B0%D0%B9%D0%BA%D0%B0%2010.jpg"
+  },
+  {
+    "name": "New Guinea singing dog",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/New%20Guinea%20Singing%20Dog%20on%20trail-Cropped.jpg"
+  },
+  {
+    "name": "New Zealand Heading Dog",
+    "origin": "New Zealand",
+    "imageURL": ""
+  },
+  {
+    "name": "Newfoundland",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Newfoundland%20dog%20Smoky.jpg"
+  },
+  {
+    "name": "Norfolk Terrier",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Charmonty%20Norfolkterrier.jpg"
+  },
+  {
+    "name": "Norrbottenspets",
+    "origin": "Sweden",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Nordic%20Spitz.jpg"
+  },
+  {
+    "name": "Northern Inuit Dog",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Northern%20Inuit%20Dog.jpg"
+  },
+  {
+    "name": "Norwegian Buhund",
+    "origin": "Norway",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Norwegian%20Buhund%20600.jpg"
+  },
+  {
+    "name": "Norwegian Elkhound",
+    "origin": "Norway",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Norwegian%20Elkhound.jpg"
+  },
+  {
+    "name": "Norwegian Lundehund",
+    "origin": "Norway",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Lundehund-2003.jpg"
+  },
+  {
+    "name": "Norwich Terrier",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Norwichterrier.jpg"
+  },
+  {
+    "name": "Nova Scotia Duck Tolling Retriever",
+    "origin": "Canada",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Duck%20Toller.jpg"
+  },
+  {
+    "name": "Nureongi",
+    "origin": "South Korea",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Korean%20Yellow%20Spitz%2C%20Gyeyang%2C%20South%20Korea%2C%2029%20August%202022%202.jpg"
+  },
+  {
+    "name": "Old Danish Pointer",
+    "origin": "Denmark",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Wy%C5%BCe%C5%82%20du%C5%84ski%20123.jpg"
+  },
+  {
+    "name": "Old English Sheepdog",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bobtail.JPG"
+  },
+  {
+    "name": "Olde English Bulldogge",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Olde%20English%20Bulldogge%20Crop.jpg"
+  },
+  {
+    "name": "Otterhound",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Two%20otterhounds.jpg"
+  },
+  {
+    "name": "Pachón Navarro",
+    "origin": "Spain",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/NAFAR%20EPER%20TXAKURRA%201890.jpg"
+  },
+  {
+    "name": "Pampas Deerhound",
+    "origin": "Brazil",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Veadeiro%20pampeano.JPG"
+  },
+  {
+    "name": "Papillon",
+    "origin": "Belgium",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Outdoor%20Continental%20Toy%20Spaniel%20Papillon.jpeg"
+  },
+  {
+    "name": "Parson Russell Terrier",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Parson%20Russell%20Terrier.jpg"
+  },
+  {
+    "name": "Pastor Garafiano",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Ch-Rasti.jpg"
+  },
+  {
+    "name": "Pastore della Lessinia e del Lagorai",
+    "origin": "Italy",
+    "imageURL": ""
+  },
+  {
+    "name": "Patagonian Sheepdog",
+    "origin": "Chile",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Ovejero%20magall%C3%A1nico%202.jpg"
+  },
+  {
+    "name": "Patterdale Terrier",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/05078045%20Patterdale%20Terrier.jpg"
+  },
+  {
+    "name": "Pekingese",
+    "origin": "People's Republic of China",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/1AKC%20Pekingese%20Dog%20Show%202011.jpg"
+  },
+  {
+    "name": "Pembroke Welsh Corgi",
+    "origin": "Wales",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Welsh%20Pembroke%20Corgi.jpg"
+  },
+  {
+    "name": "Perdigueiro Galego",
+    "origin": "Spain",
+    "imageURL": ""
+  },
+  {
+    "name": "Perro Majorero",
+    "origin": "Canary Islands",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bardina-Donna-1.jpg"
+  },
+  {
+    "name": "Peruvian Hairless Dog",
+    "origin": "Peru",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Taru%20metsa.jpg"
+  },
+  {
+    "name": "Petit Basset Griffon Vendéen",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/P%20Basset%20Griffon%20Vendeen%20600.jpg"
+  },
+  {
+    "name": "Petit Bleu de Gascogne",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Ma%C5%82y%20go%C5%84czy%20gasko%C5%84ski%20Cita%20z%20Beckova%20Cb5.jpg"
+  },
+  {
+    "name": "Phalène",
+    "origin": "Belgium",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Spaniel%20miniaturowy%20kontynentalny%20phalene%2000.jpg"
+  },
+  {
+    "name": "Pharaoh Hound",
+    "origin": "Egypt",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Pies%20faraona%20e34.jpg"
+  },
+  {
+    "name": "Philippine forest dog",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Phu Quoc Ridgeback",
+    "origin": "Vietnam",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Phu%20Quoc%20dog.jpg"
+  },
+  {
+    "name": "Picardy Spaniel",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Epagneul%20picard%20685.jpg"
+  },
+  {
+    "name": "Plott Hound",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Plotthound-red1.jpg"
+  },
+  {
+    "name": "Plummer Terrier",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Podenco Andaluz",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Podenco%20chico.jpg"
+  },
+  {
+    "name": "Podenco Canario",
+    "origin": "Spain",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Podenco%20Canario%202.jpg"
+  },
+  {
+    "name": "Podenco Valenciano",
+    "origin": "Spain",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Podencovalencianolisofawn1.jpg"
+  },
+  {
+    "name": "Pointer",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/English%20pointer.jpg"
+  },
+  {
+    "name": "Poitevin",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Poitevin%20Hound.jpg"
+  },
+  {
+    "name": "Polish Greyhound",
+    "origin": "Poland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Chart%20polski%2067u7.jpg"
+  },
+  {
+    "name": "Polish Hound",
+    "origin": "Poland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/PolishHound-ChPl-BARD-zKicibirza-wl.AnnaWalentynowicz.JPG"
+  },
+  {
+    "name": "Polish Lowland Sheepdog",
+    "origin": "Poland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Polski%20owczarek%20nizinny.jpg"
+  },
+  {
+    "name": "Pomeranian",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Pont-Audemer Spaniel",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/04031158%20Epagneul%20Pont%20Audemer.jpg"
+  },
+  {
+    "name": "Poodle",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/AKC%20Helena%20Fall%20Dog%20Show%202011%20%286187041897%29.jpg"
+  },
+  {
+    "name": "Porcelaine",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Porcelaine.jpg"
+  },
+  {
+    "name": "Portuguese Podengo",
+    "origin": "Portugal",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Podengo%20Portugues.jpg"
+  },
+  {
+    "name": "Portuguese Pointer",
+    "origin": "Portugal",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Portuguese%20pointer%2011yo.jpg"
+  },
+  {
+    "name": "Portuguese Sheepdog",
+    "origin": "Portugal",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Cao%20de%20Serra%20de%20Aires600.jpg"
+  },
+  {
+    "name": "Portuguese Water Dog",
+    "origin": "Portugal",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/C%C3%A3o%20de%20agua%20Portugu%C3%AAs%202.jpg"
+  },
+  {
+    "name": "Posavac Hound",
+    "origin": "Croatia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Posavac.jpg"
+  },
+  {
+    "name": "Pražský Krysařík",
+    "origin": "Czech Republic",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Ex%20perla%20moravy%201.jpg"
+  },
+  {
+    "name": "Presa Canario",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Presacanariobody.jpg"
+  },
+  {
+    "name": "Pudelpointer",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Pudelpointer%20on%20point.jpg"
+  },
+  {
+    "name": "Pug",
+    "origin": "China",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/2.5-year-old%20fawn%20male%20pug.jpg"
+  },
+  {
+    "name": "Puli",
+    "origin": "Hungary",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Puli%20600.jpg"
+  },
+  {
+    "name": "Pumi",
+    "origin": "Hungary",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Hungarianpumi.JPG"
+  },
+  {
+    "name": "Pungsan",
+    "origin": "North Korea",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Poongsandogs.JPG"
+  },
+  {
+    "name": "Pyrenean Mastiff",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/MasPiri-Lula-ESP.jpg"
+  },
+  {
+    "name": "Pyrenean Mountain Dog",
+    "origin": "Spain",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Pyrenean%20Mountain%20Dog%20600.jpg"
+  },
+  {
+    "name": "Pyrenean Sheepdog",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Berger-des-Pyrenees%20Adeux%200302x0214.jpg"
+  },
+  {
+    "name": "Rafeiro do Alentejo",
+    "origin": "Portugal",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Rafeiro%20male.jpg"
+  },
+  {
+    "name": "Rajapalayam",
+    "origin": "India",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/%282%29%20Isha%20female%20rajapalayam.jpg"
+  },
+  {
+    "name": "Rampur Greyhound",
+    "origin": "India",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Rampurgreyhound.jpg"
+  },
+  {
+    "name": "Rastreador Brasileiro",
+    "origin": "Brazil",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Rastreadora%20Brasileira%20Gaya.jpg"
+  },
+  {
+    "name": "Rat Terrier",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/AmRatTerr11%20fx%20wb.jpg"
+  },
+  {
+    "name": "Ratonero Murciano",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Redbone Coonhound",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Memphis%20the%20Redbone%20Coonhound%20%287%20Nov%202004%29.jpg"
+  },
+  {
+    "name": "Rhodesian Ridgeback",
+    "origin": "Rhodesia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Grupp%206%20RHODESIAN%20RIDGEBACK%2C%20NO%20JV-15%20SE%20VCH%20Kadamo%20I%E2%80%99m%20In%20It%20For%20The%20Gold%20%2823920356649%29.jpg"
+  },
+  {
+    "name": "Rize Koyun",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Romanian Mioritic Shepherd Dog",
+    "origin": "Romania",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Mioritic.jpg"
+  },
+  {
+    "name": "Romanian Raven Shepherd Dog",
+    "origin": "Romania",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Romanianravencorb1.jpg"
+  },
+  {
+    "name": "Rottweiler",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Rottweiler%20Moletai%20May%202014.2.jpg"
+  },
+  {
+    "name": "Rough Collie",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/AmericanCollie2.jpg"
+  },
+  {
+    "name": "Russian Spaniel",
+    "origin": "Soviet Union",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Russpaniel.jpg"
+  },
+  {
+    "name": "Russkiy Toy",
+    "origin": "Russia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/RusskiyToyWelpe9Mon.JPG"
+  },
+  {
+    "name": "Russo-European Laika",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Russo%20European%20Laika.jpg"
+  },
+  {
+    "name": "Ryukyu",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Ryukyu%20dog%20pair.jpg"
+  },
+  {
+    "name": "Saarloos Wolfdog",
+    "origin": "Netherlands",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Saarlooswolfhond.jpg"
+  },
+  {
+    "name": "Sabueso Español",
+    "origin": "Spain",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Angoi%20de%20A%20Fonsagrada.JPG"
+  },
+  {
+    "name": "Saint Miguel Cattle Dog",
+    "origin": "Portugal",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Caofila.jpg"
+  },
+  {
+    "name": "Saint-Usuge Spaniel",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/EpagneuldeSaintUsuge.jpg"
+  },
+  {
+    "name": "Sakhalin Husky",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Saluki",
+    "origin": "Arabian Peninsula",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Red%20Smooth%20Saluki.jpg"
+  },
+  {
+    "name": "Samoyed",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Samojed00.jpg"
+  },
+  {
+    "name": "Sapsali",
+    "origin": "South Korea",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Korea-Jeonju-Sapsal%20dog%20in%20front%20of%20a%20Hanok%20Village-01.jpg"
+  },
+  {
+    "name": "Sarabi",
+    "origin": "Iran",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/5-%D8%B7%D8%A8%DB%8C%D8%B9%D8%AA%20%D8%B1%D9%88%D8%B3%D8%AA%D8%A7%DB%8C%20%D8%B5%D9%88%D9%85%D8%B9%D9%87%20%D9%85%D9%84%DA%A9%D8%B4%D8%A7%D9%87%20%D8%B3%DA%AF%20%D8%B3%D8%B1%D8%A7%D8%A8.jpg"
+  },
+  {
+    "name": "Sarail Hound",
+    "origin": "Sarail Upazila",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Sarail%20Hound%20dog.jpg"
+  },
+  {
+    "name": "Sardinian Shepherd Dog",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Šarplaninac",
+    "origin": "North Macedonia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Sarplaninac%20Urok1007.jpg"
+  },
+  {
+    "name": "Schapendoes",
+    "origin": "Netherlands",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Schapendoes.jpg"
+  },
+  {
+    "name": "Schillerstövare",
+    "origin": "Sweden",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Go%C5%84czy%20schillera%20g%C5%82owa%20j87.jpg"
+  },
+  {
+    "name": "Schipperke",
+    "origin": "Belgium",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Schipperke0001.jpg"
+  },
+  {
+    "name": "Schnauzer",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Schweizer Laufhund",
+    "origin": "Switzerland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Vycvik%20Stopy%20%283%29.JPG"
+  },
+  {
+    "name": "Schweizerischer Niederlaufhund",
+    "origin": "Switzerland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/08115491%20Schwyzer%20Niederlaufhund.jpg"
+  },
+  {
+    "name": "Scottish Deerhound",
+    "origin": "Scotland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Deerhound%20305.jpg"
+  },
+  {
+    "name": "Scottish Terrier",
+    "origin": "Scotland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Scotish%20terrier%20burleska%202005.jpg"
+  },
+  {
+    "name": "Sealyham Terrier",
+    "origin": "Wales",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/SealyhamTerrier01.jpg"
+  },
+  {
+    "name": "Segugio dell'Appennino",
+    "origin": "Italy",
+    "imageURL": ""
+  },
+  {
+    "name": "Segugio Italiano",
+    "origin": "Italy",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Segugioitalianopelorasofulvo.JPG"
+  },
+  {
+    "name": "Segugio Maremmano",
+    "origin": "Italy",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Segugio%20Maremmano.jpg"
+  },
+  {
+    "name": "Serbian Hound",
+    "origin": "Serbia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Serbian%20Hound%20Face.JPG"
+  },
+  {
+    "name": "Serbian Tricolour Hound",
+    "origin": "Serbia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Srpski%20Trobojni%20Gonic.gif"
+  },
+  {
+    "name": "Serrano Bulldog",
+    "origin": "Brazil",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Anuke.jpg"
+  },
+  {
+    "name": "Shar Pei",
+    "origin": "People's Republic of China",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Shar%20pei.jpg"
+  },
+  {
+    "name": "Shetland Sheepdog",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/ShetlandShpdogBlue2%20wb.jpg"
+  },
+  {
+    "name": "Shiba Inu",
+    "origin": "Japan",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Shiba%20inu%20taiki.jpg"
+  },
+  {
+    "name": "Shih Tzu",
+    "origin": "People's Republic of China",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Shih%20Tzu%20portrait%20show%20dog.jpg"
+  },
+  {
+    "name": "Shikoku",
+    "origin": "Japan",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Shikoku%20dog.jpg"
+  },
+  {
+    "name": "Shiloh Shepherd",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Pastor%20aleman%20a.jpg"
+  },
+  {
+    "name": "Siberian Husky",
+    "origin": "Siberia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Siberian%20Husky%20-%20Mika.jpg"
+  },
+  {
+    "name": "Silken Windhound",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Fallon%20the%20Silken%20Windhound.jpg"
+  },
+  {
+    "name": "Sinhala Hound",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Skye Terrier",
+    "origin": "Scotland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Skye%20terrier%20800.jpg"
+  },
+  {
+    "name": "Sloughi",
+    "origin": "North Africa",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Sloughi.jpg"
+  },
+  {
+    "name": "Slovak Cuvac",
+    "origin": "Czechoslovakia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Cuvac%201.jpg"
+  },
+  {
+    "name": "Slovak Rough-haired Pointer",
+    "origin": "Slovakia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bella%20z%20Milhostovskych%20poli.jpg"
+  },
+  {
+    "name": "Slovenský kopov",
+    "origin": "Slovakia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/MVP%20Nitra%202004%20%288%29.jpg"
+  },
+  {
+    "name": "Smaland Hound",
+    "origin": "Sweden",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Smaland-St%C3%B6vare.jpg"
+  },
+  {
+    "name": "Small Međimurje Dog",
+    "origin": "Croatia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Small%20Me%C4%91imurje%20dog%202%20%28cropped%29.jpg"
+  },
+  {
+    "name": "Small Münsterländer",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Kleiner%20Munsterlander%20edit.jpg"
+  },
+  {
+    "name": "Smithfield",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Smithfield%20Jack%201898%20ExhbSydne.jpg"
+  },
+  {
+    "name": "Smooth Collie",
+    "origin": "Scotland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Smooth%20Collie%20600.jpg"
+  },
+  {
+    "name": "Smooth Fox Terrier",
+    "origin": "United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Terrier%20mix%20sh%20klaas.jpg"
+  },
+  {
+    "name": "Soft-coated Wheaten Terrier",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Soft%20Coated%20Wheaten%20Terrier%20600.jpg"
+  },
+  {
+    "name": "South Russian Ovcharka",
+    "origin": "Ukraine",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/South%20Russian%20Ovcharka.jpg"
+  },
+  {
+    "name": "Spanish Mastiff",
+    "origin": "Spain",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Mast%C3%ADn%20espa%C3%B1ol%2C%20l%C3%ADnea%20original%20de%20trabajo.%2004.jpg"
+  },
+  {
+    "name": "Spanish Water Dog",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Perro%20agua.jpg"
+  },
+  {
+    "name": "Spino degli Iblei",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Spinone Italiano",
+    "origin": "Italy",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Spinone%20italiano%20Daisy.JPG"
+  },
+  {
+    "name": "Sporting Lucas Terrier",
+    "origin": "Scotland",
+    "imageURL": ""
+  },
+  {
+    "name": "St. Bernard",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Rey%20nieve.jpg"
+  },
+  {
+    "name": "St. Hubert Jura Hound",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Stabyhoun",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Frisianstaby.jpg"
+  },
+  {
+    "name": "Staffordshire Bull Terrier",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Staffie.jpg"
+  },
+  {
+    "name": "Standard Schnauzer",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Emppumenossa.jpg"
+  },
+  {
+    "name": "Stephens Stock",
+    "origin": "United States",
+    "imageURL": ""
+  },
+  {
+    "name": "Styrian Coarse-haired Hound",
+    "origin": "Austria",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Steirische%20Rauhhaarbracke.jpg"
+  },
+  {
+    "name": "Sussex Spaniel",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Sussex%20spaniel%20t43.jpg"
+  },
+  {
+    "name": "Swedish Lapphund",
+    "origin": "Sweden",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Svensk%20lapphund.JPG"
+  },
+  {
+    "name": "Swedish Vallhund",
+    "origin": "Sweden",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/SwedishVallhundAgility%20wb.jpg"
+  },
+  {
+    "name": "Taigan",
+    "origin": "Kyrgyzstan",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Tajgan%20MB%20002.jpg"
+  },
+  {
+    "name": "Taiwan Dog",
+    "origin": "Taiwan Island",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Formosan%20nina.jpg"
+  },
+  {
+    "name": "Tamaskan Dog",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Tang Dog",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/HK%20SW%20QR%20West%20pet%20Dog%20walking%20May%202021%20SS2%2008.jpg"
+  },
+  {
+    "name": "Tarsus çatalburun",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Tatra Shepherd Dog",
+    "origin": "Poland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Polski%20Owczarek%20Podhalanski.jpg"
+  },
+  {
+    "name": "Teddy Roosevelt Terrier",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Adult%20Male%20Teddy%20Roosevelt%20Terrier.jpg"
+  },
+  {
+    "name": "Telomian",
+    "origin": "Malaysia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Telomian.jpg"
+  },
+  {
+    "name": "Tenterfield Terrier",
+    "origin": "Australia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Rosie%20the%20Champion%20Tenterfield%20Terrier.jpg"
+  },
+  {
+    "name": "Thai Bangkaew Dog",
+    "origin": "Thailand",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Thai%20Bangkaew%20Dog%202.jpg"
+  },
+  {
+    "name": "Thai Ridgeback",
+    "origin": "Thailand",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Thai-Ridgeback.jpg"
+  },
+  {
+    "name": "Tibetan Kyi Apso",
+    "origin": "Tibet",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Tibetan%20Kyi%20Apso.jpg"
+  },
+  {
+    "name": "Tibetan Mastiff",
+    "origin": "People's Republic of China",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/2013%20Westminster%20Kennel%20Club%20Dog%20Show-%20Tibetan%20Mastiff%20GCH%20Sierras%27Sasha-Yakone%20Nanuk%20%288469240739%29%20%28cropped%29.jpg"
+  },
+  {
+    "name": "Tibetan spaniel",
+    "origin": "Tibet",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Tibetansk%20spaniel.jpg"
+  },
+  {
+    "name": "Tibetan Terrier",
+    "origin": "Tibet",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Tibetan%20Terrier%20Image%20001.jpg"
+  },
+  {
+    "name": "Tonya Finosu",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Tonya%20Finosu.jpg"
+  },
+  {
+    "name": "Tornjak",
+    "origin": "Bosnia and Herzegovina",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bosniantornjak.jpg"
+  },
+  {
+    "name": "Tosa",
+    "origin": "Japan",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Bukadai.jpg"
+  },
+  {
+    "name": "Toy Fox Terrier",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Toy%20Fox%20Terrier%202.jpg"
+  },
+  {
+    "name": "Toy Manchester Terrier",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Toy-manchester-terrier-weave.png"
+  },
+  {
+    "name": "Transylvanian Hound",
+    "origin": "Hungary",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Erdelyi%20kopo%20VadaszNimrodSzeder01.jpg"
+  },
+  {
+    "name": "Treeing Cur",
+    "origin": "United States",
+    "imageURL": ""
+  },
+  {
+    "name": "Treeing Feist",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Treeing Tennessee Brindle",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Sienna%20TTBD.jpg"
+  },
+  {
+    "name": "Treeing Walker Coonhound",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Treeing-walker-coonhound-standing.jpg"
+  },
+  {
+    "name": "Trigg Hound",
+    "origin": "United States",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/AmericanFoxhound2.jpg"
+  },
+  {
+    "name": "Tyrolean Hound",
+    "origin": "Austria",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Tiroler%20Bracke.jpg"
+  },
+  {
+    "name": "Valdueza",
+    "origin": "Spain",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Valdueza4.jpg"
+  },
+  {
+    "name": "Valencian Terrier",
+    "origin": "Spain",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Ratonero%20valenciano%20dunkel.jpg"
+  },
+  {
+    "name": "Vikhan",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Villano de Las Encartaciones",
+    "origin": "Spain",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Trucios%20perro%20villano.jpg"
+  },
+  {
+    "name": "Villanuco de Las Encartaciones",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Vizsla",
+    "origin": "Hungary",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Wy%C5%BCe%C5%82%20w%C4%99gierski%20g%C5%82adkow%C5%82osy%20500.jpg"
+  },
+  {
+    "name": "Volkosob",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Volpino Italiano",
+    "origin": "Italy",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Volpino04.jpg"
+  },
+  {
+    "name": "Weimaraner",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Weimaraner%20Amigo.jpg"
+  },
+  {
+    "name": "Welsh Hound",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Girl%20with%20a%20dog%2C%20Llansanffraid%20Glynceiriog%3F%20NLW3363932.jpg"
+  },
+  {
+    "name": "Welsh Sheepdog",
+    "origin": "Wales",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Welsh%20Sheepdog.jpg"
+  },
+  {
+    "name": "Welsh Springer Spaniel",
+    "origin": "Wales",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Welsh%20Springer%20Spaniel%201.jpg"
+  },
+  {
+    "name": "Welsh Terrier",
+    "origin": "Wales",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Welshterrier.jpg"
+  },
+  {
+    "name": "West Country Harrier",
+    "origin": "England, United Kingdom",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Hounds%20-%20their%20breeding%20and%20kennel%20management%20%281905%29%20%2814740587676%29.jpg"
+  },
+  {
+    "name": "West Highland White Terrier",
+    "origin": "Scotland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/West%20Highland%20White%20Terrier%20Krakow.jpg"
+  },
+  {
+    "name": "West Siberian Laika",
+    "origin": "Russia",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/West%20Siberian%20Laika.jpg"
+  },
+  {
+    "name": "Westphalian Dachsbracke",
+    "origin": "Germany",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Westf%C3%A4lische-dachsbracke.JPG"
+  },
+  {
+    "name": "Wetterhoun",
+    "origin": "Netherlands",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Fryzyjski%20pies%20wodny%20u68.jpg"
+  },
+  {
+    "name": "Whippet",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Whippet%20stacked.jpg"
+  },
+  {
+    "name": "White Shepherd",
+    "origin": "",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Kandestack%2062406.jpg"
+  },
+  {
+    "name": "White Swiss Shepherd Dog",
+    "origin": "Switzerland",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/WhiteShepherd.jpg"
+  },
+  {
+    "name": "Wire Fox Terrier",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Elias1%C4%8Derven2006.jpg"
+  },
+  {
+    "name": "Wirehaired Pointing Griffon",
+    "origin": "France",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Korthalsgriffon.jpg"
+  },
+  {
+    "name": "Wirehaired Vizsla",
+    "origin": "Hungary",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Anka%20vom%20Rudolfsforst.jpg"
+  },
+  {
+    "name": "Xiasi Dog",
+    "origin": "People's Republic of China",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Xiasi%20Quan%20dog.jpg"
+  },
+  {
+    "name": "Xigou",
+    "origin": "",
+    "imageURL": ""
+  },
+  {
+    "name": "Xoloitzcuintle",
+    "origin": "Mexico",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/XoloLarge1.jpg"
+  },
+  {
+    "name": "Yakutian Laika",
+    "origin": "Sakha",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/618736210a13.jpg"
+  },
+  {
+    "name": "Yorkshire Terrier",
+    "origin": "England",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Imageyorkie.png"
+  },
+  {
+    "name": "Zerdava",
+    "origin": "Turkey",
+    "imageURL": "https://commons.wikimedia.org/wiki/Special:FilePath/Zerdava%20dog.jpg"
+  }
+];
@@ -0,0 +1,18 @@
+// Generated by scripts/generate-modules.js from dog-breeds.metadata.json.
+// Do not edit; run `npm run generate-modules` instead.
+
+export default {
+  "fetchedAt": null,
+  "wikipedia": {
+    "page": "List of dog breeds",
+    "revisionId": null
+  },
+  "wikidata": {
+    "locales": [],
+    "queryHash": null,
+    "resultsHash": null
+  },
+  "overridesHash": null,
+  "extraSources": [],
+  "sources": {}
+};
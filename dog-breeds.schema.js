@@ -0,0 +1,474 @@
+// Generated by scripts/generate-modules.js from dog-breeds.schema.json.
+// Do not edit; run `npm run generate-modules` instead.
+
+export default {
+  "$schema": "https://json-schema.org/draft/2020-12/schema",
+  "title": "Dog breeds",
+  "description": "The dog-breeds dataset: breed records in alphabetical order. A single record is described by #/$defs/breed.",
+  "type": "array",
+  "items": {
+    "$ref": "#/$defs/breed"
+  },
+  "$defs": {
+    "breed": {
+      "title": "Breed",
+      "description": "A dog breed.",
+      "type": "object",
+      "required": [
+        "name",
+        "origin",
+        "imageURL"
+      ],
+      "additionalProperties": false,
+      "properties": {
+        "name": {
+          "description": "The breed name.",
+          "type": "string",
+          "pattern": "\\S"
+        },
+        "origin": {
+          "description": "The country or region of origin, as a comma-separated string, or an empty string when unknown.",
+          "type": "string"
+        },
+        "imageURL": {
+          "description": "A link to an image of the breed on Wikimedia, or an empty string when there is none.",
+          "type": "string",
+          "pattern": "^(https://\\S+)?$"
+        },
+        "origins": {
+          "description": "The origins as structured objects.",
+          "type": "array",
+          "items": {
+            "$ref": "#/$defs/origin"
+          }
+        },
+        "id": {
+          "description": "The Wikidata QID, or null for breeds without a Wikidata match.",
+          "anyOf": [
+            {
+              "$ref": "#/$defs/qid"
+            },
+            {
+              "type": "null"
+            }
+          ]
+        },
+        "slug": {
+          "description": "A URL-safe identifier that stays the same when the breed is renamed.",
+          "type": "string",
+          "pattern": "^[a-z\\d]+(-[a-z\\d]+)*$"
+        },
+        "article": {
+          "description": "The title of the breed's English Wikipedia article.",
+          "type": "string",
+          "minLength": 1
+        },
+        "status": {
+          "description": "Whether the breed is extant, or extinct or critically endangered.",
+          "enum": [
+            "extant",
+            "extinct"
+          ]
+        },
+        "names": {
+          "description": "The breed name by locale. Always has the English name.",
+          "type": "object",
+          "required": [
+            "en"
+          ],
+          "propertyNames": {
+            "pattern": "^[a-z]{2,3}(-[a-z\\d]+)*$"
+          },
+          "additionalProperties": {
+            "type": "string",
+            "pattern": "\\S"
+          }
+        },
+        "aliases": {
+          "description": "Other common names of the breed.",
+          "type": "array",
+          "uniqueItems": true,
+          "items": {
+            "type": "string",
+            "pattern": "\\S"
+          }
+        },
+        "weightKg": {
+          "description": "The weight in kilograms, or null when unknown.",
+          "anyOf": [
+            {
+              "$ref": "#/$defs/measurement"
+            },
+            {
+              "type": "null"
+            }
+          ]
+        },
+        "heightCm": {
+          "description": "The height at the withers in centimetres, or null when unknown.",
+          "anyOf": [
+            {
+              "$ref": "#/$defs/measurement"
+            },
+            {
+              "type": "null"
+            }
+          ]
+        },
+        "lifespanYears": {
+          "description": "The life expectancy in years, or null when unknown.",
+          "anyOf": [
+            {
+              "$ref": "#/$defs/measurement"
+            },
+            {
+              "type": "null"
+            }
+          ]
+        },
+        "size": {
+          "description": "The size class by average weight, or by height for breeds without a known weight. Null when both are unknown.",
+          "enum": [
+            "toy",
+            "small",
+            "medium",
+            "large",
+            "giant",
+            null
+          ]
+        },
+        "classifications": {
+          "description": "The kennel clubs that recognize the breed.",
+          "type": "array",
+          "items": {
+            "$ref": "#/$defs/classification"
+          }
+        },
+        "parents": {
+          "description": "The Wikidata QIDs of the breeds this breed was bred from or is a variety of.",
+          "type": "array",
+          "uniqueItems": true,
+          "items": {
+            "$ref": "#/$defs/qid"
+          }
+        },
+        "image": {
+          "description": "Details of the image on Wikimedia Commons, or null for breeds without one.",
+          "anyOf": [
+            {
+              "$ref": "#/$defs/image"
+            },
+            {
+              "type": "null"
+            }
+          ]
+        }
+      }
+    },
+    "qid": {
+      "description": "A Wikidata item id, e.g. Q39058.",
+      "type": "string",
+      "pattern": "^Q[1-9]\\d*$"
+    },
+    "origin": {
+      "title": "Origin",
+      "description": "A country or region a breed originates in.",
+      "type": "object",
+      "required": [
+        "label",
+        "id",
+        "code"
+      ],
+      "additionalProperties": false,
+      "properties": {
+        "label": {
+          "description": "The English name of the place.",
+          "type": "string",
+          "pattern": "\\S"
+        },
+        "id": {
+          "description": "The Wikidata QID of the place.",
+          "$ref": "#/$defs/qid"
+        },
+        "code": {
+          "description": "The ISO 3166 code, e.g. JP or GB-SCT, or null for regions that have none.",
+          "anyOf": [
+            {
+              "type": "string",
+              "pattern": "^[A-Z]{2}(-[A-Z\\d]{1,3})?$"
+            },
+            {
+              "type": "null"
+            }
+          ]
+        },
+        "coordinates": {
+          "description": "The coordinates of the place, or null when Wikidata has none.",
+          "anyOf": [
+            {
+              "$ref": "#/$defs/coordinates"
+            },
+            {
+              "type": "null"
+            }
+          ]
+        },
+        "bbox": {
+          "description": "The bounding box of the place, from its northernmost, southernmost, easternmost and westernmost points, or null when Wikidata lacks any of them.",
+          "anyOf": [
+            {
+              "$ref": "#/$defs/boundingBox"
+            },
+            {
+              "type": "null"
+            }
+          ]
+        }
+      }
+    },
+    "coordinates": {
+      "title": "Coordinates",
+      "description": "A point on Earth, in decimal degrees.",
+      "type": "object",
+      "required": [
+        "lat",
+        "lon"
+      ],
+      "additionalProperties": false,
+      "properties": {
+        "lat": {
+          "type": "number",
+          "minimum": -90,
+          "maximum": 90
+        },
+        "lon": {
+          "type": "number",
+          "minimum": -180,
+          "maximum": 180
+        }
+      }
+    },
+    "boundingBox": {
+      "title": "BoundingBox",
+      "description": "The extent of a place, in decimal degrees. West is greater than east for places that span the 180th meridian.",
+      "type": "object",
+      "required": [
+        "west",
+        "south",
+        "east",
+        "north"
+      ],
+      "additionalProperties": false,
+      "properties": {
+        "west": {
+          "type": "number",
+          "minimum": -180,
+          "maximum": 180
+        },
+        "south": {
+          "type": "number",
+          "minimum": -90,
+          "maximum": 90
+        },
+        "east": {
+          "type": "number",
+          "minimum": -180,
+          "maximum": 180
+        },
+        "north": {
+          "type": "number",
+          "minimum": -90,
+          "maximum": 90
+        }
+      }
+    },
+    "range": {
+      "title": "Range",
+      "description": "A range of values.",
+      "type": "object",
+      "required": [
+        "min",
+        "max"
+      ],
+      "additionalProperties": false,
+      "properties": {
+        "min": {
+          "type": "number",
+          "minimum": 0
+        },
+        "max": {
+          "type": "number",
+          "minimum": 0
+        }
+      }
+    },
+    "measurement": {
+      "title": "Measurement",
+      "description": "A measured range over all statements, with separate ranges for males and females where known.",
+      "type": "object",
+      "required": [
+        "min",
+        "max",
+        "male",
+        "female"
+      ],
+      "additionalProperties": false,
+      "properties": {
+        "min": {
+          "type": "number",
+          "minimum": 0
+        },
+        "max": {
+          "type": "number",
+          "minimum": 0
+        },
+        "male": {
+          "anyOf": [
+            {
+              "$ref": "#/$defs/range"
+            },
+            {
+              "type": "null"
+            }
+          ]
+        },
+        "female": {
+          "anyOf": [
+            {
+              "$ref": "#/$defs/range"
+            },
+            {
+              "type": "null"
+            }
+          ]
+        }
+      }
+    },
+    "classification": {
+      "title": "Classification",
+      "description": "A breed's recognition by a kennel club.",
+      "type": "object",
+      "required": [
+        "club",
+        "standard",
+        "group"
+      ],
+      "additionalProperties": false,
+      "properties": {
+        "club": {
+          "description": "The kennel club.",
+          "enum": [
+            "FCI",
+            "AKC",
+            "KC",
+            "UKC",
+            "CKC"
+          ]
+        },
+        "standard": {
+          "description": "The breed's standard number or identifier with the club.",
+          "type": "string",
+          "minLength": 1
+        },
+        "group": {
+          "description": "The club group the breed belongs to, or null when unknown.",
+          "anyOf": [
+            {
+              "$ref": "#/$defs/group"
+            },
+            {
+              "type": "null"
+            }
+          ]
+        }
+      }
+    },
+    "group": {
+      "title": "Group",
+      "description": "A kennel club group.",
+      "type": "object",
+      "required": [
+        "number",
+        "name"
+      ],
+      "additionalProperties": false,
+      "properties": {
+        "number": {
+          "description": "The group number, or null for clubs without numbered groups.",
+          "anyOf": [
+            {
+              "type": "integer",
+              "minimum": 1
+            },
+            {
+              "type": "null"
+            }
+          ]
+        },
+        "name": {
+          "description": "The group name.",
+          "type": "string",
+          "minLength": 1
+        }
+      }
+    },
+    "image": {
+      "title": "Image",
+      "description": "An image on Wikimedia Commons and its attribution.",
+      "type": "object",
+      "required": [
+        "file",
+        "width",
+        "height",
+        "author",
+        "license",
+        "licenseURL"
+      ],
+      "additionalProperties": false,
+      "properties": {
+        "file": {
+          "description": "The Commons file name.",
+          "type": "string",
+          "minLength": 1
+        },
+        "width": {
+          "description": "The width of the original in pixels.",
+          "type": [
+            "integer",
+            "null"
+          ],
+          "minimum": 1
+        },
+        "height": {
+          "description": "The height of the original in pixels.",
+          "type": [
+            "integer",
+            "null"
+          ],
+          "minimum": 1
+        },
+        "author": {
+          "description": "The author as plain text.",
+          "type": [
+            "string",
+            "null"
+          ]
+        },
+        "license": {
+          "description": "The license short name, e.g. CC BY-SA 4.0.",
+          "type": [
+            "string",
+            "null"
+          ]
+        },
+        "licenseURL": {
+          "description": "A link to the license text, or null for public domain images.",
+          "type": [
+            "string",
+            "null"
+          ]
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,562 @@
+BEGIN TRANSACTION;
+DROP TABLE IF EXISTS "breeds";
+CREATE TABLE "breeds" (
+  "name" TEXT,
+  "origin" TEXT,
+  "imageURL" TEXT
+);
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Affenpinscher', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Affenpinscher.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Afghan Hound', 'Afghanistan', 'https://commons.wikimedia.org/wiki/Special:FilePath/Afghan%20Hound%20in%20Tallinn.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Africanis', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Africanis%20%281%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Aidi', 'North Africa', 'https://commons.wikimedia.org/wiki/Special:FilePath/Aidi.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Airedale Terrier', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Airedale%20Terrier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Akbash', 'Turkey', 'https://commons.wikimedia.org/wiki/Special:FilePath/Akbash%20Dog%20in%20CA.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Akita', 'Japan, United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Akita%20inu%20criado%20por%20Tsutsui%20Kennel.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Aksaray Malaklisi', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Aksaray%20malaklisinin%20malaklari.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Alano Español', 'Spain', 'https://commons.wikimedia.org/wiki/Special:FilePath/Spanish%20Alano%202.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Alapaha Blue Blood Bulldog', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Alapaha%20blue%20blood%20bulldog2.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Alaskan Husky', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Alaskan Klee Kai', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Standard%20Alaskan%20Klee%20Kai.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Alaskan Malamute', 'Alaska', 'https://commons.wikimedia.org/wiki/Special:FilePath/Alaskan%20Malamute.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Alopekis', 'Greece', 'https://commons.wikimedia.org/wiki/Special:FilePath/Alopekis%20white%20male.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Alpine Dachsbracke', 'Austria', 'https://commons.wikimedia.org/wiki/Special:FilePath/Alpejski%20go%C5%84czy%20kr%C3%B3tkono%C5%BCny%20g99.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('American Bulldog', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/BUCKEYE%202010%20ANCHOR%20BULLY%20RASCALZ.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('American Bully', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/%282x%20ch%20GRAN%20DALI%29%20BOTTIcelli%20.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('American Cocker Spaniel', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/AmericanCockerSpaniel%20wb.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('American English Coonhound', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Maddie%20%288416820450%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('American Eskimo Dog', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/American%20Eskimo%20Dog%201.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('American Foxhound', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/AmericanFoxhound2.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('American Hairless Terrier', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/American%20Hairless%20Terrier%20Adelor.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('American Leopard Hound', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Lep2.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('American Pit Bull Terrier', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/American%20Pitbull%20001.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('American Staffordshire Terrier', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/AMERICAN%20STAFFORDSHIRE%20TERRIER%2C%20Zican%E2%80%99s%20Bz%20Ez%20Dragon%20%2824208348891%29.2.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('American Water Spaniel', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/AmWaterSpan1.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Andalusian Terrier', 'Spain', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bodeguero%20young.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Anglo-Français de Petite Vénerie', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Anglo-Fran%C3%A7ais%20de%20petite%20v%C3%A9nerie.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Appenzeller Sennenhund', 'Switzerland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Abora%20z%20Velk%C3%A9ho%20%C3%9Ajezda5.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Argentine Pila', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Pilas%20Argentinos-Felix-%26-Fortuna-04-1912.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Ariège Pointer', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Pointer%20of%20Ariege%20from%201915.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Ariégeois', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Ariegeois.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Armant', 'Egypt', 'https://commons.wikimedia.org/wiki/Special:FilePath/Armant%20dog%2C%20with%20some%20orange%20stuff%20and%20trees%20in%20background.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Armenian Gampr', 'Armenia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Armenian%20Gampr%2001.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Artois Hound', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Artois%20from%201915.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Australian Cattle Dog', 'Australia', 'https://commons.wikimedia.org/wiki/Special:FilePath/ACD-blue-spud.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Australian Kelpie', 'Australia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bashyr.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Australian Shepherd', 'United States, Australia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Aussi.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Australian Silky Terrier', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/02%20Australian%20Silky%20Terrier%2C%20Zack%2C%20spring%202012.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Australian Stumpy Tail Cattle Dog', 'Australia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Australian%20Stumpy%20Tail%20Cattle%20Dog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Australian Terrier', 'Australia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Australian%20Terrier%20002%20U.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Austrian Black and Tan Hound', 'Austria', 'https://commons.wikimedia.org/wiki/Special:FilePath/Brandlbracke.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Austrian Pinscher', 'Austria', 'https://commons.wikimedia.org/wiki/Special:FilePath/Pinczer%20austiacki%20678.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Azawakh', 'Mali', 'https://commons.wikimedia.org/wiki/Special:FilePath/Azawakh%20bitch%20Shira-tb.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bắc Hà', 'Vietnam', 'https://commons.wikimedia.org/wiki/Special:FilePath/B%E1%BA%AFc%20H%C3%A0%20dog%20face.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bakharwal', 'India', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bakarwal.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Banjara Hound', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bankhar Dog', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Hotosho-1.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Barak hound', 'Bosnia and Herzegovina', 'https://commons.wikimedia.org/wiki/Special:FilePath/BIR%20Grupp%206-%20BOSANSKI%20OSTRODLAKI%20GONIC-BARAK%2C%20Sandy%20%2823866392689%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Barbado da Terceira', 'Portugal', 'https://commons.wikimedia.org/wiki/Special:FilePath/Barbado%20da%20Terceira%20%28male%29.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Barbet', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Chien%20de%20race%20Barbet.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Basenji', 'Democratic Republic of the Congo', 'https://commons.wikimedia.org/wiki/Special:FilePath/2008-05-01%20a%20Basenji%2003.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Basque Shepherd Dog', 'Spain', 'https://commons.wikimedia.org/wiki/Special:FilePath/Pastor%20vasco%20m%2014months%20loby%203018.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Basset Artésien Normand', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Grupp%206%20BASSET%20ART%C3%89SIEN%20NORMAND%2C%20Skogvaktarens%20Queen%20Sally%20%2824180074612%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Basset Bleu de Gascogne', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Basset%20bleu%20de%20Gascogne.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Basset Fauve de Bretagne', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Basset%20Fauve%20de%20Bretagne%20600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Basset Hound', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Basset%20Hound%20600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bavarian Mountain Hound', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/2005-09%20Zoran%201.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Beagle', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/MiloSmet.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Beagle-Harrier', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Beagle%20harrier.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bearded Collie', 'Scotland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bearded%20Collie.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Beauceron', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/BeauceronStand.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bedlington Terrier', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bedlington%20terrier.jpeg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Belgian Shepherd', 'Belgium', 'https://commons.wikimedia.org/wiki/Special:FilePath/04%20-%20Belgian%20shepherd%20dog%20varieties%20-%20Groenendael%2CTervuren%2C%20Malinois%2C%20Laekenois.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bergamasco Shepherd', 'Italy', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bergamasco%20600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Berger Picard', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Owczarek%20pikardyjski%2063.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bernese Mountain Dog', 'Switzerland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bouviers%20Bernois%20Ganjo.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bichon Frisé', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bichon%20Fris%C3%A9%20-%20studdogbichon.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Biewer Terrier', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/BiewerH%C3%BCndin.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Billy', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Billy%28dog%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Black and Tan Coonhound', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Black%20and%20Tan%20Coonhound.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Black Mouth Cur', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/BlackMouthCurPortrait.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Black Norwegian Elkhound', 'Norway', 'https://commons.wikimedia.org/wiki/Special:FilePath/BlackNorwegianElkhound.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Black Russian Terrier', 'Soviet Union', 'https://commons.wikimedia.org/wiki/Special:FilePath/Malahovkaja%20Serenada.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bloodhound', 'Belgium', 'https://commons.wikimedia.org/wiki/Special:FilePath/Perro%20de%20San%20Huberto.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Blue Lacy', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/BlueLacyPhoto1.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Blue Picardy Spaniel', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Epagneul%20bleu%20de%20picardie%20868.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bluetick Coonhound', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/BluetickCoonhound.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Boerboel', 'South Africa', 'https://commons.wikimedia.org/wiki/Special:FilePath/Boerboel.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bohemian Shepherd', 'Czech Republic', 'https://commons.wikimedia.org/wiki/Special:FilePath/OREADY%20KROSANDRA%20%2814%29.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bohemian Spotted Dog', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bohemian%20Spotted%20Dog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bolognese', 'Italy', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bolo%C5%84czyk%205e3.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bolonka', 'Russia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Irsika.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Border Collie', 'England, Scotland, United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Border%20Collie%20600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Border Terrier', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Border%20Terri%C3%ABr.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Borzoi', 'Russia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Borzoi%20female.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Boston Terrier', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/BOSTON%20TERRIER%2C%20Ving%C3%A5rdens%20Essi%20von%20Richards%20%2823995273800%29.2.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bouvier des Ardennes', 'Belgium', 'https://commons.wikimedia.org/wiki/Special:FilePath/Boyero-de-las-ardenas7.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bouvier des Flandres', 'Belgium', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bouvier.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Boxer', 'German Empire', 'https://commons.wikimedia.org/wiki/Special:FilePath/Boxer%20female%20brown.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Boykin Spaniel', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Boykin%20Spaniel%20Relaxing2.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bracco Italiano', 'Italy', 'https://commons.wikimedia.org/wiki/Special:FilePath/BIR%20Grupp%207-%20BRACCO%20ITALIANO%2C%20Nuits%20Di%20Montemassi%20%2823866391829%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Braque d''Auvergne', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Braque%20d%20Auvergne.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Braque du Bourbonnais', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Braque%20du%20Bourbonnais.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Braque Français', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Wy%C5%BCe%C5%82%20pirenejski%20308.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Braque Saint-Germain', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Braque%20saint-germain%20666.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Brazilian Terrier', 'Brazil', 'https://commons.wikimedia.org/wiki/Special:FilePath/TERRIER%20BRASILEIRO%2C%20DK%20JV-15%20DK%20V-15%20Jyv%C3%A4m%C3%A4en%20Zircon%20Zr%20%2824265479706%29.2.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Briard', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Briard%20fauve.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Briquet de Provence', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Briquet Griffon Vendéen', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Briquet%20Griffon%20Vendeen.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Brittany', 'Brittany', 'https://commons.wikimedia.org/wiki/Special:FilePath/American%20Brittany%20standing.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Broholmer', 'Denmark', 'https://commons.wikimedia.org/wiki/Special:FilePath/Broholmer%20634.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bruno Jura Hound', 'Switzerland', 'https://commons.wikimedia.org/wiki/Special:FilePath/09057110%20Jura%20Laufhund.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bucovina Shepherd Dog', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bucovina%20Sheepdog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bulgarian Hound', 'Bulgaria', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bulgarian%20barak.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bulgarian Scenthound', 'Bulgaria', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bulgarsko%20gonche.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bull Arab', 'Australia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bull%20Arab%20%28dog%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bull Terrier', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bullterier%20089%20LM.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bulldog', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Racib%C3%B3rz%202007%20082.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bullmastiff', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Dog%20Bullmastiff%20600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Bully Kutta', 'Pakistan', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bully%20kutta%20naulakhia.tif');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Burgos Pointer', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Burgos%20Pointer%20or%20Perdiguero%20de%20Burgos.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Ca de Bou', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Ca%20de%20bou%20dog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Ca Mè Mallorquí', 'Mallorca', 'https://commons.wikimedia.org/wiki/Special:FilePath/Ca%20m%C3%A8%20mallorqu%C3%AD%2003a.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Ca Rater Mallorquí', 'Mallorca', 'https://commons.wikimedia.org/wiki/Special:FilePath/Ratero%20mallorquin.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Cairn Terrier', 'Scotland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Cairn-Terrier-Garten1.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Calupoh', 'Mexico', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Campeiro Bulldog', 'Brazil', 'https://commons.wikimedia.org/wiki/Special:FilePath/Buldogue%20Campeiro.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Can de Chira', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Can%20de%20Chira.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Can de Palleiro', 'Spain', 'https://commons.wikimedia.org/wiki/Special:FilePath/Palleiro1.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Canaan Dog', 'Palestine, Canaan', 'https://commons.wikimedia.org/wiki/Special:FilePath/CanaanDogChakede1.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Canadian Eskimo Dog', 'Canada', 'https://commons.wikimedia.org/wiki/Special:FilePath/Cedpup.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Cane Corso', 'Italy', 'https://commons.wikimedia.org/wiki/Special:FilePath/Anita%20Cane%20Corso%20Italiano%20allevato%20in%20Italia.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Cane di Oropa', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Cane Paratore', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Cane%20Paratore.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Cantabrian Water Dog', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Perro%20de%20Agua%20del%20Cant%C3%A1brico%20Macho%20Exposici%C3%B3n.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Cão de Gado Transmontano', 'Portugal', 'https://commons.wikimedia.org/wiki/Special:FilePath/TRANSMONTANO.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Cardigan Welsh Corgi', 'Wales', 'https://commons.wikimedia.org/wiki/Special:FilePath/Cardigan%20Welsh%20Corgi%20600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Carea Leonés', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Carolina Dog', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Carolina%20Strand.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Carpathian Shepherd Dog', 'Romania', 'https://commons.wikimedia.org/wiki/Special:FilePath/Carpatin.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Castro Laboreiro Dog', 'Portugal', 'https://commons.wikimedia.org/wiki/Special:FilePath/Cao%20de%20castro%20laboreiro.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Catahoula Leopard Dog', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/SasquatchCatahoulaCurDog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Catalan Sheepdog', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Catalaanse%20herder.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Caucasian Shepherd Dog', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Owczarek%20kaukaski%2065556.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Cavalier King Charles Spaniel', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Betty%20Verdure.Photo%20Ph.BRIZARD.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Central Asian Shepherd Dog', 'Soviet Central Asia', 'https://commons.wikimedia.org/wiki/Special:FilePath/2.CAO%20in%20Hungary.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Český fousek', 'Czech Republic', 'https://commons.wikimedia.org/wiki/Special:FilePath/Cesky%20Fousek%20Flickr.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Cesky Terrier', 'Czech Republic', 'https://commons.wikimedia.org/wiki/Special:FilePath/Cesky-Terier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Chesapeake Bay Retriever', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Chesapeake%20Bay%20Retriever1.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Chien Français Blanc et Noir', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Fran%C3%A7ais%20noir%20et%20blanc.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Chien Français Blanc et Orange', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Grand%20Anglo-Fran%C3%A7ais%20Blanc%20Et%20Orange.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Chien Français Tricolore', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Grand%20Anglo-Fran%C3%A7ais%20Tricolore.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Chihuahua', 'Mexico', 'https://commons.wikimedia.org/wiki/Special:FilePath/Chihuahuas-%20Holly%2C%20Nina%2C%20Doralice.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Chilean Terrier', 'Chile', 'https://commons.wikimedia.org/wiki/Special:FilePath/Chilean%20Fox%20Terrier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Chinese Crested Dog', 'People''s Republic of China', 'https://commons.wikimedia.org/wiki/Special:FilePath/IndyStands.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Chinook', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Mountan%20Laurel%20Ajax%20the%20Chinook%20dog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Chippiparai', 'India', 'https://commons.wikimedia.org/wiki/Special:FilePath/Female%20Chippiparai%20sitting.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Chongqing', 'People''s Republic of China', 'https://commons.wikimedia.org/wiki/Special:FilePath/Chinese%20Chongqing%20Dog%20H%C3%BCndin.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Chortai', 'Ukraine', 'https://commons.wikimedia.org/wiki/Special:FilePath/Hortaya%20Borzaya.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Chow Chow', 'People''s Republic of China', 'https://commons.wikimedia.org/wiki/Special:FilePath/01%20Chow%20Chow.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Chukotka sled dog', 'Russia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Die%20Gartenlaube%20%281882%29%20b%20829.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Cimarrón Uruguayo', 'Uruguay', 'https://commons.wikimedia.org/wiki/Special:FilePath/PERRO%20CIMARRON.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Cirneco dell''Etna', 'Italy', 'https://commons.wikimedia.org/wiki/Special:FilePath/Cirneco%20dell%20Etna%20611.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Clumber Spaniel', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Clumber%20spaniel%20767.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Colombian Fino Hound', 'Colombia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Colombianus%20Finus.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Continental bulldog', 'Switzerland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Pitsch-Dog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Corsican Dog', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Cursinu%201.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Coton de Tulear', 'Madagascar', 'https://commons.wikimedia.org/wiki/Special:FilePath/Coton%20de%20Tular%202.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Cretan Hound', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Kritikosichnilatis%201.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Croatian Sheepdog', 'Croatia', 'https://commons.wikimedia.org/wiki/Special:FilePath/GeraHojda09112055ZG.jpeg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Curly-coated Retriever', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Curley%20coated%20retriever5.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Czechoslovakian Wolfdog', 'Czechoslovakia', 'https://commons.wikimedia.org/wiki/Special:FilePath/TWH-jolly.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Dachshund', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/MiniDachshund1%20wb.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Dalmatian', 'Croatia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Dalmatien.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Dandie Dinmont Terrier', 'Scotland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Dandie%20Dinmont%20Terrier%20600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Danish Spitz', 'Denmark', 'https://commons.wikimedia.org/wiki/Special:FilePath/Dansk%20spids.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Danish–Swedish Farmdog', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Danish%20Swedish%20Farmdog%20cropped.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Denmark Feist', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Dikkulak', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Dingo', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Dingo%20Side.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Dobermann', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Dobermann%20Father-and-son.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Dogo Argentino', 'Argentina', 'https://commons.wikimedia.org/wiki/Special:FilePath/0Dogo-argentino-22122251920.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Dogo Sardesco', 'Italy', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Dogue Brasileiro', 'Brazil', 'https://commons.wikimedia.org/wiki/Special:FilePath/Dogue%20Brasileiro%20Orelha%20Cortada.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Dogue de Bordeaux', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/DJT%200086.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Donggyeongi', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/White%20Donggyeongi%20%28Baekgu%29%2018%20September%202017.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Drentse Patrijshond', 'Netherlands', 'https://commons.wikimedia.org/wiki/Special:FilePath/Drentse%20Patrijshond.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Drever', 'Sweden', 'https://commons.wikimedia.org/wiki/Special:FilePath/Drever%20NUCh%20Tanjo.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Dunker', 'Norway', 'https://commons.wikimedia.org/wiki/Special:FilePath/Dunker.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Dutch Shepherd', 'Netherlands', 'https://commons.wikimedia.org/wiki/Special:FilePath/Hollandse%20herder%20korthaar.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Dutch Smoushond', 'Netherlands', 'https://commons.wikimedia.org/wiki/Special:FilePath/Hollandsche%20smoushonden%202.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('East European Shepherd', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Vostochno%20Evropeiskaya%20Ovcharka.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('East Siberian Laika', 'Russia', 'https://commons.wikimedia.org/wiki/Special:FilePath/East%20Siberian%20Laika%2003.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Ecuadorian Hairless Dog', 'Ecuador', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('English Cocker Spaniel', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/%22Bill%22%20-%20Cocker%20spaniel%20anglais%201.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('English Foxhound', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/English%20Foxhound.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('English Mastiff', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Mastif%20angielski%20pregowany%20nn.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('English Setter', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/English%20setter.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('English Shepherd', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/TricolorEnglishShepherdDog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('English Springer Spaniel', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Englishspringerspaniel%20Winston.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('English Toy Terrier (Black & Tan)', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/English%20Toy%20Terrier%20600%2001.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Entlebucher Mountain Dog', 'Switzerland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Entlebucher.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Erbi Txakur', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Estonian Hound', 'Estonia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Go%C5%84czy%20esto%C5%84ski%20MB%2001.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Estrela Mountain Dog', 'Portugal', 'https://commons.wikimedia.org/wiki/Special:FilePath/Estrela%20Mountain%20Dog%206%20month%20old%20male.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Eurasier', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Eurasier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Faroese Sheepdog', 'Faroe Islands', 'https://commons.wikimedia.org/wiki/Special:FilePath/Faroe%20stamp%20255%20sheepdog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Field Spaniel', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Field%20spaniel%20581.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Fila Brasileiro', 'Brazil', 'https://commons.wikimedia.org/wiki/Special:FilePath/Yacare%20De%20El%20Siledin.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Finnish Hound', 'Finland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Nuori-suomenajokoira.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Finnish Lapphund', 'Finland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Finselappenhond%20louhi-no%20watermark.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Finnish Spitz', 'Finland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Finnish%20Spitz%20600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Flat-coated Retriever', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Flat%20Coated%20Retriever.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Florida Brown Dog a/k/a Florida Cracker Cur', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/BlackMouthCurPortrait.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('French Bulldog', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/%D0%A4%D1%80%D0%B0%D0%BD%D1%86%D1%83%D0%B7%D1%81%D0%BA%D0%B8%D0%B5%20%D0%B1%D1%83%D0%BB%D1%8C%D0%B4%D0%BE%D0%B3%D0%B8%202013-09-02%2011-36.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('French Spaniel', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Epagneulfrancais.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Galgo Español', 'Spain', 'https://commons.wikimedia.org/wiki/Special:FilePath/Galgo%20espagnol%20005.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Gascon Saintongeois', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Petit%20Gascon%20Saintongeois%20croped.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Gaucho sheepdog', 'Brazil', 'https://commons.wikimedia.org/wiki/Special:FilePath/2%20Teimoso.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Georgian Shepherd', 'Georgia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Georgia%20Shepherd.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('German Hound', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/DeutscheBracke.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('German Longhaired Pointer', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/DeutschLanghaarneu.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('German Pinscher', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/German%20Pinscher.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('German Roughhaired Pointer', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/03030288%20Deutsch%20Stichelhaa.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('German Shepherd', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Pastor%20aleman%20a.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('German Shorthaired Pointer', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Duitse%20staande%20korthaar%2010-10-1.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('German Spaniel', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Deutscher%20Wachtel%202.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('German Spitz', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Un%20chien%20Spitz%20allemand.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('German Wirehaired Pointer', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/GermanWirehrPtr1%20wb.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Giant Schnauzer', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bvdb-riesen%20schnauzer.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Glen of Imaal Terrier', 'Ireland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Adult%20Glen%20of%20Imaal%20terrier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Golden Retriever', 'Scotland, United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Golden%20Retriever%20Dukedestiny01%20drvd.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Gończy Polski', 'Poland', 'https://commons.wikimedia.org/wiki/Special:FilePath/PolishScenthound-ChPl-NEMROD-KlusujacaSfora-wl.GrzegorzWeron.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Gordon Setter', 'Scotland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Orrvilas%20enska%20w800px.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Grand Anglo-Français Blanc et Noir', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Grand%20anglo%20francais%20noir.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Grand Anglo-Français Blanc et Orange', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/06101298%20Grand%20anglo%20francais%20orange.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Grand Anglo-Français Tricolore', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Grand%20anglo%20francais%20tricol%20mod.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Grand Basset Griffon Vendéen', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/G%20Basset%20Griffon%20Vendeen%20600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Grand Bleu de Gascogne', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Grand%20Bleu%20de%20Gascogne%20in%20a%20blue%20dogcollar.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Grand Griffon Vendéen', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Rosa%20Bonheur%20Grand%20Griffon%20Vendeen.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Great Dane', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/8675eds%20win.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Greater Swiss Mountain Dog', 'Switzerland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Swissy-2009-11-02.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Greek Harehound', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Hellinikos%20Ichnilatis%20%28Georging%29%20cropped.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Greek Shepherd', 'Greece', 'https://commons.wikimedia.org/wiki/Special:FilePath/Gr11.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Greenland Dog', 'Greenland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Greenland%20dog%20upernavik%202007-06-02%20sample.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Greyhound', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/GraceTheGreyhound.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Griffon Bleu de Gascogne', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/04031124%20Griffon%20Bleu%20de%20Gascogne.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Griffon Bruxellois', 'Belgium', 'https://commons.wikimedia.org/wiki/Special:FilePath/Monkey%20Bizniz%20Drama%20Queen.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Griffon Fauve de Bretagne', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/08115500%20Griffon%20Fauve%20Bretagne.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Griffon Nivernais', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Griffon%20nivernais.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Gull Dong', 'Pakistan', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Gull Terrier', 'Pakistan', 'https://commons.wikimedia.org/wiki/Special:FilePath/GULL%20TERR%20%28PAKISTANI%20BULL%20TERRIER%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Halden Hound', 'Norway', 'https://commons.wikimedia.org/wiki/Special:FilePath/Haldenstovare.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Hällefors Elkhound', 'Sweden', 'https://commons.wikimedia.org/wiki/Special:FilePath/Hades%20Mosshult%20H%C3%A4lleforsare.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Hamiltonstövare', 'Sweden', 'https://commons.wikimedia.org/wiki/Special:FilePath/Hamiltonstovare%20600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Hanover Hound', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Hannoverscher%20Schweisshund.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Harrier', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Harrier%20tricolour.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Havanese', 'Cuba', 'https://commons.wikimedia.org/wiki/Special:FilePath/A%20Havanese%20judging.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Himalayan Sheepdog', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Himalayan%20sheepdog2.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Hmong bobtail dog', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Hmong%20Bobtail%201.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Hokkaido', 'Japan', 'https://commons.wikimedia.org/wiki/Special:FilePath/Hokkaido%2002.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Hovawart', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Dog%20Hovavart.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Huntaway', 'New Zealand', 'https://commons.wikimedia.org/wiki/Special:FilePath/Huntaway.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Hygen Hound', 'Norway', 'https://commons.wikimedia.org/wiki/Special:FilePath/Norwegian%20Hygenhound.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Ibizan Hound', 'Ibiza', 'https://commons.wikimedia.org/wiki/Special:FilePath/AdemasAout2021.ret.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Icelandic Sheepdog', 'Iceland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Ulfur.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Indian pariah dog', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Indian Spitz', 'India', 'https://commons.wikimedia.org/wiki/Special:FilePath/Indian%20spitz.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Irish Red and White Setter', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Irish%20Red%20And%20White%20Setter%202005.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Irish Setter', 'Ireland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Can%20Setter%20dog%20GFDL.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Irish Terrier', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Irish%20Terrier%20P1060074.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Irish Water Spaniel', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Irlandzki%20spaniel%20wodny%20676.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Irish Wolfhound', 'Ireland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Irish%20wolfhound%20giaccomo.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Istrian Coarse-haired Hound', 'Croatia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Istrian%20hound2.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Istrian Shorthaired Hound', 'Croatia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Istrische%20Bracke.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Italian Greyhound', 'Italy', 'https://commons.wikimedia.org/wiki/Special:FilePath/Charciki%20W%C5%82oskie%2C%20doros%C5%82y%20i%20szczeniak.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Jack Russell Terrier', 'United Kingdom, Australia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Jack%20Russell%20Terrier%201.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Jagdterrier', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Terier%20niemiecki%20my%C5%9Bliwski%20721.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Jämthund', 'Sweden', 'https://commons.wikimedia.org/wiki/Special:FilePath/Jamthlnd.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Japanese Chin', 'Japan', 'https://commons.wikimedia.org/wiki/Special:FilePath/Japanese%20Chin%20adult.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Japanese Spitz', 'Japan', 'https://commons.wikimedia.org/wiki/Special:FilePath/JapaneseSpitzPhoto1%20-%20hiro.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Japanese Terrier', 'Japan', 'https://commons.wikimedia.org/wiki/Special:FilePath/Japanese%20Terrier%2022.04.2012%202pl.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Jeju', 'South Korea', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Jindo', 'South Korea', 'https://commons.wikimedia.org/wiki/Special:FilePath/Korean%20Jindo%20Dog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Jonangi', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Jonangi%20from%20Krishna%20District.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kai Ken', 'Japan', 'https://commons.wikimedia.org/wiki/Special:FilePath/Image%20of%20Kai%20%28dog%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kaikadi', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kamchatka Sled Dog', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kangal Shepherd Dog', 'Turkey', 'https://commons.wikimedia.org/wiki/Special:FilePath/Kangal%20dog%20with%20spikey%20collar%2C%20Turkey.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kanni', 'India', 'https://commons.wikimedia.org/wiki/Special:FilePath/Kanni.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Karakachan', 'Greece', 'https://commons.wikimedia.org/wiki/Special:FilePath/Karakatschan.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Karelian Bear Dog', 'Finland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Karelski%20pies%20na%20nied%C5%BAwiedzie%20sylwetka.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Karelo-Finnish Laika', 'Finland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Karelo%20Finnish%20Laika.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kars', 'Turkey', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Karst Shepherd', 'Slovenia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Owczarek%20kraski%20654.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kazakh Tazy', 'Kazakhstan', 'https://commons.wikimedia.org/wiki/Special:FilePath/Chart%20%C5%9Brodkowoazjatycki%20Zeila.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Keeshond', 'Netherlands, Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Keeshond%20Majic%20standing%20cropped.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kerry Beagle', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Kerry%20Beagle.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kerry Blue Terrier', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Kerry%20Blue%20Terrier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Khala', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/MexicaanseHairless.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('King Charles Spaniel', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/King%20Charles%20Spaniel%20200.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('King Shepherd', 'United States', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kintamani', 'Indonesia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Kintamani.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kishu', 'Japan', 'https://commons.wikimedia.org/wiki/Special:FilePath/Kishu.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kokoni', 'Greece', 'https://commons.wikimedia.org/wiki/Special:FilePath/SmallGreekDomesticDog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kombai', 'India', 'https://commons.wikimedia.org/wiki/Special:FilePath/Kombai%20dog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Komondor', 'Hungary', 'https://commons.wikimedia.org/wiki/Special:FilePath/Komondor%20dog%20breed.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kooikerhondje', 'Netherlands', 'https://commons.wikimedia.org/wiki/Special:FilePath/Kooiker03.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Koolie', 'Australia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Pete%20may01%20web.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kromfohrländer', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Kromfohrlaender%20glatt.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kuchi', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kunma', 'People''s Republic of China', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kunming', 'People''s Republic of China', 'https://commons.wikimedia.org/wiki/Special:FilePath/Kunming%20Dog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kurdish Mastiff', 'Kurdistan', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Kuvasz', 'Hungary', 'https://commons.wikimedia.org/wiki/Special:FilePath/2-kuvasz.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Labrador Retriever', 'Canada, England, United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Yellow%20Labrador%20Retriever%202.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Lagotto Romagnolo', 'Italy', 'https://commons.wikimedia.org/wiki/Special:FilePath/Lagotto%20Romagnolo.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Lài', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/L%C3%A0i%20Dog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Laizhou Hong', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Laizhoureddog6.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Lakeland Terrier', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Lakeland%20Terrier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Lancashire Heeler', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Grupp%201%2C%20LANCASHIRE%20HEELER%2C%20NO%20UCH%20NO%20V-14%20NO%20V-15%20SE%20UCH%20St%C3%A5hlskyttens%20Longed%20For%20Antony%20%2824284065606%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Landseer', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Landseer.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Langqing', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Lapponian Herder', 'Finland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Lapskvallhund.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Large Münsterländer', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/GrosserMuensterlaender.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Leonberger', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Leonberger%20male.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Levriero Sardo', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Lhasa Apso', 'Tibet', 'https://commons.wikimedia.org/wiki/Special:FilePath/Grupp%209%2C%20LHASA%20APSO%2C%20DK%20JV-13%20DK%20V-14%20DK%20V-15%20NO%20UCH%20NO%20V-15%20SE%20UCH%20Chic%20Choix%20Some%20Like%20It%20Chic%20%2824014621720%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Liangshan Dog', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Lithuanian Hound', 'Lithuania', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Lobito Herreño', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Kinha.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Löwchen', 'Europe', 'https://commons.wikimedia.org/wiki/Special:FilePath/LowchenFemale.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Lucas Terrier', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Lucas%20Terrier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Lupo Italiano', 'Italy', 'https://commons.wikimedia.org/wiki/Special:FilePath/LUPO%20ITALIANO%20-%20PALIO%20DI%20CENEDA%202018%2015.png');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Mackenzie River Husky', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Magyar Agár', 'Hungary', 'https://commons.wikimedia.org/wiki/Special:FilePath/HungarianGreyhound.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Mahratta Hound', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Majorca Shepherd Dog', 'Mallorca', 'https://commons.wikimedia.org/wiki/Special:FilePath/Ca%20de%20Bestiar.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Maltese', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Maltezer%20Vereniging%20Belgie.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Manchester Terrier', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Manchesterterrier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Maneto', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Maneto1.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Maremmano-Abruzzese Sheepdog', 'Italy', 'https://commons.wikimedia.org/wiki/Special:FilePath/Cane%20Pastore%20Abruzzese%20Abruzzo.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Markiesje', 'Netherlands', 'https://commons.wikimedia.org/wiki/Special:FilePath/Us%20babbe.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('McNab', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Miniature American Shepherd', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Miniature-american-shepherd-energies.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Miniature Bull Terrier', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bull%20Terrier%20Miniature.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Miniature Fox Terrier', 'Australia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Mini%20Fox%20Terrier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Miniature Pinscher', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Grupp%202%20DV%C3%84RGPINCHER%2C%20Pincerella%E2%80%99s%20Rinaldo%20Rosso%20%2824260846206%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Miniature Schnauzer', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/%D0%9F%D0%B8%D1%82%D0%BE%D0%BC%D0%BD%D0%B8%D0%BA%20%22%D0%90%D1%81%D1%81%D0%BE%D0%BD%20%D0%90%D1%80%D0%B8%22%20%D0%A6%D0%B2%D0%B5%D1%80%D0%B3%D1%88%D0%BD%D0%B0%D1%83%D1%86%D0%B5%D1%80%D1%8B%20%D0%B1%D0%B5%D0%BB%D1%8B%D0%B5%20%D0%B8%20%D1%87%D0%B5%D1%80%D0%BD%D1%8B%D0%B5%20%D1%81%20%D1%81%D0%B5%D1%80%D0%B5%D0%B1%D1%80%D0%BE%D0%BC%2012.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Mojee', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Molossus of Epirus', 'Greece', 'https://commons.wikimedia.org/wiki/Special:FilePath/Molossus%20dog%20in%20Albania.jpeg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Mongrel', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Mutt%20dog.%20%E2%80%9CCanis%20lupus%20familiaris%E2%80%9D%2001.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Montenegrin Mountain Hound', 'Montenegro', 'https://commons.wikimedia.org/wiki/Special:FilePath/Montenegronak.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Moscow Watchdog', 'Soviet Union', 'https://commons.wikimedia.org/wiki/Special:FilePath/Moscowwatchdog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Mountain Cur', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Mtncur.png');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Mountain Feist', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Mudhol Hound', 'India', 'https://commons.wikimedia.org/wiki/Special:FilePath/Caravan%20hound%20Closeupfire.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Mudi', 'Hungary', 'https://commons.wikimedia.org/wiki/Special:FilePath/Hondenras%20Mudi.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Neapolitan Mastiff', 'Ancient Rome', 'https://commons.wikimedia.org/wiki/Special:FilePath/Mastino%20sylwetka.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Nenets Herding Laika', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/%D0%9D%D0%B5%D0%BD%D0%B5%D1%86%D0%BA%D0%B0%D1%8F%20%D0%BB%D0%B0%D0%B9%D0%BA%D0%B0%2010.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('New Guinea singing dog', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/New%20Guinea%20Singing%20Dog%20on%20trail-Cropped.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('New Zealand Heading Dog', 'New Zealand', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Newfoundland', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Newfoundland%20dog%20Smoky.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Norfolk Terrier', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Charmonty%20Norfolkterrier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Norrbottenspets', 'Sweden', 'https://commons.wikimedia.org/wiki/Special:FilePath/Nordic%20Spitz.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Northern Inuit Dog', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Northern%20Inuit%20Dog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Norwegian Buhund', 'Norway', 'https://commons.wikimedia.org/wiki/Special:FilePath/Norwegian%20Buhund%20600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Norwegian Elkhound', 'Norway', 'https://commons.wikimedia.org/wiki/Special:FilePath/Norwegian%20Elkhound.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Norwegian Lundehund', 'Norway', 'https://commons.wikimedia.org/wiki/Special:FilePath/Lundehund-2003.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Norwich Terrier', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Norwichterrier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Nova Scotia Duck Tolling Retriever', 'Canada', 'https://commons.wikimedia.org/wiki/Special:FilePath/Duck%20Toller.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Nureongi', 'South Korea', 'https://commons.wikimedia.org/wiki/Special:FilePath/Korean%20Yellow%20Spitz%2C%20Gyeyang%2C%20South%20Korea%2C%2029%20August%202022%202.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Old Danish Pointer', 'Denmark', 'https://commons.wikimedia.org/wiki/Special:FilePath/Wy%C5%BCe%C5%82%20du%C5%84ski%20123.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Old English Sheepdog', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bobtail.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Olde English Bulldogge', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Olde%20English%20Bulldogge%20Crop.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Otterhound', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Two%20otterhounds.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pachón Navarro', 'Spain', 'https://commons.wikimedia.org/wiki/Special:FilePath/NAFAR%20EPER%20TXAKURRA%201890.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pampas Deerhound', 'Brazil', 'https://commons.wikimedia.org/wiki/Special:FilePath/Veadeiro%20pampeano.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Papillon', 'Belgium', 'https://commons.wikimedia.org/wiki/Special:FilePath/Outdoor%20Continental%20Toy%20Spaniel%20Papillon.jpeg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Parson Russell Terrier', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Parson%20Russell%20Terrier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pastor Garafiano', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Ch-Rasti.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pastore della Lessinia e del Lagorai', 'Italy', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Patagonian Sheepdog', 'Chile', 'https://commons.wikimedia.org/wiki/Special:FilePath/Ovejero%20magall%C3%A1nico%202.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Patterdale Terrier', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/05078045%20Patterdale%20Terrier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pekingese', 'People''s Republic of China', 'https://commons.wikimedia.org/wiki/Special:FilePath/1AKC%20Pekingese%20Dog%20Show%202011.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pembroke Welsh Corgi', 'Wales', 'https://commons.wikimedia.org/wiki/Special:FilePath/Welsh%20Pembroke%20Corgi.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Perdigueiro Galego', 'Spain', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Perro Majorero', 'Canary Islands', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bardina-Donna-1.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Peruvian Hairless Dog', 'Peru', 'https://commons.wikimedia.org/wiki/Special:FilePath/Taru%20metsa.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Petit Basset Griffon Vendéen', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/P%20Basset%20Griffon%20Vendeen%20600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Petit Bleu de Gascogne', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Ma%C5%82y%20go%C5%84czy%20gasko%C5%84ski%20Cita%20z%20Beckova%20Cb5.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Phalène', 'Belgium', 'https://commons.wikimedia.org/wiki/Special:FilePath/Spaniel%20miniaturowy%20kontynentalny%20phalene%2000.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pharaoh Hound', 'Egypt', 'https://commons.wikimedia.org/wiki/Special:FilePath/Pies%20faraona%20e34.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Philippine forest dog', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Phu Quoc Ridgeback', 'Vietnam', 'https://commons.wikimedia.org/wiki/Special:FilePath/Phu%20Quoc%20dog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Picardy Spaniel', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Epagneul%20picard%20685.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Plott Hound', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Plotthound-red1.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Plummer Terrier', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Podenco Andaluz', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Podenco%20chico.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Podenco Canario', 'Spain', 'https://commons.wikimedia.org/wiki/Special:FilePath/Podenco%20Canario%202.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Podenco Valenciano', 'Spain', 'https://commons.wikimedia.org/wiki/Special:FilePath/Podencovalencianolisofawn1.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pointer', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/English%20pointer.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Poitevin', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Poitevin%20Hound.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Polish Greyhound', 'Poland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Chart%20polski%2067u7.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Polish Hound', 'Poland', 'https://commons.wikimedia.org/wiki/Special:FilePath/PolishHound-ChPl-BARD-zKicibirza-wl.AnnaWalentynowicz.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Polish Lowland Sheepdog', 'Poland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Polski%20owczarek%20nizinny.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pomeranian', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pont-Audemer Spaniel', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/04031158%20Epagneul%20Pont%20Audemer.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Poodle', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/AKC%20Helena%20Fall%20Dog%20Show%202011%20%286187041897%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Porcelaine', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Porcelaine.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Portuguese Podengo', 'Portugal', 'https://commons.wikimedia.org/wiki/Special:FilePath/Podengo%20Portugues.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Portuguese Pointer', 'Portugal', 'https://commons.wikimedia.org/wiki/Special:FilePath/Portuguese%20pointer%2011yo.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Portuguese Sheepdog', 'Portugal', 'https://commons.wikimedia.org/wiki/Special:FilePath/Cao%20de%20Serra%20de%20Aires600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Portuguese Water Dog', 'Portugal', 'https://commons.wikimedia.org/wiki/Special:FilePath/C%C3%A3o%20de%20agua%20Portugu%C3%AAs%202.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Posavac Hound', 'Croatia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Posavac.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pražský Krysařík', 'Czech Republic', 'https://commons.wikimedia.org/wiki/Special:FilePath/Ex%20perla%20moravy%201.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Presa Canario', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Presacanariobody.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pudelpointer', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Pudelpointer%20on%20point.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pug', 'China', 'https://commons.wikimedia.org/wiki/Special:FilePath/2.5-year-old%20fawn%20male%20pug.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Puli', 'Hungary', 'https://commons.wikimedia.org/wiki/Special:FilePath/Puli%20600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pumi', 'Hungary', 'https://commons.wikimedia.org/wiki/Special:FilePath/Hungarianpumi.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pungsan', 'North Korea', 'https://commons.wikimedia.org/wiki/Special:FilePath/Poongsandogs.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pyrenean Mastiff', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/MasPiri-Lula-ESP.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pyrenean Mountain Dog', 'Spain', 'https://commons.wikimedia.org/wiki/Special:FilePath/Pyrenean%20Mountain%20Dog%20600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Pyrenean Sheepdog', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Berger-des-Pyrenees%20Adeux%200302x0214.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Rafeiro do Alentejo', 'Portugal', 'https://commons.wikimedia.org/wiki/Special:FilePath/Rafeiro%20male.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Rajapalayam', 'India', 'https://commons.wikimedia.org/wiki/Special:FilePath/%282%29%20Isha%20female%20rajapalayam.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Rampur Greyhound', 'India', 'https://commons.wikimedia.org/wiki/Special:FilePath/Rampurgreyhound.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Rastreador Brasileiro', 'Brazil', 'https://commons.wikimedia.org/wiki/Special:FilePath/Rastreadora%20Brasileira%20Gaya.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Rat Terrier', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/AmRatTerr11%20fx%20wb.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Ratonero Murciano', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Redbone Coonhound', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Memphis%20the%20Redbone%20Coonhound%20%287%20Nov%202004%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Rhodesian Ridgeback', 'Rhodesia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Grupp%206%20RHODESIAN%20RIDGEBACK%2C%20NO%20JV-15%20SE%20VCH%20Kadamo%20I%E2%80%99m%20In%20It%20For%20The%20Gold%20%2823920356649%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Rize Koyun', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Romanian Mioritic Shepherd Dog', 'Romania', 'https://commons.wikimedia.org/wiki/Special:FilePath/Mioritic.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Romanian Raven Shepherd Dog', 'Romania', 'https://commons.wikimedia.org/wiki/Special:FilePath/Romanianravencorb1.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Rottweiler', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Rottweiler%20Moletai%20May%202014.2.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Rough Collie', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/AmericanCollie2.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Russian Spaniel', 'Soviet Union', 'https://commons.wikimedia.org/wiki/Special:FilePath/Russpaniel.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Russkiy Toy', 'Russia', 'https://commons.wikimedia.org/wiki/Special:FilePath/RusskiyToyWelpe9Mon.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Russo-European Laika', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Russo%20European%20Laika.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Ryukyu', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Ryukyu%20dog%20pair.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Saarloos Wolfdog', 'Netherlands', 'https://commons.wikimedia.org/wiki/Special:FilePath/Saarlooswolfhond.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Sabueso Español', 'Spain', 'https://commons.wikimedia.org/wiki/Special:FilePath/Angoi%20de%20A%20Fonsagrada.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Saint Miguel Cattle Dog', 'Portugal', 'https://commons.wikimedia.org/wiki/Special:FilePath/Caofila.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Saint-Usuge Spaniel', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/EpagneuldeSaintUsuge.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Sakhalin Husky', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Saluki', 'Arabian Peninsula', 'https://commons.wikimedia.org/wiki/Special:FilePath/Red%20Smooth%20Saluki.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Samoyed', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Samojed00.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Sapsali', 'South Korea', 'https://commons.wikimedia.org/wiki/Special:FilePath/Korea-Jeonju-Sapsal%20dog%20in%20front%20of%20a%20Hanok%20Village-01.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Sarabi', 'Iran', 'https://commons.wikimedia.org/wiki/Special:FilePath/5-%D8%B7%D8%A8%DB%8C%D8%B9%D8%AA%20%D8%B1%D9%88%D8%B3%D8%AA%D8%A7%DB%8C%20%D8%B5%D9%88%D9%85%D8%B9%D9%87%20%D9%85%D9%84%DA%A9%D8%B4%D8%A7%D9%87%20%D8%B3%DA%AF%20%D8%B3%D8%B1%D8%A7%D8%A8.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Sarail Hound', 'Sarail Upazila', 'https://commons.wikimedia.org/wiki/Special:FilePath/Sarail%20Hound%20dog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Sardinian Shepherd Dog', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Šarplaninac', 'North Macedonia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Sarplaninac%20Urok1007.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Schapendoes', 'Netherlands', 'https://commons.wikimedia.org/wiki/Special:FilePath/Schapendoes.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Schillerstövare', 'Sweden', 'https://commons.wikimedia.org/wiki/Special:FilePath/Go%C5%84czy%20schillera%20g%C5%82owa%20j87.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Schipperke', 'Belgium', 'https://commons.wikimedia.org/wiki/Special:FilePath/Schipperke0001.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Schnauzer', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Schweizer Laufhund', 'Switzerland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Vycvik%20Stopy%20%283%29.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Schweizerischer Niederlaufhund', 'Switzerland', 'https://commons.wikimedia.org/wiki/Special:FilePath/08115491%20Schwyzer%20Niederlaufhund.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Scottish Deerhound', 'Scotland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Deerhound%20305.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Scottish Terrier', 'Scotland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Scotish%20terrier%20burleska%202005.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Sealyham Terrier', 'Wales', 'https://commons.wikimedia.org/wiki/Special:FilePath/SealyhamTerrier01.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Segugio dell''Appennino', 'Italy', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Segugio Italiano', 'Italy', 'https://commons.wikimedia.org/wiki/Special:FilePath/Segugioitalianopelorasofulvo.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Segugio Maremmano', 'Italy', 'https://commons.wikimedia.org/wiki/Special:FilePath/Segugio%20Maremmano.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Serbian Hound', 'Serbia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Serbian%20Hound%20Face.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Serbian Tricolour Hound', 'Serbia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Srpski%20Trobojni%20Gonic.gif');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Serrano Bulldog', 'Brazil', 'https://commons.wikimedia.org/wiki/Special:FilePath/Anuke.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Shar Pei', 'People''s Republic of China', 'https://commons.wikimedia.org/wiki/Special:FilePath/Shar%20pei.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Shetland Sheepdog', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/ShetlandShpdogBlue2%20wb.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Shiba Inu', 'Japan', 'https://commons.wikimedia.org/wiki/Special:FilePath/Shiba%20inu%20taiki.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Shih Tzu', 'People''s Republic of China', 'https://commons.wikimedia.org/wiki/Special:FilePath/Shih%20Tzu%20portrait%20show%20dog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Shikoku', 'Japan', 'https://commons.wikimedia.org/wiki/Special:FilePath/Shikoku%20dog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Shiloh Shepherd', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Pastor%20aleman%20a.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Siberian Husky', 'Siberia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Siberian%20Husky%20-%20Mika.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Silken Windhound', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Fallon%20the%20Silken%20Windhound.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Sinhala Hound', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Skye Terrier', 'Scotland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Skye%20terrier%20800.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Sloughi', 'North Africa', 'https://commons.wikimedia.org/wiki/Special:FilePath/Sloughi.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Slovak Cuvac', 'Czechoslovakia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Cuvac%201.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Slovak Rough-haired Pointer', 'Slovakia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bella%20z%20Milhostovskych%20poli.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Slovenský kopov', 'Slovakia', 'https://commons.wikimedia.org/wiki/Special:FilePath/MVP%20Nitra%202004%20%288%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Smaland Hound', 'Sweden', 'https://commons.wikimedia.org/wiki/Special:FilePath/Smaland-St%C3%B6vare.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Small Međimurje Dog', 'Croatia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Small%20Me%C4%91imurje%20dog%202%20%28cropped%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Small Münsterländer', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Kleiner%20Munsterlander%20edit.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Smithfield', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Smithfield%20Jack%201898%20ExhbSydne.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Smooth Collie', 'Scotland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Smooth%20Collie%20600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Smooth Fox Terrier', 'United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Terrier%20mix%20sh%20klaas.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Soft-coated Wheaten Terrier', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Soft%20Coated%20Wheaten%20Terrier%20600.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('South Russian Ovcharka', 'Ukraine', 'https://commons.wikimedia.org/wiki/Special:FilePath/South%20Russian%20Ovcharka.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Spanish Mastiff', 'Spain', 'https://commons.wikimedia.org/wiki/Special:FilePath/Mast%C3%ADn%20espa%C3%B1ol%2C%20l%C3%ADnea%20original%20de%20trabajo.%2004.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Spanish Water Dog', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Perro%20agua.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Spino degli Iblei', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Spinone Italiano', 'Italy', 'https://commons.wikimedia.org/wiki/Special:FilePath/Spinone%20italiano%20Daisy.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Sporting Lucas Terrier', 'Scotland', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('St. Bernard', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Rey%20nieve.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('St. Hubert Jura Hound', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Stabyhoun', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Frisianstaby.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Staffordshire Bull Terrier', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Staffie.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Standard Schnauzer', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Emppumenossa.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Stephens Stock', 'United States', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Styrian Coarse-haired Hound', 'Austria', 'https://commons.wikimedia.org/wiki/Special:FilePath/Steirische%20Rauhhaarbracke.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Sussex Spaniel', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Sussex%20spaniel%20t43.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Swedish Lapphund', 'Sweden', 'https://commons.wikimedia.org/wiki/Special:FilePath/Svensk%20lapphund.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Swedish Vallhund', 'Sweden', 'https://commons.wikimedia.org/wiki/Special:FilePath/SwedishVallhundAgility%20wb.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Taigan', 'Kyrgyzstan', 'https://commons.wikimedia.org/wiki/Special:FilePath/Tajgan%20MB%20002.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Taiwan Dog', 'Taiwan Island', 'https://commons.wikimedia.org/wiki/Special:FilePath/Formosan%20nina.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Tamaskan Dog', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Tang Dog', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/HK%20SW%20QR%20West%20pet%20Dog%20walking%20May%202021%20SS2%2008.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Tarsus çatalburun', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Tatra Shepherd Dog', 'Poland', 'https://commons.wikimedia.org/wiki/Special:FilePath/Polski%20Owczarek%20Podhalanski.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Teddy Roosevelt Terrier', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Adult%20Male%20Teddy%20Roosevelt%20Terrier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Telomian', 'Malaysia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Telomian.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Tenterfield Terrier', 'Australia', 'https://commons.wikimedia.org/wiki/Special:FilePath/Rosie%20the%20Champion%20Tenterfield%20Terrier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Thai Bangkaew Dog', 'Thailand', 'https://commons.wikimedia.org/wiki/Special:FilePath/Thai%20Bangkaew%20Dog%202.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Thai Ridgeback', 'Thailand', 'https://commons.wikimedia.org/wiki/Special:FilePath/Thai-Ridgeback.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Tibetan Kyi Apso', 'Tibet', 'https://commons.wikimedia.org/wiki/Special:FilePath/Tibetan%20Kyi%20Apso.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Tibetan Mastiff', 'People''s Republic of China', 'https://commons.wikimedia.org/wiki/Special:FilePath/2013%20Westminster%20Kennel%20Club%20Dog%20Show-%20Tibetan%20Mastiff%20GCH%20Sierras%27Sasha-Yakone%20Nanuk%20%288469240739%29%20%28cropped%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Tibetan spaniel', 'Tibet', 'https://commons.wikimedia.org/wiki/Special:FilePath/Tibetansk%20spaniel.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Tibetan Terrier', 'Tibet', 'https://commons.wikimedia.org/wiki/Special:FilePath/Tibetan%20Terrier%20Image%20001.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Tonya Finosu', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Tonya%20Finosu.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Tornjak', 'Bosnia and Herzegovina', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bosniantornjak.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Tosa', 'Japan', 'https://commons.wikimedia.org/wiki/Special:FilePath/Bukadai.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Toy Fox Terrier', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Toy%20Fox%20Terrier%202.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Toy Manchester Terrier', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Toy-manchester-terrier-weave.png');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Transylvanian Hound', 'Hungary', 'https://commons.wikimedia.org/wiki/Special:FilePath/Erdelyi%20kopo%20VadaszNimrodSzeder01.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Treeing Cur', 'United States', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Treeing Feist', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Treeing Tennessee Brindle', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Sienna%20TTBD.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Treeing Walker Coonhound', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/Treeing-walker-coonhound-standing.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Trigg Hound', 'United States', 'https://commons.wikimedia.org/wiki/Special:FilePath/AmericanFoxhound2.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Tyrolean Hound', 'Austria', 'https://commons.wikimedia.org/wiki/Special:FilePath/Tiroler%20Bracke.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Valdueza', 'Spain', 'https://commons.wikimedia.org/wiki/Special:FilePath/Valdueza4.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Valencian Terrier', 'Spain', 'https://commons.wikimedia.org/wiki/Special:FilePath/Ratonero%20valenciano%20dunkel.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Vikhan', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Villano de Las Encartaciones', 'Spain', 'https://commons.wikimedia.org/wiki/Special:FilePath/Trucios%20perro%20villano.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Villanuco de Las Encartaciones', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Vizsla', 'Hungary', 'https://commons.wikimedia.org/wiki/Special:FilePath/Wy%C5%BCe%C5%82%20w%C4%99gierski%20g%C5%82adkow%C5%82osy%20500.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Volkosob', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Volpino Italiano', 'Italy', 'https://commons.wikimedia.org/wiki/Special:FilePath/Volpino04.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Weimaraner', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Weimaraner%20Amigo.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Welsh Hound', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Girl%20with%20a%20dog%2C%20Llansanffraid%20Glynceiriog%3F%20NLW3363932.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Welsh Sheepdog', 'Wales', 'https://commons.wikimedia.org/wiki/Special:FilePath/Welsh%20Sheepdog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Welsh Springer Spaniel', 'Wales', 'https://commons.wikimedia.org/wiki/Special:FilePath/Welsh%20Springer%20Spaniel%201.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Welsh Terrier', 'Wales', 'https://commons.wikimedia.org/wiki/Special:FilePath/Welshterrier.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('West Country Harrier', 'England, United Kingdom', 'https://commons.wikimedia.org/wiki/Special:FilePath/Hounds%20-%20their%20breeding%20and%20kennel%20management%20%281905%29%20%2814740587676%29.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('West Highland White Terrier', 'Scotland', 'https://commons.wikimedia.org/wiki/Special:FilePath/West%20Highland%20White%20Terrier%20Krakow.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('West Siberian Laika', 'Russia', 'https://commons.wikimedia.org/wiki/Special:FilePath/West%20Siberian%20Laika.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Westphalian Dachsbracke', 'Germany', 'https://commons.wikimedia.org/wiki/Special:FilePath/Westf%C3%A4lische-dachsbracke.JPG');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Wetterhoun', 'Netherlands', 'https://commons.wikimedia.org/wiki/Special:FilePath/Fryzyjski%20pies%20wodny%20u68.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Whippet', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Whippet%20stacked.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('White Shepherd', '', 'https://commons.wikimedia.org/wiki/Special:FilePath/Kandestack%2062406.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('White Swiss Shepherd Dog', 'Switzerland', 'https://commons.wikimedia.org/wiki/Special:FilePath/WhiteShepherd.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Wire Fox Terrier', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Elias1%C4%8Derven2006.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Wirehaired Pointing Griffon', 'France', 'https://commons.wikimedia.org/wiki/Special:FilePath/Korthalsgriffon.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Wirehaired Vizsla', 'Hungary', 'https://commons.wikimedia.org/wiki/Special:FilePath/Anka%20vom%20Rudolfsforst.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Xiasi Dog', 'People''s Republic of China', 'https://commons.wikimedia.org/wiki/Special:FilePath/Xiasi%20Quan%20dog.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Xigou', '', '');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Xoloitzcuintle', 'Mexico', 'https://commons.wikimedia.org/wiki/Special:FilePath/XoloLarge1.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Yakutian Laika', 'Sakha', 'https://commons.wikimedia.org/wiki/Special:FilePath/618736210a13.jpg');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Yorkshire Terrier', 'England', 'https://commons.wikimedia.org/wiki/Special:FilePath/Imageyorkie.png');
+INSERT INTO "breeds" ("name", "origin", "imageURL") VALUES ('Zerdava', 'Turkey', 'https://commons.wikimedia.org/wiki/Special:FilePath/Zerdava%20dog.jpg');
+COMMIT;
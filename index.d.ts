@@ -0,0 +1,291 @@
+// Generated by scripts/generate-types.js from dog-breeds.schema.json.
+// Do not edit; run `npm run generate-types` instead.
+
+/** A dog breed. */
+export interface Breed {
+  /** The breed name. */
+  name: string;
+  /** The country or region of origin, as a comma-separated string, or an empty string when unknown. */
+  origin: string;
+  /** A link to an image of the breed on Wikimedia, or an empty string when there is none. */
+  imageURL: string;
+  /** The origins as structured objects. */
+  origins?: Origin[];
+  /** The Wikidata QID, or null for breeds without a Wikidata match. */
+  id?: string | null;
+  /** A URL-safe identifier that stays the same when the breed is renamed. */
+  slug?: string;
+  /** The title of the breed's English Wikipedia article. */
+  article?: string;
+  /** Whether the breed is extant, or extinct or critically endangered. */
+  status?: 'extant' | 'extinct';
+  /** The breed name by locale. Always has the English name. */
+  names?: {
+    en: string;
+    [key: string]: string;
+  };
+  /** Other common names of the breed. */
+  aliases?: string[];
+  /** The weight in kilograms, or null when unknown. */
+  weightKg?: Measurement | null;
+  /** The height at the withers in centimetres, or null when unknown. */
+  heightCm?: Measurement | null;
+  /** The life expectancy in years, or null when unknown. */
+  lifespanYears?: Measurement | null;
+  /** The size class by average weight, or by height for breeds without a known weight. Null when both are unknown. */
+  size?: 'toy' | 'small' | 'medium' | 'large' | 'giant' | null;
+  /** The kennel clubs that recognize the breed. */
+  classifications?: Classification[];
+  /** The Wikidata QIDs of the breeds this breed was bred from or is a variety of. */
+  parents?: string[];
+  /** Details of the image on Wikimedia Commons, or null for breeds without one. */
+  image?: Image | null;
+}
+
+/** A country or region a breed originates in. */
+export interface Origin {
+  /** The English name of the place. */
+  label: string;
+  /** The Wikidata QID of the place. */
+  id: string;
+  /** The ISO 3166 code, e.g. JP or GB-SCT, or null for regions that have none. */
+  code: string | null;
+  /** The coordinates of the place, or null when Wikidata has none. */
+  coordinates?: Coordinates | null;
+  /** The bounding box of the place, from its northernmost, southernmost, easternmost and westernmost points, or null when Wikidata lacks any of them. */
+  bbox?: BoundingBox | null;
+}
+
+/** A point on Earth, in decimal degrees. */
+export interface Coordinates {
+  lat: number;
+  lon: number;
+}
+
+/** The extent of a place, in decimal degrees. West is greater than east for places that span the 180th meridian. */
+export interface BoundingBox {
+  west: number;
+  south: number;
+  east: number;
+  north: number;
+}
+
+/** A range of values. */
+export interface Range {
+  min: number;
+  max: number;
+}
+
+/** A measured range over all statements, with separate ranges for males and females where known. */
+export interface Measurement {
+  min: number;
+  max: number;
+  male: Range | null;
+  female: Range | null;
+}
+
+/** A breed's recognition by a kennel club. */
+export interface Classification {
+  /** The kennel club. */
+  club: 'FCI' | 'AKC' | 'KC' | 'UKC' | 'CKC';
+  /** The breed's standard number or identifier with the club. */
+  standard: string;
+  /** The club group the breed belongs to, or null when unknown. */
+  group: Group | null;
+}
+
+/** A kennel club group. */
+export interface Group {
+  /** The group number, or null for clubs without numbered groups. */
+  number: number | null;
+  /** The group name. */
+  name: string;
+}
+
+/** An image on Wikimedia Commons and its attribution. */
+export interface Image {
+  /** The Commons file name. */
+  file: string;
+  /** The width of the original in pixels. */
+  width: number | null;
+  /** The height of the original in pixels. */
+  height: number | null;
+  /** The author as plain text. */
+  author: string | null;
+  /** The license short name, e.g. CC BY-SA 4.0. */
+  license: string | null;
+  /** A link to the license text, or null for public domain images. */
+  licenseURL: string | null;
+}
+
+export type Size = NonNullable<Breed['size']>;
+export type Club = Classification['club'];
+
+/** Criteria for `filter()`. A breed must match all of them. */
+export interface FilterCriteria {
+  /** Only breeds with this origin label. */
+  origin?: string;
+  /** Only breeds with an origin in this ISO 3166 country, e.g. `'GB'`. */
+  country?: string;
+  /** Only breeds with (true) or without (false) an image. */
+  hasImage?: boolean;
+  /** Only breeds with this status. `filter()` defaults to `'extant'`; `null` matches both. */
+  status?: Breed['status'] | null;
+  /** Only breeds of this size class, or of any of these. */
+  size?: Size | Size[];
+  minWeightKg?: number;
+  maxWeightKg?: number;
+  minHeightCm?: number;
+  maxHeightCm?: number;
+}
+
+export interface RandomOptions {
+  /** Seed for a reproducible result. */
+  seed?: string | number;
+  /** Only pick matching breeds. */
+  filter?: FilterCriteria | ((breed: Breed) => boolean);
+}
+
+export interface SearchOptions {
+  /** Maximum number of results. Default: 10. */
+  limit?: number;
+  /** Minimum score (0–1) for a result. Default: 0.3. */
+  threshold?: number;
+}
+
+export interface QuizOptions extends RandomOptions {
+  /** Number of questions. Default: 10. */
+  count?: number;
+  /** Number of choices per question, including the answer. Default: 4. */
+  choices?: number;
+  /** Random wrong answers (easy), or ones with the same origin or a similar name (hard). Default: 'easy'. */
+  difficulty?: 'easy' | 'medium' | 'hard';
+  /** Slugs of breeds already asked about, to skip. The slugs of the new questions' breeds are added. */
+  session?: Set<string>;
+}
+
+export interface QuizQuestion {
+  breed: Breed;
+  imageURL: string;
+  /** The breed and the wrong answers, in random order. */
+  choices: Breed[];
+  /** The index of `breed` in `choices`. */
+  answer: number;
+}
+
+export interface ImageURLOptions {
+  /** Thumbnail width in pixels; omit for the original. */
+  width?: number;
+}
+
+export interface GeoJSONOptions {
+  /** Only include matching breeds. */
+  filter?: FilterCriteria | ((breed: Breed) => boolean);
+}
+
+/** A GeoJSON Point feature for an origin, listing the breeds from there. */
+export interface OriginFeature {
+  type: 'Feature';
+  /** The Wikidata QID of the origin, absent for the few legacy origin labels without one. */
+  id?: string;
+  /** The origin's bounding box, if known. */
+  bbox?: [west: number, south: number, east: number, north: number];
+  geometry: {
+    type: 'Point';
+    /** The origin's coordinates, or the center of its bounding box. */
+    coordinates: [lon: number, lat: number];
+  };
+  properties: {
+    label: string;
+    code: string | null;
+    breeds: Array<{name: string; slug: string; id: string | null}>;
+  };
+}
+
+export interface OriginFeatureCollection {
+  type: 'FeatureCollection';
+  /** Sorted by origin label. */
+  features: OriginFeature[];
+}
+
+export interface AncestryOptions {
+  /** Number of generations. Default: Infinity. */
+  depth?: number;
+}
+
+export interface ValidationError {
+  /** JSON Pointer of the invalid value, e.g. `'/3/imageURL'`. */
+  path: string;
+  message: string;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  errors: ValidationError[];
+}
+
+/** Where a field of a record came from. */
+/** Where a field came from: one of these, or the name of an extra source the updater merged. */
+export type FieldSource = 'wikipedia' | 'wikidata' | 'commons' | 'override' | (string & {});
+
+/** Provenance of the dataset. The fields are null for data from before the updater recorded them. */
+export interface Metadata {
+  /** When the data was fetched, as an ISO 8601 date. */
+  fetchedAt: string | null;
+  wikipedia: {
+    page: string;
+    /** The revision of the page the breed list comes from. */
+    revisionId: number | null;
+  };
+  wikidata: {
+    /** Locales breed names were collected in, besides English. */
+    locales: string[];
+    queryHash: string | null;
+    resultsHash: string | null;
+  };
+  overridesHash: string | null;
+  /** The extra sources the updater merged, and a hash of what each returned. */
+  extraSources: Array<{name: string; hash: string}>;
+  /** Where each field of each record came from, by slug. Fields without a value have no source. */
+  sources: Record<string, Partial<Record<keyof Breed, FieldSource>>>;
+}
+
+/** A breed record, or its Wikidata QID or slug. */
+export type BreedReference = Breed | string;
+
+/** All extant breeds in alphabetical order. */
+export const all: Breed[];
+export const extant: Breed[];
+/** Extinct and critically endangered breeds in alphabetical order. */
+export const extinct: Breed[];
+/** Where and when the data was fetched. */
+export const metadata: Metadata;
+
+/** A random extant breed, never the same twice in a row. */
+export function random(): Breed;
+export function createRandom(options?: RandomOptions): () => Breed | undefined;
+export function sample(count: number, options?: RandomOptions): Breed[];
+export function shuffle(options?: RandomOptions): Breed[];
+export function quiz(options?: QuizOptions): QuizQuestion[];
+
+export function find(name: string): Breed | undefined;
+export function get(idOrSlug: string): Breed | undefined;
+export function search(query: string, options?: SearchOptions): Breed[];
+export function filter(criteria?: FilterCriteria): Breed[];
+export function byCountry(code: string): Breed[];
+export function byGroup(club: Club | Lowercase<Club>, group: number | string): Breed[];
+export function recognizedBy(club: Club | Lowercase<Club>): Breed[];
+export function localize(breed: Breed, locale?: string): string;
+export function imageURL(breed: Breed, options?: ImageURLOptions): string;
+
+/** Breed origins as GeoJSON, for a map. Breeds with several origins appear at each. */
+export function toGeoJSON(options?: GeoJSONOptions): OriginFeatureCollection;
+/** Breeds with an origin within `radiusKm` of a point, nearest first. */
+export function breedsNear(lat: number, lon: number, radiusKm: number): Breed[];
+
+export function parentsOf(breed: BreedReference): Breed[];
+export function ancestorsOf(breed: BreedReference, options?: AncestryOptions): Breed[];
+export function descendantsOf(breed: BreedReference, options?: AncestryOptions): Breed[];
+
+/** Check records against dog-breeds.schema.json. */
+export function validate(records: unknown): ValidationResult;
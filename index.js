@@ -1,7 +1,33 @@
 import {readFileSync} from 'node:fs';
-import uniqueRandomArray from 'unique-random-array';
+import {createApi} from './lib/api.js';
 
 const dogBreeds = JSON.parse(readFileSync(new URL('dog-breeds.json', import.meta.url), 'utf8'));
 
-export const all = dogBreeds;
-export const random = uniqueRandomArray(dogBreeds);
+// Where and when the data was fetched, from the last update
+export const metadata = JSON.parse(readFileSync(new URL('dog-breeds.metadata.json', import.meta.url), 'utf8'));
+
+export const {
+  extant,
+  extinct,
+  all,
+  random,
+  find,
+  get,
+  search,
+  filter,
+  byCountry,
+  byGroup,
+  recognizedBy,
+  localize,
+  imageURL,
+  toGeoJSON,
+  breedsNear,
+  parentsOf,
+  ancestorsOf,
+  descendantsOf,
+  validate,
+  createRandom,
+  sample,
+  shuffle,
+  quiz,
+} = createApi(dogBreeds);
@@ -0,0 +1,164 @@
+/**
+ * Ancestry graph of breed records: each record's `parents` are the QIDs of
+ * the breeds it was bred from.
+ */
+
+import {getBreed} from './search.js';
+
+/**
+ * Resolve a breed given as a record, QID or slug.
+ *
+ * @param {object[]} records - Breed records to look in
+ * @param {object|string} breed - A breed record, QID or slug
+ * @returns {object|undefined} The breed record
+ */
+function resolve(records, breed) {
+  return typeof breed === 'string' ? getBreed(records, breed) : breed;
+}
+
+/**
+ * Map each breed QID to the records that list it as a parent.
+ *
+ * @param {object[]} records - Breed records
+ * @returns {Map<string, object[]>} parent QID → child records
+ */
+function childrenById(records) {
+  const children = new Map();
+  for (const breed of records) {
+    for (const parent of breed.parents ?? []) {
+      children.set(parent, [...children.get(parent) ?? [], breed]);
+    }
+  }
+
+  return children;
+}
+
+/**
+ * Walk the graph breadth-first from a breed, one generation at a time.
+ *
+ * @param {object} breed - The breed to start from
+ * @param {Function} next - Returns the records one step away from a record
+ * @param {number} depth - Number of generations to walk
+ * @returns {object[]} The records reached, nearest generation first, without
+ *   the starting breed and without repeats
+ */
+function walk(breed, next, depth) {
+  if (depth !== Number.POSITIVE_INFINITY && (!Number.isInteger(depth) || depth < 0)) {
+    throw new TypeError(`Expected depth to be a non-negative integer, got ${depth}`);
+  }
+
+  const seen = new Set([breed]);
+  const reached = [];
+  let generation = [breed];
+
+  for (let level = 0; level < depth && generation.length > 0; level++) {
+    generation = generation.flatMap(record => next(record)).filter(record => {
+      if (seen.has(record)) {
+        return false;
+      }
+
+      seen.add(record);
+      return true;
+    });
+    reached.push(...generation);
+  }
+
+  return reached;
+}
+
+/**
+ * The breeds a breed was bred from.
+ *
+ * @param {object[]} records - Breed records to look in
+ * @param {object|string} breed - A breed record, QID or slug
+ * @returns {object[]} The parent breeds found in `records`
+ */
+export function breedParents(records, breed) {
+  const record = resolve(records, breed);
+  return (record?.parents ?? []).map(id => getBreed(records, id)).filter(Boolean);
+}
+
+/**
+ * The breeds a breed descends from: its parents, their parents and so on.
+ *
+ * @param {object[]} records - Breed records to look in
+ * @param {object|string} breed - A breed record, QID or slug
+ * @param {object} [options]
+ * @param {number} [options.depth=Infinity] - Number of generations, 1 for parents only
+ * @returns {object[]} The ancestors, nearest generation first
+ */
+export function breedAncestors(records, breed, {depth = Number.POSITIVE_INFINITY} = {}) {
+  const record = resolve(records, breed);
+  return record ? walk(record, parent => breedParents(records, parent), depth) : [];
+}
+
+/**
+ * The breeds that descend from a breed: breeds bred from it, breeds bred
+ * from those and so on.
+ *
+ * @param {object[]} records - Breed records to look in
+ * @param {object|string} breed - A breed record, QID or slug
+ * @param {object} [options]
+ * @param {number} [options.depth=Infinity] - Number of generations, 1 for direct descendants only
+ * @returns {object[]} The descendants, nearest generation first
+ */
+export function breedDescendants(records, breed, {depth = Number.POSITIVE_INFINITY} = {}) {
+  const record = resolve(records, breed);
+  const children = childrenById(records);
+  return record?.id ? walk(record, parent => children.get(parent.id) ?? [], depth) : [];
+}
+
+/**
+ * Parent links that point to no record.
+ *
+ * @param {object[]} records - Breed records
+ * @returns {Array<{breed: object, parent: string}>} Each breed with a parent QID not in `records`
+ */
+export function findDanglingParents(records) {
+  const ids = new Set(records.map(breed => breed.id).filter(Boolean));
+  return records.flatMap(breed => (breed.parents ?? [])
+    .filter(parent => !ids.has(parent))
+    .map(parent => ({breed, parent})));
+}
+
+/**
+ * Cycles in the ancestry graph, such as a breed listed as its own ancestor.
+ *
+ * @param {object[]} records - Breed records
+ * @returns {object[][]} Each cycle as the records on it, in parent order,
+ *   starting from the first record in `records` on the cycle
+ */
+export function findParentCycles(records) {
+  const byId = new Map(records.filter(breed => breed.id).map(breed => [breed.id, breed]));
+  const state = new Map();
+  const cycles = [];
+
+  const visit = (breed, path) => {
+    state.set(breed, 'visiting');
+    path.push(breed);
+
+    for (const parent of breed.parents ?? []) {
+      const next = byId.get(parent);
+      if (!next) {
+        continue;
+      }
+
+      if (state.get(next) === 'visiting') {
+        cycles.push(path.slice(path.indexOf(next)));
+      } else if (!state.has(next)) {
+        visit(next, path);
+      }
+    }
+
+    path.pop();
+    state.set(breed, 'done');
+  };
+
+  for (const breed of byId.values()) {
+    if (!state.has(breed)) {
+      visit(breed, []);
+    }
+  }
+
+  return cycles;
+}
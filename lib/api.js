@@ -0,0 +1,66 @@
+/**
+ * The package API over a breed dataset, shared by the Node entry (index.js)
+ * and the browser and edge entry (browser.js), which load the data
+ * differently.
+ */
+
+import uniqueRandomArray from 'unique-random-array';
+import {
+  findBreed,
+  getBreed,
+  searchBreeds,
+  filterBreeds,
+  localizedName,
+} from './search.js';
+import {createRandomBreed, sampleBreeds, shuffleBreeds} from './random.js';
+import {breedImageURL} from './images.js';
+import {breedsInGroup, recognizedByClub} from './clubs.js';
+import {breedAncestors, breedDescendants, breedParents} from './ancestry.js';
+import {validateBreeds} from './validate.js';
+import {breedQuiz} from './quiz.js';
+import {breedsToGeoJSON, nearbyBreeds} from './geo.js';
+
+/**
+ * Create the package API.
+ *
+ * @param {object[]} dogBreeds - Every breed record, extant and extinct
+ * @returns {object} The exports of the package
+ */
+export function createApi(dogBreeds) {
+  // `all` and everything built on it cover extant breeds only, as they always
+  // have; `find`, `get` and `filter` can also reach extinct breeds.
+  const extant = filterBreeds(dogBreeds, {status: 'extant'});
+  const extinct = filterBreeds(dogBreeds, {status: 'extinct'});
+  const all = extant;
+
+  return {
+    extant,
+    extinct,
+    all,
+    random: uniqueRandomArray(all),
+
+    find: name => findBreed(dogBreeds, name),
+    get: idOrSlug => getBreed(dogBreeds, idOrSlug),
+    search: (query, options) => searchBreeds(all, query, options),
+    filter: criteria => filterBreeds(dogBreeds, {status: 'extant', ...criteria}),
+    byCountry: code => filterBreeds(all, {country: code}),
+    byGroup: (club, group) => breedsInGroup(all, club, group),
+    recognizedBy: club => recognizedByClub(all, club),
+    localize: (breed, locale) => localizedName(breed, locale),
+    imageURL: (breed, options) => breedImageURL(breed, options),
+    toGeoJSON: options => breedsToGeoJSON(all, options),
+    breedsNear: (lat, lon, radiusKm) => nearbyBreeds(all, lat, lon, radiusKm),
+
+    // Ancestry spans extinct breeds too, since many breeds descend from them
+    parentsOf: breed => breedParents(dogBreeds, breed),
+    ancestorsOf: (breed, options) => breedAncestors(dogBreeds, breed, options),
+    descendantsOf: (breed, options) => breedDescendants(dogBreeds, breed, options),
+
+    validate: records => validateBreeds(records),
+
+    createRandom: options => createRandomBreed(all, options),
+    sample: (count, options) => sampleBreeds(all, count, options),
+    shuffle: options => shuffleBreeds(all, options),
+    quiz: options => breedQuiz(all, options),
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Kennel club recognition and groups of breed records.
+ */
+
+import {normalize} from './search.js';
+
+/**
+ * A breed's classification with a kennel club.
+ *
+ * @param {object} breed - A breed record
+ * @param {string} club - Club id such as "FCI" or "AKC", in any case
+ * @returns {object|undefined} { club, standard, group }, or undefined if the club does not recognize the breed
+ */
+export function clubClassification(breed, club) {
+  const id = String(club).toUpperCase();
+  return (breed.classifications ?? []).find(classification => classification.club === id);
+}
+
+/**
+ * The breeds a kennel club recognizes.
+ *
+ * @param {object[]} records - Breed records to look in
+ * @param {string} club - Club id such as "FCI" or "AKC"
+ * @returns {object[]} The recognized breeds
+ */
+export function recognizedByClub(records, club) {
+  return records.filter(breed => clubClassification(breed, club));
+}
+
+/**
+ * Normalize a group name for comparison, ignoring the word "group".
+ *
+ * @param {string} name - e.g. "Herding Group"
+ * @returns {string} e.g. "herding"
+ */
+function groupKey(name) {
+  return normalize(name).replaceAll(/\bgroup\b/g, '').replaceAll(/\s+/g, ' ').trim();
+}
+
+/**
+ * The breeds in a kennel club group.
+ *
+ * @param {object[]} records - Breed records to look in
+ * @param {string} club - Club id such as "FCI" or "AKC"
+ * @param {number|string} group - Group number, e.g. 1 for FCI group 1, or
+ *   name, e.g. "Herding" or "Herding Group"
+ * @returns {object[]} The breeds in the group
+ */
+export function breedsInGroup(records, club, group) {
+  const number = Number(group);
+  const matches = Number.isInteger(number) && String(group).trim() !== ''
+    ? candidate => candidate.number === number
+    : candidate => groupKey(candidate.name) === groupKey(group);
+
+  return records.filter(breed => {
+    const candidate = clubClassification(breed, club)?.group;
+    return Boolean(candidate) && matches(candidate);
+  });
+}
@@ -0,0 +1,175 @@
+/**
+ * Where breeds come from, on a map: GeoJSON of breed origins, and the breeds
+ * that originate near a point. Both use the coordinates and bounding boxes of
+ * the structured `origins`, or of the places that the origin labels of older
+ * records name (see `breedOrigins`), and skip origins that have neither.
+ */
+
+import {breedOrigins, breedSlug} from './search.js';
+import {selectPool} from './random.js';
+
+// Mean radius of the Earth (IUGG), in kilometers
+const EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * Convert degrees to radians.
+ *
+ * @param {number} degrees - An angle in degrees
+ * @returns {number} The angle in radians
+ */
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two points (haversine formula).
+ *
+ * @param {{lat: number, lon: number}} a - A point, in decimal degrees
+ * @param {{lat: number, lon: number}} b - Another point
+ * @returns {number} The distance in kilometers
+ */
+export function distanceKm(a, b) {
+  const haversine = (Math.sin(toRadians(b.lat - a.lat) / 2) ** 2)
+    + (Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * (Math.sin(toRadians(b.lon - a.lon) / 2) ** 2));
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(haversine)));
+}
+
+/**
+ * Degrees to go east from one longitude to another.
+ *
+ * @param {number} from - A longitude
+ * @param {number} to - Another longitude
+ * @returns {number} Between 0 and 360
+ */
+function degreesEast(from, to) {
+  return (((to - from) % 360) + 360) % 360;
+}
+
+/**
+ * Degrees of longitude a bounding box spans. Boxes that span the 180th
+ * meridian have west > east.
+ *
+ * @param {object} bbox - A bounding box
+ * @returns {number} Between 0 and 360
+ */
+function boxWidth(bbox) {
+  return bbox.west <= bbox.east ? bbox.east - bbox.west : degreesEast(bbox.west, bbox.east);
+}
+
+/**
+ * A point to put an origin on a map at: its coordinates, or else the center
+ * of its bounding box.
+ *
+ * @param {object} origin - A structured origin
+ * @returns {{lat: number, lon: number}|null} The point, or null without either
+ */
+export function originPoint({coordinates, bbox}) {
+  if (coordinates) {
+    return coordinates;
+  }
+
+  if (!bbox) {
+    return null;
+  }
+
+  const lon = bbox.west + (boxWidth(bbox) / 2);
+  return {lat: (bbox.south + bbox.north) / 2, lon: lon > 180 ? lon - 360 : lon};
+}
+
+/**
+ * Distance from a point to an origin: to the nearest edge of its bounding
+ * box, roughly, or 0 inside it; to its coordinates without a bounding box.
+ *
+ * @param {object} origin - A structured origin
+ * @param {{lat: number, lon: number}} point - The point
+ * @returns {number} The distance in kilometers, or Infinity for origins with no location
+ */
+function originDistanceKm(origin, point) {
+  const {bbox} = origin;
+  if (!bbox) {
+    const location = originPoint(origin);
+    return location ? distanceKm(location, point) : Number.POSITIVE_INFINITY;
+  }
+
+  const lat = Math.min(Math.max(point.lat, bbox.south), bbox.north);
+  if (degreesEast(bbox.west, point.lon) <= boxWidth(bbox)) {
+    return distanceKm({lat, lon: point.lon}, point);
+  }
+
+  const lon = degreesEast(point.lon, bbox.west) < degreesEast(bbox.east, point.lon) ? bbox.west : bbox.east;
+  return distanceKm({lat, lon}, point);
+}
+
+/**
+ * A GeoJSON FeatureCollection of breed origins: one Point feature per origin
+ * with a location, listing the breeds from there. Breeds with several origins
+ * appear in each.
+ *
+ * @param {object[]} records - Breed records
+ * @param {object} [options]
+ * @param {Function|object} [options.filter] - Only include matching breeds
+ * @returns {object} The FeatureCollection, with features sorted by origin label
+ */
+export function breedsToGeoJSON(records, {filter} = {}) {
+  const features = new Map();
+
+  for (const breed of selectPool(records, filter)) {
+    for (const origin of breedOrigins(breed)) {
+      const point = originPoint(origin);
+      if (!point) {
+        continue;
+      }
+
+      // A few legacy origin labels resolve to places without a QID
+      const key = origin.id ?? origin.label;
+      if (!features.has(key)) {
+        features.set(key, {
+          type: 'Feature',
+          ...(origin.id && {id: origin.id}),
+          ...(origin.bbox && {bbox: [origin.bbox.west, origin.bbox.south, origin.bbox.east, origin.bbox.north]}),
+          geometry: {type: 'Point', coordinates: [point.lon, point.lat]},
+          properties: {label: origin.label, code: origin.code, breeds: []},
+        });
+      }
+
+      features.get(key).properties.breeds.push({name: breed.name, slug: breedSlug(breed), id: breed.id ?? null});
+    }
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features: [...features.values()].sort((a, b) => a.properties.label.localeCompare(b.properties.label)),
+  };
+}
+
+/**
+ * Breeds that originate within a distance of a point. An origin with a
+ * bounding box counts as near when the point is inside the box or near its
+ * edge, so breeds from a large country are near every place in it.
+ *
+ * @param {object[]} records - Breed records
+ * @param {number} lat - Latitude of the point, in decimal degrees
+ * @param {number} lon - Longitude of the point, in decimal degrees
+ * @param {number} radiusKm - The distance, in kilometers
+ * @returns {object[]} The breeds, nearest origin first
+ */
+export function nearbyBreeds(records, lat, lon, radiusKm) {
+  if (typeof lat !== 'number' || !(Math.abs(lat) <= 90)) {
+    throw new TypeError(`Expected latitude to be a number between -90 and 90, got ${lat}`);
+  }
+
+  if (typeof lon !== 'number' || !(Math.abs(lon) <= 180)) {
+    throw new TypeError(`Expected longitude to be a number between -180 and 180, got ${lon}`);
+  }
+
+  if (typeof radiusKm !== 'number' || !(radiusKm >= 0)) {
+    throw new TypeError(`Expected radiusKm to be a non-negative number, got ${radiusKm}`);
+  }
+
+  const point = {lat, lon};
+  return records
+    .map(breed => ({breed, distance: Math.min(...breedOrigins(breed).map(origin => originDistanceKm(origin, point)))}))
+    .filter(({distance}) => distance <= radiusKm)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({breed}) => breed);
+}
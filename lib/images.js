@@ -0,0 +1,52 @@
+/**
+ * Wikimedia Commons image URLs for breed records.
+ *
+ * `imageURL` points at `Special:FilePath`, which serves the full-size original.
+ * The same page scales images on the fly when given a `width`.
+ */
+
+const FILE_PATH_URL = 'https://commons.wikimedia.org/wiki/Special:FilePath/';
+
+/**
+ * The Commons file name a `Special:FilePath` URL points to.
+ *
+ * @param {string} url - An image URL
+ * @returns {string|undefined} The file name without the "File:" prefix, e.g.
+ *   "Akita inu.jpg", or undefined if the URL is not a Commons file path. A name
+ *   that isn't valid percent-encoding, e.g. "100%.jpg", is returned as is.
+ */
+export function commonsFileName(url) {
+  const [, encoded] = String(url ?? '').split('/wiki/Special:FilePath/');
+  if (!encoded) {
+    return undefined;
+  }
+
+  const fileName = encoded.split('?')[0];
+  try {
+    return decodeURIComponent(fileName);
+  } catch {
+    // A URIError, the only error decodeURIComponent throws
+    return fileName;
+  }
+}
+
+/**
+ * The image URL of a breed, optionally scaled down to a thumbnail.
+ *
+ * @param {object} breed - A breed record
+ * @param {object} [options]
+ * @param {number} [options.width] - Thumbnail width in pixels; omit for the original
+ * @returns {string} The image URL, or an empty string if the breed has no image
+ */
+export function breedImageURL(breed, {width} = {}) {
+  if (width !== undefined && (!Number.isInteger(width) || width <= 0)) {
+    throw new TypeError(`Expected width to be a positive integer, got ${width}`);
+  }
+
+  const file = commonsFileName(breed.imageURL);
+  if (!file || width === undefined) {
+    return breed.imageURL ?? '';
+  }
+
+  return `${FILE_PATH_URL}${encodeURIComponent(file)}?width=${width}`;
+}
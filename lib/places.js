@@ -0,0 +1,125 @@
+/**
+ * The places breeds originate in, for records that predate structured
+ * `origins`: their origin labels resolve to the Wikidata QID and ISO 3166
+ * code the update script would have stored, and to approximate coordinates.
+ * There are no bounding boxes.
+ */
+
+// Label, Wikidata QID (null where none is recorded here), ISO 3166 code (null
+// for regions that have none), and the approximate latitude and longitude of
+// the place. test/places.js checks that every label in dog-breeds.json is here.
+const PLACES = new Map([
+  ['Afghanistan', 'Q889', 'AF', 34, 66],
+  ['Alaska', 'Q797', 'US-AK', 64, -150],
+  ['Ancient Rome', 'Q1747689', null, 41.9, 12.5],
+  ['Arabian Peninsula', 'Q12585', null, 23, 45],
+  ['Argentina', 'Q414', 'AR', -34, -64],
+  ['Armenia', 'Q399', 'AM', 40.2, 45],
+  ['Australia', 'Q408', 'AU', -25, 133],
+  ['Austria', 'Q40', 'AT', 47.6, 14.1],
+  ['Belgium', 'Q31', 'BE', 50.6, 4.7],
+  ['Bosnia and Herzegovina', 'Q225', 'BA', 44, 18],
+  ['Brazil', 'Q155', 'BR', -10, -55],
+  ['Brittany', 'Q12130', 'FR-BRE', 48.2, -2.8],
+  ['Bulgaria', 'Q219', 'BG', 42.7, 25.5],
+  ['Canaan', null, null, 32, 35.3],
+  ['Canada', 'Q16', 'CA', 56, -96],
+  ['Canary Islands', 'Q5813', 'ES-CN', 28.3, -16],
+  ['Chile', 'Q298', 'CL', -33, -71],
+  ['China', 'Q148', 'CN', 35, 103],
+  ['Colombia', 'Q739', 'CO', 4, -73],
+  ['Croatia', 'Q224', 'HR', 45.2, 15.5],
+  ['Cuba', 'Q241', 'CU', 21.5, -79.5],
+  ['Czech Republic', 'Q213', 'CZ', 49.8, 15.5],
+  ['Czechoslovakia', 'Q33946', null, 49.5, 17],
+  ['Democratic Republic of the Congo', 'Q974', 'CD', -3, 23],
+  ['Denmark', 'Q35', 'DK', 56, 10],
+  ['Ecuador', 'Q736', 'EC', -1.5, -78],
+  ['Egypt', 'Q79', 'EG', 27, 30],
+  ['England', 'Q21', 'GB-ENG', 52.5, -1.5],
+  ['Estonia', 'Q191', 'EE', 58.6, 25],
+  ['Europe', 'Q46', null, 48.7, 9.1],
+  ['Faroe Islands', 'Q4628', 'FO', 62, -6.8],
+  ['Finland', 'Q33', 'FI', 64, 26],
+  ['France', 'Q142', 'FR', 47, 2],
+  ['Georgia', 'Q230', 'GE', 42, 43.5],
+  ['German Empire', 'Q43287', null, 51, 10],
+  ['Germany', 'Q183', 'DE', 51, 10],
+  ['Greece', 'Q41', 'GR', 39, 22],
+  ['Greenland', 'Q223', 'GL', 72, -40],
+  ['Hungary', 'Q28', 'HU', 47.2, 19.5],
+  ['Ibiza', null, 'ES-IB', 39, 1.4],
+  ['Iceland', 'Q189', 'IS', 65, -18],
+  ['India', 'Q668', 'IN', 22, 79],
+  ['Indonesia', 'Q252', 'ID', -2, 118],
+  ['Iran', 'Q794', 'IR', 32, 53],
+  ['Ireland', 'Q27', 'IE', 53.4, -8],
+  ['Italy', 'Q38', 'IT', 42.8, 12.8],
+  ['Japan', 'Q17', 'JP', 36, 138],
+  ['Kazakhstan', 'Q232', 'KZ', 48, 67],
+  ['Kurdistan', 'Q41470', null, 37, 43.5],
+  ['Kyrgyzstan', 'Q813', 'KG', 41.5, 74.6],
+  ['Lithuania', 'Q37', 'LT', 55.2, 24],
+  ['Madagascar', 'Q1019', 'MG', -19, 47],
+  ['Malaysia', 'Q833', 'MY', 3.5, 102],
+  ['Mali', 'Q912', 'ML', 17, -4],
+  ['Mallorca', 'Q8828', 'ES-IB', 39.6, 2.9],
+  ['Mexico', 'Q96', 'MX', 23, -102],
+  ['Montenegro', 'Q236', 'ME', 42.8, 19.3],
+  ['Netherlands', 'Q55', 'NL', 52.2, 5.3],
+  ['New Zealand', 'Q664', 'NZ', -41, 174],
+  ['North Africa', 'Q27381', null, 25, 15],
+  ['North Korea', 'Q423', 'KP', 40, 127],
+  ['North Macedonia', 'Q221', 'MK', 41.6, 21.7],
+  ['Norway', 'Q20', 'NO', 64, 12],
+  ['Pakistan', 'Q843', 'PK', 30, 70],
+  ['Palestine', 'Q23792', 'PS', 31.9, 35.2],
+  ['People\'s Republic of China', 'Q148', 'CN', 35, 103],
+  ['Peru', 'Q419', 'PE', -10, -76],
+  ['Poland', 'Q36', 'PL', 52, 19],
+  ['Portugal', 'Q45', 'PT', 39.6, -8],
+  ['Rhodesia', 'Q217169', null, -19, 30],
+  ['Romania', 'Q218', 'RO', 46, 25],
+  ['Russia', 'Q159', 'RU', 62, 94],
+  ['Sakha', 'Q6605', 'RU-SA', 66.4, 129.2],
+  ['Sarail Upazila', null, 'BD', 24.1, 91.1],
+  ['Scotland', 'Q22', 'GB-SCT', 57, -4],
+  ['Serbia', 'Q403', 'RS', 44, 21],
+  ['Siberia', 'Q5428', null, 60, 105],
+  ['Slovakia', 'Q214', 'SK', 48.7, 19.5],
+  ['Slovenia', 'Q215', 'SI', 46.1, 14.8],
+  ['South Africa', 'Q258', 'ZA', -29, 24],
+  ['South Korea', 'Q884', 'KR', 36.5, 127.9],
+  ['Soviet Central Asia', null, null, 41, 64],
+  ['Soviet Union', 'Q15180', null, 60, 90],
+  ['Spain', 'Q29', 'ES', 40, -4],
+  ['Sweden', 'Q34', 'SE', 62, 15],
+  ['Switzerland', 'Q39', 'CH', 46.8, 8.2],
+  ['Taiwan Island', 'Q22502', 'TW', 23.7, 121],
+  ['Thailand', 'Q869', 'TH', 15, 101],
+  ['Tibet', 'Q17252', 'CN-XZ', 31, 88],
+  ['Turkey', 'Q43', 'TR', 39, 35],
+  ['Ukraine', 'Q212', 'UA', 49, 32],
+  ['United Kingdom', 'Q145', 'GB', 54, -2],
+  ['United States', 'Q30', 'US', 39.8, -98.6],
+  ['Uruguay', 'Q77', 'UY', -33, -56],
+  ['Vietnam', 'Q881', 'VN', 16, 107],
+  ['Wales', 'Q25', 'GB-WLS', 52.3, -3.7],
+].map(([label, id, code, lat, lon]) => [label, {
+  label,
+  id,
+  code,
+  coordinates: {lat, lon},
+  bbox: null,
+}]));
+
+/**
+ * Look up a place by its English label.
+ *
+ * @param {string} label - An origin label, e.g. "Scotland"
+ * @returns {object|undefined} A structured origin `{label, id, code, coordinates, bbox}`, or undefined for unknown places
+ */
+export function placeByLabel(label) {
+  const place = PLACES.get(label);
+  return place && {...place, coordinates: {...place.coordinates}};
+}
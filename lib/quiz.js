@@ -0,0 +1,160 @@
+/**
+ * Multiple-choice "guess the breed from the photo" questions.
+ *
+ * Every question asks about a breed with an image and offers it among
+ * distinct wrong answers (distractors). Harder questions draw the distractors
+ * from breeds that share an origin with the answer or have a similar name.
+ */
+
+import {
+  breedSlug,
+  editDistance,
+  normalize,
+  originLabels,
+} from './search.js';
+import {createGenerator, selectPool, shuffleWith} from './random.js';
+
+// Share of distractors picked from similar breeds, by difficulty
+const DIFFICULTIES = new Map([['easy', 0], ['medium', 0.5], ['hard', 1]]);
+
+// Similar distractors are drawn from this many times as many of the most
+// similar breeds as are needed, so the same answer gets varied questions
+const SIMILAR_POOL_FACTOR = 2;
+
+// Words too common in breed names to make two names similar
+const COMMON_WORDS = new Set(['dog']);
+
+/**
+ * The distinctive words of a breed's name.
+ *
+ * @param {object} breed - A breed record
+ * @returns {Set<string>} Normalized words
+ */
+function nameWords(breed) {
+  return new Set(normalize(breed.name).split(' ').filter(word => word.length > 2 && !COMMON_WORDS.has(word)));
+}
+
+/**
+ * How easily one breed could be mistaken for another in a quiz: 1 for
+ * sharing an origin, plus up to 1 for similar names, by shared words or by
+ * spelling.
+ *
+ * @param {object} a - A breed record
+ * @param {object} b - Another breed record
+ * @returns {number} A score between 0 and 2
+ */
+export function breedSimilarity(a, b) {
+  const origins = new Set(originLabels(a).map(label => normalize(label)));
+  const sharesOrigin = originLabels(b).some(label => origins.has(normalize(label)));
+
+  const wordsA = nameWords(a);
+  const wordsB = nameWords(b);
+  const sharedWords = [...wordsA].filter(word => wordsB.has(word)).length;
+  const allWords = new Set([...wordsA, ...wordsB]).size;
+
+  const nameA = [...wordsA].join(' ');
+  const nameB = [...wordsB].join(' ');
+  const spelling = 1 - (editDistance(nameA, nameB) / Math.max(nameA.length, nameB.length, 1));
+
+  return (sharesOrigin ? 1 : 0) + Math.max(allWords === 0 ? 0 : sharedWords / allWords, spelling);
+}
+
+/**
+ * Pick distinct wrong answers for a question.
+ *
+ * @param {object} answer - The breed the question is about
+ * @param {object[]} pool - Breeds to pick from
+ * @param {number} count - Number of distractors
+ * @param {object} options
+ * @param {number} options.similarShare - Chance of each distractor being a similar breed
+ * @param {Function} options.generator - Random number generator
+ * @returns {object[]} Up to `count` breeds
+ */
+function pickDistractors(answer, pool, count, {similarShare, generator}) {
+  const answerName = normalize(answer.name);
+  const candidates = pool.filter(breed => breed !== answer && normalize(breed.name) !== answerName);
+  const similar = similarShare === 0
+    ? []
+    : candidates
+      .map(breed => ({breed, score: breedSimilarity(answer, breed)}))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count * SIMILAR_POOL_FACTOR)
+      .map(({breed}) => breed);
+
+  const picked = new Set();
+  const draw = breeds => {
+    const remaining = breeds.filter(breed => !picked.has(breed));
+    const breed = remaining[Math.floor(generator() * remaining.length)];
+    if (breed) {
+      picked.add(breed);
+    }
+
+    return breed;
+  };
+
+  while (picked.size < count) {
+    const preferSimilar = generator() < similarShare;
+    if (!(preferSimilar && draw(similar)) && !draw(candidates)) {
+      break;
+    }
+  }
+
+  return [...picked];
+}
+
+/**
+ * Generate multiple-choice questions about breeds with an image.
+ *
+ * @param {object[]} records - Breed records
+ * @param {object} [options]
+ * @param {number} [options.count=10] - Number of questions
+ * @param {number} [options.choices=4] - Number of choices per question, including the answer
+ * @param {string|number} [options.seed] - Seed for a reproducible quiz
+ * @param {string} [options.difficulty='easy'] - "easy" for random distractors,
+ *   "hard" for distractors from the same origin or with similar names, or
+ *   "medium" for a mix
+ * @param {Function|object} [options.filter] - Only use matching breeds, for
+ *   questions and distractors
+ * @param {Set<string>} [options.session] - Slugs of breeds already asked
+ *   about, which are skipped. The slugs of the new questions' breeds are added.
+ * @returns {Array<{breed: object, imageURL: string, choices: object[], answer: number}>}
+ *   Up to `count` questions about distinct breeds, where `choices[answer]` is `breed`
+ */
+export function breedQuiz(records, {
+  count = 10,
+  choices = 4,
+  seed,
+  difficulty = 'easy',
+  filter,
+  session,
+} = {}) {
+  if (!Number.isInteger(count) || count < 0) {
+    throw new TypeError(`Expected count to be a non-negative integer, got ${count}`);
+  }
+
+  if (!Number.isInteger(choices) || choices < 2) {
+    throw new TypeError(`Expected choices to be an integer of at least 2, got ${choices}`);
+  }
+
+  if (!DIFFICULTIES.has(difficulty)) {
+    throw new TypeError(`Expected difficulty to be one of ${[...DIFFICULTIES.keys()].join(', ')}, got ${difficulty}`);
+  }
+
+  const generator = createGenerator(seed);
+  const pool = selectPool(records, filter);
+  const askable = pool.filter(breed => breed.imageURL && !session?.has(breedSlug(breed)));
+  const breeds = shuffleWith(askable, generator).slice(0, count);
+
+  return breeds.map(breed => {
+    session?.add(breedSlug(breed));
+
+    const distractors = pickDistractors(breed, pool, choices - 1, {similarShare: DIFFICULTIES.get(difficulty), generator});
+    const options = shuffleWith([breed, ...distractors], generator);
+    return {
+      breed,
+      imageURL: breed.imageURL,
+      choices: options,
+      answer: options.indexOf(breed),
+    };
+  });
+}
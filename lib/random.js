@@ -0,0 +1,151 @@
+/**
+ * Seedable random selection over breed records.
+ *
+ * A seed makes every result reproducible: the same seed and the same records
+ * give the same breeds on every machine. Without a seed `Math.random` is used.
+ */
+
+import {filterBreeds} from './search.js';
+
+// Park–Miller "minimal standard" generator: small enough to stay exact in
+// floating point, so every platform produces the same sequence
+const MODULUS = 2_147_483_647;
+const MULTIPLIER = 48_271;
+const WARM_UP_STEPS = 3;
+
+/**
+ * Hash a seed of any type into a generator state in [1, 2^31 - 2].
+ *
+ * @param {string|number} seed - The seed
+ * @returns {number} The hashed seed
+ */
+export function hashSeed(seed) {
+  let hash = 0;
+  for (const character of String(seed)) {
+    hash = ((hash * MULTIPLIER) + character.codePointAt(0)) % MODULUS;
+  }
+
+  return (hash % (MODULUS - 1)) + 1;
+}
+
+/**
+ * Create a random number generator.
+ *
+ * @param {string|number} [seed] - Seed for a deterministic sequence
+ * @returns {Function} A function returning numbers in [0, 1)
+ */
+export function createGenerator(seed) {
+  if (seed === undefined) {
+    return Math.random;
+  }
+
+  let state = hashSeed(seed);
+
+  // Similar seeds such as consecutive dates hash to nearby states; a few
+  // steps spread them apart before the first value is used
+  for (let step = 0; step < WARM_UP_STEPS; step++) {
+    state = (state * MULTIPLIER) % MODULUS;
+  }
+
+  return () => {
+    state = (state * MULTIPLIER) % MODULUS;
+    return (state - 1) / (MODULUS - 1);
+  };
+}
+
+/**
+ * Narrow the records to pick from.
+ *
+ * @param {object[]} records - Breed records
+ * @param {Function|object} [filter] - A predicate, or criteria for `filterBreeds`
+ * @returns {object[]} The records to pick from
+ */
+export function selectPool(records, filter) {
+  if (filter === undefined) {
+    return records;
+  }
+
+  return typeof filter === 'function' ? records.filter(breed => filter(breed)) : filterBreeds(records, filter);
+}
+
+/**
+ * Shuffle an array in place (Fisher–Yates).
+ *
+ * @param {Array} items - The array
+ * @param {Function} generator - Random number generator from `createGenerator`
+ * @returns {Array} The same array
+ */
+export function shuffleWith(items, generator) {
+  for (let index = items.length - 1; index > 0; index--) {
+    const swapIndex = Math.floor(generator() * (index + 1));
+    [items[index], items[swapIndex]] = [items[swapIndex], items[index]];
+  }
+
+  return items;
+}
+
+/**
+ * Shuffle breeds (Fisher–Yates).
+ *
+ * @param {object[]} records - Breed records
+ * @param {object} [options]
+ * @param {string|number} [options.seed] - Seed for a reproducible order
+ * @param {Function|object} [options.filter] - Only shuffle matching breeds
+ * @returns {object[]} A shuffled copy of the matching breeds
+ */
+export function shuffleBreeds(records, {seed, filter} = {}) {
+  return shuffleWith([...selectPool(records, filter)], createGenerator(seed));
+}
+
+/**
+ * Pick distinct breeds at random.
+ *
+ * @param {object[]} records - Breed records
+ * @param {number} count - Number of breeds to pick
+ * @param {object} [options]
+ * @param {string|number} [options.seed] - Seed for a reproducible sample
+ * @param {Function|object} [options.filter] - Only pick matching breeds
+ * @returns {object[]} Up to `count` distinct breeds
+ */
+export function sampleBreeds(records, count, {seed, filter} = {}) {
+  if (!Number.isInteger(count) || count < 0) {
+    throw new TypeError(`Expected count to be a non-negative integer, got ${count}`);
+  }
+
+  return shuffleBreeds(records, {seed, filter}).slice(0, count);
+}
+
+/**
+ * Create a random breed picker that never returns the same breed twice in a row.
+ *
+ * @param {object[]} records - Breed records
+ * @param {object} [options]
+ * @param {string|number} [options.seed] - Seed for a reproducible sequence
+ * @param {Function|object} [options.filter] - Only pick matching breeds
+ * @returns {Function} A function returning a breed, or undefined if none match
+ */
+export function createRandomBreed(records, {seed, filter} = {}) {
+  const generator = createGenerator(seed);
+  const pool = selectPool(records, filter);
+  let previousIndex;
+
+  return () => {
+    if (pool.length <= 1) {
+      return pool[0];
+    }
+
+    // Draw from every index but the previous one
+    let index;
+    if (previousIndex === undefined) {
+      index = Math.floor(generator() * pool.length);
+    } else {
+      index = Math.floor(generator() * (pool.length - 1));
+      if (index >= previousIndex) {
+        index++;
+      }
+    }
+
+    previousIndex = index;
+    return pool[index];
+  };
+}
@@ -0,0 +1,352 @@
+/**
+ * Name matching, ranked search and filtering over breed records.
+ *
+ * Every function takes the records to work on as its first argument so the
+ * same logic can back `index.js` and be tested against small fixtures.
+ */
+
+import {placeByLabel} from './places.js';
+
+// Letters that NFKD does not decompose into a base letter plus a mark
+const FOLDED_LETTERS = new Map([
+  ['đ', 'd'],
+  ['ł', 'l'],
+  ['ø', 'o'],
+  ['æ', 'ae'],
+  ['œ', 'oe'],
+  ['ß', 'ss'],
+]);
+
+const DEFAULT_LIMIT = 10;
+const DEFAULT_THRESHOLD = 0.3;
+
+/**
+ * Normalize a string for comparison: lowercase, strip diacritics and collapse
+ * punctuation and whitespace into single spaces.
+ *
+ * @param {string} value - The string to normalize
+ * @returns {string} The normalized string
+ */
+export function normalize(value) {
+  return String(value ?? '')
+    .normalize('NFKD')
+    .replaceAll(/\p{M}/gu, '')
+    .toLowerCase()
+    .replaceAll(/[đłøæœß]/g, letter => FOLDED_LETTERS.get(letter))
+    .replaceAll(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Turn a name or title into a URL-safe slug.
+ *
+ * @param {string} value - The string to slugify
+ * @returns {string} Lowercase ASCII words joined by hyphens
+ */
+export function slugify(value) {
+  return normalize(value).replaceAll(' ', '-');
+}
+
+/**
+ * The slug of a breed, derived from its name for records that predate slugs.
+ *
+ * @param {object} breed - A breed record
+ * @returns {string} The breed's slug
+ */
+export function breedSlug(breed) {
+  return breed.slug ?? slugify(breed.name);
+}
+
+/**
+ * The status of a breed, treating records that predate the field as extant.
+ *
+ * @param {object} breed - A breed record
+ * @returns {'extant'|'extinct'} The breed's status
+ */
+export function breedStatus(breed) {
+  return breed.status ?? 'extant';
+}
+
+/**
+ * All names a breed can be matched by: its name in every locale, then its
+ * aliases.
+ *
+ * @param {object} breed - A breed record
+ * @returns {string[]} The breed's names
+ */
+export function breedNames(breed) {
+  return [...new Set([breed.name, ...Object.values(breed.names ?? {}), ...breed.aliases ?? []])];
+}
+
+/**
+ * The name of a breed in a locale.
+ *
+ * A regional locale such as "de-AT" falls back to its language ("de"), and
+ * any locale without a name falls back to the English name.
+ *
+ * @param {object} breed - A breed record
+ * @param {string} [locale] - BCP 47 language tag, e.g. "ja" or "de-AT"
+ * @returns {string} The localized name
+ */
+export function localizedName(breed, locale = 'en') {
+  const names = breed.names ?? {};
+  const tag = String(locale).toLowerCase();
+  return names[tag] ?? names[tag.split('-')[0]] ?? breed.name;
+}
+
+/**
+ * The origin labels of a breed.
+ *
+ * Prefers the structured `origins` array and falls back to splitting the
+ * legacy `origin` string for records that predate it.
+ *
+ * @param {object} breed - A breed record
+ * @returns {string[]} Origin labels, empty when the origin is unknown
+ */
+export function originLabels(breed) {
+  if (breed.origins) {
+    return breed.origins.map(origin => origin.label);
+  }
+
+  return breed.origin ? breed.origin.split(', ') : [];
+}
+
+/**
+ * The structured origins of a breed.
+ *
+ * Records that predate `origins` get theirs from their origin labels, with
+ * approximate coordinates and no bounding box, leaving out places that aren't
+ * known.
+ *
+ * @param {object} breed - A breed record
+ * @returns {object[]} Origins as `{label, id, code, coordinates, bbox}` objects
+ */
+export function breedOrigins(breed) {
+  return breed.origins ?? originLabels(breed).flatMap(label => placeByLabel(label) ?? []);
+}
+
+/**
+ * Whether a breed originates in a country.
+ *
+ * Subdivision codes count towards their country, so `GB` also matches
+ * origins coded `GB-ENG` or `GB-SCT`.
+ *
+ * @param {object} breed - A breed record
+ * @param {string} code - ISO 3166-1 alpha-2 country code, or an ISO 3166-2 code
+ * @returns {boolean} True if any origin has the code
+ */
+export function hasCountry(breed, code) {
+  const target = code.toUpperCase();
+  return breedOrigins(breed).some(origin => origin.code !== null && (origin.code === target || origin.code.startsWith(`${target}-`)));
+}
+
+/**
+ * Whether a measured range lies within optional bounds.
+ *
+ * @param {{min: number, max: number}|null|undefined} range - A breed's range, e.g. its `weightKg`
+ * @param {number} [min] - Lowest allowed value
+ * @param {number} [max] - Highest allowed value
+ * @returns {boolean} True if there are no bounds, or the range is known and within them
+ */
+export function withinRange(range, min, max) {
+  if (min === undefined && max === undefined) {
+    return true;
+  }
+
+  return Boolean(range) && (min === undefined || range.min >= min) && (max === undefined || range.max <= max);
+}
+
+/**
+ * Levenshtein edit distance between two strings.
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} The number of single-character edits
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({length: b.length + 1}, (_, index) => index);
+
+  for (let row = 1; row <= a.length; row++) {
+    const current = [row];
+    for (let column = 1; column <= b.length; column++) {
+      const substitution = previous[column - 1] + (a[row - 1] === b[column - 1] ? 0 : 1);
+      current[column] = Math.min(previous[column] + 1, current[column - 1] + 1, substitution);
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Score how well a normalized name matches a normalized query.
+ *
+ * Exact matches score 1, prefix and word-prefix matches score just below,
+ * substrings below that, then names the query extends by whole words ("akita"
+ * for "akita inu"), and anything else gets a fuzzy score from the edit
+ * distance and the share of query words found in the name.
+ *
+ * @param {string} name - Normalized candidate name
+ * @param {string} query - Normalized query
+ * @returns {number} A score between 0 and 1
+ */
+export function scoreName(name, query) {
+  if (name === query) {
+    return 1;
+  }
+
+  if (name.startsWith(query)) {
+    return 0.9;
+  }
+
+  const words = name.split(' ');
+  if (words.some(word => word.startsWith(query))) {
+    return 0.8;
+  }
+
+  if (name.includes(query)) {
+    return 0.7;
+  }
+
+  if (query.startsWith(`${name} `)) {
+    return 0.65;
+  }
+
+  const queryWords = query.split(' ');
+  const matchedWords = queryWords.filter(queryWord => words.some(word => word.startsWith(queryWord)));
+  if (queryWords.length > 1 && matchedWords.length === queryWords.length) {
+    return 0.6;
+  }
+
+  const similarity = 1 - (editDistance(name, query) / Math.max(name.length, query.length));
+  const coverage = matchedWords.length / queryWords.length;
+  return Math.max(similarity, coverage) * 0.6;
+}
+
+/**
+ * Find a breed by name or alias, ignoring case, diacritics and punctuation.
+ *
+ * A breed's own name wins over another breed's alias or localized name.
+ *
+ * @param {object[]} records - Breed records to look in
+ * @param {string} name - The breed name
+ * @returns {object|undefined} The matching breed, or undefined if not found
+ */
+export function findBreed(records, name) {
+  const target = normalize(name);
+  if (!target) {
+    return undefined;
+  }
+
+  return records.find(breed => normalize(breed.name) === target)
+    ?? records.find(breed => breedNames(breed).some(candidate => normalize(candidate) === target));
+}
+
+/**
+ * Get a breed by its Wikidata QID or its slug.
+ *
+ * @param {object[]} records - Breed records to look in
+ * @param {string} idOrSlug - A QID such as "Q38311" or a slug such as "affenpinscher"
+ * @returns {object|undefined} The matching breed, or undefined if not found
+ */
+export function getBreed(records, idOrSlug) {
+  const value = String(idOrSlug);
+
+  if (/^q\d+$/i.test(value)) {
+    const id = value.toUpperCase();
+    return records.find(breed => breed.id === id);
+  }
+
+  return records.find(breed => breedSlug(breed) === value);
+}
+
+/**
+ * Search breeds by name and rank them by how well they match.
+ *
+ * @param {object[]} records - Breed records to search
+ * @param {string} query - Free-text query
+ * @param {object} [options]
+ * @param {number} [options.limit=10] - Maximum number of results
+ * @param {number} [options.threshold=0.3] - Minimum score (0–1) for a result
+ * @returns {object[]} Matching breeds, best match first
+ */
+export function searchBreeds(records, query, {limit = DEFAULT_LIMIT, threshold = DEFAULT_THRESHOLD} = {}) {
+  const target = normalize(query);
+  if (!target) {
+    return [];
+  }
+
+  const ranked = [];
+  for (const breed of records) {
+    const score = Math.max(...breedNames(breed).map(candidate => scoreName(normalize(candidate), target)));
+    if (score >= threshold) {
+      ranked.push({breed, score});
+    }
+  }
+
+  ranked.sort((a, b) => b.score - a.score || a.breed.name.localeCompare(b.breed.name));
+  return ranked.slice(0, limit).map(({breed}) => breed);
+}
+
+/**
+ * Filter breeds by origin, image availability, status and size.
+ *
+ * Breeds whose weight or height is unknown never match a weight or height
+ * bound.
+ *
+ * @param {object[]} records - Breed records to filter
+ * @param {object} [criteria]
+ * @param {string} [criteria.origin] - Only breeds with this origin label
+ * @param {string} [criteria.country] - Only breeds with an origin in this ISO 3166 country
+ * @param {boolean} [criteria.hasImage] - Only breeds with (true) or without (false) an image
+ * @param {string} [criteria.status] - Only breeds with this status, 'extant' or 'extinct'
+ * @param {string|string[]} [criteria.size] - Only breeds of this size class, or any of these
+ * @param {number} [criteria.minWeightKg] - Only breeds that weigh at least this much
+ * @param {number} [criteria.maxWeightKg] - Only breeds that weigh at most this much
+ * @param {number} [criteria.minHeightCm] - Only breeds at least this tall
+ * @param {number} [criteria.maxHeightCm] - Only breeds at most this tall
+ * @returns {object[]} The matching breeds
+ */
+export function filterBreeds(records, {
+  origin,
+  country,
+  hasImage,
+  status,
+  size,
+  minWeightKg,
+  maxWeightKg,
+  minHeightCm,
+  maxHeightCm,
+} = {}) {
+  const targetOrigin = origin === undefined ? undefined : normalize(origin);
+  const sizes = size === undefined ? undefined : [size].flat();
+
+  return records.filter(breed => {
+    if (targetOrigin !== undefined && !originLabels(breed).some(label => normalize(label) === targetOrigin)) {
+      return false;
+    }
+
+    if (country !== undefined && !hasCountry(breed, country)) {
+      return false;
+    }
+
+    if (hasImage !== undefined && Boolean(breed.imageURL) !== hasImage) {
+      return false;
+    }
+
+    if (status !== undefined && status !== null && breedStatus(breed) !== status) {
+      return false;
+    }
+
+    if (sizes !== undefined && !sizes.includes(breed.size)) {
+      return false;
+    }
+
+    if (!withinRange(breed.weightKg, minWeightKg, maxWeightKg) || !withinRange(breed.heightCm, minHeightCm, maxHeightCm)) {
+      return false;
+    }
+
+    return true;
+  });
+}
@@ -0,0 +1,283 @@
+/**
+ * Validation of breed records against dog-breeds.schema.json, loaded from its
+ * generated module so that validation also works in browsers.
+ *
+ * Supports the JSON Schema keywords the schema uses, so the package needs no
+ * validator dependency: $ref (to #/$defs), anyOf, type, enum, properties,
+ * required, additionalProperties, propertyNames, items, uniqueItems,
+ * minLength, pattern, minimum and maximum. On top of the schema, names (ignoring case
+ * and diacritics), ids and slugs must be unique across the dataset.
+ */
+
+import schema from '../dog-breeds.schema.js';
+import {breedSlug, normalize} from './search.js';
+
+export {default as schema} from '../dog-breeds.schema.js';
+
+/**
+ * The JSON type of a value, telling integers apart from other numbers.
+ *
+ * @param {*} value - A JSON value
+ * @returns {string} "null", "array", "integer", "number", "string", "boolean" or "object"
+ */
+function jsonType(value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+
+  return Number.isInteger(value) ? 'integer' : typeof value;
+}
+
+/**
+ * Escape a property name for a JSON Pointer.
+ *
+ * @param {string|number} key - A property name or array index
+ * @returns {string} The escaped segment
+ */
+function pointerSegment(key) {
+  return String(key).replaceAll('~', '~0').replaceAll('/', '~1');
+}
+
+/**
+ * Follow a `$ref` to its definition.
+ *
+ * @param {object} subschema - A schema
+ * @returns {object} The referenced schema, or the schema itself without a `$ref`
+ */
+function resolve(subschema) {
+  return subschema.$ref ? schema.$defs[subschema.$ref.replace(/^#\/\$defs\//, '')] : subschema;
+}
+
+/**
+ * Whether a value is of a type a schema allows. Integers are numbers.
+ *
+ * @param {*} value - The value
+ * @param {object} subschema - The schema
+ * @returns {boolean} True too for schemas without a `type`
+ */
+function hasType(value, subschema) {
+  const types = [subschema.type ?? []].flat();
+  const type = jsonType(value);
+  return types.length === 0 || types.includes(type) || (type === 'integer' && types.includes('number'));
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {*} value - The value
+ * @param {object} subschema - The schema to check against
+ * @param {string} path - JSON Pointer of the value in the validated data
+ * @returns {Array<{path: string, message: string}>} The errors, empty if valid
+ */
+function check(value, subschema, path) {
+  if (subschema.$ref) {
+    return check(value, resolve(subschema), path);
+  }
+
+  if (subschema.anyOf) {
+    // Report the errors of the closest branch, e.g. the object branch of a
+    // nullable object: one of the value's type with the fewest errors
+    const results = subschema.anyOf.map(branch => ({errors: check(value, branch, path), typed: hasType(value, resolve(branch))}));
+    if (results.some(({errors}) => errors.length === 0)) {
+      return [];
+    }
+
+    return results.sort((a, b) => (b.typed - a.typed) || (a.errors.length - b.errors.length))[0].errors;
+  }
+
+  const type = jsonType(value);
+  if (!hasType(value, subschema)) {
+    return [{path, message: `must be ${[subschema.type].flat().join(' or ')}, got ${type}`}];
+  }
+
+  if (subschema.enum && !subschema.enum.includes(value)) {
+    return [{path, message: `must be one of ${subschema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`}];
+  }
+
+  switch (type) {
+    case 'string': {
+      return checkString(value, subschema, path);
+    }
+
+    case 'number':
+    case 'integer': {
+      if (subschema.minimum !== undefined && value < subschema.minimum) {
+        return [{path, message: `must be at least ${subschema.minimum}, got ${value}`}];
+      }
+
+      return subschema.maximum !== undefined && value > subschema.maximum
+        ? [{path, message: `must be at most ${subschema.maximum}, got ${value}`}]
+        : [];
+    }
+
+    case 'array': {
+      return checkArray(value, subschema, path);
+    }
+
+    case 'object': {
+      return checkObject(value, subschema, path);
+    }
+
+    default: {
+      return [];
+    }
+  }
+}
+
+/**
+ * Validate a string against a schema's length and pattern.
+ *
+ * @param {string} value - The string
+ * @param {object} subschema - The schema to check against
+ * @param {string} path - JSON Pointer of the string in the validated data
+ * @returns {Array<{path: string, message: string}>} The errors, empty if valid
+ */
+function checkString(value, subschema, path) {
+  const errors = [];
+
+  if (subschema.minLength !== undefined && value.length < subschema.minLength) {
+    errors.push({path, message: `must have at least ${subschema.minLength} character${subschema.minLength === 1 ? '' : 's'}`});
+  }
+
+  if (subschema.pattern !== undefined && !new RegExp(subschema.pattern, 'u').test(value)) {
+    errors.push({path, message: `must match ${subschema.pattern}, got ${JSON.stringify(value)}`});
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the items of an array against a schema.
+ *
+ * @param {Array} value - The array
+ * @param {object} subschema - The schema to check against
+ * @param {string} path - JSON Pointer of the array in the validated data
+ * @returns {Array<{path: string, message: string}>} The errors, empty if valid
+ */
+function checkArray(value, subschema, path) {
+  const errors = [];
+
+  if (subschema.uniqueItems) {
+    const seen = new Set();
+    for (const [index, item] of value.entries()) {
+      const key = JSON.stringify(item);
+      if (seen.has(key)) {
+        errors.push({path: `${path}/${index}`, message: `must not repeat ${key}`});
+      }
+
+      seen.add(key);
+    }
+  }
+
+  if (subschema.items) {
+    for (const [index, item] of value.entries()) {
+      errors.push(...check(item, subschema.items, `${path}/${index}`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the properties of an object against a schema.
+ *
+ * @param {object} value - The object
+ * @param {object} subschema - The schema to check against
+ * @param {string} path - JSON Pointer of the object in the validated data
+ * @returns {Array<{path: string, message: string}>} The errors, empty if valid
+ */
+function checkObject(value, subschema, path) {
+  const errors = [];
+  const properties = subschema.properties ?? {};
+
+  for (const key of subschema.required ?? []) {
+    if (!Object.hasOwn(value, key)) {
+      errors.push({path, message: `must have property "${key}"`});
+    }
+  }
+
+  for (const [key, propertyValue] of Object.entries(value)) {
+    const propertyPath = `${path}/${pointerSegment(key)}`;
+
+    if (subschema.propertyNames?.pattern && !new RegExp(subschema.propertyNames.pattern, 'u').test(key)) {
+      errors.push({path: propertyPath, message: `property name must match ${subschema.propertyNames.pattern}`});
+    }
+
+    if (Object.hasOwn(properties, key)) {
+      errors.push(...check(propertyValue, properties[key], propertyPath));
+    } else if (subschema.additionalProperties === false) {
+      errors.push({path: propertyPath, message: 'is not an allowed property'});
+    } else if (typeof subschema.additionalProperties === 'object') {
+      errors.push(...check(propertyValue, subschema.additionalProperties, propertyPath));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Find values that more than one record has.
+ *
+ * @param {object[]} records - Breed records
+ * @param {string} field - Name of the field, for messages and paths
+ * @param {Function} key - Returns the value to compare for a record, or a
+ *   falsy value to skip it
+ * @returns {Array<{path: string, message: string}>} An error for every repeat
+ */
+function findDuplicates(records, field, key) {
+  const first = new Map();
+  const errors = [];
+
+  for (const [index, breed] of records.entries()) {
+    const value = key(breed);
+    if (!value) {
+      continue;
+    }
+
+    if (first.has(value)) {
+      errors.push({path: `/${index}/${field}`, message: `duplicates /${first.get(value)}/${field}`});
+    } else {
+      first.set(value, index);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate breed records against the dataset schema.
+ *
+ * @param {object[]} records - Breed records
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}} Whether the
+ *   records are valid, and what is wrong with them, where `path` is a JSON
+ *   Pointer into `records`, e.g. "/3/imageURL"
+ */
+export function validateBreeds(records) {
+  const errors = check(records, schema, '');
+
+  if (Array.isArray(records)) {
+    // Records without a name already failed the schema
+    const named = breed => typeof breed?.name === 'string';
+    errors.push(
+      ...findDuplicates(records, 'name', breed => named(breed) && normalize(breed.name)),
+      ...findDuplicates(records, 'id', breed => breed?.id),
+      ...findDuplicates(records, 'slug', breed => named(breed) && breedSlug(breed)),
+    );
+  }
+
+  return {valid: errors.length === 0, errors};
+}
+
+/**
+ * Render validation errors as one line each.
+ *
+ * @param {Array<{path: string, message: string}>} errors - Errors from `validateBreeds`
+ * @returns {string[]} e.g. ['/3/imageURL must match ^(https://\\S+)?$, got "http://…"']
+ */
+export function formatValidationErrors(errors) {
+  return errors.map(error => `${error.path || '/'} ${error.message}`);
+}
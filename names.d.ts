@@ -0,0 +1,21 @@
+// Generated by scripts/generate-types.js from dog-breeds.schema.json.
+// Do not edit; run `npm run generate-types` instead.
+
+export interface RandomOptions {
+  /** Seed for a reproducible result. */
+  seed?: string | number;
+  /** Only pick matching names. */
+  filter?: (name: string) => boolean;
+}
+
+/** Names of all extant breeds in alphabetical order. */
+export const all: string[];
+export const extant: string[];
+/** Names of extinct and critically endangered breeds in alphabetical order. */
+export const extinct: string[];
+
+/** A random extant breed name, never the same twice in a row. */
+export function random(): string;
+export function createRandom(options?: RandomOptions): () => string | undefined;
+export function sample(count: number, options?: RandomOptions): string[];
+export function shuffle(options?: RandomOptions): string[];
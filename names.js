@@ -0,0 +1,23 @@
+// Breed names only, without origins, images or any other data, for bundles
+// that just need a name. Import from 'dog-breeds/names'.
+import uniqueRandomArray from 'unique-random-array';
+import {extant} from './dog-breeds.names.js';
+import {createRandomBreed, sampleBreeds, shuffleBreeds} from './lib/random.js';
+
+export {extant, extinct} from './dog-breeds.names.js';
+
+export const all = extant;
+export const random = uniqueRandomArray(all);
+
+// Names have no fields to match criteria against, so only predicates filter them
+function nameOptions(options) {
+  if (options?.filter !== undefined && typeof options.filter !== 'function') {
+    throw new TypeError(`Expected filter to be a function of the name, got ${typeof options.filter}`);
+  }
+
+  return options;
+}
+
+export const createRandom = options => createRandomBreed(all, nameOptions(options));
+export const sample = (count, options) => sampleBreeds(all, count, nameOptions(options));
+export const shuffle = options => shuffleBreeds(all, nameOptions(options));
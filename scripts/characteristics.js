@@ -0,0 +1,169 @@
+/**
+ * Physical characteristics of breeds from Wikidata: weight (P2067), height
+ * (P2048) and life expectancy (P2250), converted to kilograms, centimetres and
+ * years, with separate ranges for males and females where Wikidata has them.
+ */
+
+import {entityId} from './wikidata.js';
+
+// Wikidata unit QID → factor to convert to kg, cm or years
+const UNIT_FACTORS = {
+  weightKg: new Map([
+    ['Q11570', 1], // Kilogram
+    ['Q41803', 0.001], // Gram
+    ['Q100995', 0.453_592_37], // Pound
+    ['Q48013', 0.028_349_523_125], // Ounce
+  ]),
+  heightCm: new Map([
+    ['Q174728', 1], // Centimetre
+    ['Q11573', 100], // Metre
+    ['Q174789', 0.1], // Millimetre
+    ['Q218593', 2.54], // Inch
+    ['Q3710', 30.48], // Foot
+  ]),
+  lifespanYears: new Map([
+    ['Q577', 1], // Year
+    ['Q5151', 1 / 12], // Month
+    ['Q23387', 7 / 365.25], // Week
+  ]),
+};
+
+// Wikidata "sex or gender" (P21) values for males and females
+const SEXES = new Map([
+  ['Q6581097', 'male'],
+  ['Q44148', 'male'],
+  ['Q6581072', 'female'],
+  ['Q43445', 'female'],
+]);
+
+// Upper bounds of each size class by average weight in kg, and by height at
+// the withers in cm for breeds without a known weight
+const SIZE_CLASSES = [
+  {size: 'toy', weightKg: 5, heightCm: 28},
+  {size: 'small', weightKg: 10, heightCm: 40},
+  {size: 'medium', weightKg: 25, heightCm: 57},
+  {size: 'large', weightKg: 45, heightCm: 70},
+  {size: 'giant', weightKg: Number.POSITIVE_INFINITY, heightCm: Number.POSITIVE_INFINITY},
+];
+
+export const CHARACTERISTICS_SPARQL_QUERY = `
+SELECT ?breed ?measure ?amount ?lowerBound ?upperBound ?unit ?sex
+WHERE {
+  VALUES (?measure ?statementProperty ?valueProperty) {
+    ("weightKg" p:P2067 psv:P2067)
+    ("heightCm" p:P2048 psv:P2048)
+    ("lifespanYears" p:P2250 psv:P2250)
+  }
+  ?breed wdt:P31 wd:Q39367 ; ?statementProperty ?statement .
+  ?statement ?valueProperty ?value .
+  ?value wikibase:quantityAmount ?amount ; wikibase:quantityUnit ?unit .
+  OPTIONAL { ?value wikibase:quantityLowerBound ?lowerBound . }
+  OPTIONAL { ?value wikibase:quantityUpperBound ?upperBound . }
+  OPTIONAL { ?statement pq:P21 ?sex . }
+}
+ORDER BY ?breed ?measure
+`;
+
+/**
+ * Round a converted value to one decimal.
+ *
+ * @param {number} value - The value
+ * @returns {number} The rounded value
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Widen a range to include more values.
+ *
+ * @param {{min: number, max: number}|null} range - The range so far, or null
+ * @param {number[]} values - Values to include
+ * @returns {{min: number, max: number}} The widened range
+ */
+function widen(range, values) {
+  return {
+    min: Math.min(range?.min ?? Number.POSITIVE_INFINITY, ...values),
+    max: Math.max(range?.max ?? Number.NEGATIVE_INFINITY, ...values),
+  };
+}
+
+/**
+ * Characteristics of a breed Wikidata knows nothing about.
+ *
+ * @returns {object} Every characteristic set to null
+ */
+export function emptyCharacteristics() {
+  return {
+    weightKg: null,
+    heightCm: null,
+    lifespanYears: null,
+    size: null,
+  };
+}
+
+/**
+ * Classify a breed as toy, small, medium, large or giant.
+ *
+ * Uses the middle of the weight range, or of the height range when the
+ * weight is unknown.
+ *
+ * @param {object} characteristics
+ * @param {{min: number, max: number}|null} characteristics.weightKg - Weight range
+ * @param {{min: number, max: number}|null} characteristics.heightCm - Height range
+ * @returns {string|null} The size class, or null if both are unknown
+ */
+export function sizeClass({weightKg, heightCm}) {
+  const [measure, range] = weightKg ? ['weightKg', weightKg] : ['heightCm', heightCm];
+  if (!range) {
+    return null;
+  }
+
+  const middle = (range.min + range.max) / 2;
+  return SIZE_CLASSES.find(entry => middle < entry[measure]).size;
+}
+
+/**
+ * Parse characteristics SPARQL results into converted ranges per breed.
+ *
+ * Each measure is a `{min, max, male, female}` range over all statements,
+ * where `male` and `female` are `{min, max}` ranges from statements qualified
+ * with that sex, or null. Values in units without a known conversion are
+ * skipped.
+ *
+ * @param {object[]} bindings - The `results.bindings` array from `CHARACTERISTICS_SPARQL_QUERY`
+ * @returns {Map<string, object>} breed QID → { weightKg, heightCm, lifespanYears, size }
+ */
+export function parseWikidataCharacteristics(bindings) {
+  const byBreed = new Map();
+
+  for (const result of bindings) {
+    const measure = result.measure.value;
+    const factor = UNIT_FACTORS[measure]?.get(entityId(result.unit.value));
+    if (factor === undefined) {
+      continue;
+    }
+
+    const values = [result.lowerBound, result.amount, result.upperBound]
+      .filter(Boolean)
+      .map(binding => round(Number(binding.value) * factor));
+
+    const breedId = entityId(result.breed.value);
+    const characteristics = byBreed.get(breedId) ?? emptyCharacteristics();
+    const range = characteristics[measure];
+    const sex = result.sex ? SEXES.get(entityId(result.sex.value)) : undefined;
+
+    characteristics[measure] = {
+      ...widen(range, values),
+      male: sex === 'male' ? widen(range?.male, values) : range?.male ?? null,
+      female: sex === 'female' ? widen(range?.female, values) : range?.female ?? null,
+    };
+    byBreed.set(breedId, characteristics);
+  }
+
+  for (const characteristics of byBreed.values()) {
+    characteristics.size = sizeClass(characteristics);
+  }
+
+  return byBreed;
+}
@@ -0,0 +1,86 @@
+/**
+ * Kennel club classifications of breeds from Wikidata: which major clubs
+ * recognize a breed, its standard number with each club and the club group it
+ * belongs to.
+ *
+ * A club recognizes a breed when the breed has a value for the identifier
+ * property the club issues (P2378 "issued by"); the value is the breed's
+ * standard number. Groups are items the breed is part of (P361) that are
+ * themselves part of the club.
+ */
+
+import {entityId} from './wikidata.js';
+
+// Club id used in records → Wikidata QID of the club. QIDs stay put when
+// labels are edited.
+export const KENNEL_CLUBS = new Map([
+  ['FCI', 'Q14626'], // Fédération Cynologique Internationale
+  ['AKC', 'Q465217'], // American Kennel Club
+  ['KC', 'Q1368258'], // The Kennel Club
+  ['UKC', 'Q354938'], // United Kennel Club
+  ['CKC', 'Q5030018'], // Canadian Kennel Club
+]);
+
+export const CLASSIFICATIONS_SPARQL_QUERY = `
+SELECT ?breed ?club ?standard ?group ?groupLabel
+WHERE {
+  VALUES (?club ?clubItem) {
+${[...KENNEL_CLUBS].map(([id, qid]) => `    ("${id}" wd:${qid})`).join('\n')}
+  }
+  ?property wdt:P2378 ?clubItem ; wikibase:directClaim ?claim .
+  ?breed wdt:P31 wd:Q39367 ; ?claim ?standard .
+  OPTIONAL {
+    ?breed wdt:P361 ?group .
+    ?group wdt:P361 ?clubItem ; rdfs:label ?groupLabel . FILTER(LANG(?groupLabel) = "en")
+  }
+}
+ORDER BY ?breed ?club
+`;
+
+/**
+ * Split a group label into its number and name.
+ *
+ * @param {string} label - e.g. "FCI Group 1: Sheepdogs and Cattledogs" or "Herding Group"
+ * @returns {{number: number|null, name: string}} e.g. { number: 1, name: 'Sheepdogs and Cattledogs' }
+ */
+export function parseGroupLabel(label) {
+  const match = /group\s+(\d+)\s*[:–-]?\s*(.*)$/i.exec(label);
+  if (!match) {
+    return {number: null, name: label};
+  }
+
+  return {number: Number(match[1]), name: match[2] || label};
+}
+
+/**
+ * Parse classification SPARQL results into classifications per breed.
+ *
+ * A breed gets one entry per club, in the order of `KENNEL_CLUBS`, with the
+ * first standard number and group Wikidata has for it.
+ *
+ * @param {object[]} bindings - The `results.bindings` array from `CLASSIFICATIONS_SPARQL_QUERY`
+ * @returns {Map<string, object[]>} breed QID → [{ club, standard, group: { number, name } | null }]
+ */
+export function parseWikidataClassifications(bindings) {
+  const byBreed = new Map();
+
+  for (const result of bindings) {
+    const breedId = entityId(result.breed.value);
+    const classifications = byBreed.get(breedId) ?? new Map();
+    const club = result.club.value;
+    const classification = classifications.get(club) ?? {club, standard: result.standard.value, group: null};
+
+    if (!classification.group && result.groupLabel) {
+      classification.group = parseGroupLabel(result.groupLabel.value);
+    }
+
+    classifications.set(club, classification);
+    byBreed.set(breedId, classifications);
+  }
+
+  const clubOrder = [...KENNEL_CLUBS.keys()];
+  return new Map([...byBreed].map(([breedId, classifications]) => [
+    breedId,
+    [...classifications.values()].sort((a, b) => clubOrder.indexOf(a.club) - clubOrder.indexOf(b.club)),
+  ]));
+}
@@ -0,0 +1,229 @@
+/**
+ * Compare two versions of the breed dataset and report what changed.
+ *
+ * Used by update-breeds.js to summarize a refresh before it is written, and to
+ * refuse suspicious ones (e.g. a vandalized Wikipedia list) in --check mode.
+ */
+
+import {normalize} from '../lib/search.js';
+
+const DEFAULT_THRESHOLD = '5%';
+
+/**
+ * Identify a breed in a report, here and in scripts/quality-report.js.
+ *
+ * @param {object} breed - A breed record
+ * @returns {{name: string, id: string|null}} The breed's name and QID
+ */
+export function describeBreed(breed) {
+  return {name: breed.name, id: breed.id ?? null};
+}
+
+/**
+ * Pair each new record with the previous record for the same breed.
+ *
+ * Records are matched by QID, then Wikipedia article title, then slug and
+ * finally normalized name, so datasets written before ids existed still line
+ * up with newer ones.
+ *
+ * @param {object[]} previous - Records from the current dataset
+ * @param {object[]} next - Freshly merged records
+ * @returns {{pairs: Array<[object, object]>, added: object[], removed: object[]}} Matched and unmatched records
+ */
+export function matchBreeds(previous, next) {
+  const keys = [
+    breed => breed.id,
+    breed => breed.article,
+    breed => breed.slug,
+    breed => normalize(breed.name),
+  ];
+  const indexes = keys.map(key => {
+    const index = new Map();
+    for (const breed of previous) {
+      const value = key(breed);
+      if (value) {
+        index.set(value, [...index.get(value) ?? [], breed]);
+      }
+    }
+
+    return index;
+  });
+  const unmatched = new Set(previous);
+  const pairs = [];
+  const added = [];
+
+  for (const breed of next) {
+    let match;
+    for (const [position, key] of keys.entries()) {
+      const candidates = indexes[position].get(key(breed)) ?? [];
+      match = candidates.find(candidate => unmatched.has(candidate));
+      if (match) {
+        break;
+      }
+    }
+
+    if (match) {
+      unmatched.delete(match);
+      pairs.push([match, breed]);
+    } else {
+      added.push(breed);
+    }
+  }
+
+  return {pairs, added, removed: [...unmatched]};
+}
+
+/**
+ * Compare the previous dataset with a freshly merged one.
+ *
+ * Only fields the previous record already had are compared, so adding a new
+ * field to every record is not reported as a change to every breed. Changes
+ * and additions that came from the overrides file are marked `override: true`.
+ *
+ * @param {object[]} previous - Records from the current dataset
+ * @param {object[]} next - Freshly merged records
+ * @param {object} [options]
+ * @param {Map<object, Set<string>>} [options.overridden] - Fields each new record got from overrides
+ * @returns {object} The diff: added, removed, renamed, changed and lostImages
+ */
+export function diffBreeds(previous, next, {overridden = new Map()} = {}) {
+  const {pairs, added, removed} = matchBreeds(previous, next);
+  const renamed = [];
+  const changed = [];
+  const lostImages = [];
+
+  for (const [before, after] of pairs) {
+    if (before.name !== after.name) {
+      renamed.push({
+        from: before.name,
+        to: after.name,
+        id: after.id ?? null,
+        ...overridden.get(after)?.has('name') && {override: true},
+      });
+    }
+
+    const changes = [];
+    for (const field of Object.keys(before)) {
+      if (field !== 'name' && JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+        changes.push({
+          field,
+          from: before[field],
+          to: after[field],
+          ...overridden.get(after)?.has(field) && {override: true},
+        });
+      }
+    }
+
+    if (changes.length > 0) {
+      changed.push({...describeBreed(after), changes});
+    }
+
+    if (before.imageURL && !after.imageURL) {
+      lostImages.push(describeBreed(after));
+    }
+  }
+
+  return {
+    previousCount: previous.length,
+    nextCount: next.length,
+    added: added.map(breed => ({...describeBreed(breed), ...overridden.has(breed) && {override: true}})),
+    removed: removed.map(breed => describeBreed(breed)),
+    renamed,
+    changed,
+    lostImages,
+  };
+}
+
+/**
+ * Format a value from a breed record for the text report.
+ *
+ * @param {*} value - A field value
+ * @returns {string} The value as it appears in the report
+ */
+function formatValue(value) {
+  return JSON.stringify(value) ?? '(none)';
+}
+
+/**
+ * Suffix for report entries that came from the overrides file.
+ *
+ * @param {object} entry - A diff entry
+ * @returns {string} " (override)" or an empty string
+ */
+function overrideMark(entry) {
+  return entry.override ? ' (override)' : '';
+}
+
+/**
+ * Render a diff as a human-readable report.
+ *
+ * @param {object} diff - A diff from `diffBreeds`
+ * @returns {string} The report
+ */
+export function formatDiffReport(diff) {
+  const lines = [
+    `Breeds: ${diff.previousCount} → ${diff.nextCount} `
+    + `(${diff.added.length} added, ${diff.removed.length} removed, ${diff.renamed.length} renamed, `
+    + `${diff.changed.length} changed, ${diff.lostImages.length} lost images)`,
+  ];
+
+  const sections = [
+    ['Added', diff.added.map(breed => `+ ${breed.name}${overrideMark(breed)}`)],
+    ['Removed', diff.removed.map(breed => `- ${breed.name}`)],
+    ['Renamed', diff.renamed.map(rename => `~ ${rename.from} → ${rename.to}${overrideMark(rename)}`)],
+    ['Changed', diff.changed.flatMap(breed => breed.changes.map(change =>
+      `* ${breed.name}: ${change.field} ${formatValue(change.from)} → ${formatValue(change.to)}${overrideMark(change)}`))],
+    ['Lost images', diff.lostImages.map(breed => `! ${breed.name}`)],
+  ];
+
+  for (const [title, entries] of sections) {
+    if (entries.length > 0) {
+      lines.push('', `${title}:`, ...entries.map(entry => `  ${entry}`));
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Resolve a threshold into a maximum count.
+ *
+ * @param {string|number} threshold - A count such as 10, or a percentage such as "5%"
+ * @param {number} total - The count a percentage is taken of
+ * @returns {number} The maximum allowed count
+ */
+export function resolveThreshold(threshold, total) {
+  const value = String(threshold).trim();
+  const number = Number.parseFloat(value);
+
+  if (!/^\d+(?:\.\d+)?%?$/.test(value)) {
+    throw new TypeError(`Invalid threshold "${threshold}", expected a count like 10 or a percentage like 5%`);
+  }
+
+  return value.endsWith('%') ? Math.floor(total * number / 100) : number;
+}
+
+/**
+ * Check a diff against removal and lost-image thresholds.
+ *
+ * @param {object} diff - A diff from `diffBreeds`
+ * @param {object} [options]
+ * @param {string|number} [options.maxRemovals='5%'] - Maximum removed breeds
+ * @param {string|number} [options.maxLostImages='5%'] - Maximum breeds that lost their image
+ * @returns {string[]} A message per exceeded threshold, empty if the diff passes
+ */
+export function checkDiff(diff, {maxRemovals = DEFAULT_THRESHOLD, maxLostImages = DEFAULT_THRESHOLD} = {}) {
+  const failures = [];
+
+  const removalLimit = resolveThreshold(maxRemovals, diff.previousCount);
+  if (diff.removed.length > removalLimit) {
+    failures.push(`${diff.removed.length} breeds removed, more than the allowed ${removalLimit} (--max-removals ${maxRemovals})`);
+  }
+
+  const lostImageLimit = resolveThreshold(maxLostImages, diff.previousCount);
+  if (diff.lostImages.length > lostImageLimit) {
+    failures.push(`${diff.lostImages.length} breeds lost their image, more than the allowed ${lostImageLimit} (--max-lost-images ${maxLostImages})`);
+  }
+
+  return failures;
+}
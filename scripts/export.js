@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+
+/**
+ * Exports the breed dataset to formats for other languages and tools: CSV,
+ * NDJSON, YAML and an SQL dump that loads into SQLite.
+ *
+ * CSV and SQL are flat: nested objects become one column per leaf, named by
+ * the path joined with underscores (`weightKg_male_min`, `image_license`),
+ * and arrays become JSON text. NDJSON and YAML keep records as they are.
+ *
+ * The updater writes these files next to dog-breeds.json on every update.
+ * To regenerate them from the current dataset without fetching anything:
+ *   node scripts/export.js
+ */
+
+import {readFileSync, writeFileSync} from 'node:fs';
+import process from 'node:process';
+import {fileURLToPath} from 'node:url';
+
+// Joins the path of a nested field into a column name
+const COLUMN_SEPARATOR = '_';
+
+const SQL_TABLE = 'breeds';
+
+// Strings YAML would read as something other than a string
+const YAML_RESERVED = /^(?:true|false|yes|no|on|off|y|n|null|~)$/i;
+
+/**
+ * Whether a value is a plain object (not null or an array).
+ *
+ * @param {*} value - Any value
+ * @returns {boolean} True for objects
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Merge a value into the shape of the records seen so far: the nested keys
+ * of every object, in the order they first appear.
+ *
+ * @param {Map<string, Map|null>} shape - The shape so far; leaves are null
+ * @param {object} object - A record or nested object
+ * @returns {Map<string, Map|null>} The shape
+ */
+function mergeShape(shape, object) {
+  for (const [key, value] of Object.entries(object)) {
+    if (isObject(value)) {
+      shape.set(key, mergeShape(shape.get(key) ?? new Map(), value));
+    } else if (!shape.has(key)) {
+      shape.set(key, null);
+    }
+  }
+
+  return shape;
+}
+
+/**
+ * The leaf paths of a shape.
+ *
+ * @param {Map<string, Map|null>} shape - A shape from `mergeShape`
+ * @param {string[]} [prefix] - Path of the shape itself
+ * @returns {string[][]} Each leaf's path
+ */
+function leafPaths(shape, prefix = []) {
+  return [...shape].flatMap(([key, child]) => child ? leafPaths(child, [...prefix, key]) : [[...prefix, key]]);
+}
+
+/**
+ * Flatten breed records into rows with the same columns.
+ *
+ * The columns are the leaves of every record combined, so a field that is
+ * an object in some records and null in others, like `weightKg`, still gets
+ * one column per nested field. Missing and null values are null, and arrays
+ * are JSON text.
+ *
+ * @param {object[]} breeds - Breed records
+ * @returns {{columns: string[], rows: Array<Array<string|number|boolean|null>>}} Column names and one row per record
+ */
+export function flattenBreeds(breeds) {
+  const shape = new Map();
+  for (const breed of breeds) {
+    mergeShape(shape, breed);
+  }
+
+  const paths = leafPaths(shape);
+  const rows = breeds.map(breed => paths.map(path => {
+    let value = breed;
+    for (const key of path) {
+      value = isObject(value) ? value[key] : undefined;
+    }
+
+    if (Array.isArray(value)) {
+      return JSON.stringify(value);
+    }
+
+    return isObject(value) || value === undefined ? null : value;
+  }));
+
+  return {columns: paths.map(path => path.join(COLUMN_SEPARATOR)), rows};
+}
+
+/**
+ * Format a value as a CSV field, quoting it when it contains a comma, quote
+ * or line break (RFC 4180).
+ *
+ * @param {string|number|boolean|null} value - The value; null is empty
+ * @returns {string} The field
+ */
+function csvField(value) {
+  const text = value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Export breeds as CSV with a header row.
+ *
+ * @param {object[]} breeds - Breed records
+ * @returns {string} The CSV
+ */
+export function toCsv(breeds) {
+  const {columns, rows} = flattenBreeds(breeds);
+  return [columns, ...rows].map(row => row.map(value => csvField(value)).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Export breeds as newline-delimited JSON, one record per line.
+ *
+ * @param {object[]} breeds - Breed records
+ * @returns {string} The NDJSON
+ */
+export function toNdjson(breeds) {
+  return breeds.map(breed => JSON.stringify(breed) + '\n').join('');
+}
+
+/**
+ * Format a value as a YAML scalar, quoting strings that would otherwise be
+ * read as another type or break the syntax.
+ *
+ * @param {string|number|boolean|null} value - The value
+ * @returns {string} The scalar
+ */
+function yamlScalar(value) {
+  if (typeof value !== 'string') {
+    return String(value);
+  }
+
+  const plain = /^\p{L}[\p{L}\p{N} .,'()/-]*$/u.test(value) && !value.endsWith(' ') && !YAML_RESERVED.test(value);
+  return plain ? value : JSON.stringify(value);
+}
+
+/**
+ * Format a mapping key for YAML.
+ *
+ * @param {string} key - The key
+ * @returns {string} The key, quoted if needed
+ */
+function yamlKey(key) {
+  return /^[A-Za-z_][\w-]*$/.test(key) && !YAML_RESERVED.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Whether a value is written as a nested block rather than on one line.
+ *
+ * @param {*} value - Any value
+ * @returns {boolean} True for non-empty arrays and objects
+ */
+function isBlock(value) {
+  return Array.isArray(value) ? value.length > 0 : isObject(value) && Object.keys(value).length > 0;
+}
+
+/**
+ * Format a value that fits on one line: a scalar or an empty collection.
+ *
+ * @param {*} value - The value
+ * @returns {string} The YAML
+ */
+function yamlInline(value) {
+  if (Array.isArray(value)) {
+    return '[]';
+  }
+
+  return isObject(value) ? '{}' : yamlScalar(value);
+}
+
+/**
+ * Format a non-empty array or object as YAML block lines.
+ *
+ * @param {Array|object} value - The collection
+ * @param {number} indent - Spaces before each line
+ * @returns {string[]} The lines
+ */
+function yamlBlock(value, indent) {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    return value.flatMap(item => {
+      if (!isBlock(item)) {
+        return [`${pad}- ${yamlInline(item)}`];
+      }
+
+      // The first line of a nested block goes on the same line as the dash
+      const [first, ...rest] = yamlBlock(item, indent + 2);
+      return [`${pad}- ${first.trimStart()}`, ...rest];
+    });
+  }
+
+  return Object.entries(value).flatMap(([key, child]) => isBlock(child)
+    ? [`${pad}${yamlKey(key)}:`, ...yamlBlock(child, indent + 2)]
+    : [`${pad}${yamlKey(key)}: ${yamlInline(child)}`]);
+}
+
+/**
+ * Export breeds as a YAML sequence.
+ *
+ * @param {object[]} breeds - Breed records
+ * @returns {string} The YAML
+ */
+export function toYaml(breeds) {
+  return breeds.length === 0 ? '[]\n' : yamlBlock(breeds, 0).join('\n') + '\n';
+}
+
+/**
+ * Quote an SQL identifier.
+ *
+ * @param {string} name - A table or column name
+ * @returns {string} The quoted identifier
+ */
+function sqlIdentifier(name) {
+  return `"${name.replaceAll('"', '""')}"`;
+}
+
+/**
+ * Format a value as an SQL literal.
+ *
+ * @param {string|number|boolean|null} value - The value
+ * @returns {string} The literal; booleans are 0 or 1
+ */
+function sqlLiteral(value) {
+  if (value === null) {
+    return 'NULL';
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0';
+  }
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? String(value) : 'NULL';
+  }
+
+  return `'${value.replaceAll('\'', '\'\'')}'`;
+}
+
+/**
+ * The SQLite type of a column from the values in it.
+ *
+ * @param {Array<string|number|boolean|null>} values - The column's values
+ * @returns {string} INTEGER, REAL or TEXT
+ */
+function sqlType(values) {
+  const present = values.filter(value => value !== null);
+  if (present.length > 0 && present.every(value => typeof value === 'boolean' || Number.isInteger(value))) {
+    return 'INTEGER';
+  }
+
+  return present.length > 0 && present.every(value => typeof value === 'number') ? 'REAL' : 'TEXT';
+}
+
+/**
+ * Export breeds as an SQL dump that creates and fills a `breeds` table,
+ * with the same columns as the CSV.
+ *
+ * @param {object[]} breeds - Breed records
+ * @returns {string} The SQL, for `sqlite3 dog-breeds.db < dog-breeds.sql`
+ */
+export function toSql(breeds) {
+  const {columns, rows} = flattenBreeds(breeds);
+  const table = sqlIdentifier(SQL_TABLE);
+  const columnList = columns.map(column => sqlIdentifier(column)).join(', ');
+  const definitions = columns.map((column, index) => `  ${sqlIdentifier(column)} ${sqlType(rows.map(row => row[index]))}`);
+
+  return [
+    'BEGIN TRANSACTION;',
+    `DROP TABLE IF EXISTS ${table};`,
+    `CREATE TABLE ${table} (\n${definitions.join(',\n')}\n);`,
+    ...rows.map(row => `INSERT INTO ${table} (${columnList}) VALUES (${row.map(value => sqlLiteral(value)).join(', ')});`),
+    'COMMIT;',
+  ].join('\n') + '\n';
+}
+
+// File extension → exporter
+export const EXPORTS = new Map([
+  ['csv', toCsv],
+  ['ndjson', toNdjson],
+  ['yaml', toYaml],
+  ['sql', toSql],
+]);
+
+/**
+ * Path of an export written next to a dataset.
+ *
+ * @param {string} outputPath - Path of the dataset JSON
+ * @param {string} extension - Extension of the export, e.g. "csv"
+ * @returns {string} e.g. dog-breeds.csv for dog-breeds.json
+ */
+export function exportPath(outputPath, extension) {
+  return outputPath.replace(/(?:\.json)?$/, `.${extension}`);
+}
+
+/**
+ * Write every export of a dataset next to it.
+ *
+ * @param {object[]} breeds - Breed records
+ * @param {string} outputPath - Path of the dataset JSON
+ * @param {Function} writeFunction - File write function
+ * @returns {string[]} The paths written
+ */
+export function writeExports(breeds, outputPath, writeFunction) {
+  return [...EXPORTS].map(([extension, exporter]) => {
+    const path = exportPath(outputPath, extension);
+    writeFunction(path, exporter(breeds));
+    return path;
+  });
+}
+
+// Only run when executed directly (not when imported by tests)
+/* c8 ignore next 5 */
+const isMainModule = process.argv[1] === fileURLToPath(import.meta.url);
+if (isMainModule) {
+  const outputPath = fileURLToPath(new URL('../dog-breeds.json', import.meta.url));
+  writeExports(JSON.parse(readFileSync(outputPath, 'utf8')), outputPath, writeFileSync);
+}
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Generates ES modules of the JSON data for browser.js, names.js and
+ * lib/validate.js, which can't read files:
+ *   dog-breeds.js         The breed records, from dog-breeds.json
+ *   dog-breeds.names.js   Names of extant and extinct breeds
+ *   dog-breeds.schema.js  The schema, from dog-breeds.schema.json
+ *   dog-breeds.metadata.js  Provenance metadata, from dog-breeds.metadata.json
+ *
+ * The updater writes all but the schema module next to dog-breeds.json on
+ * every update. To regenerate them all from the current JSON files:
+ *   node scripts/generate-modules.js
+ */
+
+import {readFileSync, writeFileSync} from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import {fileURLToPath} from 'node:url';
+
+/**
+ * The header of a generated module.
+ *
+ * @param {string} source - File the module is generated from
+ * @returns {string} The header comment
+ */
+function header(source) {
+  return `// Generated by scripts/generate-modules.js from ${source}.\n// Do not edit; run \`npm run generate-modules\` instead.\n`;
+}
+
+/**
+ * An ES module whose default export is a JSON value.
+ *
+ * @param {*} value - The value
+ * @param {string} source - File the value comes from, for the header
+ * @returns {string} The module source
+ */
+export function toModule(value, source) {
+  return `${header(source)}\nexport default ${JSON.stringify(value, null, 2)};\n`;
+}
+
+/**
+ * An ES module exporting the names of extant and extinct breeds, in the
+ * order of the dataset.
+ *
+ * @param {object[]} breeds - Breed records
+ * @param {string} source - File the records come from, for the header
+ * @returns {string} The module source
+ */
+export function toNamesModule(breeds, source) {
+  const names = status => JSON.stringify(
+    breeds.filter(breed => (breed.status ?? 'extant') === status).map(breed => breed.name),
+    null,
+    2,
+  );
+
+  return `${header(source)}\nexport const extant = ${names('extant')};\n\nexport const extinct = ${names('extinct')};\n`;
+}
+
+/**
+ * Path of a module written next to a JSON file.
+ *
+ * @param {string} jsonPath - Path of the JSON file
+ * @param {string} [suffix] - Inserted before the extension, e.g. ".names"
+ * @returns {string} e.g. dog-breeds.names.js for dog-breeds.json
+ */
+export function modulePath(jsonPath, suffix = '') {
+  return jsonPath.replace(/(?:\.json)?$/, `${suffix}.js`);
+}
+
+/**
+ * Write the data and names modules of a dataset next to it.
+ *
+ * @param {object[]} breeds - Breed records
+ * @param {string} outputPath - Path of the dataset JSON
+ * @param {Function} writeFunction - File write function
+ * @returns {string[]} The paths written
+ */
+export function writeModules(breeds, outputPath, writeFunction) {
+  const source = path.basename(outputPath);
+  const modules = [
+    [modulePath(outputPath), toModule(breeds, source)],
+    [modulePath(outputPath, '.names'), toNamesModule(breeds, source)],
+  ];
+
+  for (const [path, code] of modules) {
+    writeFunction(path, code);
+  }
+
+  return modules.map(([path]) => path);
+}
+
+// Only run when executed directly (not when imported by tests)
+/* c8 ignore next 9 */
+const isMainModule = process.argv[1] === fileURLToPath(import.meta.url);
+if (isMainModule) {
+  const outputPath = fileURLToPath(new URL('../dog-breeds.json', import.meta.url));
+  const schemaPath = fileURLToPath(new URL('../dog-breeds.schema.json', import.meta.url));
+  writeModules(JSON.parse(readFileSync(outputPath, 'utf8')), outputPath, writeFileSync);
+  writeFileSync(modulePath(schemaPath), toModule(JSON.parse(readFileSync(schemaPath, 'utf8')), 'dog-breeds.schema.json'));
+  const metadataPath = fileURLToPath(new URL('../dog-breeds.metadata.json', import.meta.url));
+  writeFileSync(modulePath(metadataPath), toModule(JSON.parse(readFileSync(metadataPath, 'utf8')), 'dog-breeds.metadata.json'));
+}
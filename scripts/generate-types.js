@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+
+/**
+ * Generates the TypeScript declarations in index.d.ts: the record types from
+ * dog-breeds.schema.json, followed by the declarations of the package's
+ * exports in `API` below. Also writes names.d.ts for the names-only entry
+ * and server.d.ts for the HTTP server.
+ *
+ * Run after changing the schema or the exports of index.js, names.js or
+ * server.js:
+ *   node scripts/generate-types.js
+ */
+
+import {readFileSync, writeFileSync} from 'node:fs';
+import process from 'node:process';
+import {fileURLToPath} from 'node:url';
+
+const HEADER = `// Generated by scripts/generate-types.js from dog-breeds.schema.json.
+// Do not edit; run \`npm run generate-types\` instead.`;
+
+// Declarations of the exports of index.js, in terms of the schema types
+const API = `export type Size = NonNullable<Breed['size']>;
+export type Club = Classification['club'];
+
+/** Criteria for \`filter()\`. A breed must match all of them. */
+export interface FilterCriteria {
+  /** Only breeds with this origin label. */
+  origin?: string;
+  /** Only breeds with an origin in this ISO 3166 country, e.g. \`'GB'\`. */
+  country?: string;
+  /** Only breeds with (true) or without (false) an image. */
+  hasImage?: boolean;
+  /** Only breeds with this status. \`filter()\` defaults to \`'extant'\`; \`null\` matches both. */
+  status?: Breed['status'] | null;
+  /** Only breeds of this size class, or of any of these. */
+  size?: Size | Size[];
+  minWeightKg?: number;
+  maxWeightKg?: number;
+  minHeightCm?: number;
+  maxHeightCm?: number;
+}
+
+export interface RandomOptions {
+  /** Seed for a reproducible result. */
+  seed?: string | number;
+  /** Only pick matching breeds. */
+  filter?: FilterCriteria | ((breed: Breed) => boolean);
+}
+
+export interface SearchOptions {
+  /** Maximum number of results. Default: 10. */
+  limit?: number;
+  /** Minimum score (0–1) for a result. Default: 0.3. */
+  threshold?: number;
+}
+
+export interface QuizOptions extends RandomOptions {
+  /** Number of questions. Default: 10. */
+  count?: number;
+  /** Number of choices per question, including the answer. Default: 4. */
+  choices?: number;
+  /** Random wrong answers (easy), or ones with the same origin or a similar name (hard). Default: 'easy'. */
+  difficulty?: 'easy' | 'medium' | 'hard';
+  /** Slugs of breeds already asked about, to skip. The slugs of the new questions' breeds are added. */
+  session?: Set<string>;
+}
+
+export interface QuizQuestion {
+  breed: Breed;
+  imageURL: string;
+  /** The breed and the wrong answers, in random order. */
+  choices: Breed[];
+  /** The index of \`breed\` in \`choices\`. */
+  answer: number;
+}
+
+export interface ImageURLOptions {
+  /** Thumbnail width in pixels; omit for the original. */
+  width?: number;
+}
+
+export interface GeoJSONOptions {
+  /** Only include matching breeds. */
+  filter?: FilterCriteria | ((breed: Breed) => boolean);
+}
+
+/** A GeoJSON Point feature for an origin, listing the breeds from there. */
+export interface OriginFeature {
+  type: 'Feature';
+  /** The Wikidata QID of the origin, absent for the few legacy origin labels without one. */
+  id?: string;
+  /** The origin's bounding box, if known. */
+  bbox?: [west: number, south: number, east: number, north: number];
+  geometry: {
+    type: 'Point';
+    /** The origin's coordinates, or the center of its bounding box. */
+    coordinates: [lon: number, lat: number];
+  };
+  properties: {
+    label: string;
+    code: string | null;
+    breeds: Array<{name: string; slug: string; id: string | null}>;
+  };
+}
+
+export interface OriginFeatureCollection {
+  type: 'FeatureCollection';
+  /** Sorted by origin label. */
+  features: OriginFeature[];
+}
+
+export interface AncestryOptions {
+  /** Number of generations. Default: Infinity. */
+  depth?: number;
+}
+
+export interface ValidationError {
+  /** JSON Pointer of the invalid value, e.g. \`'/3/imageURL'\`. */
+  path: string;
+  message: string;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  errors: ValidationError[];
+}
+
+/** Where a field of a record came from. */
+/** Where a field came from: one of these, or the name of an extra source the updater merged. */
+export type FieldSource = 'wikipedia' | 'wikidata' | 'commons' | 'override' | (string & {});
+
+/** Provenance of the dataset. The fields are null for data from before the updater recorded them. */
+export interface Metadata {
+  /** When the data was fetched, as an ISO 8601 date. */
+  fetchedAt: string | null;
+  wikipedia: {
+    page: string;
+    /** The revision of the page the breed list comes from. */
+    revisionId: number | null;
+  };
+  wikidata: {
+    /** Locales breed names were collected in, besides English. */
+    locales: string[];
+    queryHash: string | null;
+    resultsHash: string | null;
+  };
+  overridesHash: string | null;
+  /** The extra sources the updater merged, and a hash of what each returned. */
+  extraSources: Array<{name: string; hash: string}>;
+  /** Where each field of each record came from, by slug. Fields without a value have no source. */
+  sources: Record<string, Partial<Record<keyof Breed, FieldSource>>>;
+}
+
+/** A breed record, or its Wikidata QID or slug. */
+export type BreedReference = Breed | string;
+
+/** All extant breeds in alphabetical order. */
+export const all: Breed[];
+export const extant: Breed[];
+/** Extinct and critically endangered breeds in alphabetical order. */
+export const extinct: Breed[];
+/** Where and when the data was fetched. */
+export const metadata: Metadata;
+
+/** A random extant breed, never the same twice in a row. */
+export function random(): Breed;
+export function createRandom(options?: RandomOptions): () => Breed | undefined;
+export function sample(count: number, options?: RandomOptions): Breed[];
+export function shuffle(options?: RandomOptions): Breed[];
+export function quiz(options?: QuizOptions): QuizQuestion[];
+
+export function find(name: string): Breed | undefined;
+export function get(idOrSlug: string): Breed | undefined;
+export function search(query: string, options?: SearchOptions): Breed[];
+export function filter(criteria?: FilterCriteria): Breed[];
+export function byCountry(code: string): Breed[];
+export function byGroup(club: Club | Lowercase<Club>, group: number | string): Breed[];
+export function recognizedBy(club: Club | Lowercase<Club>): Breed[];
+export function localize(breed: Breed, locale?: string): string;
+export function imageURL(breed: Breed, options?: ImageURLOptions): string;
+
+/** Breed origins as GeoJSON, for a map. Breeds with several origins appear at each. */
+export function toGeoJSON(options?: GeoJSONOptions): OriginFeatureCollection;
+/** Breeds with an origin within \`radiusKm\` of a point, nearest first. */
+export function breedsNear(lat: number, lon: number, radiusKm: number): Breed[];
+
+export function parentsOf(breed: BreedReference): Breed[];
+export function ancestorsOf(breed: BreedReference, options?: AncestryOptions): Breed[];
+export function descendantsOf(breed: BreedReference, options?: AncestryOptions): Breed[];
+
+/** Check records against dog-breeds.schema.json. */
+export function validate(records: unknown): ValidationResult;`;
+
+// Declarations of the exports of names.js
+export const NAMES_DECLARATIONS = `${HEADER}
+
+export interface RandomOptions {
+  /** Seed for a reproducible result. */
+  seed?: string | number;
+  /** Only pick matching names. */
+  filter?: (name: string) => boolean;
+}
+
+/** Names of all extant breeds in alphabetical order. */
+export const all: string[];
+export const extant: string[];
+/** Names of extinct and critically endangered breeds in alphabetical order. */
+export const extinct: string[];
+
+/** A random extant breed name, never the same twice in a row. */
+export function random(): string;
+export function createRandom(options?: RandomOptions): () => string | undefined;
+export function sample(count: number, options?: RandomOptions): string[];
+export function shuffle(options?: RandomOptions): string[];
+`;
+
+// Declarations of the exports of server.js
+export const SERVER_DECLARATIONS = `${HEADER}
+
+import type {IncomingMessage, Server, ServerResponse} from 'node:http';
+import type {Breed} from './index.js';
+
+export interface ServerOptions {
+  /** Breed records to serve instead of dog-breeds.json. */
+  breeds?: Breed[];
+  /** Dataset version for ETags. Default: a hash of the data. */
+  version?: string;
+  /** When the data last changed. Default: \`metadata.fetchedAt\`; without it, only ETags are sent. */
+  lastModified?: Date;
+  /** Value of Access-Control-Allow-Origin, or false for no CORS headers. Default: \`'*'\`. */
+  cors?: string | false;
+  /** Largest page size and random count. Default: 100. */
+  maxLimit?: number;
+}
+
+/** An error with the HTTP status to answer with. */
+export class RequestError extends Error {
+  constructor(status: number, message: string);
+  status: number;
+}
+
+export function datasetVersion(json: string): string;
+export function createHandler(options?: ServerOptions): (request: IncomingMessage, response: ServerResponse) => void;
+export function createServer(options?: ServerOptions): Server;
+`;
+
+/**
+ * Render a description as a doc comment.
+ *
+ * @param {string|undefined} description - The description
+ * @param {string} indent - Indentation of the comment
+ * @returns {string[]} The comment lines, none without a description
+ */
+function documentationComment(description, indent) {
+  return description ? [`${indent}/** ${description} */`] : [];
+}
+
+/**
+ * Wrap a union type in parentheses so it can take a suffix like `[]`.
+ *
+ * @param {string} type - A TypeScript type
+ * @returns {string} The type, parenthesized if it is a union
+ */
+function group(type) {
+  return type.includes(' | ') && !type.startsWith('{') ? `(${type})` : type;
+}
+
+/**
+ * Render an object schema as a TypeScript object type body.
+ *
+ * @param {object} schema - The full schema, for resolving references
+ * @param {object} subschema - An object schema
+ * @param {string} indent - Indentation of the members
+ * @returns {string[]} One or more lines per member
+ */
+function objectMembers(schema, subschema, indent) {
+  const required = new Set(subschema.required ?? []);
+  const properties = Object.entries(subschema.properties ?? {});
+  const extra = typeof subschema.additionalProperties === 'object' ? tsType(schema, subschema.additionalProperties, indent) : undefined;
+
+  // Required keys that are only covered by additionalProperties, like names.en
+  const requiredExtra = [...required].filter(key => !Object.hasOwn(subschema.properties ?? {}, key));
+
+  return [
+    ...properties.flatMap(([key, property]) => [
+      ...documentationComment(property.description, indent),
+      `${indent}${key}${required.has(key) ? '' : '?'}: ${tsType(schema, property, indent)};`,
+    ]),
+    ...requiredExtra.map(key => `${indent}${key}: ${extra};`),
+    ...extra ? [`${indent}[key: string]: ${extra};`] : [],
+  ];
+}
+
+/**
+ * Render a schema as a TypeScript type.
+ *
+ * References to definitions with a title become the interface of that name;
+ * other definitions are inlined.
+ *
+ * @param {object} schema - The full schema, for resolving references
+ * @param {object} subschema - The schema to render
+ * @param {string} [indent] - Indentation of the surrounding member
+ * @returns {string} The type
+ */
+export function tsType(schema, subschema, indent = '') {
+  if (subschema.$ref) {
+    const definition = schema.$defs[subschema.$ref.replace(/^#\/\$defs\//, '')];
+    return definition.title ?? tsType(schema, definition, indent);
+  }
+
+  if (subschema.anyOf) {
+    return subschema.anyOf.map(branch => tsType(schema, branch, indent)).join(' | ');
+  }
+
+  if (subschema.enum) {
+    return subschema.enum.map(value => typeof value === 'string' ? `'${value}'` : String(value)).join(' | ');
+  }
+
+  const types = [subschema.type ?? 'unknown'].flat();
+  return [...new Set(types.map(type => {
+    switch (type) {
+      case 'integer':
+      case 'number': {
+        return 'number';
+      }
+
+      case 'array': {
+        return `${group(tsType(schema, subschema.items ?? {}, indent))}[]`;
+      }
+
+      case 'object': {
+        return `{\n${objectMembers(schema, subschema, `${indent}  `).join('\n')}\n${indent}}`;
+      }
+
+      default: {
+        return type;
+      }
+    }
+  }))].join(' | ');
+}
+
+/**
+ * Generate the declarations file.
+ *
+ * @param {object} schema - The dataset schema
+ * @returns {string} The contents of index.d.ts
+ */
+export function generateTypes(schema) {
+  const interfaces = Object.values(schema.$defs)
+    .filter(definition => definition.title)
+    .map(definition => [
+      ...documentationComment(definition.description, ''),
+      `export interface ${definition.title} {`,
+      ...objectMembers(schema, definition, '  '),
+      '}',
+    ].join('\n'));
+
+  return [HEADER, ...interfaces, API].join('\n\n') + '\n';
+}
+
+// Only run when executed directly (not when imported by tests)
+/* c8 ignore next 7 */
+const isMainModule = process.argv[1] === fileURLToPath(import.meta.url);
+if (isMainModule) {
+  const schema = JSON.parse(readFileSync(new URL('../dog-breeds.schema.json', import.meta.url), 'utf8'));
+  writeFileSync(new URL('../index.d.ts', import.meta.url), generateTypes(schema));
+  writeFileSync(new URL('../names.d.ts', import.meta.url), NAMES_DECLARATIONS);
+  writeFileSync(new URL('../server.d.ts', import.meta.url), SERVER_DECLARATIONS);
+}
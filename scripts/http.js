@@ -0,0 +1,197 @@
+/**
+ * Shared HTTP layer for update-breeds.js: status and content-type checks,
+ * retries with exponential backoff that honor `Retry-After`, a limit on
+ * concurrent requests and request timeouts.
+ */
+
+import {setTimeout as delay} from 'node:timers/promises';
+
+// Statuses worth retrying: rate limiting and transient server errors
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+const DEFAULT_OPTIONS = {
+  concurrency: 4,
+  retries: 3,
+  timeout: 60_000,
+  retryDelay: 1000,
+  maxRetryDelay: 60_000,
+};
+
+/**
+ * An HTTP request that failed, with the URL and status (if any) attached.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {object} details
+   * @param {string|URL} details.url - The request URL
+   * @param {number} [details.status] - The response status, if there was a response
+   * @param {Error} [details.cause] - The underlying error, if any
+   */
+  constructor(message, {url, status, cause}) {
+    super(message, {cause});
+    this.name = 'HttpError';
+    this.url = String(url);
+    this.status = status;
+  }
+}
+
+/**
+ * Shorten a URL for error messages; SPARQL query URLs can be very long.
+ *
+ * @param {string|URL} url - The request URL
+ * @returns {string} The URL, truncated to 120 characters
+ */
+export function describeUrl(url) {
+  const href = String(url);
+  return href.length > 120 ? `${href.slice(0, 119)}…` : href;
+}
+
+/**
+ * Parse a `Retry-After` header.
+ *
+ * @param {string|null} value - Header value: seconds, or an HTTP date
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|undefined} Milliseconds to wait, or undefined if absent or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return undefined;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Create a function that runs at most `concurrency` tasks at a time.
+ *
+ * @param {number} concurrency - Maximum number of tasks in flight
+ * @returns {Function} Runs an async task once a slot is free and resolves with its result
+ */
+export function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active < concurrency && queue.length > 0) {
+      active++;
+      queue.shift()();
+    }
+  };
+
+  return async task => {
+    await new Promise(resolve => {
+      queue.push(resolve);
+      next();
+    });
+
+    try {
+      return await task();
+    } finally {
+      active--;
+      next();
+    }
+  };
+}
+
+/**
+ * Wrap a fetch implementation with timeouts, retries and a concurrency limit.
+ *
+ * Responses with a retryable status (429, 5xx, …), network errors and timeouts
+ * are retried with exponential backoff, waiting as long as `Retry-After` asks
+ * when the server sends it. Any other non-2xx response, or running out of
+ * retries, rejects with an `HttpError`.
+ *
+ * @param {Function} fetchFunction - Fetch implementation to wrap
+ * @param {object} [options]
+ * @param {number} [options.concurrency=4] - Maximum requests in flight
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.timeout=60000] - Milliseconds before an attempt is aborted
+ * @param {number} [options.retryDelay=1000] - Delay before the first retry, doubled for each further retry
+ * @param {number} [options.maxRetryDelay=60000] - Upper bound for any single delay
+ * @param {Function} [options.sleep] - Waits the given milliseconds (for tests)
+ * @returns {Function} A fetch implementation
+ */
+export function createResilientFetch(fetchFunction, options = {}) {
+  const {concurrency, retries, timeout, retryDelay, maxRetryDelay} = {...DEFAULT_OPTIONS, ...options};
+  const {sleep = delay} = options;
+  const limit = createLimiter(concurrency);
+
+  return (url, requestOptions = {}) => {
+    /**
+     * Make one attempt, and retry it after a delay if that fails in a way
+     * that may pass.
+     *
+     * @param {number} number - Attempts made before this one
+     * @returns {Promise<Response>} The successful response
+     */
+    const attempt = async number => {
+      const attempts = `after ${number + 1} attempt${number === 0 ? '' : 's'}`;
+      let response;
+
+      try {
+        response = await fetchFunction(url, {...requestOptions, signal: AbortSignal.timeout(timeout)});
+      } catch (error) {
+        if (number >= retries) {
+          const reason = error.name === 'TimeoutError' ? `timed out after ${timeout} ms` : `failed: ${error.message}`;
+          throw new HttpError(`Request to ${describeUrl(url)} ${reason} ${attempts}`, {url, cause: error});
+        }
+
+        await sleep(Math.min(retryDelay * (2 ** number), maxRetryDelay));
+        return attempt(number + 1);
+      }
+
+      if (response.ok) {
+        return response;
+      }
+
+      if (!RETRYABLE_STATUSES.has(response.status) || number >= retries) {
+        const text = await response.text();
+        const body = text.trim().slice(0, 200);
+        throw new HttpError(
+          `Request to ${describeUrl(url)} failed with ${response.status} ${response.statusText}`.trimEnd()
+          + ` ${attempts}${body ? `: ${body}` : ''}`,
+          {url, status: response.status},
+        );
+      }
+
+      // Discard the body so the connection is released while we wait
+      await response.body?.cancel();
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      await sleep(Math.min(retryAfter ?? retryDelay * (2 ** number), maxRetryDelay));
+      return attempt(number + 1);
+    };
+
+    return limit(() => attempt(0));
+  };
+}
+
+/**
+ * Read a response body as JSON, failing clearly if it is anything else.
+ *
+ * @param {Response} response - A successful response
+ * @param {string|URL} url - The request URL, for error messages
+ * @returns {Promise<*>} The parsed body
+ */
+export async function readJson(response, url) {
+  const contentType = response.headers.get('content-type') ?? '';
+  const body = await response.text();
+
+  if (!contentType.includes('json')) {
+    throw new HttpError(
+      `Expected JSON from ${describeUrl(url)} but got "${contentType}": ${body.trim().slice(0, 200)}`,
+      {url, status: response.status},
+    );
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw new HttpError(`Invalid JSON from ${describeUrl(url)}: ${error.message}`, {url, status: response.status, cause: error});
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Requests to the Wikipedia, Commons and Wikidata APIs, and the wikitext
+ * parsing shared by update-breeds.js and the Wikipedia sources in
+ * scripts/sources.js.
+ */
+
+import {readJson} from './http.js';
+
+const USER_AGENT = 'dog-breeds-updater/1.0 (https://github.com/chrisvogt/dog-breeds)';
+
+/**
+ * Fetch a URL and parse the JSON response.
+ *
+ * @param {URL} url - The request URL
+ * @param {Function} fetchFunction - Fetch implementation
+ * @returns {Promise<*>} The parsed body
+ */
+export async function fetchJson(url, fetchFunction) {
+  const response = await fetchFunction(url, {headers: {'User-Agent': USER_AGENT}});
+  return readJson(response, url);
+}
+
+/**
+ * Fetch from the Wikipedia or Commons API, failing clearly on API errors.
+ *
+ * @param {URL} url - The request URL
+ * @param {Function} fetchFunction - Fetch implementation
+ * @param {string} field - Top-level field the response must have
+ * @param {string} [site] - Site name for error messages
+ * @returns {Promise<object>} The parsed body
+ */
+export async function fetchMediaWiki(url, fetchFunction, field, site = 'Wikipedia') {
+  const data = await fetchJson(url, fetchFunction);
+  if (data.error) {
+    throw new Error(`${site} API error (${data.error.code}): ${data.error.info}`);
+  }
+
+  if (!data[field]) {
+    throw new Error(`Unexpected ${site} API response: no "${field}" field`);
+  }
+
+  return data;
+}
+
+/**
+ * Collect bullet-list wiki links from a slice of wikitext.
+ *
+ * @param {string} text - Wikitext to scan
+ * @returns {Map<string, string>} article title → display name
+ */
+export function parseBulletLinks(text) {
+  // Match bullet-list wiki links: * [[Article Title]] or * [[Article Title|Display Name]]
+  const linkPattern = /\*\s*\[\[([^\]|]+?)(?:\|([^\]]+?))?]]/g;
+  const breeds = new Map();
+
+  for (const match of text.matchAll(linkPattern)) {
+    const articleTitle = match[1].trim();
+    const displayName = (match[2] || match[1]).trim();
+    if (!breeds.has(articleTitle)) {
+      breeds.set(articleTitle, displayName);
+    }
+  }
+
+  return breeds;
+}
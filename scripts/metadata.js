@@ -0,0 +1,202 @@
+/**
+ * Provenance metadata of a dataset, written by the updater next to it as
+ * dog-breeds.metadata.json (and a module for browser.js):
+ *
+ *   {
+ *     "fetchedAt": "2026-10-19T12:00:00.000Z",
+ *     "wikipedia": {"page": "List of dog breeds", "revisionId": 1250000000},
+ *     "wikidata": {"locales": ["de", "es"], "queryHash": "…", "resultsHash": "…"},
+ *     "overridesHash": "…",
+ *     "extraSources": [{"name": "fci", "hash": "…"}],
+ *     "sources": {"akita": {"name": "wikipedia", "origin": "wikidata", …}}
+ *   }
+ *
+ * `--incremental` compares the revision and hashes with those of the last run
+ * to skip rebuilding a dataset that would come out the same.
+ */
+
+import {createHash} from 'node:crypto';
+import path from 'node:path';
+import {modulePath, toModule} from './generate-modules.js';
+
+export const WIKIPEDIA_PAGE = 'List of dog breeds';
+
+// Fields that come from the Wikipedia list for every breed
+const WIKIPEDIA_FIELDS = new Set(['name', 'slug', 'status']);
+
+// Fields that come from Wikipedia for breeds without a Wikidata match
+const UNMATCHED_WIKIPEDIA_FIELDS = new Set(['article', 'aliases']);
+
+/**
+ * The start of the SHA-256 hash of a string.
+ *
+ * @param {string} text - The string
+ * @returns {string} 16 hex digits
+ */
+export function hashText(text) {
+  return createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Hash SPARQL results so that the same rows in another order hash the same.
+ *
+ * @param {object[][]} bindingLists - The `results.bindings` of each query
+ * @returns {string} 16 hex digits
+ */
+export function hashResults(bindingLists) {
+  return hashText(JSON.stringify(bindingLists.map(bindings => bindings.map(binding => JSON.stringify(binding)).sort())));
+}
+
+/**
+ * Name and hash of the candidates of each extra source (see scripts/sources.js).
+ *
+ * @param {Array<{source: object, candidates: Map<string, object>}>} results - From `fetchSources`
+ * @returns {Array<{name: string, hash: string}>} One entry per source, in order
+ */
+export function describeSources(results) {
+  return results.map(({source, candidates}) => ({
+    name: source.name,
+    hash: hashText(JSON.stringify([...candidates].sort(([a], [b]) => a.localeCompare(b)))),
+  }));
+}
+
+/**
+ * Where each field of a breed record came from.
+ *
+ * Fields set by overrides are "override", and fields set by sources (see
+ * scripts/sources.js) are credited to them. Otherwise, the name, slug and
+ * status come from the Wikipedia list, and so do the article and aliases of
+ * breeds without a Wikidata match. Every other field of a matched breed is
+ * "wikidata", and `image` is "commons". Fields left at their empty default
+ * have no source.
+ *
+ * @param {object} breed - A breed record
+ * @param {Set<string>} [overridden] - Fields the record got from overrides
+ * @param {object} [sourced] - field name → name of the source it came from, from `mergeSources`
+ * @returns {object} field name → "wikipedia", "wikidata", "commons", "override" or an extra source's name
+ */
+export function fieldSources(breed, overridden = new Set(), sourced = {}) {
+  // An id from overrides or another source doesn't make the rest of the record Wikidata's
+  const matched = Boolean(breed.id) && !overridden.has('id') && (sourced.id ?? 'wikidata') === 'wikidata';
+  const sources = {};
+
+  for (const field of Object.keys(breed)) {
+    if (overridden.has(field)) {
+      sources[field] = 'override';
+    } else if (sourced[field]) {
+      sources[field] = sourced[field];
+    } else if (WIKIPEDIA_FIELDS.has(field) || (!matched && UNMATCHED_WIKIPEDIA_FIELDS.has(field))) {
+      sources[field] = 'wikipedia';
+    } else if (field === 'image') {
+      if (breed.image) {
+        sources[field] = 'commons';
+      }
+    } else if (matched) {
+      sources[field] = 'wikidata';
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Build the metadata of a freshly merged dataset.
+ *
+ * @param {object[]} breeds - The final breed records
+ * @param {object} details
+ * @param {Date} details.fetchedAt - When the data was fetched
+ * @param {number|null} details.revisionId - Revision of the Wikipedia list
+ * @param {string[]} details.locales - Locales breed names were collected in
+ * @param {string[]} details.queries - The SPARQL queries
+ * @param {object[][]} details.bindings - The results of each query
+ * @param {object} details.overrides - The parsed overrides file
+ * @param {Map<object, Set<string>>} [details.overridden] - breed → fields set by overrides
+ * @param {Array<{source: object, candidates: Map<string, object>}>} [details.sourceResults] - Candidates of the extra sources
+ * @param {object} [details.sourced] - slug → field name → source, from `mergeSources`
+ * @returns {object} The metadata
+ */
+export function buildMetadata(breeds, {
+  fetchedAt,
+  revisionId,
+  locales,
+  queries,
+  bindings,
+  overrides,
+  overridden = new Map(),
+  sourceResults = [],
+  sourced = {},
+}) {
+  return {
+    fetchedAt: fetchedAt.toISOString(),
+    wikipedia: {page: WIKIPEDIA_PAGE, revisionId},
+    wikidata: {
+      locales,
+      queryHash: hashText(queries.join('\n')),
+      resultsHash: hashResults(bindings),
+    },
+    overridesHash: hashText(JSON.stringify(overrides)),
+    extraSources: describeSources(sourceResults),
+    sources: Object.fromEntries(breeds.map(breed => [breed.slug, fieldSources(breed, overridden.get(breed), sourced[breed.slug])])),
+  };
+}
+
+/**
+ * Whether a run would rebuild the same dataset as the one the metadata
+ * describes: same Wikipedia revision, same queries with the same results,
+ * the same overrides, and the same extra sources with the same candidates.
+ *
+ * @param {object|null} previous - Metadata of the dataset on disk
+ * @param {object} current
+ * @param {number} current.revisionId - Current revision of the Wikipedia list
+ * @param {string[]} current.queries - The SPARQL queries
+ * @param {object[][]} current.bindings - Their current results
+ * @param {object} current.overrides - The parsed overrides file
+ * @param {Array<{source: object, candidates: Map<string, object>}>} [current.sourceResults] - Candidates of the extra sources
+ * @returns {boolean} True if nothing changed
+ */
+export function isUpToDate(previous, {
+  revisionId,
+  queries,
+  bindings,
+  overrides,
+  sourceResults = [],
+}) {
+  return Boolean(previous?.wikipedia?.revisionId)
+    && previous.wikipedia.revisionId === revisionId
+    && previous.wikidata?.queryHash === hashText(queries.join('\n'))
+    && previous.wikidata?.resultsHash === hashResults(bindings)
+    && previous.overridesHash === hashText(JSON.stringify(overrides))
+    && JSON.stringify(previous.extraSources ?? []) === JSON.stringify(describeSources(sourceResults));
+}
+
+/**
+ * Path of the metadata written next to a dataset.
+ *
+ * @param {string} outputPath - Path of the dataset JSON
+ * @returns {string} e.g. dog-breeds.metadata.json for dog-breeds.json
+ */
+export function metadataPath(outputPath) {
+  return outputPath.replace(/(?:\.json)?$/, '.metadata.json');
+}
+
+/**
+ * Write the metadata of a dataset next to it, as JSON and as a module.
+ *
+ * @param {object} metadata - The metadata
+ * @param {string} outputPath - Path of the dataset JSON
+ * @param {Function} writeFunction - File write function
+ * @returns {string[]} The paths written
+ */
+export function writeMetadata(metadata, outputPath, writeFunction) {
+  const jsonPath = metadataPath(outputPath);
+  const files = [
+    [jsonPath, JSON.stringify(metadata, null, 2) + '\n'],
+    [modulePath(jsonPath), toModule(metadata, path.basename(jsonPath))],
+  ];
+
+  for (const [file, contents] of files) {
+    writeFunction(file, contents);
+  }
+
+  return files.map(([file]) => file);
+}
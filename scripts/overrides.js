@@ -0,0 +1,157 @@
+/**
+ * Curated corrections applied on top of the Wikipedia/Wikidata data.
+ *
+ * The overrides file (scripts/overrides.json) has four optional sections, each
+ * keyed by Wikipedia article title or Wikidata QID:
+ *
+ *   {
+ *     "patch":   {"Africanis": {"origin": "South Africa"}},
+ *     "aliases": {"Q38311": ["Monkey Terrier"]},
+ *     "exclude": ["Some Article"],
+ *     "add":     [{"name": "New Breed", "article": "New Breed (dog)", "origin": "Japan"}]
+ *   }
+ */
+
+import {normalize} from '../lib/search.js';
+import {emptyBreed} from './records.js';
+
+/**
+ * Find the breeds an override key refers to.
+ *
+ * @param {object[]} breeds - Breed records
+ * @param {string} key - A Wikipedia article title or Wikidata QID
+ * @returns {object[]} The matching breeds
+ */
+function findByKey(breeds, key) {
+  return breeds.filter(breed => breed.id === key || breed.article === key);
+}
+
+/**
+ * Record that an override set a field on a breed.
+ *
+ * @param {Map<object, Set<string>>} overridden - breed → overridden field names
+ * @param {object} breed - The breed record
+ * @param {string} field - The field name
+ */
+function markOverridden(overridden, breed, field) {
+  overridden.set(breed, new Set([...overridden.get(breed) ?? [], field]));
+}
+
+/**
+ * A breed's aliases with new names appended, skipping names that match its
+ * name or an alias once normalized.
+ *
+ * @param {object} breed - The breed record
+ * @param {string[]} names - Aliases from the overrides
+ * @returns {string[]} The combined aliases
+ */
+function appendAliases(breed, names) {
+  const seen = new Set([breed.name, ...breed.aliases ?? []].map(name => normalize(name)));
+  const aliases = [...breed.aliases ?? []];
+
+  for (const name of names) {
+    const key = normalize(name);
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      aliases.push(name);
+    }
+  }
+
+  return aliases;
+}
+
+/**
+ * Check that a breed to add has a name and an article no other breed has.
+ *
+ * @param {object[]} breeds - Breed records so far
+ * @param {object} fields - The added breed from the overrides
+ */
+function checkAddedBreed(breeds, fields) {
+  if (typeof fields.name !== 'string' || !fields.name || typeof fields.article !== 'string' || !fields.article) {
+    throw new TypeError(`Expected added breeds to have a name and an article title, got ${JSON.stringify(fields)}`);
+  }
+
+  if (breeds.some(breed => breed.article === fields.article)) {
+    throw new TypeError(`Added breed "${fields.name}" has the article of a breed already in the data, "${fields.article}"; patch that breed instead`);
+  }
+}
+
+/**
+ * Apply curated overrides to merged breed records.
+ *
+ * Patches replace fields, aliases are appended to the `aliases` array unless
+ * they match the name or an alias ignoring case, diacritics and punctuation,
+ * excluded breeds are dropped and added breeds are filled in with empty
+ * defaults. Added breeds need a name and an article title that no other breed
+ * has. The input records are not modified.
+ *
+ * @param {object[]} breeds - Merged breed records
+ * @param {object} [overrides] - The parsed overrides file
+ * @returns {{breeds: object[], overridden: Map<object, Set<string>>, unused: string[], originals: Map<object, object>}}
+ *   The patched records sorted by name, the fields each record got from
+ *   overrides, override keys that matched no breed, and the input record each
+ *   patched record was copied from (added breeds have none)
+ */
+export function applyOverrides(breeds, {patch = {}, aliases = {}, exclude = [], add = []} = {}) {
+  const overridden = new Map();
+  const unused = [];
+  const originals = new Map();
+  let result = breeds.map(breed => {
+    const copy = {...breed};
+    originals.set(copy, breed);
+    return copy;
+  });
+
+  for (const [key, fields] of Object.entries(patch)) {
+    const matches = findByKey(result, key);
+    if (matches.length === 0) {
+      unused.push(key);
+    }
+
+    for (const breed of matches) {
+      Object.assign(breed, fields);
+      for (const field of Object.keys(fields)) {
+        markOverridden(overridden, breed, field);
+      }
+    }
+  }
+
+  for (const [key, names] of Object.entries(aliases)) {
+    const matches = findByKey(result, key);
+    if (matches.length === 0) {
+      unused.push(key);
+    }
+
+    for (const breed of matches) {
+      breed.aliases = appendAliases(breed, names);
+      markOverridden(overridden, breed, 'aliases');
+    }
+  }
+
+  for (const key of exclude) {
+    const matches = new Set(findByKey(result, key));
+    if (matches.size === 0) {
+      unused.push(key);
+    }
+
+    result = result.filter(breed => !matches.has(breed));
+  }
+
+  for (const fields of add) {
+    checkAddedBreed(result, fields);
+    const breed = {...emptyBreed(fields.name, fields.article), ...fields};
+
+    result.push(breed);
+    for (const field of Object.keys(breed)) {
+      markOverridden(overridden, breed, field);
+    }
+  }
+
+  result.sort((a, b) => a.name.localeCompare(b.name));
+  return {
+    breeds: result,
+    overridden,
+    unused,
+    originals,
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Data-quality report for a freshly merged breed dataset: which listed breeds
+ * had no Wikidata match, which records are missing fields, which names
+ * appear more than once, and where the ancestry graph is broken.
+ */
+
+import {normalize} from '../lib/search.js';
+import {findDanglingParents, findParentCycles} from '../lib/ancestry.js';
+import {describeBreed} from './diff-breeds.js';
+
+/**
+ * Share of records that satisfy a predicate, rounded to four decimals.
+ *
+ * @param {object[]} breeds - Breed records
+ * @param {Function} predicate - Test for each record
+ * @returns {number} A ratio between 0 and 1, or 1 for no records
+ */
+function coverage(breeds, predicate) {
+  if (breeds.length === 0) {
+    return 1;
+  }
+
+  return Math.round(breeds.filter(breed => predicate(breed)).length / breeds.length * 10_000) / 10_000;
+}
+
+/**
+ * Build a data-quality report.
+ *
+ * @param {object[]} breeds - Merged breed records
+ * @param {object[]} [unmatched] - Listed breeds without a Wikidata match, from `findUnmatchedBreeds`
+ * @returns {object} The report
+ */
+export function buildQualityReport(breeds, unmatched = []) {
+  const byName = new Map();
+  for (const breed of breeds) {
+    const key = normalize(breed.name);
+    byName.set(key, [...byName.get(key) ?? [], breed]);
+  }
+
+  const duplicateNames = [...byName.values()]
+    .filter(group => group.length > 1)
+    .map(group => ({name: group[0].name, breeds: group.map(breed => ({...describeBreed(breed), article: breed.article ?? null}))}));
+
+  return {
+    total: breeds.length,
+    coverage: {
+      wikidata: coverage(breeds, breed => breed.id !== null),
+      origin: coverage(breeds, breed => Boolean(breed.origin)),
+      image: coverage(breeds, breed => Boolean(breed.imageURL)),
+    },
+    unmatched,
+    missingOrigin: breeds.filter(breed => !breed.origin).map(breed => describeBreed(breed)),
+    missingImage: breeds.filter(breed => !breed.imageURL).map(breed => describeBreed(breed)),
+    duplicateNames,
+    danglingParents: findDanglingParents(breeds).map(({breed, parent}) => ({...describeBreed(breed), parent})),
+    parentCycles: findParentCycles(breeds).map(cycle => cycle.map(breed => describeBreed(breed))),
+  };
+}
+
+/**
+ * Format a ratio as a percentage.
+ *
+ * @param {number} ratio - A ratio between 0 and 1
+ * @returns {string} The percentage, e.g. "81.2%"
+ */
+function percent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+/**
+ * Render a quality report as human-readable text.
+ *
+ * Missing origins and images are only counted here; the full lists are in the
+ * JSON report.
+ *
+ * @param {object} report - A report from `buildQualityReport`
+ * @returns {string} The report
+ */
+export function formatQualityReport(report) {
+  const lines = [
+    `Data quality: ${report.total} breeds, `
+    + `${percent(report.coverage.wikidata)} matched in Wikidata, `
+    + `${percent(report.coverage.origin)} with origin, `
+    + `${percent(report.coverage.image)} with image`,
+    `  ${report.missingOrigin.length} missing origin, ${report.missingImage.length} missing image`,
+  ];
+
+  if (report.unmatched.length > 0) {
+    lines.push('', 'Unmatched in Wikidata:', ...report.unmatched.map(entry =>
+      `  ? ${entry.article}${entry.redirect ? ` (also tried redirect target "${entry.redirect}")` : ''}`));
+  }
+
+  if (report.duplicateNames.length > 0) {
+    lines.push('', 'Duplicate names:', ...report.duplicateNames.map(duplicate =>
+      `  = ${duplicate.name} (${duplicate.breeds.map(breed => breed.article ?? breed.id).join(', ')})`));
+  }
+
+  if (report.danglingParents.length > 0) {
+    lines.push('', 'Parents not in the dataset:', ...report.danglingParents.map(entry =>
+      `  ^ ${entry.name} → ${entry.parent}`));
+  }
+
+  if (report.parentCycles.length > 0) {
+    lines.push('', 'Ancestry cycles:', ...report.parentCycles.map(cycle =>
+      `  @ ${[...cycle, cycle[0]].map(breed => breed.name).join(' → ')}`));
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,77 @@
+/**
+ * Record and replay HTTP responses for update-breeds.js.
+ *
+ * `--record <dir>` saves every Wikipedia and Wikidata response to a JSON file
+ * in `dir`; `--replay <dir>` answers the same requests from those files with
+ * no network access, so a run can be reproduced exactly.
+ */
+
+import {createHash} from 'node:crypto';
+import {mkdirSync, readFileSync, writeFileSync} from 'node:fs';
+import path from 'node:path';
+
+/**
+ * File name a response to a URL is recorded under.
+ *
+ * @param {string|URL} url - The request URL
+ * @returns {string} e.g. "query.wikidata.org-1b2c3d4e5f6a7b8c.json"
+ */
+export function recordingFileName(url) {
+  const {host, href} = new URL(url);
+  const hash = createHash('sha256').update(href).digest('hex').slice(0, 16);
+  return `${host}-${hash}.json`;
+}
+
+/**
+ * Wrap a fetch implementation so every response is also saved to disk.
+ *
+ * @param {string} directory - Directory to save responses in, created if missing
+ * @param {Function} fetchFunction - Fetch implementation to record
+ * @param {object} [fs]
+ * @param {Function} [fs.writeFunction] - File write function
+ * @param {Function} [fs.mkdirFunction] - Directory creation function
+ * @returns {Function} A fetch implementation
+ */
+export function createRecordingFetch(directory, fetchFunction, {writeFunction = writeFileSync, mkdirFunction = mkdirSync} = {}) {
+  mkdirFunction(directory, {recursive: true});
+
+  return async (url, options) => {
+    const response = await fetchFunction(url, options);
+    const body = await response.text();
+    const recording = {
+      url: String(url),
+      status: response.status,
+      contentType: response.headers.get('content-type'),
+      body,
+    };
+
+    writeFunction(path.join(directory, recordingFileName(url)), JSON.stringify(recording, null, 2) + '\n');
+    return new Response(body, {status: response.status, headers: {'content-type': recording.contentType ?? ''}});
+  };
+}
+
+/**
+ * Create a fetch implementation that answers from recorded responses.
+ *
+ * @param {string} directory - Directory with responses saved by `createRecordingFetch`
+ * @param {Function} [readFunction] - File read function
+ * @returns {Function} A fetch implementation that never touches the network
+ */
+export function createReplayFetch(directory, readFunction = readFileSync) {
+  return async url => {
+    const recordingPath = path.join(directory, recordingFileName(url));
+
+    let recording;
+    try {
+      recording = JSON.parse(readFunction(recordingPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No recorded response for ${url} in ${directory}`);
+      }
+
+      throw error;
+    }
+
+    return new Response(recording.body, {status: recording.status, headers: {'content-type': recording.contentType ?? ''}});
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * Breed records built by the updater, shared by the source merge (see
+ * scripts/sources.js) and overrides (see scripts/overrides.js).
+ */
+
+import {emptyCharacteristics} from './characteristics.js';
+
+/**
+ * Build a breed record with nothing known about it but its name.
+ *
+ * @param {string} name - The display name
+ * @param {string} article - The English Wikipedia article title
+ * @returns {object} A breed record with empty defaults and no slug yet
+ */
+export function emptyBreed(name, article) {
+  return {
+    name,
+    origin: '',
+    imageURL: '',
+    origins: [],
+    id: null,
+    slug: '',
+    article,
+    status: 'extant',
+    names: {en: name},
+    aliases: [],
+    ...emptyCharacteristics(),
+    classifications: [],
+    parents: [],
+  };
+}
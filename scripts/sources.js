@@ -0,0 +1,564 @@
+/**
+ * Data sources for update-breeds.js: the Wikipedia "List of dog breeds" and
+ * Wikidata, and extra sources merged with them.
+ *
+ * A source adapter is an object:
+ *
+ *   {
+ *     name: 'fci',      // credited in the metadata, and named in `precedence`
+ *     lists: true,      // whether breeds it knows and the others don't are added
+ *     fetch: async ({fetchFunction, readFunction}) => new Map([
+ *       ['Akita (dog breed)', {origin: 'Japan', size: 'large'}],
+ *       ['Q38311', {names: {fr: 'Affenpinscher'}}],
+ *     ]),
+ *   }
+ *
+ * `fetch` returns candidate breeds — partial breed records — keyed by English
+ * Wikipedia article title or Wikidata QID (a Map or a plain object). A
+ * candidate can also carry an `id` or `article` to be matched by.
+ *
+ * Sources only fetch and parse; `mergeSources` matches their candidates to
+ * the breeds and picks each field's value by precedence. The Wikipedia list
+ * (named "wikipedia") and Wikidata ("wikidata") are sources too, see
+ * `wikipediaBreedListSource` and `wikidataSource` in update-breeds.js. Pass
+ * extra sources to `main()`, or from the command line as a module:
+ *
+ *   // my-sources.mjs
+ *   export const sources = [csvSource({name: 'fci', path: 'fci.csv', lists: true})];
+ *   export const precedence = {size: ['fci', 'wikidata']};
+ *
+ *   node scripts/update-breeds.js --sources my-sources.mjs
+ */
+
+import path from 'node:path';
+import {pathToFileURL} from 'node:url';
+import {normalize} from '../lib/search.js';
+import {schema} from '../lib/validate.js';
+import {fetchMediaWiki, parseBulletLinks} from './mediawiki.js';
+import {emptyBreed} from './records.js';
+
+// Source order for fields without a `precedence` entry; extra sources come
+// after these, in the order they are given
+const DEFAULT_PRECEDENCE = ['wikipedia', 'wikidata'];
+
+// Fields whose values are combined across sources instead of replaced
+const COMBINED_FIELDS = new Set(['names', 'aliases']);
+
+// Joins the path of a nested field into a column name, as in the CSV export,
+// e.g. names_de or weightKg_male_min
+const COLUMN_SEPARATOR = '_';
+
+/**
+ * Whether a key is a Wikidata QID rather than an article title.
+ *
+ * @param {string} key - A candidate key
+ * @returns {boolean}
+ */
+export function isQid(key) {
+  return /^Q\d+$/.test(key);
+}
+
+/**
+ * Whether a field value carries no data.
+ *
+ * @param {*} value - The value
+ * @returns {boolean} True for undefined, null, "", [] and {}
+ */
+function isEmpty(value) {
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value).length === 0;
+  }
+
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Look up a candidate by the first of several keys it is known under.
+ *
+ * @param {Array<string|null|undefined>} keys - Article titles or QIDs to try, in order; empty keys are skipped
+ * @param {Map<string, object>} candidates - key → candidate
+ * @returns {object|undefined} The candidate, or undefined if not found
+ */
+export function findCandidate(keys, candidates) {
+  for (const key of keys) {
+    if (key && candidates.has(key)) {
+      return candidates.get(key);
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Index candidates by their key, its redirect target and their own `id` and
+ * `article`, so a breed can be found by its QID or canonical article title.
+ *
+ * @param {Map<string, object>} candidates - key → candidate
+ * @param {Map<string, string>} redirectMap - Wikipedia redirect mappings
+ * @returns {Map<string, object>} key → candidate
+ */
+function indexCandidates(candidates, redirectMap) {
+  const index = new Map();
+  for (const [key, candidate] of candidates) {
+    for (const alias of [key, redirectMap.get(key), candidate.id, candidate.article, redirectMap.get(candidate.article)]) {
+      if (alias && !index.has(alias)) {
+        index.set(alias, candidate);
+      }
+    }
+  }
+
+  return index;
+}
+
+/**
+ * The Wikipedia article titles candidates are known by, to resolve redirects
+ * for before merging.
+ *
+ * @param {Array<{candidates: Map<string, object>}>} results - From `fetchSources`
+ * @returns {string[]} Article titles, without duplicates
+ */
+export function candidateTitles(results) {
+  const titles = results.flatMap(({candidates}) => [...candidates].flatMap(([key, candidate]) => [key, candidate.article]));
+  return [...new Set(titles.filter(title => title && !isQid(title)))];
+}
+
+/**
+ * Where a field comes after another source provides it: the value with the
+ * higher precedence wins, and combined fields take the entries of both.
+ *
+ * @param {*} current - The breed's current value
+ * @param {*} value - The source's value
+ * @param {boolean} wins - Whether the source has the higher precedence
+ * @returns {*} The new value
+ */
+function combine(current, value, wins) {
+  if (Array.isArray(current)) {
+    const seen = new Set(current.map(item => normalize(String(item))));
+    return [...current, ...value.filter(item => !seen.has(normalize(String(item))))];
+  }
+
+  return wins ? {...current, ...value} : {...value, ...current};
+}
+
+/**
+ * Rank of a source in a precedence list; unlisted sources come last.
+ *
+ * @param {string[]} order - Source names, highest precedence first
+ * @param {string|undefined} name - A source name
+ * @returns {number} Lower ranks win
+ */
+function rank(order, name) {
+  const index = order.indexOf(name);
+  return index === -1 ? order.length : index;
+}
+
+/**
+ * Merge the candidates of sources into breed records.
+ *
+ * Candidates are matched to breeds by QID or article title, following
+ * redirects. A candidate's non-empty fields replace the breed's when the
+ * breed's field is empty, or when the source comes before the field's
+ * current source in `precedence[field]` (or `precedence['*']`). Without an
+ * entry, Wikipedia and Wikidata come first, then the extra sources in
+ * order. Fields of the given breeds that no source set count as coming from
+ * an unlisted source. Localized names and aliases are combined instead. A
+ * candidate fills every breed it matches. Unmatched candidates of listing
+ * sources become new breeds, when they have a name and an article title.
+ *
+ * @param {object[]} breeds - Breed records to merge into; none to build them from listing sources alone
+ * @param {Array<{source: object, candidates: Map<string, object>}>} results - From `fetchSources`
+ * @param {object} [options]
+ * @param {Map<string, string>} [options.redirectMap] - Wikipedia redirect mappings
+ * @param {object} [options.precedence] - field name or "*" → source names, highest precedence first
+ * @returns {{breeds: object[], sourced: Map<object, object>, unlisted: Array<{source: string, key: string}>}}
+ *   The records sorted by name, without slugs for new breeds; breed → field
+ *   name → source name for the fields sources set; and the candidates of
+ *   listing sources that could not be added
+ */
+export function mergeSources(breeds, results, {redirectMap = new Map(), precedence = {}} = {}) {
+  const merged = breeds.map(breed => ({...breed}));
+  const sourced = new Map();
+  const unlisted = [];
+
+  const apply = (breed, candidate, name) => {
+    const fields = {...sourced.get(breed)};
+
+    for (const [field, value] of Object.entries(candidate)) {
+      const order = precedence[field] ?? precedence['*'] ?? DEFAULT_PRECEDENCE;
+      const wins = isEmpty(breed[field]) || rank(order, name) < rank(order, fields[field]);
+      if (isEmpty(value) || (!wins && !COMBINED_FIELDS.has(field))) {
+        continue;
+      }
+
+      breed[field] = COMBINED_FIELDS.has(field) && !isEmpty(breed[field]) ? combine(breed[field], value, wins) : value;
+      if (wins) {
+        fields[field] = name;
+      }
+    }
+
+    sourced.set(breed, fields);
+  };
+
+  for (const {source, candidates} of results) {
+    const index = indexCandidates(candidates, redirectMap);
+    const matched = new Set();
+
+    for (const breed of merged) {
+      // Several breeds can resolve to one candidate, e.g. list titles that redirect to the same article
+      const candidate = findCandidate([breed.id, breed.article], index);
+      if (candidate) {
+        matched.add(candidate);
+        apply(breed, candidate, source.name);
+      }
+    }
+
+    if (!source.lists) {
+      continue;
+    }
+
+    for (const [key, candidate] of candidates) {
+      if (matched.has(candidate)) {
+        continue;
+      }
+
+      const article = candidate.article ?? (isQid(key) ? undefined : key);
+      if (!candidate.name || !article) {
+        unlisted.push({source: source.name, key});
+        continue;
+      }
+
+      const fields = Object.fromEntries(Object.entries(candidate).filter(([, value]) => !isEmpty(value)));
+      const breed = {
+        ...emptyBreed(candidate.name, article),
+        ...fields,
+        article: redirectMap.get(article) ?? article,
+        names: {en: candidate.name, ...fields.names},
+      };
+      merged.push(breed);
+      sourced.set(breed, Object.fromEntries(['name', 'article', 'status', 'names', ...Object.keys(fields)].map(field => [field, source.name])));
+    }
+  }
+
+  merged.sort((a, b) => a.name.localeCompare(b.name));
+  return {breeds: merged, sourced, unlisted};
+}
+
+/**
+ * Fetch the candidates of every source.
+ *
+ * @param {object[]} sources - Source adapters
+ * @param {object} context - Passed to every adapter's `fetch`
+ * @param {Function} context.fetchFunction - Fetch implementation
+ * @param {Function} context.readFunction - File read function
+ * @returns {Promise<Array<{source: object, candidates: Map<string, object>}>>} The candidates of each source, in order
+ */
+export async function fetchSources(sources, context) {
+  for (const source of sources) {
+    if (typeof source?.name !== 'string' || typeof source.fetch !== 'function') {
+      throw new TypeError(`Expected a source with a name and a fetch function, got ${JSON.stringify(source)}`);
+    }
+  }
+
+  return Promise.all(sources.map(async source => {
+    const candidates = await source.fetch(context);
+    return {source, candidates: candidates instanceof Map ? candidates : new Map(Object.entries(candidates))};
+  }));
+}
+
+/**
+ * Load sources and their precedence from a module, as `--sources` does.
+ *
+ * @param {string} modulePath - Path of a module exporting `sources` and, optionally, `precedence`
+ * @returns {Promise<{sources: object[], precedence: object}>}
+ */
+export async function loadSourceModule(modulePath) {
+  const {sources, precedence = {}} = await import(pathToFileURL(path.resolve(modulePath)).href);
+  if (!Array.isArray(sources)) {
+    throw new TypeError(`Expected ${modulePath} to export an array of sources, got ${typeof sources}`);
+  }
+
+  return {sources, precedence};
+}
+
+/**
+ * Parse CSV text (RFC 4180) into rows of fields.
+ *
+ * @param {string} text - The CSV
+ * @returns {string[][]} The rows, without blank lines
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+
+  // A quoted or plain field, and the comma, line break or end after it
+  for (const [, quoted, plain, separator] of text.matchAll(/(?:"((?:[^"]|"")*)"|([^",\r\n]*))(,|\r?\n|\r|$)/g)) {
+    row.push(quoted === undefined ? plain : quoted.replaceAll('""', '"'));
+    if (separator !== ',') {
+      rows.push(row);
+      row = [];
+    }
+
+    if (separator === '') {
+      break;
+    }
+  }
+
+  return rows.filter(fields => fields.some(Boolean));
+}
+
+/**
+ * The object, array and scalar schemas a schema allows, following `$ref` and
+ * `anyOf`.
+ *
+ * @param {object} node - A schema
+ * @returns {object[]} The schemas
+ */
+function schemaBranches(node) {
+  if (node.$ref) {
+    return schemaBranches(schema.$defs[node.$ref.replace(/^#\/\$defs\//, '')]);
+  }
+
+  return node.anyOf ? node.anyOf.flatMap(branch => schemaBranches(branch)) : [node];
+}
+
+/**
+ * The schemas of a breed field, by its path.
+ *
+ * @param {string[]} path - The field path, e.g. ['weightKg', 'male', 'min']
+ * @returns {object[]} The schemas the field can match; empty for unknown fields
+ */
+function fieldSchemas(path) {
+  let nodes = [schema.$defs.breed];
+  for (const key of path) {
+    nodes = nodes
+      .flatMap(node => schemaBranches(node))
+      .flatMap(node => node.properties?.[key] ?? (typeof node.additionalProperties === 'object' ? node.additionalProperties : []));
+  }
+
+  return nodes.flatMap(node => schemaBranches(node));
+}
+
+/**
+ * Read a CSV cell as the type its field has, undoing `flattenBreeds`:
+ * numbers and booleans are parsed, and arrays are JSON text.
+ *
+ * @param {string} text - The cell, trimmed and not empty
+ * @param {string[]} path - The field path
+ * @param {string} csvPath - Path of the CSV file, for error messages
+ * @returns {*} The value
+ */
+function parseCell(text, path, csvPath) {
+  const types = new Set(fieldSchemas(path).flatMap(node => node.type ?? []));
+
+  if (types.has('array')) {
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch {}
+
+    if (!Array.isArray(value)) {
+      throw new TypeError(`Expected ${path.join(COLUMN_SEPARATOR)} in ${csvPath} to be a JSON array, got ${text}`);
+    }
+
+    return value;
+  }
+
+  if ((types.has('number') || types.has('integer')) && Number.isFinite(Number(text))) {
+    return Number(text);
+  }
+
+  if (types.has('boolean') && (text === 'true' || text === 'false')) {
+    return text === 'true';
+  }
+
+  return text;
+}
+
+/**
+ * Complete a nested object read from CSV cells: empty cells left out
+ * required members that may be null, such as the `female` range of a weight.
+ * Members are put in schema order.
+ *
+ * @param {object} value - The object
+ * @param {string[]} path - Its field path
+ * @returns {object} The completed object
+ */
+function completeObject(value, path) {
+  const node = fieldSchemas(path).find(branch => branch.properties);
+  if (!node) {
+    return value;
+  }
+
+  const result = {};
+  for (const key of Object.keys(node.properties)) {
+    const child = value[key];
+    if (child !== null && typeof child === 'object' && !Array.isArray(child)) {
+      result[key] = completeObject(child, [...path, key]);
+    } else if (child !== undefined) {
+      result[key] = child;
+    } else if (node.required?.includes(key) && fieldSchemas([...path, key]).some(branch => [branch.type].flat().includes('null'))) {
+      result[key] = null;
+    }
+  }
+
+  // Keep unknown members, for validation to report
+  for (const [key, child] of Object.entries(value)) {
+    if (!(key in result)) {
+      result[key] = child;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * A source that reads breeds from a CSV file, such as a kennel club's breed
+ * list.
+ *
+ * Columns are named after breed fields, with nested fields as in the CSV
+ * export (e.g. `names_de` or `weightKg_male_min`). Cells are read as the type
+ * of their field, with arrays such as `aliases` and `origins` as JSON text.
+ * Rows are keyed by their `id` column, or else their `article` column; rows
+ * with neither are skipped, and empty cells are left out.
+ *
+ * @param {object} options
+ * @param {string} options.name - The source name
+ * @param {string} options.path - Path of the CSV file
+ * @param {boolean} [options.lists=false] - Whether breeds only this file has are added
+ * @returns {object} A source adapter
+ */
+export function csvSource({name, path: csvPath, lists = false}) {
+  return {
+    name,
+    lists,
+    async fetch({readFunction}) {
+      const [header = [], ...rows] = parseCsv(readFunction(csvPath, 'utf8'));
+      const paths = header.map(column => column.trim().split(COLUMN_SEPARATOR));
+      const candidates = new Map();
+
+      for (const row of rows) {
+        const candidate = {};
+        for (const [index, path] of paths.entries()) {
+          const text = row[index]?.trim();
+          if (!text) {
+            continue;
+          }
+
+          let object = candidate;
+          for (const key of path.slice(0, -1)) {
+            object[key] ??= {};
+            object = object[key];
+          }
+
+          object[path.at(-1)] = parseCell(text, path, csvPath);
+        }
+
+        for (const [field, value] of Object.entries(candidate)) {
+          if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            candidate[field] = completeObject(value, [field]);
+          }
+        }
+
+        const key = candidate.id ?? candidate.article;
+        if (key) {
+          candidates.set(key, candidate);
+        }
+      }
+
+      return candidates;
+    },
+  };
+}
+
+/**
+ * Look up the Wikidata QIDs of a batch of articles on any Wikipedia,
+ * following normalizations and redirects.
+ *
+ * @param {string[]} batch - Up to 50 article titles
+ * @param {string} api - The wiki's api.php URL
+ * @param {Function} fetchFunction - Fetch implementation (defaults to global fetch)
+ * @returns {Promise<Map<string, string>>} article title → QID, for articles with a Wikidata item
+ */
+export async function fetchWikidataIdBatch(batch, api, fetchFunction = fetch) {
+  const url = new URL(api);
+  url.searchParams.set('action', 'query');
+  url.searchParams.set('titles', batch.join('|'));
+  url.searchParams.set('prop', 'pageprops');
+  url.searchParams.set('ppprop', 'wikibase_item');
+  url.searchParams.set('redirects', '1');
+  url.searchParams.set('format', 'json');
+
+  const data = await fetchMediaWiki(url, fetchFunction, 'query');
+  const normalized = new Map((data.query.normalized ?? []).map(({from, to}) => [from, to]));
+  const redirects = new Map((data.query.redirects ?? []).map(({from, to}) => [from, to]));
+  const ids = new Map(Object.values(data.query.pages ?? {})
+    .filter(page => page.pageprops?.wikibase_item)
+    .map(page => [page.title, page.pageprops.wikibase_item]));
+
+  const result = new Map();
+  for (const title of batch) {
+    const resolved = normalized.get(title) ?? title;
+    const id = ids.get(redirects.get(resolved) ?? resolved);
+    if (id) {
+      result.set(title, id);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * A source that collects breed names in another language from a breed list
+ * on that language's Wikipedia, matched to breeds by the Wikidata item of each
+ * linked article. It only adds names, as `names[language]`, and no breeds.
+ *
+ * @param {object} options
+ * @param {string} options.language - Wikipedia language code, e.g. "de"
+ * @param {string} options.page - Title of the list page, e.g. "Liste der Hunderassen"
+ * @param {string} [options.name] - The source name (default "wikipedia-<language>")
+ * @param {Function} [options.parse] - Wikitext → Map of article title → display name
+ *   (default: every bullet-list link)
+ * @returns {object} A source adapter
+ */
+export function wikipediaListSource({
+  language,
+  page,
+  name = `wikipedia-${language}`,
+  parse = parseBulletLinks,
+}) {
+  const api = `https://${language}.wikipedia.org/w/api.php`;
+  return {
+    name,
+    lists: false,
+    async fetch({fetchFunction}) {
+      const url = new URL(api);
+      url.searchParams.set('action', 'parse');
+      url.searchParams.set('page', page);
+      url.searchParams.set('prop', 'wikitext');
+      url.searchParams.set('format', 'json');
+
+      const data = await fetchMediaWiki(url, fetchFunction, 'parse');
+      const links = parse(data.parse.wikitext['*']);
+      const titles = [...links.keys()];
+      const batchSize = 50;
+      const batches = [];
+      for (let i = 0; i < titles.length; i += batchSize) {
+        batches.push(titles.slice(i, i + batchSize));
+      }
+
+      const results = await Promise.all(batches.map(batch => fetchWikidataIdBatch(batch, api, fetchFunction)));
+      const candidates = new Map();
+      for (const [title, id] of results.flatMap(result => [...result])) {
+        if (!candidates.has(id)) {
+          candidates.set(id, {names: {[language]: links.get(title)}});
+        }
+      }
+
+      return candidates;
+    },
+  };
+}
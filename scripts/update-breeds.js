@@ -2,25 +2,87 @@
 
 /**
  * Fetches the current list of dog breeds from Wikipedia + Wikidata and writes
- * an updated dog-breeds.json.
+ * an updated dog-breeds.json, along with its CSV, NDJSON, YAML and SQL
+ * exports (see scripts/export.js), the ES modules of the browser and
+ * names-only entries (see scripts/generate-modules.js) and its provenance
+ * metadata (see scripts/metadata.js).
  *
  * Data sources:
- *   1. Wikipedia "List of dog breeds" – canonical list of extant breed names
- *   2. Wikidata SPARQL – structured origin + image data for each breed
+ *   1. Wikipedia "List of dog breeds" – canonical list of extant and extinct breed names
+ *   2. Wikidata SPARQL – structured origin + image data for each breed, the
+ *      QID and ISO 3166 code of each origin, breed names in each locale,
+ *      alternative names, weight, height and life expectancy, kennel club
+ *      classifications, and the breeds each breed descends from
+ *   3. Wikimedia Commons – size, author and license of each breed image
+ *   4. Extra sources given with --sources, such as a kennel club's breed list
+ *      or another language's Wikipedia list (see scripts/sources.js)
+ *   5. scripts/overrides.json – curated corrections applied on top of the above
+ *
+ * The Wikipedia list, Wikidata and the extra sources are all source adapters,
+ * merged field by field by precedence (see scripts/sources.js).
  *
  * Usage:
- *   node scripts/update-breeds.js
+ *   node scripts/update-breeds.js [options]
+ *
+ * Options:
+ *   --check                  Report changes without writing, and exit non-zero
+ *                            when the thresholds below are exceeded
+ *   --json                   Print the change report as JSON
+ *   --max-removals <n|n%>    Breeds that may be removed in --check mode (default 5%)
+ *   --max-lost-images <n|n%> Breeds that may lose their image in --check mode (default 5%)
+ *   --quality-report         Also write the data-quality report as JSON next to
+ *                            the dataset (dog-breeds.quality.json)
+ *   --record <dir>           Save every Wikipedia and Wikidata response to <dir>
+ *   --replay <dir>           Use the responses saved in <dir> instead of the network
+ *   --locales <list>         Comma-separated locales to collect breed names in
+ *                            (default de,es,fr,ja; English is always included)
+ *   --incremental            Do nothing when the Wikipedia list revision, the
+ *                            Wikidata results and the overrides are the same as
+ *                            in the last run, according to its metadata
+ *   --sources <module>       Merge the extra sources a module exports as
+ *                            `sources`, by the `precedence` it exports
+ *
+ * Requests go through scripts/http.js, which limits concurrency and retries
+ * rate-limited and failed requests with backoff.
  *
  * No dependencies required – uses built-in fetch (Node 18+).
  */
 
-import {writeFileSync} from 'node:fs';
+import {readFileSync, writeFileSync} from 'node:fs';
 import process from 'node:process';
 import {fileURLToPath} from 'node:url';
+import {normalize, slugify} from '../lib/search.js';
+import {commonsFileName} from '../lib/images.js';
+import {formatValidationErrors, validateBreeds} from '../lib/validate.js';
+import {diffBreeds, formatDiffReport, checkDiff} from './diff-breeds.js';
+import {buildQualityReport, formatQualityReport} from './quality-report.js';
+import {writeExports} from './export.js';
+import {writeModules} from './generate-modules.js';
+import {
+  WIKIPEDIA_PAGE,
+  buildMetadata,
+  isUpToDate,
+  metadataPath,
+  writeMetadata,
+} from './metadata.js';
+import {applyOverrides} from './overrides.js';
+import {
+  candidateTitles,
+  fetchSources,
+  findCandidate,
+  loadSourceModule,
+  mergeSources,
+} from './sources.js';
+import {createRecordingFetch, createReplayFetch} from './record-replay.js';
+import {createResilientFetch} from './http.js';
+import {fetchJson, fetchMediaWiki, parseBulletLinks} from './mediawiki.js';
+import {CHARACTERISTICS_SPARQL_QUERY, emptyCharacteristics, parseWikidataCharacteristics} from './characteristics.js';
+import {CLASSIFICATIONS_SPARQL_QUERY, parseWikidataClassifications} from './classifications.js';
+import {entityId} from './wikidata.js';
 
 const WIKIPEDIA_API = 'https://en.wikipedia.org/w/api.php';
 const WIKIDATA_SPARQL = 'https://query.wikidata.org/sparql';
-const USER_AGENT = 'dog-breeds-updater/1.0 (https://github.com/chrisvogt/dog-breeds)';
+const COMMONS_API = 'https://commons.wikimedia.org/w/api.php';
 
 const SPARQL_QUERY = `
 SELECT ?breed ?breedLabel ?article
@@ -40,6 +102,72 @@ GROUP BY ?breed ?breedLabel ?article
 ORDER BY ?breedLabel
 `;
 
+// One row per breed/origin pair, so labels never have to be split apart.
+// P297 is the ISO 3166-1 alpha-2 code of a country, P300 the ISO 3166-2 code
+// of a subdivision such as England or Scotland. P625 is the coordinate
+// location of the place, and P1332–P1335 its northernmost, southernmost,
+// easternmost and westernmost points.
+const ORIGINS_SPARQL_QUERY = `
+SELECT DISTINCT ?breed ?origin ?originLabel ?countryCode ?subdivisionCode
+  ?coordinates ?north ?south ?east ?west
+WHERE {
+  ?breed wdt:P31 wd:Q39367 ; wdt:P495 ?origin .
+  ?origin rdfs:label ?originLabel . FILTER(LANG(?originLabel) = "en")
+  OPTIONAL { ?origin wdt:P297 ?countryCode . }
+  OPTIONAL { ?origin wdt:P300 ?subdivisionCode . }
+  OPTIONAL { ?origin wdt:P625 ?coordinates . }
+  OPTIONAL { ?origin wdt:P1332 ?north . }
+  OPTIONAL { ?origin wdt:P1333 ?south . }
+  OPTIONAL { ?origin wdt:P1334 ?east . }
+  OPTIONAL { ?origin wdt:P1335 ?west . }
+}
+ORDER BY ?breed ?originLabel
+`;
+
+// English alternative names ("also known as") of every breed
+const ALIASES_SPARQL_QUERY = `
+SELECT ?breed ?alias
+WHERE {
+  ?breed wdt:P31 wd:Q39367 ; skos:altLabel ?alias .
+  FILTER(LANG(?alias) = "en")
+}
+ORDER BY ?breed ?alias
+`;
+
+// Breeds another breed was bred from: "based on" (P144) links, and breeds
+// that are a subclass (P279) of another breed, such as varieties
+const PARENTS_SPARQL_QUERY = `
+SELECT DISTINCT ?breed ?parent
+WHERE {
+  ?breed wdt:P31 wd:Q39367 ; wdt:P144|wdt:P279 ?parent .
+  ?parent wdt:P31 wd:Q39367 .
+  FILTER(?parent != ?breed)
+}
+ORDER BY ?breed ?parent
+`;
+
+// Locales to collect breed names in by default. English names come from the
+// Wikipedia list and are always included.
+export const DEFAULT_LOCALES = ['de', 'es', 'fr', 'ja'];
+
+/**
+ * Build the SPARQL query for breed labels in a set of locales.
+ *
+ * @param {string[]} locales - Language codes, e.g. ['de', 'ja']
+ * @returns {string} A query returning one row per breed and label
+ */
+export function labelsSparqlQuery(locales) {
+  const languages = locales.map(locale => JSON.stringify(locale)).join(', ');
+  return `
+SELECT ?breed ?label (LANG(?label) AS ?labelLanguage)
+WHERE {
+  ?breed wdt:P31 wd:Q39367 ; rdfs:label ?label .
+  FILTER(LANG(?label) IN (${languages}))
+}
+ORDER BY ?breed ?labelLanguage
+`;
+}
+
 /**
  * Parse breed names and article titles from Wikipedia wikitext.
  * Only includes breeds from the "Extant" section.
@@ -50,29 +178,172 @@ ORDER BY ?breedLabel
 export function parseBreedListWikitext(wikitext) {
   const extinctIndex = wikitext.indexOf('== Extinct');
   const extantText = extinctIndex > 0 ? wikitext.slice(0, extinctIndex) : wikitext;
+  return parseBulletLinks(extantText);
+}
 
-  // Match bullet-list wiki links: * [[Article Title]] or * [[Article Title|Display Name]]
-  const linkPattern = /\*\s*\[\[([^\]|]+?)(?:\|([^\]]+?))?]]/g;
-  const breeds = new Map();
+/**
+ * Parse breed names and article titles from the "Extinct and critically
+ * endangered breeds" section of the Wikipedia wikitext, up to the next
+ * top-level heading.
+ *
+ * @param {string} wikitext - Raw wikitext of the "List of dog breeds" page
+ * @returns {Map<string, string>} article title → display name
+ */
+export function parseExtinctBreedListWikitext(wikitext) {
+  const extinctIndex = wikitext.indexOf('== Extinct');
+  if (extinctIndex === -1) {
+    return new Map();
+  }
+
+  const sectionText = wikitext.slice(extinctIndex + '== Extinct'.length);
+  const nextSection = sectionText.search(/\n==[^=]/);
+  return parseBulletLinks(nextSection < 0 ? sectionText : sectionText.slice(0, nextSection));
+}
+
+/**
+ * Parse a Wikidata coordinate, a WKT literal such as "Point(139.69 35.69)".
+ *
+ * @param {string} [literal] - The literal, if any
+ * @returns {{lat: number, lon: number}|null} The coordinates, or null if
+ *   missing, malformed or on another globe than Earth
+ */
+export function parseWktPoint(literal) {
+  const match = /^Point\((-?[\d.]+(?:e-?\d+)?) (-?[\d.]+(?:e-?\d+)?)\)$/.exec(literal?.trim() ?? '');
+  if (!match) {
+    return null;
+  }
+
+  const lon = Number(match[1]);
+  const lat = Number(match[2]);
+  return Math.abs(lat) <= 90 && Math.abs(lon) <= 180 ? {lat, lon} : null;
+}
+
+/**
+ * Build the bounding box of a place from its extreme points.
+ *
+ * @param {object} result - A row of the origins query
+ * @returns {{west: number, south: number, east: number, north: number}|null}
+ *   The bounding box, or null unless all four points are known
+ */
+function parseBoundingBox(result) {
+  const [north, south, east, west] = ['north', 'south', 'east', 'west'].map(point => parseWktPoint(result[point]?.value));
+  if (!north || !south || !east || !west) {
+    return null;
+  }
 
-  for (const match of extantText.matchAll(linkPattern)) {
-    const articleTitle = match[1].trim();
-    const displayName = (match[2] || match[1]).trim();
-    if (!breeds.has(articleTitle)) {
-      breeds.set(articleTitle, displayName);
+  return {
+    west: west.lon,
+    south: south.lat,
+    east: east.lon,
+    north: north.lat,
+  };
+}
+
+/**
+ * Parse Wikidata origin SPARQL results into structured origins per breed.
+ *
+ * @param {object[]} bindings - The `results.bindings` array from the origins query
+ * @returns {Map<string, object[]>} breed QID → [{ label, id, code, coordinates, bbox }]
+ */
+export function parseWikidataOrigins(bindings) {
+  const originsByBreed = new Map();
+
+  for (const result of bindings) {
+    const breedId = entityId(result.breed.value);
+    const id = entityId(result.origin.value);
+    const origins = originsByBreed.get(breedId) ?? [];
+
+    // An origin with several ISO codes comes back once per code; keep the first
+    if (!origins.some(origin => origin.id === id)) {
+      origins.push({
+        label: result.originLabel.value,
+        id,
+        code: result.countryCode?.value ?? result.subdivisionCode?.value ?? null,
+        coordinates: parseWktPoint(result.coordinates?.value),
+        bbox: parseBoundingBox(result),
+      });
     }
+
+    originsByBreed.set(breedId, origins);
   }
 
-  return breeds;
+  return originsByBreed;
+}
+
+/**
+ * Parse Wikidata label SPARQL results into localized names per breed.
+ *
+ * @param {object[]} bindings - The `results.bindings` array from the labels query
+ * @returns {Map<string, object>} breed QID → { locale: name }
+ */
+export function parseWikidataLabels(bindings) {
+  const labelsByBreed = new Map();
+
+  for (const result of bindings) {
+    const breedId = entityId(result.breed.value);
+    const labels = labelsByBreed.get(breedId) ?? {};
+    labels[result.labelLanguage.value] = result.label.value;
+    labelsByBreed.set(breedId, labels);
+  }
+
+  return labelsByBreed;
+}
+
+/**
+ * Parse Wikidata alias SPARQL results into alternative names per breed.
+ *
+ * @param {object[]} bindings - The `results.bindings` array from the aliases query
+ * @returns {Map<string, string[]>} breed QID → aliases
+ */
+export function parseWikidataAliases(bindings) {
+  const aliasesByBreed = new Map();
+
+  for (const result of bindings) {
+    const breedId = entityId(result.breed.value);
+    aliasesByBreed.set(breedId, [...aliasesByBreed.get(breedId) ?? [], result.alias.value]);
+  }
+
+  return aliasesByBreed;
+}
+
+/**
+ * Parse Wikidata parent SPARQL results into parent breeds per breed.
+ *
+ * @param {object[]} bindings - The `results.bindings` array from the parents query
+ * @returns {Map<string, string[]>} breed QID → parent breed QIDs
+ */
+export function parseWikidataParents(bindings) {
+  const parentsByBreed = new Map();
+
+  for (const result of bindings) {
+    const breedId = entityId(result.breed.value);
+    parentsByBreed.set(breedId, [...parentsByBreed.get(breedId) ?? [], entityId(result.parent.value)]);
+  }
+
+  return parentsByBreed;
 }
 
 /**
  * Parse Wikidata SPARQL results into a breed data map.
  *
  * @param {object[]} bindings - The `results.bindings` array from a SPARQL response
- * @returns {Map<string, object>} Wikipedia article title → { name, origin, imageURL }
+ * @param {object} [byBreed] - Further data keyed by breed QID
+ * @param {Map<string, object[]>} [byBreed.origins] - Structured origins from `parseWikidataOrigins`
+ * @param {Map<string, object>} [byBreed.labels] - Localized names from `parseWikidataLabels`
+ * @param {Map<string, string[]>} [byBreed.aliases] - Alternative names from `parseWikidataAliases`
+ * @param {Map<string, object>} [byBreed.characteristics] - Weight, height, lifespan and size from `parseWikidataCharacteristics`
+ * @param {Map<string, object[]>} [byBreed.classifications] - Kennel club classifications from `parseWikidataClassifications`
+ * @param {Map<string, string[]>} [byBreed.parents] - Parent breed QIDs from `parseWikidataParents`
+ * @returns {Map<string, object>} Wikipedia article title → { name, origin, imageURL, origins, id, article, names, aliases, weightKg, heightCm, lifespanYears, size, classifications, parents }
  */
-export function parseWikidataResults(bindings) {
+export function parseWikidataResults(bindings, {
+  origins = new Map(),
+  labels = new Map(),
+  aliases = new Map(),
+  characteristics = new Map(),
+  classifications = new Map(),
+  parents = new Map(),
+} = {}) {
   const breeds = new Map();
 
   for (const result of bindings) {
@@ -86,12 +357,79 @@ export function parseWikidataResults(bindings) {
       name: result.breedLabel.value,
       origin: result.origins?.value || '',
       imageURL,
+      origins: origins.get(entityId(result.breed.value)) ?? [],
+      id: entityId(result.breed.value),
+      article: articleTitle,
+      names: labels.get(entityId(result.breed.value)) ?? {},
+      aliases: aliases.get(entityId(result.breed.value)) ?? [],
+      ...characteristics.get(entityId(result.breed.value)) ?? emptyCharacteristics(),
+      classifications: classifications.get(entityId(result.breed.value)) ?? [],
+      parents: parents.get(entityId(result.breed.value)) ?? [],
     });
   }
 
   return breeds;
 }
 
+/**
+ * Reduce an HTML fragment from Commons metadata to plain text.
+ *
+ * @param {string} html - HTML such as `<a href="…">Jane Doe</a>`
+ * @returns {string} The text, e.g. "Jane Doe"
+ */
+export function stripHtml(html) {
+  return html
+    .replaceAll(/<[^>]*>/g, '')
+    .replaceAll('&quot;', '"')
+    .replaceAll('&#39;', '\'')
+    .replaceAll('&lt;', '<')
+    .replaceAll('&gt;', '>')
+    .replaceAll('&nbsp;', ' ')
+    .replaceAll('&amp;', '&')
+    .replaceAll(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse a Commons `prop=imageinfo` response into image details per file.
+ *
+ * @param {object} data - The parsed API response
+ * @returns {Map<string, object>} file name (as requested, without "File:") →
+ *   { width, height, author, license, licenseURL }
+ */
+export function parseCommonsImageInfo(data) {
+  const byTitle = new Map();
+  for (const page of Object.values(data.query.pages ?? {})) {
+    const [info] = page.imageinfo ?? [];
+    if (!info) {
+      continue;
+    }
+
+    const metadata = info.extmetadata ?? {};
+    byTitle.set(page.title, {
+      width: info.width ?? null,
+      height: info.height ?? null,
+      author: metadata.Artist ? stripHtml(metadata.Artist.value) || null : null,
+      license: metadata.LicenseShortName?.value ?? null,
+      licenseURL: metadata.LicenseUrl?.value ?? null,
+    });
+  }
+
+  // Requested titles come back normalized ("File:Akita_inu.jpg" → "File:Akita inu.jpg")
+  for (const {from, to} of data.query.normalized ?? []) {
+    if (byTitle.has(to)) {
+      byTitle.set(from, byTitle.get(to));
+    }
+  }
+
+  const result = new Map();
+  for (const [title, info] of byTitle) {
+    result.set(title.replace(/^File:/, ''), info);
+  }
+
+  return result;
+}
+
 /**
  * Look up a breed in the Wikidata map, trying the original title first,
  * then the resolved redirect target.
@@ -102,71 +440,312 @@ export function parseWikidataResults(bindings) {
  * @returns {object|undefined} The breed data, or undefined if not found
  */
 export function findInWikidata(articleTitle, wikidataBreeds, redirectMap) {
-  if (wikidataBreeds.has(articleTitle)) {
-    return wikidataBreeds.get(articleTitle);
+  return findCandidate([articleTitle, redirectMap.get(articleTitle)], wikidataBreeds);
+}
+
+/**
+ * Drop any trailing disambiguation such as "(dog breed)" from a Wikipedia
+ * article title.
+ *
+ * @param {string} articleTitle - The Wikipedia article title
+ * @returns {string} The title, e.g. "Akita" for "Akita (dog breed)"
+ */
+export function stripDisambiguation(articleTitle) {
+  return articleTitle.replace(/\s*\([^)]*\)$/, '');
+}
+
+/**
+ * Build a slug from a Wikipedia article title, dropping any trailing
+ * disambiguation.
+ *
+ * @param {string} articleTitle - The Wikipedia article title
+ * @returns {string} The slug, e.g. "akita" for "Akita (dog breed)"
+ */
+export function articleSlug(articleTitle) {
+  return slugify(stripDisambiguation(articleTitle));
+}
+
+/**
+ * Collect the alternative names of a breed: the listed article title, the
+ * redirect target and the Wikidata article title when they differ from the
+ * display name, and the Wikidata aliases.
+ *
+ * @param {string} displayName - The breed's display name
+ * @param {string[]} titles - Wikipedia article titles the breed is known by
+ * @param {string[]} [wikidataAliases] - Aliases from Wikidata
+ * @returns {string[]} Aliases, without duplicates or the display name itself
+ */
+export function collectAliases(displayName, titles, wikidataAliases = []) {
+  const seen = new Set([normalize(displayName)]);
+  const aliases = [];
+
+  for (const alias of [...titles.map(title => stripDisambiguation(title)), ...wikidataAliases]) {
+    const key = normalize(alias);
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      aliases.push(alias);
+    }
   }
 
-  const resolved = redirectMap.get(articleTitle);
-  if (resolved && wikidataBreeds.has(resolved)) {
-    return wikidataBreeds.get(resolved);
+  return aliases;
+}
+
+/**
+ * Give every breed a unique slug, in place.
+ *
+ * Slugs are keyed to the Wikidata QID: a breed that had a slug in the previous
+ * dataset keeps it even if its name or article title has changed since. New
+ * breeds get a slug from their article title, falling back to the title with
+ * its disambiguation and then a numeric suffix when that is already taken.
+ * Breeds that already have a slug keep it.
+ *
+ * @param {object[]} breeds - Merged breed records
+ * @param {object[]} [previousBreeds] - Records from the previous dataset
+ * @returns {object[]} The same breed records
+ */
+export function assignSlugs(breeds, previousBreeds = []) {
+  const previousSlugs = new Map();
+  for (const breed of previousBreeds) {
+    if (breed.id && breed.slug) {
+      previousSlugs.set(breed.id, breed.slug);
+    }
+  }
+
+  const taken = new Set(breeds.map(breed => breed.slug).filter(Boolean));
+  for (const breed of breeds) {
+    const previousSlug = previousSlugs.get(breed.id);
+    if (!breed.slug && previousSlug && !taken.has(previousSlug)) {
+      breed.slug = previousSlug;
+      taken.add(previousSlug);
+    }
+  }
+
+  for (const breed of breeds) {
+    if (breed.slug) {
+      continue;
+    }
+
+    let slug = articleSlug(breed.article);
+    if (taken.has(slug)) {
+      slug = slugify(breed.article);
+    }
+
+    const baseSlug = slug;
+    for (let suffix = 2; taken.has(slug); suffix++) {
+      slug = `${baseSlug}-${suffix}`;
+    }
+
+    breed.slug = slug;
+    taken.add(slug);
   }
 
-  return undefined;
+  return breeds;
 }
 
 /**
- * Combine Wikipedia breed list with Wikidata metadata.
+ * The candidate breeds of the Wikipedia list: its extant breeds, then the
+ * extinct breeds not also listed as extant.
  *
- * @param {Map<string, string>} wikipediaBreeds - article title → display name
+ * @param {Map<string, string>} extant - article title → display name of extant breeds
+ * @param {Map<string, string>} [extinct] - article title → display name of extinct breeds
+ * @returns {Map<string, object>} article title → { name, status, aliases }
+ */
+export function breedListCandidates(extant, extinct = new Map()) {
+  const candidates = new Map();
+  for (const [status, breeds] of [['extant', extant], ['extinct', extinct]]) {
+    for (const [articleTitle, displayName] of breeds) {
+      if (!candidates.has(articleTitle)) {
+        candidates.set(articleTitle, {name: displayName, status, aliases: collectAliases(displayName, [articleTitle])});
+      }
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Merge the Wikipedia list, Wikidata and any extra sources into breed
+ * records.
+ *
+ * Every source goes through `mergeSources`: the Wikipedia list, as the first
+ * listing source, decides which breeds there are, and each field comes from
+ * the sources by precedence. Aliases then get the canonical article title and
+ * lose the display name, and every breed gets a slug.
+ *
+ * @param {Array<{source: object, candidates: Map<string, object>}>} results - From `fetchSources`, the Wikipedia list first
+ * @param {Map<string, string>} redirectMap - Wikipedia redirect mappings
+ * @param {object} [options]
+ * @param {object} [options.precedence] - field name or "*" → source names, highest precedence first
+ * @param {object[]} [options.previousBreeds] - Records from the previous dataset, used to keep slugs stable
+ * @returns {{breeds: object[], sourced: Map<object, object>, unlisted: Array<{source: string, key: string}>}}
+ *   As from `mergeSources`, with slugs
+ */
+export function mergeBreedData(results, redirectMap, {precedence, previousBreeds = []} = {}) {
+  const merged = mergeSources([], results, {redirectMap, precedence});
+  for (const breed of merged.breeds) {
+    breed.aliases = collectAliases(breed.name, [breed.article], breed.aliases);
+  }
+
+  assignSlugs(merged.breeds, previousBreeds);
+  return merged;
+}
+
+/**
+ * List the Wikipedia breeds that have no Wikidata match, even after
+ * following redirects.
+ *
+ * @param {Map<string, string>[]} wikipediaBreedLists - Maps of article title → display name
  * @param {Map<string, object>} wikidataBreeds - article title → breed data
  * @param {Map<string, string>} redirectMap - Wikipedia redirect mappings
- * @returns {object[]} Merged breed array, sorted alphabetically by name
+ * @returns {object[]} [{ name, article, redirect }], where redirect is the resolved title that was also tried, or null
  */
-export function mergeBreedData(wikipediaBreeds, wikidataBreeds, redirectMap) {
-  const merged = [];
+export function findUnmatchedBreeds(wikipediaBreedLists, wikidataBreeds, redirectMap) {
   const unmatched = [];
+  const seen = new Set();
 
-  for (const [articleTitle, displayName] of wikipediaBreeds) {
-    const wikidataEntry = findInWikidata(articleTitle, wikidataBreeds, redirectMap);
+  for (const wikipediaBreeds of wikipediaBreedLists) {
+    for (const [articleTitle, displayName] of wikipediaBreeds) {
+      if (!seen.has(articleTitle) && !findInWikidata(articleTitle, wikidataBreeds, redirectMap)) {
+        unmatched.push({
+          name: displayName,
+          article: articleTitle,
+          redirect: redirectMap.get(articleTitle) ?? null,
+        });
+      }
 
-    if (wikidataEntry) {
-      merged.push({
-        name: displayName,
-        origin: wikidataEntry.origin,
-        imageURL: wikidataEntry.imageURL,
-      });
-    } else {
-      unmatched.push(displayName);
-      merged.push({
-        name: displayName,
-        origin: '',
-        imageURL: '',
-      });
+      seen.add(articleTitle);
     }
   }
 
-  merged.sort((a, b) => a.name.localeCompare(b.name));
-  return merged;
+  return unmatched;
+}
+
+/**
+ * Add Commons image details to every breed, in place.
+ *
+ * Breeds without a Commons image get `image: null`; details Commons did not
+ * return are `null`. Details a breed already has, from overrides, win.
+ *
+ * @param {object[]} breeds - Breed records
+ * @param {Map<string, object>} imageInfo - file name → details, from `fetchImageInfo`
+ * @returns {object[]} The same breed records
+ */
+export function attachImageInfo(breeds, imageInfo) {
+  for (const breed of breeds) {
+    const file = commonsFileName(breed.imageURL);
+    breed.image = file
+      ? {
+        file,
+        width: null,
+        height: null,
+        author: null,
+        license: null,
+        licenseURL: null,
+        ...imageInfo.get(file),
+        ...breed.image,
+      }
+      : null;
+  }
+
+  return breeds;
+}
+
+/**
+ * Path of the data-quality report written next to a dataset.
+ *
+ * @param {string} outputPath - Path of the dataset JSON
+ * @returns {string} e.g. dog-breeds.quality.json for dog-breeds.json
+ */
+export function qualityReportPath(outputPath) {
+  return outputPath.replace(/(?:\.json)?$/, '.quality.json');
+}
+
+/**
+ * Read and parse a JSON file that may not exist yet.
+ *
+ * @param {string} path - Path to the JSON file
+ * @param {*} fallback - Value to return if the file does not exist
+ * @param {Function} readFunction - File read function
+ * @returns {*} The parsed JSON, or the fallback
+ */
+export function readJsonFile(path, fallback, readFunction = readFileSync) {
+  try {
+    return JSON.parse(readFunction(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Load the breed records currently on disk.
+ *
+ * @param {string} path - Path to the dataset JSON
+ * @param {Function} readFunction - File read function
+ * @returns {object[]} The records, or an empty array if the file does not exist
+ */
+export function loadExistingBreeds(path, readFunction = readFileSync) {
+  return readJsonFile(path, [], readFunction);
 }
 
 // --- Network functions ---
 
 /**
- * Fetch the extant breed list from the Wikipedia "List of dog breeds" page.
+ * Fetch the extant and extinct breed lists from the Wikipedia "List of dog
+ * breeds" page.
  *
  * @param {Function} fetchFunction - Fetch implementation (defaults to global fetch)
- * @returns {Promise<Map<string, string>>} article title → display name
+ * @param {object} [options]
+ * @param {number} [options.revisionId] - Revision of the page to fetch instead of the latest
+ * @returns {Promise<{extant: Map<string, string>, extinct: Map<string, string>, revisionId: number|null}>}
+ *   article title → display name, per status, and the revision they come from
  */
-export async function fetchWikipediaBreedList(fetchFunction = fetch) {
+export async function fetchWikipediaBreedList(fetchFunction = fetch, {revisionId} = {}) {
   const url = new URL(WIKIPEDIA_API);
   url.searchParams.set('action', 'parse');
-  url.searchParams.set('page', 'List_of_dog_breeds');
-  url.searchParams.set('prop', 'wikitext');
+  if (revisionId === undefined) {
+    url.searchParams.set('page', WIKIPEDIA_PAGE);
+  } else {
+    url.searchParams.set('oldid', String(revisionId));
+  }
+
+  url.searchParams.set('prop', 'wikitext|revid');
   url.searchParams.set('format', 'json');
 
-  const response = await fetchFunction(url, {headers: {'User-Agent': USER_AGENT}});
-  const data = await response.json();
-  return parseBreedListWikitext(data.parse.wikitext['*']);
+  const data = await fetchMediaWiki(url, fetchFunction, 'parse');
+  const wikitext = data.parse.wikitext['*'];
+  return {
+    extant: parseBreedListWikitext(wikitext),
+    extinct: parseExtinctBreedListWikitext(wikitext),
+    revisionId: data.parse.revid ?? null,
+  };
+}
+
+/**
+ * Fetch the id of the latest revision of the Wikipedia "List of dog breeds"
+ * page, without its content.
+ *
+ * @param {Function} fetchFunction - Fetch implementation (defaults to global fetch)
+ * @returns {Promise<number>} The revision id
+ */
+export async function fetchWikipediaRevision(fetchFunction = fetch) {
+  const url = new URL(WIKIPEDIA_API);
+  url.searchParams.set('action', 'query');
+  url.searchParams.set('prop', 'revisions');
+  url.searchParams.set('rvprop', 'ids');
+  url.searchParams.set('titles', WIKIPEDIA_PAGE);
+  url.searchParams.set('format', 'json');
+
+  const data = await fetchMediaWiki(url, fetchFunction, 'query');
+  const revisionId = Object.values(data.query.pages ?? {})[0]?.revisions?.[0]?.revid;
+  if (revisionId === undefined) {
+    throw new Error(`Unexpected Wikipedia API response: no revision of "${WIKIPEDIA_PAGE}"`);
+  }
+
+  return revisionId;
 }
 
 /**
@@ -183,8 +762,7 @@ export async function resolveRedirectBatch(batch, fetchFunction = fetch) {
   url.searchParams.set('redirects', '1');
   url.searchParams.set('format', 'json');
 
-  const response = await fetchFunction(url, {headers: {'User-Agent': USER_AGENT}});
-  const data = await response.json();
+  const data = await fetchMediaWiki(url, fetchFunction, 'query');
 
   const normalized = new Map();
   if (data.query.normalized) {
@@ -222,6 +800,8 @@ export async function resolveRedirectBatch(batch, fetchFunction = fetch) {
 
 /**
  * Resolve Wikipedia redirects for article titles (batched, 50 per request).
+ * Batches are requested together; pass a fetch from `createResilientFetch` to
+ * bound how many run at once.
  *
  * @param {string[]} titles - Article titles to resolve
  * @param {Function} fetchFunction - Fetch implementation (defaults to global fetch)
@@ -250,51 +830,383 @@ export async function resolveRedirects(titles, fetchFunction = fetch) {
 }
 
 /**
- * Fetch breed origin and image data from Wikidata via SPARQL.
+ * Fetch size, author and license details for a batch of Commons files.
+ *
+ * @param {string[]} batch - Up to 50 file names, without "File:"
+ * @param {Function} fetchFunction - Fetch implementation (defaults to global fetch)
+ * @returns {Promise<Map<string, object>>} file name → details
+ */
+export async function fetchImageInfoBatch(batch, fetchFunction = fetch) {
+  const url = new URL(COMMONS_API);
+  url.searchParams.set('action', 'query');
+  url.searchParams.set('titles', batch.map(file => `File:${file}`).join('|'));
+  url.searchParams.set('prop', 'imageinfo');
+  url.searchParams.set('iiprop', 'size|extmetadata');
+  url.searchParams.set('iiextmetadatafilter', 'Artist|LicenseShortName|LicenseUrl');
+  url.searchParams.set('format', 'json');
+
+  return parseCommonsImageInfo(await fetchMediaWiki(url, fetchFunction, 'query', 'Commons'));
+}
+
+/**
+ * Fetch size, author and license details for Commons files (batched, 50 per
+ * request).
  *
+ * @param {string[]} files - File names, without "File:"
  * @param {Function} fetchFunction - Fetch implementation (defaults to global fetch)
- * @returns {Promise<Map<string, object>>} article title → breed data
+ * @returns {Promise<Map<string, object>>} file name → details
  */
-export async function fetchWikidataBreedInfo(fetchFunction = fetch) {
+export async function fetchImageInfo(files, fetchFunction = fetch) {
+  const batchSize = 50;
+  const batches = [];
+
+  for (let i = 0; i < files.length; i += batchSize) {
+    batches.push(files.slice(i, i + batchSize));
+  }
+
+  const results = await Promise.all(batches.map(batch => fetchImageInfoBatch(batch, fetchFunction)));
+  return new Map(results.flatMap(result => [...result]));
+}
+
+/**
+ * Run a query against the Wikidata SPARQL endpoint.
+ *
+ * @param {string} query - SPARQL query
+ * @param {Function} fetchFunction - Fetch implementation (defaults to global fetch)
+ * @returns {Promise<object[]>} The `results.bindings` array
+ */
+export async function querySparql(query, fetchFunction = fetch) {
   const url = new URL(WIKIDATA_SPARQL);
   url.searchParams.set('format', 'json');
-  url.searchParams.set('query', SPARQL_QUERY);
+  url.searchParams.set('query', query);
 
-  const response = await fetchFunction(url, {headers: {'User-Agent': USER_AGENT}});
-  const data = await response.json();
-  return parseWikidataResults(data.results.bindings);
+  const data = await fetchJson(url, fetchFunction);
+  if (!Array.isArray(data.results?.bindings)) {
+    throw new TypeError('Unexpected Wikidata SPARQL response: no "results.bindings" array');
+  }
+
+  return data.results.bindings;
 }
 
 /**
- * Main orchestration: fetch, merge, and write breed data.
+ * The SPARQL queries the Wikidata breed data is built from, in the order
+ * `parseWikidataBindings` expects their results.
+ *
+ * @param {string[]} [locales] - Locales to collect breed names in
+ * @returns {string[]} The queries
+ */
+export function wikidataQueries(locales = DEFAULT_LOCALES) {
+  return [
+    SPARQL_QUERY,
+    ORIGINS_SPARQL_QUERY,
+    labelsSparqlQuery(locales),
+    ALIASES_SPARQL_QUERY,
+    CHARACTERISTICS_SPARQL_QUERY,
+    CLASSIFICATIONS_SPARQL_QUERY,
+    PARENTS_SPARQL_QUERY,
+  ];
+}
+
+/**
+ * Combine the results of the `wikidataQueries` into breed data.
+ *
+ * @param {object[][]} bindings - The `results.bindings` of each query, in order
+ * @returns {Map<string, object>} article title → breed data
+ */
+export function parseWikidataBindings([
+  breedBindings,
+  originBindings,
+  labelBindings,
+  aliasBindings,
+  characteristicBindings,
+  classificationBindings,
+  parentBindings,
+]) {
+  return parseWikidataResults(breedBindings, {
+    origins: parseWikidataOrigins(originBindings),
+    labels: parseWikidataLabels(labelBindings),
+    aliases: parseWikidataAliases(aliasBindings),
+    characteristics: parseWikidataCharacteristics(characteristicBindings),
+    classifications: parseWikidataClassifications(classificationBindings),
+    parents: parseWikidataParents(parentBindings),
+  });
+}
+
+/**
+ * The Wikipedia "List of dog breeds" as a source adapter (see
+ * scripts/sources.js), listing the breeds there are with their display names
+ * and status. Once fetched, `revisionId` is the revision they come from.
+ *
+ * @param {object} [options]
+ * @param {number} [options.revisionId] - Revision of the page to fetch instead of the latest
+ * @returns {object} A listing source adapter named "wikipedia"
+ */
+export function wikipediaBreedListSource({revisionId} = {}) {
+  const source = {
+    name: 'wikipedia',
+    lists: true,
+    revisionId: revisionId ?? null,
+    async fetch({fetchFunction}) {
+      const list = await fetchWikipediaBreedList(fetchFunction, {revisionId});
+      source.revisionId = list.revisionId;
+      return breedListCandidates(list.extant, list.extinct);
+    },
+  };
+
+  return source;
+}
+
+/**
+ * Wikidata as a source adapter (see scripts/sources.js): the origin, image,
+ * localized name, alias, physical characteristic, kennel club and parent
+ * breed data of the `wikidataQueries`, keyed by English Wikipedia article
+ * title. Once fetched, `bindings` holds the results of its `queries`.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.locales] - Locales to collect breed names in
+ * @returns {object} A source adapter named "wikidata"
+ */
+export function wikidataSource({locales = DEFAULT_LOCALES} = {}) {
+  const source = {
+    name: 'wikidata',
+    lists: false,
+    queries: wikidataQueries(locales),
+    bindings: [],
+    async fetch({fetchFunction}) {
+      source.bindings = await Promise.all(source.queries.map(query => querySparql(query, fetchFunction)));
+      return parseWikidataBindings(source.bindings);
+    },
+  };
+
+  return source;
+}
+
+// Command-line flags and the `main()` options they map to
+const BOOLEAN_FLAGS = new Map([
+  ['--check', 'check'],
+  ['--json', 'json'],
+  ['--quality-report', 'qualityReport'],
+  ['--incremental', 'incremental'],
+]);
+
+const VALUE_FLAGS = new Map([
+  ['--max-removals', 'maxRemovals'],
+  ['--max-lost-images', 'maxLostImages'],
+  ['--record', 'record'],
+  ['--replay', 'replay'],
+  ['--locales', 'locales'],
+  ['--sources', 'sourcesModule'],
+]);
+
+/**
+ * Parse command-line arguments into `main()` options.
+ *
+ * Value flags accept both `--flag value` and `--flag=value`. `--locales`
+ * takes a comma-separated list.
+ *
+ * @param {string[]} argv - Arguments after the script path
+ * @returns {object} Options for `main()`
+ */
+export function parseCliArguments(argv) {
+  const options = {
+    check: false,
+    json: false,
+    qualityReport: false,
+    incremental: false,
+  };
+  const queue = [...argv];
+
+  while (queue.length > 0) {
+    const argument = queue.shift();
+    const [flag, inlineValue] = argument.split(/=(.*)/s);
+
+    if (BOOLEAN_FLAGS.has(flag) && inlineValue === undefined) {
+      options[BOOLEAN_FLAGS.get(flag)] = true;
+    } else if (VALUE_FLAGS.has(flag)) {
+      const value = inlineValue ?? queue.shift();
+      if (value === undefined) {
+        throw new TypeError(`Missing value for ${flag}`);
+      }
+
+      options[VALUE_FLAGS.get(flag)] = value;
+    } else {
+      throw new TypeError(`Unknown option: ${argument}`);
+    }
+  }
+
+  if (options.record && options.replay) {
+    throw new TypeError('--record and --replay cannot be used together');
+  }
+
+  if (options.locales !== undefined) {
+    options.locales = options.locales.split(',').map(locale => locale.trim()).filter(Boolean);
+  }
+
+  return options;
+}
+
+/**
+ * Main orchestration: fetch, merge, report and write breed data.
  *
  * @param {object} options
  * @param {Function} options.fetchFunction - Fetch implementation
+ * @param {Function} options.readFunction - File read function
  * @param {Function} options.writeFunction - File write function
+ * @param {Function} options.log - Output function for the change report
+ * @param {Function} options.warn - Output function for warnings
  * @param {string} options.outputPath - Path to write JSON output
- * @returns {Promise<object[]>} The merged breed array
+ * @param {string} options.overridesPath - Path of the curated overrides file
+ * @param {boolean} options.check - Only report and check thresholds, don't write
+ * @param {boolean} options.json - Log the change report as JSON
+ * @param {string|number} options.maxRemovals - Removal threshold for `check`
+ * @param {string|number} options.maxLostImages - Lost-image threshold for `check`
+ * @param {boolean} options.qualityReport - Also write the data-quality report next to the output
+ * @param {string} options.record - Directory to save every HTTP response in
+ * @param {string} options.replay - Directory to answer HTTP requests from instead of the network
+ * @param {string[]} options.locales - Locales to collect breed names in, besides English
+ * @param {boolean} options.incremental - Keep the dataset on disk when its metadata shows nothing changed
+ * @param {object[]} options.sources - Extra source adapters (see scripts/sources.js)
+ * @param {object} options.precedence - field name or "*" → source names, highest precedence first
+ * @param {string} options.sourcesModule - Module to load `sources` and `precedence` from instead
+ * @param {object} options.http - Options for `createResilientFetch` (concurrency, retries, timeout, …)
+ * @param {Function} options.now - Returns the current time, for the metadata
+ * @returns {Promise<object[]>} The merged breed array, or the one on disk when it is up to date
  */
 export async function main({
   fetchFunction = fetch,
+  readFunction = readFileSync,
   writeFunction = writeFileSync,
+  log = console.log,
+  warn = console.warn,
   outputPath = fileURLToPath(new URL('../dog-breeds.json', import.meta.url)),
+  overridesPath = fileURLToPath(new URL('overrides.json', import.meta.url)),
+  check = false,
+  json = false,
+  maxRemovals,
+  maxLostImages,
+  qualityReport = false,
+  record,
+  replay,
+  locales = DEFAULT_LOCALES,
+  incremental = false,
+  sources = [],
+  precedence = {},
+  sourcesModule,
+  http,
+  now = () => new Date(),
 } = {}) {
-  const [wikipediaBreeds, wikidataBreeds] = await Promise.all([
-    fetchWikipediaBreedList(fetchFunction),
-    fetchWikidataBreedInfo(fetchFunction),
+  let requestFunction = createResilientFetch(fetchFunction, http);
+  if (replay) {
+    requestFunction = createReplayFetch(replay);
+  } else if (record) {
+    requestFunction = createRecordingFetch(record, requestFunction);
+  }
+
+  const fetchedAt = now();
+  const extra = sourcesModule ? await loadSourceModule(sourcesModule) : {sources, precedence};
+  const context = {fetchFunction: requestFunction, readFunction};
+  const wikidata = wikidataSource({locales});
+
+  // In incremental mode, only fetch the list once its revision turns out to be new
+  const [latestRevision, [wikidataResult, ...sourceResults], listResults] = await Promise.all([
+    incremental ? fetchWikipediaRevision(requestFunction) : undefined,
+    fetchSources([wikidata, ...extra.sources], context),
+    incremental ? undefined : fetchSources([wikipediaBreedListSource()], context),
   ]);
 
-  const articleTitles = [...wikipediaBreeds.keys()];
-  const redirectMap = await resolveRedirects(articleTitles, fetchFunction);
-  const breeds = mergeBreedData(wikipediaBreeds, wikidataBreeds, redirectMap);
+  const overrides = readJsonFile(overridesPath, {}, readFunction);
+  if (incremental) {
+    const previousMetadata = readJsonFile(metadataPath(outputPath), null, readFunction);
+    const current = {
+      revisionId: latestRevision,
+      queries: wikidata.queries,
+      bindings: wikidata.bindings,
+      overrides,
+      sourceResults,
+    };
+
+    if (isUpToDate(previousMetadata, current)) {
+      log(`Up to date: revision ${latestRevision} of "${WIKIPEDIA_PAGE}", and the same Wikidata results and overrides as on ${previousMetadata.fetchedAt}`);
+      return loadExistingBreeds(outputPath, readFunction);
+    }
+  }
+
+  const [listResult] = listResults ?? await fetchSources([wikipediaBreedListSource({revisionId: latestRevision})], context);
+  const results = [listResult, wikidataResult, ...sourceResults];
+  const redirectMap = await resolveRedirects(candidateTitles([listResult, ...sourceResults]), requestFunction);
+  const previousBreeds = loadExistingBreeds(outputPath, readFunction);
+
+  const merged = mergeBreedData(results, redirectMap, {precedence: extra.precedence, previousBreeds});
+  const {breeds, overridden, unused, originals} = applyOverrides(merged.breeds, overrides);
+  assignSlugs(breeds, previousBreeds);
+
+  // Overrides can change slugs, so key field sources by the final ones
+  const sourced = Object.fromEntries(breeds
+    .filter(breed => merged.sourced.has(originals.get(breed)))
+    .map(breed => [breed.slug, merged.sourced.get(originals.get(breed))]));
+
+  const imageFiles = [...new Set(breeds.map(breed => commonsFileName(breed.imageURL)).filter(Boolean))];
+  attachImageInfo(breeds, await fetchImageInfo(imageFiles, requestFunction));
+
+  const listed = new Map([...listResult.candidates].map(([articleTitle, candidate]) => [articleTitle, candidate.name]));
+  const unmatched = findUnmatchedBreeds([listed], wikidataResult.candidates, redirectMap);
+  const quality = buildQualityReport(breeds, unmatched);
+
+  const diff = diffBreeds(previousBreeds, breeds, {overridden});
+  log(json ? JSON.stringify(diff, null, 2) : `${formatDiffReport(diff)}\n\n${formatQualityReport(quality)}`);
+
+  for (const key of unused) {
+    warn(`Override "${key}" in ${overridesPath} matched no breed`);
+  }
+
+  for (const {source, key} of merged.unlisted) {
+    warn(`Source "${source}" lists "${key}" without a name or article title, not adding it`);
+  }
+
+  const {errors} = validateBreeds(breeds);
+  if (errors.length > 0) {
+    const lines = formatValidationErrors(errors).map(line => `  - ${line}`);
+    throw new Error(`Breed data does not match dog-breeds.schema.json, not writing it:\n${lines.join('\n')}`);
+  }
+
+  if (check) {
+    const failures = checkDiff(diff, {maxRemovals, maxLostImages});
+    if (failures.length > 0) {
+      throw new Error(`Update check failed:\n${failures.map(failure => `  - ${failure}`).join('\n')}`);
+    }
+
+    return breeds;
+  }
 
   writeFunction(outputPath, JSON.stringify(breeds, null, 2) + '\n');
+  writeExports(breeds, outputPath, writeFunction);
+  writeModules(breeds, outputPath, writeFunction);
+  writeMetadata(buildMetadata(breeds, {
+    fetchedAt,
+    revisionId: listResult.source.revisionId,
+    locales,
+    queries: wikidata.queries,
+    bindings: wikidata.bindings,
+    overrides,
+    overridden,
+    sourceResults,
+    sourced,
+  }), outputPath, writeFunction);
+  if (qualityReport) {
+    writeFunction(qualityReportPath(outputPath), JSON.stringify(quality, null, 2) + '\n');
+  }
+
   return breeds;
 }
 
 // Only run when executed directly (not when imported by tests)
-/* c8 ignore next 4 */
+/* c8 ignore next 9 */
 const isMainModule = process.argv[1] === fileURLToPath(import.meta.url);
 if (isMainModule) {
-  await main();
+  try {
+    await main(parseCliArguments(process.argv.slice(2)));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
 }
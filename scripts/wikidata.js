@@ -0,0 +1,13 @@
+/**
+ * Helpers shared by the parsers of Wikidata SPARQL results.
+ */
+
+/**
+ * Extract the QID from a Wikidata entity URI.
+ *
+ * @param {string} uri - Entity URI, e.g. http://www.wikidata.org/entity/Q38311
+ * @returns {string} The QID, e.g. Q38311
+ */
+export function entityId(uri) {
+  return uri.slice(uri.lastIndexOf('/') + 1);
+}
@@ -0,0 +1,28 @@
+// Generated by scripts/generate-types.js from dog-breeds.schema.json.
+// Do not edit; run `npm run generate-types` instead.
+
+import type {IncomingMessage, Server, ServerResponse} from 'node:http';
+import type {Breed} from './index.js';
+
+export interface ServerOptions {
+  /** Breed records to serve instead of dog-breeds.json. */
+  breeds?: Breed[];
+  /** Dataset version for ETags. Default: a hash of the data. */
+  version?: string;
+  /** When the data last changed. Default: `metadata.fetchedAt`; without it, only ETags are sent. */
+  lastModified?: Date;
+  /** Value of Access-Control-Allow-Origin, or false for no CORS headers. Default: `'*'`. */
+  cors?: string | false;
+  /** Largest page size and random count. Default: 100. */
+  maxLimit?: number;
+}
+
+/** An error with the HTTP status to answer with. */
+export class RequestError extends Error {
+  constructor(status: number, message: string);
+  status: number;
+}
+
+export function datasetVersion(json: string): string;
+export function createHandler(options?: ServerOptions): (request: IncomingMessage, response: ServerResponse) => void;
+export function createServer(options?: ServerOptions): Server;
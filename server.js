@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+
+/**
+ * A dependency-free HTTP API for the breed data, built on `node:http`.
+ *
+ * Routes (GET and HEAD):
+ *   /breeds          Breeds in pages, filtered by the query parameters
+ *                    name, origin, country, status and size, with page and
+ *                    limit for pagination
+ *   /breeds/random   A random breed, or `count` distinct breeds; `seed`
+ *                    picks the same ones every time
+ *   /breeds/:id      A breed by Wikidata QID or slug
+ *
+ * Responses are JSON, errors included ({ error: { status, message } }), and
+ * carry CORS headers. Everything but unseeded random picks has an ETag from
+ * the dataset version and, when the update time is known, a Last-Modified
+ * date, and is answered with 304 Not Modified when the client already has it.
+ *
+ * Start it with `npm run serve`, or `node server.js`; PORT and HOST set the
+ * address (default 3000 on localhost). Import `createServer` or
+ * `createHandler` to embed it.
+ */
+
+import {createHash} from 'node:crypto';
+import {readFileSync} from 'node:fs';
+import http from 'node:http';
+import process from 'node:process';
+import {fileURLToPath} from 'node:url';
+import {createApi} from './lib/api.js';
+import {breedNames, normalize} from './lib/search.js';
+
+const DATA_URL = new URL('dog-breeds.json', import.meta.url);
+const METADATA_URL = new URL('dog-breeds.metadata.json', import.meta.url);
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SIZES = new Set(['toy', 'small', 'medium', 'large', 'giant']);
+const STATUSES = new Map([['extant', 'extant'], ['extinct', 'extinct'], ['all', null]]);
+
+/**
+ * An error with the HTTP status to answer with.
+ */
+export class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+  }
+}
+
+/**
+ * The version of a dataset: the start of the SHA-256 hash of its JSON.
+ *
+ * @param {string} json - The dataset JSON
+ * @returns {string} 16 hex digits
+ */
+export function datasetVersion(json) {
+  return createHash('sha256').update(json).digest('hex').slice(0, 16);
+}
+
+/**
+ * Parse an optional positive integer query parameter.
+ *
+ * @param {URLSearchParams} query - The query parameters
+ * @param {string} name - The parameter
+ * @param {number} [max] - Largest allowed value
+ * @returns {number|undefined} The value, or undefined if not given
+ */
+function integerParameter(query, name, max = Number.MAX_SAFE_INTEGER) {
+  const value = query.get(name);
+  if (value === null) {
+    return undefined;
+  }
+
+  if (!/^\d+$/.test(value) || Number(value) < 1 || Number(value) > max) {
+    throw new RequestError(400, `Expected ${name} to be an integer from 1 to ${max}, got "${value}"`);
+  }
+
+  return Number(value);
+}
+
+/**
+ * Parse an optional query parameter with a fixed set of values.
+ *
+ * @param {URLSearchParams} query - The query parameters
+ * @param {string} name - The parameter
+ * @param {Iterable<string>} allowed - The allowed values
+ * @returns {string|undefined} The value, or undefined if not given
+ */
+function choiceParameter(query, name, allowed) {
+  const value = query.get(name);
+  if (value !== null && ![...allowed].includes(value)) {
+    throw new RequestError(400, `Expected ${name} to be one of ${[...allowed].join(', ')}, got "${value}"`);
+  }
+
+  return value ?? undefined;
+}
+
+/**
+ * Answer `/breeds`: filter, then paginate.
+ *
+ * @param {object} api - The package API from `createApi`
+ * @param {URLSearchParams} query - The query parameters
+ * @param {number} maxLimit - Largest allowed page size
+ * @returns {object} { breeds, page, limit, total, pages }
+ */
+function listBreeds(api, query, maxLimit) {
+  const page = integerParameter(query, 'page') ?? 1;
+  const limit = integerParameter(query, 'limit', maxLimit) ?? Math.min(DEFAULT_LIMIT, maxLimit);
+  const status = choiceParameter(query, 'status', STATUSES.keys());
+  const size = choiceParameter(query, 'size', SIZES);
+  const name = query.has('name') ? normalize(query.get('name')) : undefined;
+
+  const breeds = api.filter({
+    origin: query.get('origin') ?? undefined,
+    country: query.get('country') ?? undefined,
+    status: status === undefined ? 'extant' : STATUSES.get(status),
+    size,
+  }).filter(breed => name === undefined || breedNames(breed).some(candidate => normalize(candidate).includes(name)));
+
+  return {
+    breeds: breeds.slice((page - 1) * limit, page * limit),
+    page,
+    limit,
+    total: breeds.length,
+    pages: Math.ceil(breeds.length / limit),
+  };
+}
+
+/**
+ * Answer a request with the body it asks for.
+ *
+ * @param {object} api - The package API from `createApi`
+ * @param {URL} url - The request URL
+ * @param {number} maxLimit - Largest allowed page size
+ * @returns {{body: *, cacheable: boolean}} The response body, and whether it
+ *   is the same for every request of this URL
+ */
+function route(api, url, maxLimit) {
+  const path = url.pathname.replace(/\/+$/, '');
+  const query = url.searchParams;
+
+  if (path === '/breeds') {
+    return {body: listBreeds(api, query, maxLimit), cacheable: true};
+  }
+
+  if (path === '/breeds/random') {
+    const count = integerParameter(query, 'count', maxLimit);
+    const seed = query.get('seed') ?? undefined;
+    let body;
+    if (count === undefined) {
+      body = seed === undefined ? api.random() : api.sample(1, {seed})[0];
+    } else {
+      body = api.sample(count, {seed});
+    }
+
+    return {body, cacheable: seed !== undefined};
+  }
+
+  const match = /^\/breeds\/([^/]+)$/.exec(path);
+  if (match) {
+    let id;
+    try {
+      id = decodeURIComponent(match[1]);
+    } catch {
+      throw new RequestError(400, `Malformed breed id "${match[1]}"`);
+    }
+
+    const breed = api.get(id);
+    if (!breed) {
+      throw new RequestError(404, `No breed with id or slug "${id}"`);
+    }
+
+    return {body: breed, cacheable: true};
+  }
+
+  throw new RequestError(404, `No route for ${url.pathname}`);
+}
+
+/**
+ * Whether the client already has the current response.
+ *
+ * @param {http.IncomingMessage} request - The request
+ * @param {string} etag - The current ETag
+ * @param {Date} [lastModified] - When the dataset last changed, if known
+ * @returns {boolean} True to answer 304 Not Modified
+ */
+function isNotModified(request, etag, lastModified) {
+  const ifNoneMatch = request.headers['if-none-match'];
+  if (ifNoneMatch !== undefined) {
+    // If-None-Match wins over If-Modified-Since, and compares weakly
+    const tags = new Set(ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')));
+    return tags.has('*') || tags.has(etag);
+  }
+
+  const ifModifiedSince = Date.parse(request.headers['if-modified-since']);
+  return lastModified !== undefined && !Number.isNaN(ifModifiedSince) && lastModified.getTime() <= ifModifiedSince;
+}
+
+/**
+ * Create a request handler for the API, for `http.createServer` or as
+ * middleware in another server.
+ *
+ * @param {object} [options]
+ * @param {object[]} [options.breeds] - Breed records to serve instead of dog-breeds.json
+ * @param {string} [options.version] - Dataset version for ETags; defaults to a hash of the data
+ * @param {Date} [options.lastModified] - When the data last changed; defaults to when
+ *   dog-breeds.json was fetched, from its metadata. Without it, only ETags are sent
+ * @param {string|false} [options.cors='*'] - Value of Access-Control-Allow-Origin, or false for no CORS headers
+ * @param {number} [options.maxLimit=100] - Largest page size and random count
+ * @returns {Function} A `(request, response)` handler
+ */
+export function createHandler({
+  breeds,
+  version,
+  lastModified,
+  cors = '*',
+  maxLimit = MAX_LIMIT,
+} = {}) {
+  let json;
+  if (breeds) {
+    json = JSON.stringify(breeds);
+  } else {
+    json = readFileSync(DATA_URL, 'utf8');
+
+    // Not the file's mtime: npm resets that to the same date in every release
+    const {fetchedAt} = JSON.parse(readFileSync(METADATA_URL, 'utf8'));
+    lastModified ??= fetchedAt ? new Date(fetchedAt) : undefined;
+  }
+
+  const api = createApi(breeds ?? JSON.parse(json));
+  const etag = `"${version ?? datasetVersion(json)}"`;
+
+  // HTTP dates have whole seconds
+  const modified = lastModified && new Date(Math.floor(lastModified.getTime() / 1000) * 1000);
+
+  return (request, response) => {
+    const headers = {'Content-Type': 'application/json; charset=utf-8'};
+    if (cors) {
+      Object.assign(headers, {
+        'Access-Control-Allow-Origin': cors,
+        'Access-Control-Expose-Headers': 'ETag, Last-Modified',
+      });
+    }
+
+    const send = (status, body, extraHeaders = {}) => {
+      response.writeHead(status, {...headers, ...extraHeaders});
+      response.end(request.method === 'HEAD' || body === undefined ? undefined : JSON.stringify(body) + '\n');
+    };
+
+    if (request.method === 'OPTIONS') {
+      send(204, undefined, cors ? {
+        'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+        'Access-Control-Allow-Headers': 'If-None-Match, If-Modified-Since',
+        'Access-Control-Max-Age': '86400',
+      } : {Allow: 'GET, HEAD, OPTIONS'});
+      return;
+    }
+
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      send(405, {error: {status: 405, message: `Method ${request.method} not allowed`}}, {Allow: 'GET, HEAD, OPTIONS'});
+      return;
+    }
+
+    let result;
+    try {
+      result = route(api, new URL(request.url, 'http://localhost'), maxLimit);
+    } catch (error) {
+      const status = error instanceof RequestError ? error.status : 500;
+      const message = status === 500 ? 'Internal server error' : error.message;
+      send(status, {error: {status, message}});
+      return;
+    }
+
+    if (!result.cacheable) {
+      send(200, result.body, {'Cache-Control': 'no-store'});
+      return;
+    }
+
+    const cacheHeaders = {
+      ETag: etag,
+      ...(modified && {'Last-Modified': modified.toUTCString()}),
+      'Cache-Control': 'no-cache',
+    };
+
+    if (isNotModified(request, etag, modified)) {
+      send(304, undefined, cacheHeaders);
+      return;
+    }
+
+    send(200, result.body, cacheHeaders);
+  };
+}
+
+/**
+ * Create an HTTP server for the API. Call `listen()` on it to start it.
+ *
+ * @param {object} [options] - Options for `createHandler`
+ * @returns {http.Server} The server
+ */
+export function createServer(options) {
+  return http.createServer(createHandler(options));
+}
+
+// Only run when executed directly (not when imported by tests)
+/* c8 ignore next 8 */
+const isMainModule = process.argv[1] === fileURLToPath(import.meta.url);
+if (isMainModule) {
+  const port = Number(process.env.PORT ?? 3000);
+  const host = process.env.HOST ?? 'localhost';
+  createServer().listen(port, host, () => {
+    console.log(`Serving dog breeds on http://${host}:${port}/breeds`);
+  });
+}
@@ -1,11 +1,98 @@
+import {readFileSync} from 'node:fs';
 import test from 'ava';
-import {all, random} from './index.js';
+import * as browserEntry from './browser.js';
+import {createApi} from './lib/api.js';
+import * as names from './names.js';
+import * as nodeEntry from './index.js';
+import {
+  all,
+  extant,
+  extinct,
+  random,
+  find,
+  get,
+  search,
+  filter,
+  byCountry,
+  byGroup,
+  localize,
+  imageURL,
+  parentsOf,
+  ancestorsOf,
+  descendantsOf,
+  validate,
+  createRandom,
+  sample,
+  shuffle,
+  quiz,
+  toGeoJSON,
+  breedsNear,
+} from './index.js';
+
+// Records with the fields updates add, which the shipped data may predate
+const measured = (min, max) => ({
+  min,
+  max,
+  male: null,
+  female: null,
+});
+
+const fci = (standard, number) => ({club: 'FCI', standard, group: {number, name: `Group ${number}`}});
+const akc = group => ({club: 'AKC', standard: '', group: {number: null, name: group}});
+
+const updatedRecords = [
+  {
+    name: 'Akita',
+    origin: 'Japan',
+    imageURL: '',
+    status: 'extant',
+    weightKg: measured(32, 59),
+    size: 'large',
+    classifications: [fci('255', 5), akc('Working')],
+  },
+  {
+    name: 'Pug',
+    origin: 'China',
+    imageURL: '',
+    status: 'extant',
+    weightKg: measured(6.3, 8.1),
+    size: 'small',
+    classifications: [fci('253', 9), akc('Toy')],
+  },
+  {
+    name: 'Shih Tzu',
+    origin: 'Tibet',
+    imageURL: '',
+    status: 'extant',
+    weightKg: measured(4, 7.2),
+    size: 'toy',
+    classifications: [fci('208', 9)],
+  },
+  {
+    name: 'Alpine Spaniel',
+    origin: 'Switzerland',
+    imageURL: '',
+    status: 'extinct',
+    classifications: [fci('1', 9)],
+  },
+];
 
 test('random() returns a dog breed object', t => {
   const breed = random();
-  const expectedKeys = ['name', 'origin', 'imageURL'];
   t.true(typeof breed === 'object');
-  t.deepEqual(Object.keys(breed), expectedKeys);
+  // Updates add fields such as `origins` and `id` after these
+  t.deepEqual(Object.keys(breed).slice(0, 3), ['name', 'origin', 'imageURL']);
+  t.deepEqual(validate([breed]).errors, []);
+});
+
+test('the dataset matches its schema', t => {
+  t.deepEqual(validate([...extant, ...extinct]), {valid: true, errors: []});
+});
+
+test('validate() reports invalid records', t => {
+  const {valid, errors} = validate([{name: '', origin: 'Nowhere', imageURL: 'http://example.org/dog.jpg'}]);
+  t.false(valid);
+  t.deepEqual(errors.map(error => error.path), ['/0/name', '/0/imageURL']);
 });
 
 test('all is an array of dog breed objects', t => {
@@ -13,3 +100,248 @@ test('all is an array of dog breed objects', t => {
   t.true(all.length > 0);
   t.true(typeof all[0] === 'object');
 });
+
+test('all only contains extant breeds', t => {
+  t.is(all, extant);
+  t.true(all.every(breed => (breed.status ?? 'extant') === 'extant'));
+  t.true(extinct.every(breed => breed.status === 'extinct'));
+});
+
+test('filter() can select extinct breeds', t => {
+  t.deepEqual(filter({status: 'extinct'}), extinct);
+  t.is(filter({status: null}).length, extant.length + extinct.length);
+});
+
+test('find() looks up a breed by name', t => {
+  t.is(find('bichon frise').name, 'Bichon Frisé');
+  t.is(find('Not A Breed'), undefined);
+});
+
+test('get() looks up a breed by slug', t => {
+  t.is(get('bichon-frise').name, 'Bichon Frisé');
+  t.is(get('not-a-breed'), undefined);
+});
+
+test('search() returns ranked breeds', t => {
+  const results = search('shepherd', {limit: 5});
+  t.is(results.length, 5);
+  t.true(results.every(breed => breed.name.includes('Shepherd')));
+});
+
+test('byGroup() and recognizedBy() return extant breeds with that classification', t => {
+  const api = createApi(updatedRecords);
+  t.deepEqual(api.byGroup('FCI', 9).map(breed => breed.name), ['Pug', 'Shih Tzu']);
+  t.deepEqual(api.byGroup('akc', 'toy').map(breed => breed.name), ['Pug']);
+  t.deepEqual(api.recognizedBy('AKC').map(breed => breed.name), ['Akita', 'Pug']);
+});
+
+test('localize() returns a breed name in a locale', t => {
+  t.is(localize(find('Pug'), 'en'), 'Pug');
+  t.is(localize({name: 'Pug', names: {en: 'Pug', de: 'Mops'}}, 'de'), 'Mops');
+  t.is(localize({name: 'Pug', names: {en: 'Pug'}}, 'ja'), 'Pug');
+});
+
+test('imageURL() builds thumbnail URLs', t => {
+  const breed = find('Affenpinscher');
+  t.is(imageURL(breed), breed.imageURL);
+  t.is(imageURL(breed, {width: 320}), 'https://commons.wikimedia.org/wiki/Special:FilePath/Affenpinscher.jpg?width=320');
+});
+
+test('toGeoJSON() and breedsNear() map breed origins', t => {
+  const {type, features} = toGeoJSON();
+  t.is(type, 'FeatureCollection');
+  t.true(features.length > 0);
+  t.true(features.every(feature => feature.geometry.type === 'Point' && feature.properties.breeds.length > 0));
+
+  const japan = features.find(feature => feature.id === 'Q17');
+  t.is(japan.properties.code, 'JP');
+  t.true(japan.properties.breeds.some(entry => entry.name === 'Akita'));
+
+  // Tokyo
+  const near = breedsNear(35.68, 139.69, 500);
+  t.true(near.some(breed => breed.name === 'Akita'));
+  t.false(near.some(breed => breed.name === 'Affenpinscher'));
+  t.throws(() => breedsNear(100, 0, 100), {instanceOf: TypeError});
+});
+
+test('parentsOf(), ancestorsOf() and descendantsOf() return breed records', t => {
+  const breed = (name, id, parents, status = 'extant') => ({
+    name,
+    origin: 'Japan',
+    imageURL: '',
+    id,
+    status,
+    parents,
+  });
+  const api = createApi([
+    breed('Matagi', 'Q3', [], 'extinct'),
+    breed('Akita', 'Q1', ['Q3']),
+    breed('American Akita', 'Q2', ['Q1', 'Q404']),
+    breed('Shiba Inu', 'Q4', []),
+  ]);
+  const names = breeds => breeds.map(record => record.name);
+
+  t.deepEqual(names(api.parentsOf('american-akita')), ['Akita']);
+  t.deepEqual(names(api.parentsOf(api.get('Q1'))), ['Matagi']);
+  t.deepEqual(names(api.ancestorsOf('Q2')), ['Akita', 'Matagi']);
+  t.deepEqual(names(api.ancestorsOf('Q2', {depth: 1})), ['Akita']);
+  t.deepEqual(names(api.descendantsOf('matagi')), ['Akita', 'American Akita']);
+  t.deepEqual(names(api.descendantsOf('matagi', {depth: 1})), ['Akita']);
+  t.deepEqual(api.ancestorsOf('shiba-inu'), []);
+  t.deepEqual(api.descendantsOf('shiba-inu'), []);
+
+  // The shipped data predates `parents`
+  t.deepEqual(parentsOf('not-a-breed'), []);
+  t.deepEqual(ancestorsOf(find('Akita')), []);
+  t.deepEqual(descendantsOf(find('Akita')), []);
+});
+
+test('filter() narrows breeds by size and weight', t => {
+  const api = createApi(updatedRecords);
+  t.deepEqual(api.filter({size: 'small', maxWeightKg: 10}).map(breed => breed.name), ['Pug']);
+  t.deepEqual(api.filter({maxWeightKg: 10}).map(breed => breed.name), ['Pug', 'Shih Tzu']);
+});
+
+test('filter() narrows breeds by origin and image', t => {
+  const breeds = filter({origin: 'Japan', hasImage: true});
+  t.true(breeds.length > 0);
+  t.true(breeds.every(breed => breed.origin.includes('Japan') && breed.imageURL));
+});
+
+test('byCountry() returns breeds from a country and its subdivisions', t => {
+  t.true(byCountry('JP').includes(find('Akita')));
+  t.true(byCountry('GB').includes(find('Border Collie')));
+  t.true(byCountry('GB-SCT').includes(find('Border Collie')));
+  t.false(byCountry('GB-WLS').includes(find('Border Collie')));
+  t.deepEqual(byCountry('JP'), filter({country: 'jp'}));
+});
+
+test('createRandom() returns a seeded breed generator', t => {
+  const first = createRandom({seed: '2026-10-19'});
+  const second = createRandom({seed: '2026-10-19'});
+  t.is(first(), second());
+  t.is(first(), second());
+});
+
+test('createRandom() picks only from filtered breeds', t => {
+  const randomWithImage = createRandom({filter: {hasImage: true}});
+  t.truthy(randomWithImage().imageURL);
+});
+
+test('sample() returns distinct breeds reproducibly', t => {
+  const breeds = sample(3, {seed: 1});
+  t.is(new Set(breeds).size, 3);
+  t.deepEqual(sample(3, {seed: 1}), breeds);
+});
+
+test('shuffle() returns every breed', t => {
+  t.is(shuffle({seed: 1}).length, all.length);
+});
+
+test('quiz asks about breeds with an image', t => {
+  const image = name => `https://commons.wikimedia.org/wiki/Special:FilePath/${name}.jpg`;
+  const api = createApi(['Akita', 'Beagle', 'Boxer', 'Pug', 'Pumi', 'Puli'].map((name, index) => ({
+    name,
+    origin: '',
+    imageURL: index % 2 === 0 ? image(name) : '',
+  })));
+  const session = new Set();
+  const questions = api.quiz({
+    count: 5,
+    seed: 'quiz',
+    difficulty: 'hard',
+    session,
+  });
+
+  t.deepEqual(questions.map(question => question.breed.name).sort(), ['Akita', 'Boxer', 'Pumi']);
+  t.deepEqual([...session].sort(), ['akita', 'boxer', 'pumi']);
+  for (const question of questions) {
+    t.is(question.imageURL, image(question.breed.name));
+    t.is(question.choices.length, 4);
+    t.is(question.choices[question.answer], question.breed);
+  }
+
+  t.deepEqual(api.quiz({count: 1, session}), []);
+  t.truthy(quiz({count: 1, seed: 'quiz'})[0].imageURL);
+});
+
+// Regenerating the data breaks this test until the README shows the new output
+test('README examples hold for the shipped data', t => {
+  const names = breeds => breeds.map(breed => breed.name);
+  t.like(get('akita'), {name: 'Akita', origin: 'Japan, United States'});
+  t.deepEqual(names(search('german shepard', {limit: 3})), ['German Shepherd', 'Georgian Shepherd', 'German Hound']);
+  t.deepEqual(names(filter({origin: 'Japan', hasImage: true})).slice(0, 2), ['Akita', 'Hokkaido']);
+  t.deepEqual(names(byCountry('GB')).slice(0, 3), ['Airedale Terrier', 'Beagle', 'Bearded Collie']);
+  t.is(imageURL(find('Akita'), {width: 320}), 'https://commons.wikimedia.org/wiki/Special:FilePath/Akita%20inu%20criado%20por%20Tsutsui%20Kennel.jpg?width=320');
+  t.like(toGeoJSON().features[0], {id: 'Q889', geometry: {coordinates: [66, 34]}, properties: {label: 'Afghanistan'}});
+
+  // Fields only regenerated data has, see "Data from the updater"
+  t.deepEqual(byGroup('FCI', 1), []);
+  t.is(localize(find('German Shepherd'), 'de'), 'German Shepherd');
+});
+
+// -- Browser and names-only entries --
+
+/**
+ * Every module a module imports, directly or not, by file URL.
+ *
+ * @param {URL} url - The module
+ * @param {Set<string>} [seen] - Modules already visited
+ * @returns {Set<string>} The module and the specifiers of everything it imports
+ */
+function importGraph(url, seen = new Set()) {
+  seen.add(url.href);
+  const code = readFileSync(url, 'utf8');
+  for (const [, specifier] of code.matchAll(/^import (?:[\s\S]*? from )?'([^']+)';$/gm)) {
+    if (!specifier.startsWith('.')) {
+      seen.add(specifier);
+    } else if (!seen.has(new URL(specifier, url).href)) {
+      importGraph(new URL(specifier, url), seen);
+    }
+  }
+
+  return seen;
+}
+
+test('browser.js has the same API and data as index.js', t => {
+  t.deepEqual(Object.keys(browserEntry), Object.keys(nodeEntry));
+  t.deepEqual(browserEntry.all, all);
+  t.deepEqual(browserEntry.extinct, extinct);
+  t.is(browserEntry.get('bichon-frise').name, 'Bichon Frisé');
+  t.true(browserEntry.validate(browserEntry.all).valid);
+});
+
+test('metadata describes the dataset on disk', t => {
+  t.deepEqual(nodeEntry.metadata, JSON.parse(readFileSync(new URL('dog-breeds.metadata.json', import.meta.url), 'utf8')));
+  t.deepEqual(browserEntry.metadata, nodeEntry.metadata);
+  t.is(nodeEntry.metadata.wikipedia.page, 'List of dog breeds');
+
+  // Records from before the updater tracked sources have none
+  const slugs = new Set(nodeEntry.all.map(breed => breed.slug));
+  t.true(Object.keys(nodeEntry.metadata.sources).every(slug => slugs.has(slug)));
+});
+
+test('browser.js and names.js do not import Node built-ins', t => {
+  for (const entry of ['browser.js', 'names.js']) {
+    const imports = [...importGraph(new URL(entry, import.meta.url))];
+    t.true(imports.some(specifier => specifier.endsWith('/lib/random.js')));
+    t.deepEqual(imports.filter(specifier => specifier.startsWith('node:')), [], `${entry} imports Node built-ins`);
+  }
+});
+
+test('names.js exports breed names only', t => {
+  t.deepEqual(names.all, all.map(breed => breed.name));
+  t.deepEqual(names.extinct, extinct.map(breed => breed.name));
+  t.is(typeof names.random(), 'string');
+  t.deepEqual(names.sample(3, {seed: 1}), sample(3, {seed: 1}).map(breed => breed.name));
+  t.is(names.createRandom({seed: 'x'})(), createRandom({seed: 'x'})().name);
+  t.deepEqual(names.shuffle({seed: 1, filter: name => name.startsWith('A')}), shuffle({seed: 1, filter: breed => breed.name.startsWith('A')}).map(breed => breed.name));
+});
+
+test('names.js only filters with a function', t => {
+  for (const call of [() => names.createRandom({filter: {hasImage: true}}), () => names.sample(1, {filter: 'A'}), () => names.shuffle({filter: null})]) {
+    t.throws(call, {instanceOf: TypeError, message: /^Expected filter to be a function of the name/});
+  }
+
+  t.is(names.sample(1, {filter: undefined}).length, 1);
+});
@@ -0,0 +1,85 @@
+import test from 'ava';
+import {
+  breedParents,
+  breedAncestors,
+  breedDescendants,
+  findDanglingParents,
+  findParentCycles,
+} from '../lib/ancestry.js';
+
+// -- Fixtures --
+
+// Mastiff and Bulldog → Bullmastiff; Bulldog and Terrier → Bull Terrier;
+// Bull Terrier → Miniature Bull Terrier
+const records = [
+  {name: 'Bull Terrier', id: 'Q1', parents: ['Q2', 'Q5']},
+  {name: 'Bulldog', id: 'Q2', parents: []},
+  {name: 'Bullmastiff', id: 'Q3', parents: ['Q4', 'Q2']},
+  {name: 'Mastiff', id: 'Q4', parents: []},
+  {name: 'English White Terrier', id: 'Q5', parents: ['Q404']},
+  {name: 'Miniature Bull Terrier', id: 'Q6', parents: ['Q1']},
+];
+
+const names = breeds => breeds.map(breed => breed.name);
+
+// -- breedParents --
+
+test('breedParents returns the parent records', t => {
+  t.deepEqual(names(breedParents(records, records[2])), ['Mastiff', 'Bulldog']);
+  t.deepEqual(breedParents(records, records[1]), []);
+});
+
+test('breedParents accepts a QID or slug and skips parents not in the records', t => {
+  t.deepEqual(names(breedParents(records, 'english-white-terrier')), []);
+  t.deepEqual(names(breedParents(records, 'Q6')), ['Bull Terrier']);
+  t.deepEqual(breedParents(records, 'unknown'), []);
+});
+
+// -- breedAncestors --
+
+test('breedAncestors walks every generation, nearest first', t => {
+  t.deepEqual(names(breedAncestors(records, 'miniature-bull-terrier')), ['Bull Terrier', 'Bulldog', 'English White Terrier']);
+});
+
+test('breedAncestors stops at the given depth', t => {
+  t.deepEqual(names(breedAncestors(records, 'Q6', {depth: 1})), ['Bull Terrier']);
+  t.deepEqual(breedAncestors(records, 'Q6', {depth: 0}), []);
+  t.throws(() => breedAncestors(records, 'Q6', {depth: -1}), {
+    instanceOf: TypeError,
+    message: 'Expected depth to be a non-negative integer, got -1',
+  });
+});
+
+// -- breedDescendants --
+
+test('breedDescendants walks every generation, nearest first', t => {
+  t.deepEqual(names(breedDescendants(records, 'bulldog')), ['Bull Terrier', 'Bullmastiff', 'Miniature Bull Terrier']);
+  t.deepEqual(names(breedDescendants(records, 'bulldog', {depth: 1})), ['Bull Terrier', 'Bullmastiff']);
+  t.deepEqual(breedDescendants(records, 'Q6'), []);
+});
+
+// -- Cycles and dangling links --
+
+test('graph walks terminate on cycles', t => {
+  const cyclic = [
+    {name: 'A', id: 'Q10', parents: ['Q11']},
+    {name: 'B', id: 'Q11', parents: ['Q10']},
+  ];
+  t.deepEqual(names(breedAncestors(cyclic, 'Q10')), ['B']);
+  t.deepEqual(names(breedDescendants(cyclic, 'Q10')), ['B']);
+});
+
+test('findDanglingParents lists parent QIDs without a record', t => {
+  t.deepEqual(findDanglingParents(records), [{breed: records[4], parent: 'Q404'}]);
+});
+
+test('findParentCycles finds cycles, including self-references', t => {
+  t.deepEqual(findParentCycles(records), []);
+
+  const cyclic = [
+    {name: 'A', id: 'Q10', parents: ['Q11']},
+    {name: 'B', id: 'Q11', parents: ['Q10']},
+    {name: 'C', id: 'Q12', parents: ['Q12']},
+  ];
+  t.deepEqual(findParentCycles(cyclic).map(cycle => names(cycle)), [['A', 'B'], ['C']]);
+});
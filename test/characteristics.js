@@ -0,0 +1,116 @@
+import test from 'ava';
+import {
+  CHARACTERISTICS_SPARQL_QUERY,
+  emptyCharacteristics,
+  sizeClass,
+  parseWikidataCharacteristics,
+} from '../scripts/characteristics.js';
+
+// -- Fixtures --
+
+const ENTITY = 'http://www.wikidata.org/entity/';
+
+function row(breed, measure, [amount, unit], {lowerBound, upperBound, sex} = {}) {
+  return {
+    breed: {value: `${ENTITY}${breed}`},
+    measure: {value: measure},
+    amount: {value: String(amount)},
+    unit: {value: `${ENTITY}${unit}`},
+    ...lowerBound !== undefined && {lowerBound: {value: String(lowerBound)}},
+    ...upperBound !== undefined && {upperBound: {value: String(upperBound)}},
+    ...sex && {sex: {value: `${ENTITY}${sex}`}},
+  };
+}
+
+// -- CHARACTERISTICS_SPARQL_QUERY --
+
+test('CHARACTERISTICS_SPARQL_QUERY asks for weight, height and life expectancy', t => {
+  for (const property of ['P2067', 'P2048', 'P2250']) {
+    t.true(CHARACTERISTICS_SPARQL_QUERY.includes(`psv:${property}`));
+  }
+});
+
+// -- sizeClass --
+
+test('sizeClass classifies by the middle of the weight range', t => {
+  t.is(sizeClass({weightKg: {min: 2, max: 3}, heightCm: null}), 'toy');
+  t.is(sizeClass({weightKg: {min: 6, max: 10}, heightCm: null}), 'small');
+  t.is(sizeClass({weightKg: {min: 20, max: 28}, heightCm: null}), 'medium');
+  t.is(sizeClass({weightKg: {min: 30, max: 40}, heightCm: {min: 80, max: 90}}), 'large');
+  t.is(sizeClass({weightKg: {min: 54, max: 82}, heightCm: null}), 'giant');
+});
+
+test('sizeClass falls back to height and then to null', t => {
+  t.is(sizeClass({weightKg: null, heightCm: {min: 20, max: 25}}), 'toy');
+  t.is(sizeClass({weightKg: null, heightCm: {min: 70, max: 80}}), 'giant');
+  t.is(sizeClass(emptyCharacteristics()), null);
+});
+
+// -- parseWikidataCharacteristics --
+
+test('parseWikidataCharacteristics converts units to kg, cm and years', t => {
+  const characteristics = parseWikidataCharacteristics([
+    row('Q1', 'weightKg', [20, 'Q100995']),
+    row('Q1', 'heightCm', [13, 'Q218593']),
+    row('Q1', 'lifespanYears', [144, 'Q5151']),
+  ]).get('Q1');
+
+  t.deepEqual(characteristics, {
+    weightKg: {
+      min: 9.1,
+      max: 9.1,
+      male: null,
+      female: null,
+    },
+    heightCm: {
+      min: 33,
+      max: 33,
+      male: null,
+      female: null,
+    },
+    lifespanYears: {
+      min: 12,
+      max: 12,
+      male: null,
+      female: null,
+    },
+    size: 'small',
+  });
+});
+
+test('parseWikidataCharacteristics uses bounds and combines statements', t => {
+  const {weightKg} = parseWikidataCharacteristics([
+    row('Q1', 'weightKg', [30, 'Q11570'], {lowerBound: 25, upperBound: 35}),
+    row('Q1', 'weightKg', [40_000, 'Q41803']),
+  ]).get('Q1');
+
+  t.is(weightKg.min, 25);
+  t.is(weightKg.max, 40);
+});
+
+test('parseWikidataCharacteristics keeps male and female ranges apart', t => {
+  const {heightCm} = parseWikidataCharacteristics([
+    row('Q1', 'heightCm', [60, 'Q174728'], {lowerBound: 58, upperBound: 62, sex: 'Q44148'}),
+    row('Q1', 'heightCm', [0.56, 'Q11573'], {lowerBound: 0.53, upperBound: 0.58, sex: 'Q6581072'}),
+    row('Q1', 'heightCm', [55, 'Q174728'], {sex: 'Q43445'}),
+  ]).get('Q1');
+
+  t.deepEqual(heightCm, {
+    min: 53,
+    max: 62,
+    male: {min: 58, max: 62},
+    female: {min: 53, max: 58},
+  });
+});
+
+test('parseWikidataCharacteristics skips unknown units and leaves missing values null', t => {
+  const characteristics = parseWikidataCharacteristics([
+    row('Q1', 'weightKg', [5, 'Q199']),
+    row('Q1', 'lifespanYears', [14, 'Q577']),
+  ]).get('Q1');
+
+  t.is(characteristics.weightKg, null);
+  t.is(characteristics.heightCm, null);
+  t.is(characteristics.lifespanYears.max, 14);
+  t.is(characteristics.size, null);
+});
@@ -0,0 +1,67 @@
+import test from 'ava';
+import {
+  KENNEL_CLUBS,
+  CLASSIFICATIONS_SPARQL_QUERY,
+  parseGroupLabel,
+  parseWikidataClassifications,
+} from '../scripts/classifications.js';
+
+// -- Fixtures --
+
+function row(breed, club, standard, groupLabel) {
+  return {
+    breed: {value: `http://www.wikidata.org/entity/${breed}`},
+    club: {value: club},
+    standard: {value: standard},
+    ...groupLabel && {groupLabel: {value: groupLabel}},
+  };
+}
+
+// -- CLASSIFICATIONS_SPARQL_QUERY --
+
+test('CLASSIFICATIONS_SPARQL_QUERY lists every club', t => {
+  for (const [id, qid] of KENNEL_CLUBS) {
+    t.regex(qid, /^Q\d+$/);
+    t.true(CLASSIFICATIONS_SPARQL_QUERY.includes(`("${id}" wd:${qid})`));
+  }
+
+  t.false(CLASSIFICATIONS_SPARQL_QUERY.includes('?clubLabel'));
+});
+
+// -- parseGroupLabel --
+
+test('parseGroupLabel splits numbered groups', t => {
+  t.deepEqual(parseGroupLabel('FCI Group 1: Sheepdogs and Cattledogs'), {number: 1, name: 'Sheepdogs and Cattledogs'});
+  t.deepEqual(parseGroupLabel('Group 10 – Sighthounds'), {number: 10, name: 'Sighthounds'});
+  t.deepEqual(parseGroupLabel('FCI Group 3'), {number: 3, name: 'FCI Group 3'});
+});
+
+test('parseGroupLabel keeps unnumbered groups as names', t => {
+  t.deepEqual(parseGroupLabel('Herding Group'), {number: null, name: 'Herding Group'});
+});
+
+// -- parseWikidataClassifications --
+
+test('parseWikidataClassifications groups classifications by breed in club order', t => {
+  const classifications = parseWikidataClassifications([
+    row('Q1', 'AKC', 'german-shepherd-dog', 'Herding Group'),
+    row('Q1', 'FCI', '166', 'FCI Group 1: Sheepdogs and Cattledogs'),
+    row('Q2', 'KC', '1234'),
+  ]);
+
+  t.deepEqual(classifications.get('Q1'), [
+    {club: 'FCI', standard: '166', group: {number: 1, name: 'Sheepdogs and Cattledogs'}},
+    {club: 'AKC', standard: 'german-shepherd-dog', group: {number: null, name: 'Herding Group'}},
+  ]);
+  t.deepEqual(classifications.get('Q2'), [{club: 'KC', standard: '1234', group: null}]);
+});
+
+test('parseWikidataClassifications keeps the first standard and group per club', t => {
+  const [classification] = parseWikidataClassifications([
+    row('Q1', 'FCI', '166'),
+    row('Q1', 'FCI', '167', 'FCI Group 1: Sheepdogs and Cattledogs'),
+    row('Q1', 'FCI', '166', 'FCI Group 2: Pinscher and Schnauzer'),
+  ]).get('Q1');
+
+  t.deepEqual(classification, {club: 'FCI', standard: '166', group: {number: 1, name: 'Sheepdogs and Cattledogs'}});
+});
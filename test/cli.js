@@ -0,0 +1,142 @@
+import {execFile} from 'node:child_process';
+import process from 'node:process';
+import {fileURLToPath} from 'node:url';
+import {promisify} from 'node:util';
+import test from 'ava';
+import {
+  EXIT_NOT_FOUND,
+  EXIT_USAGE,
+  HELP,
+  UsageError,
+  parseCliArguments,
+  formatTable,
+  run,
+} from '../cli.js';
+import {all, sample} from '../index.js';
+
+// -- Fixtures --
+
+/**
+ * Run the CLI and capture what it prints.
+ *
+ * @param {...string} argv - Arguments
+ * @returns {{code: number, stdout: string, stderr: string}} The exit code and output
+ */
+function cli(...argv) {
+  const stdout = [];
+  const stderr = [];
+  const code = run({
+    argv,
+    log: line => stdout.push(line),
+    error: line => stderr.push(line),
+  });
+
+  return {code, stdout: stdout.join('\n'), stderr: stderr.join('\n')};
+}
+
+// -- parseCliArguments --
+
+test('parseCliArguments reads the command, its argument and flags', t => {
+  t.like(parseCliArguments(['search', 'german', 'shepherd', '--limit=3', '--json']), {
+    command: 'search',
+    argument: 'german shepherd',
+    limit: 3,
+    json: true,
+    ndjson: false,
+  });
+  t.like(parseCliArguments(['random', '--count', '2', '--seed', 'abc']), {command: 'random', count: 2, seed: 'abc'});
+  t.true(parseCliArguments(['--help']).help);
+});
+
+test('parseCliArguments rejects invalid usage', t => {
+  const cases = new Map([
+    ['Missing command', []],
+    ['Unknown command: walk', ['walk']],
+    ['Unknown option: --colour', ['list', '--colour']],
+    ['Missing value for --origin', ['list', '--origin']],
+    ['--count cannot be used with search', ['search', 'pug', '--count', '2']],
+    ['--json and --ndjson cannot be used together', ['list', '--json', '--ndjson']],
+    ['Missing query for search', ['search']],
+    ['Missing id or name for show', ['show']],
+    ['Unexpected argument for list: Japan', ['list', 'Japan']],
+    ['Expected --count to be a positive integer, got "0"', ['random', '--count', '0']],
+    ['Expected --limit to be a positive integer, got "ten"', ['search', 'pug', '--limit', 'ten']],
+  ]);
+
+  for (const [message, argv] of cases) {
+    t.throws(() => parseCliArguments(argv), {instanceOf: UsageError, message});
+  }
+});
+
+// -- formatTable --
+
+test('formatTable aligns columns and marks empty cells', t => {
+  t.is(formatTable(['NAME', 'ORIGIN'], [['Pug', 'China'], ['Akita', null]]), [
+    'NAME   ORIGIN',
+    'Pug    China',
+    'Akita  -',
+  ].join('\n'));
+});
+
+// -- run --
+
+test('run prints search results as a table', t => {
+  const {code, stdout} = cli('search', 'bichon frise', '--limit', '1');
+  t.is(code, 0);
+  t.regex(stdout, /^NAME +ORIGIN +SLUG\nBichon Frisé +- +bichon-frise$/);
+});
+
+test('run prints JSON and NDJSON', t => {
+  const expected = sample(3, {seed: 'cli'});
+  t.deepEqual(JSON.parse(cli('random', '--count', '3', '--seed', 'cli', '--json').stdout), expected);
+  t.deepEqual(cli('random', '--count', '3', '--seed', 'cli', '--ndjson').stdout.split('\n').map(line => JSON.parse(line)), expected);
+  t.is(JSON.parse(cli('show', 'bichon-frise', '--json').stdout).name, 'Bichon Frisé');
+});
+
+test('run shows a breed by slug or name', t => {
+  const {code, stdout} = cli('show', 'Bichon', 'Frise');
+  t.is(code, 0);
+  t.regex(stdout, /^FIELD +VALUE\nName +Bichon Frisé\n/);
+  t.true(stdout.includes('Slug   bichon-frise'));
+});
+
+test('run lists breeds by origin', t => {
+  const lines = cli('list', '--origin', 'Japan').stdout.split('\n');
+  t.true(lines.length > 1);
+  t.true(lines.slice(1).every(line => line.includes('Japan')));
+  t.is(cli('list', '--origin', 'JP').stdout, lines.join('\n'));
+  t.is(JSON.parse(cli('list', '--json').stdout).length, all.length);
+});
+
+test('run exits with 1 when nothing is found', t => {
+  t.deepEqual(cli('show', 'Not A Breed'), {code: EXIT_NOT_FOUND, stdout: '', stderr: 'No breed found for "Not A Breed"'});
+  t.deepEqual(cli('search', 'zzzzzzzz'), {code: EXIT_NOT_FOUND, stdout: '', stderr: ''});
+  t.deepEqual(cli('search', 'zzzzzzzz', '--json'), {code: EXIT_NOT_FOUND, stdout: '[]', stderr: ''});
+  t.deepEqual(cli('list', '--origin', 'Atlantis'), {code: EXIT_NOT_FOUND, stdout: '', stderr: ''});
+  t.deepEqual(cli('list', '--origin', 'Atlantis', '--json'), {code: EXIT_NOT_FOUND, stdout: '[]', stderr: ''});
+
+  // Not a country code, and not an origin label either
+  t.deepEqual(cli('list', '--origin', 'UK'), {code: EXIT_NOT_FOUND, stdout: '', stderr: ''});
+  t.is(cli('list', '--origin', 'GB').code, 0);
+});
+
+test('run exits with 2 and prints help on usage errors', t => {
+  const {code, stdout, stderr} = cli('walk');
+  t.is(code, EXIT_USAGE);
+  t.is(stdout, '');
+  t.is(stderr, `Unknown command: walk\n\n${HELP}`);
+});
+
+test('run prints help and the version', t => {
+  t.deepEqual(cli('--help'), {code: 0, stdout: HELP, stderr: ''});
+  t.regex(cli('-v').stdout, /^\d+\.\d+\.\d+$/);
+});
+
+test('the executable sets the exit code', async t => {
+  const executable = fileURLToPath(new URL('../cli.js', import.meta.url));
+  const {stdout} = await promisify(execFile)(process.execPath, [executable, 'show', 'bichon-frise', '--json']);
+  t.is(JSON.parse(stdout).name, 'Bichon Frisé');
+
+  const error = await t.throwsAsync(promisify(execFile)(process.execPath, [executable, 'walk']));
+  t.is(error.code, EXIT_USAGE);
+});
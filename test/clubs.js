@@ -0,0 +1,59 @@
+import test from 'ava';
+import {clubClassification, recognizedByClub, breedsInGroup} from '../lib/clubs.js';
+
+// -- Fixtures --
+
+const records = [
+  {
+    name: 'German Shepherd',
+    classifications: [
+      {club: 'FCI', standard: '166', group: {number: 1, name: 'Sheepdogs and Cattledogs'}},
+      {club: 'AKC', standard: 'german-shepherd-dog', group: {number: null, name: 'Herding Group'}},
+    ],
+  },
+  {
+    name: 'Border Collie',
+    classifications: [
+      {club: 'FCI', standard: '297', group: {number: 1, name: 'Sheepdogs and Cattledogs'}},
+      {club: 'KC', standard: '2005', group: null},
+    ],
+  },
+  {
+    name: 'Akita',
+    classifications: [{club: 'FCI', standard: '255', group: {number: 5, name: 'Spitz and primitive types'}}],
+  },
+  {name: 'Legacy Dog'},
+];
+
+// -- clubClassification --
+
+test('clubClassification finds the classification for a club in any case', t => {
+  t.is(clubClassification(records[0], 'akc').standard, 'german-shepherd-dog');
+  t.is(clubClassification(records[2], 'AKC'), undefined);
+  t.is(clubClassification(records[3], 'FCI'), undefined);
+});
+
+// -- recognizedByClub --
+
+test('recognizedByClub lists the breeds a club recognizes', t => {
+  t.deepEqual(recognizedByClub(records, 'FCI').map(b => b.name), ['German Shepherd', 'Border Collie', 'Akita']);
+  t.deepEqual(recognizedByClub(records, 'KC').map(b => b.name), ['Border Collie']);
+  t.deepEqual(recognizedByClub(records, 'UKC'), []);
+});
+
+// -- breedsInGroup --
+
+test('breedsInGroup matches group numbers', t => {
+  t.deepEqual(breedsInGroup(records, 'FCI', 1).map(b => b.name), ['German Shepherd', 'Border Collie']);
+  t.deepEqual(breedsInGroup(records, 'fci', '5').map(b => b.name), ['Akita']);
+});
+
+test('breedsInGroup matches group names with or without "group"', t => {
+  t.deepEqual(breedsInGroup(records, 'AKC', 'Herding Group').map(b => b.name), ['German Shepherd']);
+  t.deepEqual(breedsInGroup(records, 'AKC', 'herding').map(b => b.name), ['German Shepherd']);
+  t.is(breedsInGroup(records, 'FCI', 'Sheepdogs and cattledogs').length, 2);
+});
+
+test('breedsInGroup skips breeds without a group', t => {
+  t.deepEqual(breedsInGroup(records, 'KC', ''), []);
+});
@@ -0,0 +1,219 @@
+import test from 'ava';
+import {
+  describeBreed,
+  matchBreeds,
+  diffBreeds,
+  formatDiffReport,
+  resolveThreshold,
+  checkDiff,
+} from '../scripts/diff-breeds.js';
+
+// -- Fixtures --
+
+const previous = [
+  {
+    name: 'Affenpinscher',
+    origin: 'Germany',
+    imageURL: 'https://example.org/affen.jpg',
+    id: 'Q38311',
+  },
+  {
+    name: 'Akita Inu',
+    origin: 'Japan',
+    imageURL: 'https://example.org/akita.jpg',
+    id: 'Q39058',
+  },
+  {
+    name: 'Alaskan Malamute',
+    origin: '',
+    imageURL: 'https://example.org/malamute.jpg',
+    id: 'Q39216',
+  },
+  {
+    name: 'Alpine Spaniel',
+    origin: 'Switzerland',
+    imageURL: '',
+    id: 'Q1',
+  },
+];
+
+const next = [
+  {
+    name: 'Affenpinscher',
+    origin: 'Germany, France',
+    imageURL: 'https://example.org/affen.jpg',
+    id: 'Q38311',
+  },
+  {
+    name: 'Akita',
+    origin: 'Japan',
+    imageURL: 'https://example.org/akita.jpg',
+    id: 'Q39058',
+  },
+  {
+    name: 'Alaskan Malamute',
+    origin: '',
+    imageURL: '',
+    id: 'Q39216',
+  },
+  {
+    name: 'Beagle',
+    origin: 'England',
+    imageURL: '',
+    id: 'Q21102',
+  },
+];
+
+// -- describeBreed --
+
+test('describeBreed identifies a breed by name and QID', t => {
+  t.deepEqual(describeBreed(previous[0]), {name: 'Affenpinscher', id: 'Q38311'});
+  t.deepEqual(describeBreed({name: 'Pug', origin: 'China', imageURL: ''}), {name: 'Pug', id: null});
+});
+
+// -- matchBreeds --
+
+test('matchBreeds pairs records by QID', t => {
+  const {pairs, added, removed} = matchBreeds(previous, next);
+  t.is(pairs.length, 3);
+  t.deepEqual(pairs[1], [previous[1], next[1]]);
+  t.deepEqual(added, [next[3]]);
+  t.deepEqual(removed, [previous[3]]);
+});
+
+test('matchBreeds falls back to names for records without ids', t => {
+  const legacy = [{name: 'Bichon Frisé', origin: '', imageURL: ''}];
+  const current = [{name: 'Bichon Frise', id: 'Q38904'}];
+  const {pairs} = matchBreeds(legacy, current);
+  t.deepEqual(pairs, [[legacy[0], current[0]]]);
+});
+
+test('matchBreeds matches each previous record once', t => {
+  const {pairs, added} = matchBreeds(
+    [{name: 'Beagle'}],
+    [{name: 'Beagle'}, {name: 'Beagle'}],
+  );
+  t.is(pairs.length, 1);
+  t.is(added.length, 1);
+});
+
+// -- diffBreeds --
+
+test('diffBreeds reports added, removed, renamed and changed breeds', t => {
+  const diff = diffBreeds(previous, next);
+  t.is(diff.previousCount, 4);
+  t.is(diff.nextCount, 4);
+  t.deepEqual(diff.added, [{name: 'Beagle', id: 'Q21102'}]);
+  t.deepEqual(diff.removed, [{name: 'Alpine Spaniel', id: 'Q1'}]);
+  t.deepEqual(diff.renamed, [{from: 'Akita Inu', to: 'Akita', id: 'Q39058'}]);
+  t.deepEqual(diff.changed[0], {
+    name: 'Affenpinscher',
+    id: 'Q38311',
+    changes: [{field: 'origin', from: 'Germany', to: 'Germany, France'}],
+  });
+});
+
+test('diffBreeds reports lost images', t => {
+  const diff = diffBreeds(previous, next);
+  t.deepEqual(diff.lostImages, [{name: 'Alaskan Malamute', id: 'Q39216'}]);
+});
+
+test('diffBreeds ignores fields the previous record did not have', t => {
+  const diff = diffBreeds(
+    [{name: 'Beagle', origin: 'England'}],
+    [{name: 'Beagle', origin: 'England', status: 'extant'}],
+  );
+  t.deepEqual(diff.changed, []);
+});
+
+test('diffBreeds compares nested fields by value', t => {
+  const origins = [{label: 'Japan', id: 'Q17', code: 'JP'}];
+  const diff = diffBreeds(
+    [{name: 'Akita', origins}],
+    [{name: 'Akita', origins: structuredClone(origins)}],
+  );
+  t.deepEqual(diff.changed, []);
+});
+
+test('diffBreeds marks values that came from overrides', t => {
+  const overridden = new Map([
+    [next[0], new Set(['origin'])],
+    [next[1], new Set(['name'])],
+    [next[3], new Set(['name', 'origin'])],
+  ]);
+  const diff = diffBreeds(previous, next, {overridden});
+  t.deepEqual(diff.changed[0].changes, [{
+    field: 'origin',
+    from: 'Germany',
+    to: 'Germany, France',
+    override: true,
+  }]);
+  t.true(diff.renamed[0].override);
+  t.deepEqual(diff.added, [{name: 'Beagle', id: 'Q21102', override: true}]);
+  t.false('override' in diff.changed[1].changes[0]);
+});
+
+// -- formatDiffReport --
+
+test('formatDiffReport summarizes and lists every change', t => {
+  const report = formatDiffReport(diffBreeds(previous, next));
+  t.true(report.startsWith('Breeds: 4 → 4 (1 added, 1 removed, 1 renamed, 2 changed, 1 lost images)'));
+  t.true(report.includes('Added:\n  + Beagle'));
+  t.true(report.includes('Removed:\n  - Alpine Spaniel'));
+  t.true(report.includes('Renamed:\n  ~ Akita Inu → Akita'));
+  t.true(report.includes('* Affenpinscher: origin "Germany" → "Germany, France"'));
+  t.true(report.includes('Lost images:\n  ! Alaskan Malamute'));
+});
+
+test('formatDiffReport marks overridden entries', t => {
+  const overridden = new Map([
+    [next[0], new Set(['origin'])],
+    [next[1], new Set(['name'])],
+    [next[3], new Set(['name'])],
+  ]);
+  const report = formatDiffReport(diffBreeds(previous, next, {overridden}));
+  t.true(report.includes('+ Beagle (override)'));
+  t.true(report.includes('~ Akita Inu → Akita (override)'));
+  t.true(report.includes('* Affenpinscher: origin "Germany" → "Germany, France" (override)'));
+  t.true(report.includes('* Alaskan Malamute: imageURL "https://example.org/malamute.jpg" → ""\n'));
+});
+
+test('formatDiffReport shows removed fields as (none)', t => {
+  const report = formatDiffReport(diffBreeds([{name: 'Beagle', origin: 'England'}], [{name: 'Beagle'}]));
+  t.true(report.includes('* Beagle: origin "England" → (none)'));
+});
+
+test('formatDiffReport omits empty sections', t => {
+  const report = formatDiffReport(diffBreeds(previous, previous));
+  t.is(report, 'Breeds: 4 → 4 (0 added, 0 removed, 0 renamed, 0 changed, 0 lost images)');
+});
+
+// -- resolveThreshold / checkDiff --
+
+test('resolveThreshold accepts counts and percentages', t => {
+  t.is(resolveThreshold(10, 554), 10);
+  t.is(resolveThreshold('10', 554), 10);
+  t.is(resolveThreshold('5%', 554), 27);
+  t.is(resolveThreshold('0.5%', 1000), 5);
+});
+
+test('resolveThreshold rejects invalid thresholds', t => {
+  t.throws(() => resolveThreshold('lots', 554), {instanceOf: TypeError});
+  t.throws(() => resolveThreshold('-1', 554), {instanceOf: TypeError});
+});
+
+test('checkDiff passes within the thresholds', t => {
+  t.deepEqual(checkDiff(diffBreeds(previous, next), {maxRemovals: 1, maxLostImages: 1}), []);
+});
+
+test('checkDiff reports exceeded thresholds', t => {
+  const failures = checkDiff(diffBreeds(previous, next), {maxRemovals: 0, maxLostImages: '0%'});
+  t.is(failures.length, 2);
+  t.true(failures[0].startsWith('1 breeds removed, more than the allowed 0'));
+  t.true(failures[1].startsWith('1 breeds lost their image, more than the allowed 0'));
+});
+
+test('checkDiff defaults to 5% thresholds', t => {
+  const failures = checkDiff(diffBreeds(previous, next));
+  t.is(failures.length, 2);
+});
@@ -0,0 +1,167 @@
+import test from 'ava';
+import {
+  flattenBreeds,
+  toCsv,
+  toNdjson,
+  toYaml,
+  toSql,
+  exportPath,
+  writeExports,
+} from '../scripts/export.js';
+
+// -- Fixtures --
+
+const breeds = [
+  {
+    name: 'Akita',
+    origin: 'Japan, United States',
+    names: {en: 'Akita', ja: '秋田犬'},
+    aliases: ['Akita Inu', 'Japanese "Akita"'],
+    weightKg: {
+      min: 32,
+      max: 59,
+      male: {min: 45, max: 59},
+      female: null,
+    },
+    image: {file: 'Akita inu.jpg', width: 800},
+  },
+  {
+    name: 'Alpine Spaniel',
+    origin: '',
+    names: {en: 'Alpine Spaniel', de: 'Alpenspaniel'},
+    aliases: [],
+    weightKg: null,
+    image: null,
+    status: 'extinct',
+  },
+];
+
+// -- flattenBreeds --
+
+test('flattenBreeds gives every record the same columns, nested fields in place', t => {
+  const {columns, rows} = flattenBreeds(breeds);
+  t.deepEqual(columns, [
+    'name',
+    'origin',
+    'names_en',
+    'names_ja',
+    'names_de',
+    'aliases',
+    'weightKg_min',
+    'weightKg_max',
+    'weightKg_male_min',
+    'weightKg_male_max',
+    'weightKg_female',
+    'image_file',
+    'image_width',
+    'status',
+  ]);
+  t.deepEqual(rows[0], ['Akita', 'Japan, United States', 'Akita', '秋田犬', null, '["Akita Inu","Japanese \\"Akita\\""]', 32, 59, 45, 59, null, 'Akita inu.jpg', 800, null]);
+  t.deepEqual(rows[1], ['Alpine Spaniel', '', 'Alpine Spaniel', null, 'Alpenspaniel', '[]', null, null, null, null, null, null, null, 'extinct']);
+});
+
+test('flattenBreeds handles an empty dataset', t => {
+  t.deepEqual(flattenBreeds([]), {columns: [], rows: []});
+});
+
+// -- toCsv --
+
+test('toCsv quotes fields with commas, quotes and line breaks', t => {
+  const lines = toCsv(breeds).split('\n');
+  t.is(lines[0], 'name,origin,names_en,names_ja,names_de,aliases,weightKg_min,weightKg_max,weightKg_male_min,weightKg_male_max,weightKg_female,image_file,image_width,status');
+  t.is(lines[1], 'Akita,"Japan, United States",Akita,秋田犬,,"[""Akita Inu"",""Japanese \\""Akita\\""""]",32,59,45,59,,Akita inu.jpg,800,');
+  t.is(lines[2], 'Alpine Spaniel,,Alpine Spaniel,,Alpenspaniel,[],,,,,,,,extinct');
+  t.is(lines[3], '');
+  t.is(toCsv([{name: 'Line\nbreak'}]), 'name\n"Line\nbreak"\n');
+});
+
+// -- toNdjson --
+
+test('toNdjson writes one record per line', t => {
+  const lines = toNdjson(breeds).split('\n');
+  t.is(lines.length, 3);
+  t.deepEqual(lines.slice(0, 2).map(line => JSON.parse(line)), breeds);
+  t.is(toNdjson([]), '');
+});
+
+// -- toYaml --
+
+test('toYaml writes a sequence of mappings', t => {
+  t.is(toYaml(breeds), [
+    '- name: Akita',
+    '  origin: Japan, United States',
+    '  names:',
+    '    en: Akita',
+    '    ja: 秋田犬',
+    '  aliases:',
+    '    - Akita Inu',
+    '    - "Japanese \\"Akita\\""',
+    '  weightKg:',
+    '    min: 32',
+    '    max: 59',
+    '    male:',
+    '      min: 45',
+    '      max: 59',
+    '    female: null',
+    '  image:',
+    '    file: Akita inu.jpg',
+    '    width: 800',
+    '- name: Alpine Spaniel',
+    '  origin: ""',
+    '  names:',
+    '    en: Alpine Spaniel',
+    '    de: Alpenspaniel',
+    '  aliases: []',
+    '  weightKg: null',
+    '  image: null',
+    '  status: extinct',
+    '',
+  ].join('\n'));
+});
+
+test('toYaml quotes strings YAML would read as other types', t => {
+  t.is(toYaml([{name: 'No', origin: '12', tags: [{}]}, {note: 'a: b'}]), [
+    '- name: "No"',
+    '  origin: "12"',
+    '  tags:',
+    '    - {}',
+    '- note: "a: b"',
+    '',
+  ].join('\n'));
+  t.is(toYaml([]), '[]\n');
+});
+
+// -- toSql --
+
+test('toSql creates a typed table and inserts every record', t => {
+  const lines = toSql(breeds).split('\n');
+  t.is(lines[0], 'BEGIN TRANSACTION;');
+  t.is(lines[1], 'DROP TABLE IF EXISTS "breeds";');
+  t.is(lines[2], 'CREATE TABLE "breeds" (');
+  t.is(lines[3], '  "name" TEXT,');
+  t.is(lines[9], '  "weightKg_min" INTEGER,');
+  t.is(lines[13], '  "weightKg_female" TEXT,');
+  t.is(lines[15], '  "image_width" INTEGER,');
+  t.true(lines[18].startsWith('INSERT INTO "breeds" ("name", "origin", "names_en", '));
+  t.true(lines[18].endsWith('VALUES (\'Akita\', \'Japan, United States\', \'Akita\', \'秋田犬\', NULL, \'["Akita Inu","Japanese \\"Akita\\""]\', 32, 59, 45, 59, NULL, \'Akita inu.jpg\', 800, NULL);'));
+  t.is(lines.at(-2), 'COMMIT;');
+});
+
+test('toSql escapes quotes and maps booleans and fractions', t => {
+  const sql = toSql([{name: 'Saint John\'s Water Dog', extinct: true, weight: 1.5}, {name: 'X', extinct: false, weight: 2}]);
+  t.true(sql.includes('"extinct" INTEGER,\n  "weight" REAL\n);'));
+  t.true(sql.includes('VALUES (\'Saint John\'\'s Water Dog\', 1, 1.5);'));
+  t.true(sql.includes('VALUES (\'X\', 0, 2);'));
+});
+
+// -- exportPath / writeExports --
+
+test('writeExports writes every format next to the dataset', t => {
+  const written = new Map();
+  const paths = writeExports(breeds, '/data/dog-breeds.json', (path, data) => written.set(path, data));
+
+  t.deepEqual(paths, ['/data/dog-breeds.csv', '/data/dog-breeds.ndjson', '/data/dog-breeds.yaml', '/data/dog-breeds.sql']);
+  t.is(written.get('/data/dog-breeds.csv'), toCsv(breeds));
+  t.is(written.get('/data/dog-breeds.sql'), toSql(breeds));
+  t.is(exportPath('/data/breeds', 'csv'), '/data/breeds.csv');
+});
@@ -0,0 +1,66 @@
+import {readFileSync} from 'node:fs';
+import test from 'ava';
+import {
+  toModule,
+  toNamesModule,
+  modulePath,
+  writeModules,
+} from '../scripts/generate-modules.js';
+import dogBreedsModule from '../dog-breeds.js';
+import schemaModule from '../dog-breeds.schema.js';
+import metadataModule from '../dog-breeds.metadata.js';
+import {extant, extinct} from '../dog-breeds.names.js';
+
+// -- Fixtures --
+
+const breeds = [
+  {name: 'Akita', origin: 'Japan', imageURL: ''},
+  {name: 'Alpine Spaniel', status: 'extinct'},
+  {name: 'Pug', status: 'extant'},
+];
+
+const readJson = name => JSON.parse(readFileSync(new URL(`../${name}`, import.meta.url), 'utf8'));
+
+// -- toModule / toNamesModule --
+
+test('toModule exports a JSON value as the default export', t => {
+  t.is(toModule([{name: 'Pug'}], 'pugs.json'), [
+    '// Generated by scripts/generate-modules.js from pugs.json.',
+    '// Do not edit; run `npm run generate-modules` instead.',
+    '',
+    'export default [',
+    '  {',
+    '    "name": "Pug"',
+    '  }',
+    '];',
+    '',
+  ].join('\n'));
+});
+
+test('toNamesModule exports extant and extinct names', t => {
+  const code = toNamesModule(breeds, 'dog-breeds.json');
+  t.true(code.includes('export const extant = [\n  "Akita",\n  "Pug"\n];'));
+  t.true(code.includes('export const extinct = [\n  "Alpine Spaniel"\n];'));
+});
+
+// -- modulePath / writeModules --
+
+test('writeModules writes the data and names modules next to the dataset', t => {
+  const written = new Map();
+  const paths = writeModules(breeds, '/data/dog-breeds.json', (path, code) => written.set(path, code));
+
+  t.deepEqual(paths, ['/data/dog-breeds.js', '/data/dog-breeds.names.js']);
+  t.is(written.get('/data/dog-breeds.js'), toModule(breeds, 'dog-breeds.json'));
+  t.is(written.get('/data/dog-breeds.names.js'), toNamesModule(breeds, 'dog-breeds.json'));
+  t.is(modulePath('/data/breeds'), '/data/breeds.js');
+});
+
+// -- Generated modules --
+
+test('the generated modules are up to date with the JSON files', t => {
+  const message = 'Run `npm run generate-modules` to update the generated modules';
+  t.deepEqual(dogBreedsModule, readJson('dog-breeds.json'), message);
+  t.deepEqual(schemaModule, readJson('dog-breeds.schema.json'), message);
+  t.deepEqual(metadataModule, readJson('dog-breeds.metadata.json'), message);
+  t.deepEqual([...extant, ...extinct].sort(), readJson('dog-breeds.json').map(breed => breed.name).sort(), message);
+});
@@ -0,0 +1,61 @@
+import {readFileSync} from 'node:fs';
+import test from 'ava';
+import {
+  generateTypes,
+  tsType,
+  NAMES_DECLARATIONS,
+  SERVER_DECLARATIONS,
+} from '../scripts/generate-types.js';
+import {schema} from '../lib/validate.js';
+
+// -- tsType --
+
+test('tsType maps JSON Schema types to TypeScript', t => {
+  t.is(tsType(schema, {type: 'string'}), 'string');
+  t.is(tsType(schema, {type: ['integer', 'null']}), 'number | null');
+  t.is(tsType(schema, {enum: ['toy', null]}), '\'toy\' | null');
+  t.is(tsType(schema, {type: 'array', items: {anyOf: [{type: 'string'}, {type: 'number'}]}}), '(string | number)[]');
+  t.is(tsType(schema, {}), 'unknown');
+});
+
+test('tsType names titled definitions and inlines the rest', t => {
+  t.is(tsType(schema, {$ref: '#/$defs/image'}), 'Image');
+  t.is(tsType(schema, {$ref: '#/$defs/qid'}), 'string');
+});
+
+test('tsType renders object types with optional and extra properties', t => {
+  const type = tsType(schema, {
+    type: 'object',
+    required: ['en'],
+    properties: {count: {type: 'integer', description: 'How many.'}},
+    additionalProperties: {type: 'string'},
+  });
+
+  t.is(type, [
+    '{',
+    '  /** How many. */',
+    '  count?: number;',
+    '  en: string;',
+    '  [key: string]: string;',
+    '}',
+  ].join('\n'));
+});
+
+// -- generateTypes --
+
+test('index.d.ts is up to date with the schema', t => {
+  const declarations = readFileSync(new URL('../index.d.ts', import.meta.url), 'utf8');
+  t.is(declarations, generateTypes(schema), 'Run `npm run generate-types` to update index.d.ts');
+  t.is(readFileSync(new URL('../names.d.ts', import.meta.url), 'utf8'), NAMES_DECLARATIONS, 'Run `npm run generate-types` to update names.d.ts');
+  t.is(readFileSync(new URL('../server.d.ts', import.meta.url), 'utf8'), SERVER_DECLARATIONS, 'Run `npm run generate-types` to update server.d.ts');
+});
+
+test('generateTypes declares an interface per titled definition', t => {
+  const declarations = generateTypes(schema);
+  for (const name of ['Breed', 'Origin', 'Measurement', 'Classification', 'Image']) {
+    t.true(declarations.includes(`export interface ${name} {`));
+  }
+
+  t.true(declarations.includes('  names?: {\n    en: string;\n    [key: string]: string;\n  };'));
+  t.true(declarations.includes('export function validate(records: unknown): ValidationResult;'));
+});
@@ -0,0 +1,187 @@
+import test from 'ava';
+import {
+  distanceKm,
+  originPoint,
+  breedsToGeoJSON,
+  nearbyBreeds,
+} from '../lib/geo.js';
+
+// -- Fixtures --
+
+const GERMANY = {
+  label: 'Germany',
+  id: 'Q183',
+  code: 'DE',
+  coordinates: {lat: 51, lon: 10},
+  bbox: {
+    west: 5.87,
+    south: 47.27,
+    east: 15.04,
+    north: 55.06,
+  },
+};
+
+const FRANCE = {
+  label: 'France',
+  id: 'Q142',
+  code: 'FR',
+  coordinates: {lat: 47, lon: 2},
+  bbox: null,
+};
+
+const FIJI = {
+  label: 'Fiji',
+  id: 'Q712',
+  code: 'FJ',
+  coordinates: null,
+  bbox: {
+    west: 177,
+    south: -21,
+    east: -178,
+    north: -12,
+  },
+};
+
+const NOWHERE = {
+  label: 'North Africa',
+  id: 'Q27381',
+  code: null,
+  coordinates: null,
+  bbox: null,
+};
+
+const breed = (name, origins, fields) => ({
+  name,
+  origin: origins.map(origin => origin.label).join(', '),
+  imageURL: '',
+  origins,
+  ...fields,
+});
+
+const records = [
+  breed('Affenpinscher', [GERMANY], {id: 'Q38311', slug: 'affenpinscher', size: 'toy'}),
+  breed('Aidi', [NOWHERE]),
+  breed('Briard', [FRANCE], {size: 'large'}),
+  breed('Fiji Dog', [FIJI]),
+  breed('Poodle', [FRANCE, GERMANY], {size: 'medium'}),
+  {name: 'Pug', origin: 'China', imageURL: ''},
+];
+
+const names = breeds => breeds.map(({name}) => name);
+
+// -- distanceKm / originPoint --
+
+test('distanceKm measures great-circle distances', t => {
+  const paris = {lat: 48.8566, lon: 2.3522};
+  const london = {lat: 51.5074, lon: -0.1278};
+  t.is(Math.round(distanceKm(paris, london)), 344);
+  t.is(distanceKm(paris, paris), 0);
+  t.is(Math.round(distanceKm({lat: 0, lon: 179.5}, {lat: 0, lon: -179.5})), 111);
+});
+
+test('originPoint uses the coordinates, or the center of the bounding box', t => {
+  t.deepEqual(originPoint(GERMANY), {lat: 51, lon: 10});
+  t.deepEqual(originPoint({
+    ...GERMANY,
+    coordinates: null,
+    bbox: {
+      west: 6,
+      south: 47,
+      east: 15,
+      north: 55,
+    },
+  }), {lat: 51, lon: 10.5});
+  t.deepEqual(originPoint(FIJI), {lat: -16.5, lon: 179.5});
+  t.deepEqual(originPoint({...FIJI, bbox: {...FIJI.bbox, east: -170}}), {lat: -16.5, lon: -176.5});
+  t.is(originPoint(NOWHERE), null);
+});
+
+// -- breedsToGeoJSON --
+
+test('breedsToGeoJSON groups breeds by origin', t => {
+  const {type, features} = breedsToGeoJSON(records);
+
+  t.is(type, 'FeatureCollection');
+  t.deepEqual(features.map(feature => feature.id), ['Q148', 'Q712', 'Q142', 'Q183']);
+  t.deepEqual(features[3], {
+    type: 'Feature',
+    id: 'Q183',
+    bbox: [5.87, 47.27, 15.04, 55.06],
+    geometry: {type: 'Point', coordinates: [10, 51]},
+    properties: {
+      label: 'Germany',
+      code: 'DE',
+      breeds: [
+        {name: 'Affenpinscher', slug: 'affenpinscher', id: 'Q38311'},
+        {name: 'Poodle', slug: 'poodle', id: null},
+      ],
+    },
+  });
+  t.false('bbox' in features[2]);
+  t.deepEqual(features[1].geometry.coordinates, [179.5, -16.5]);
+});
+
+test('breedsToGeoJSON places records without origins by their origin labels', t => {
+  const [china] = breedsToGeoJSON(records).features;
+  t.deepEqual(china, {
+    type: 'Feature',
+    id: 'Q148',
+    geometry: {type: 'Point', coordinates: [103, 35]},
+    properties: {label: 'China', code: 'CN', breeds: [{name: 'Pug', slug: 'pug', id: null}]},
+  });
+});
+
+test('breedsToGeoJSON keys places without a QID by label', t => {
+  const {features} = breedsToGeoJSON([{name: 'Canaan Dog', origin: 'Canaan', imageURL: null}, {name: 'Other', origin: 'Soviet Central Asia', imageURL: null}]);
+  t.deepEqual(features.map(feature => feature.properties.label), ['Canaan', 'Soviet Central Asia']);
+  t.false('id' in features[0]);
+});
+
+test('breedsToGeoJSON puts breeds with several origins at each', t => {
+  const {features} = breedsToGeoJSON(records);
+  const withPoodle = features.filter(feature => feature.properties.breeds.some(entry => entry.name === 'Poodle'));
+  t.deepEqual(withPoodle.map(feature => feature.properties.label), ['France', 'Germany']);
+});
+
+test('breedsToGeoJSON only includes matching breeds', t => {
+  const bySize = breedsToGeoJSON(records, {filter: {size: ['toy', 'large']}});
+  t.deepEqual(bySize.features.map(feature => names(feature.properties.breeds)), [['Briard'], ['Affenpinscher']]);
+
+  const byFunction = breedsToGeoJSON(records, {filter: candidate => candidate.name === 'Aidi'});
+  t.deepEqual(byFunction.features, []);
+});
+
+// -- nearbyBreeds --
+
+test('nearbyBreeds finds breeds from places near a point, nearest first', t => {
+  // Lyon is about 190 km from the corner of Germany's bounding box, and 260 km from France's coordinates
+  const lyon = [45.76, 4.84];
+  t.deepEqual(names(nearbyBreeds(records, ...lyon, 200)), ['Affenpinscher', 'Poodle']);
+  t.deepEqual(names(nearbyBreeds(records, ...lyon, 300)), ['Affenpinscher', 'Poodle', 'Briard']);
+  t.deepEqual(names(nearbyBreeds(records, ...lyon, 0)), []);
+});
+
+test('nearbyBreeds counts every place inside a bounding box as near', t => {
+  const berlin = [52.52, 13.4];
+  t.deepEqual(names(nearbyBreeds(records, ...berlin, 0)), ['Affenpinscher', 'Poodle']);
+
+  // Fiji's box spans the 180th meridian
+  t.deepEqual(names(nearbyBreeds(records, -17, 179.9, 0)), ['Fiji Dog']);
+  t.deepEqual(names(nearbyBreeds(records, -17, -179.9, 0)), ['Fiji Dog']);
+  t.deepEqual(names(nearbyBreeds(records, -17, -176, 100)), []);
+  t.deepEqual(names(nearbyBreeds(records, -17, -176, 300)), ['Fiji Dog']);
+});
+
+test('nearbyBreeds measures records without origins to the places of their labels', t => {
+  // Beijing is about 1,300 km from the coordinates of China
+  const beijing = [39.9, 116.4];
+  t.deepEqual(names(nearbyBreeds(records, ...beijing, 1000)), []);
+  t.deepEqual(names(nearbyBreeds(records, ...beijing, 1500)), ['Pug']);
+});
+
+test('nearbyBreeds rejects invalid coordinates and radii', t => {
+  t.throws(() => nearbyBreeds(records, 91, 0, 10), {message: 'Expected latitude to be a number between -90 and 90, got 91'});
+  t.throws(() => nearbyBreeds(records, '48', 0, 10), {instanceOf: TypeError});
+  t.throws(() => nearbyBreeds(records, 0, Number.NaN, 10), {message: 'Expected longitude to be a number between -180 and 180, got NaN'});
+  t.throws(() => nearbyBreeds(records, 0, 0, -1), {message: 'Expected radiusKm to be a non-negative number, got -1'});
+});
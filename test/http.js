@@ -0,0 +1,246 @@
+import {createServer} from 'node:http';
+import {once} from 'node:events';
+import test from 'ava';
+import {
+  HttpError,
+  describeUrl,
+  parseRetryAfter,
+  createLimiter,
+  createResilientFetch,
+  readJson,
+} from '../scripts/http.js';
+
+// -- Fixtures --
+
+/**
+ * Start a local HTTP server for the duration of a test.
+ *
+ * @param {object} t - The ava execution context
+ * @param {Function} handler - Request handler
+ * @returns {Promise<string>} The server's base URL
+ */
+async function startServer(t, handler) {
+  const server = createServer(handler);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.teardown(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return `http://127.0.0.1:${server.address().port}/`;
+}
+
+/**
+ * Create a sleep function that records the delays it was asked for.
+ */
+function createSleep() {
+  const delays = [];
+  const sleep = async milliseconds => {
+    delays.push(milliseconds);
+  };
+
+  return {delays, sleep};
+}
+
+// -- describeUrl / parseRetryAfter --
+
+test('describeUrl truncates long URLs', t => {
+  t.is(describeUrl('https://example.org/'), 'https://example.org/');
+  t.is(describeUrl(`https://example.org/?q=${'x'.repeat(200)}`).length, 120);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', t => {
+  const now = Date.parse('Mon, 19 Oct 2026 12:00:00 GMT');
+  t.is(parseRetryAfter('5'), 5000);
+  t.is(parseRetryAfter('Mon, 19 Oct 2026 12:00:30 GMT', now), 30_000);
+  t.is(parseRetryAfter('Mon, 19 Oct 2026 11:00:00 GMT', now), 0);
+  t.is(parseRetryAfter(null), undefined);
+  t.is(parseRetryAfter('soon'), undefined);
+});
+
+// -- createLimiter --
+
+test('createLimiter runs at most the given number of tasks at once', async t => {
+  const limit = createLimiter(2);
+  let active = 0;
+  let peak = 0;
+
+  const task = async value => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => {
+      setTimeout(resolve, 5);
+    });
+    active--;
+    return value;
+  };
+
+  const results = await Promise.all([1, 2, 3, 4, 5].map(value => limit(() => task(value))));
+  t.deepEqual(results, [1, 2, 3, 4, 5]);
+  t.is(peak, 2);
+});
+
+test('createLimiter frees the slot when a task fails', async t => {
+  const limit = createLimiter(1);
+  await t.throwsAsync(limit(async () => {
+    throw new Error('boom');
+  }), {message: 'boom'});
+  t.is(await limit(async () => 'next'), 'next');
+});
+
+// -- createResilientFetch (against a local server) --
+
+test('createResilientFetch passes successful responses through', async t => {
+  const url = await startServer(t, (request, response) => {
+    response.setHeader('content-type', 'application/json');
+    response.end(JSON.stringify({userAgent: request.headers['user-agent']}));
+  });
+
+  const response = await createResilientFetch(fetch)(url, {headers: {'User-Agent': 'test'}});
+  t.deepEqual(await response.json(), {userAgent: 'test'});
+});
+
+test('createResilientFetch retries after the delay Retry-After asks for', async t => {
+  let requests = 0;
+  const url = await startServer(t, (request, response) => {
+    requests++;
+    if (requests === 1) {
+      response.writeHead(429, {'retry-after': '2'}).end('Too many requests');
+      return;
+    }
+
+    response.end('ok');
+  });
+
+  const {delays, sleep} = createSleep();
+  const response = await createResilientFetch(fetch, {sleep})(url);
+  t.is(await response.text(), 'ok');
+  t.is(requests, 2);
+  t.deepEqual(delays, [2000]);
+});
+
+test('createResilientFetch discards the body of responses it retries', async t => {
+  const tooMany = new Response('Too many requests', {status: 429});
+  const responses = [tooMany, new Response('ok')];
+  const {sleep} = createSleep();
+
+  const response = await createResilientFetch(async () => responses.shift(), {sleep})('https://example.org/');
+  t.is(await response.text(), 'ok');
+  t.true(tooMany.bodyUsed);
+});
+
+test('createResilientFetch backs off exponentially up to the maximum delay', async t => {
+  const url = await startServer(t, (request, response) => {
+    response.writeHead(503).end('Service unavailable');
+  });
+
+  const {delays, sleep} = createSleep();
+  const resilientFetch = createResilientFetch(fetch, {
+    retries: 4,
+    retryDelay: 100,
+    maxRetryDelay: 500,
+    sleep,
+  });
+
+  const error = await t.throwsAsync(resilientFetch(url), {instanceOf: HttpError});
+  t.deepEqual(delays, [100, 200, 400, 500]);
+  t.is(error.status, 503);
+  t.is(error.url, url);
+  t.is(error.message, `Request to ${url} failed with 503 Service Unavailable after 5 attempts: Service unavailable`);
+});
+
+test('createResilientFetch does not retry client errors', async t => {
+  let requests = 0;
+  const url = await startServer(t, (request, response) => {
+    requests++;
+    response.writeHead(400).end();
+  });
+
+  const {delays, sleep} = createSleep();
+  await t.throwsAsync(createResilientFetch(fetch, {sleep})(url), {
+    message: `Request to ${url} failed with 400 Bad Request after 1 attempt`,
+  });
+  t.is(requests, 1);
+  t.deepEqual(delays, []);
+});
+
+test('createResilientFetch times out slow requests', async t => {
+  // Never responds
+  const url = await startServer(t, () => {});
+
+  const {delays, sleep} = createSleep();
+  const error = await t.throwsAsync(createResilientFetch(fetch, {retries: 1, timeout: 50, sleep})(url), {
+    message: `Request to ${url} timed out after 50 ms after 2 attempts`,
+  });
+  t.is(error.cause.name, 'TimeoutError');
+  t.deepEqual(delays, [1000]);
+});
+
+test('createResilientFetch retries network errors', async t => {
+  const url = await startServer(t, (request, response) => {
+    response.end('ok');
+  });
+
+  let attempts = 0;
+  const unreliableFetch = async (...arguments_) => {
+    attempts++;
+    if (attempts === 1) {
+      throw new TypeError('fetch failed');
+    }
+
+    return fetch(...arguments_);
+  };
+
+  const {delays, sleep} = createSleep();
+  const response = await createResilientFetch(unreliableFetch, {sleep})(url);
+  t.is(await response.text(), 'ok');
+  t.deepEqual(delays, [1000]);
+
+  const failingFetch = async () => {
+    throw new TypeError('fetch failed');
+  };
+
+  await t.throwsAsync(createResilientFetch(failingFetch, {retries: 0})(url), {
+    message: `Request to ${url} failed: fetch failed after 1 attempt`,
+  });
+});
+
+test('createResilientFetch limits concurrent requests', async t => {
+  let active = 0;
+  let peak = 0;
+  const url = await startServer(t, (request, response) => {
+    active++;
+    peak = Math.max(peak, active);
+    setTimeout(() => {
+      active--;
+      response.end('ok');
+    }, 10);
+  });
+
+  const resilientFetch = createResilientFetch(fetch, {concurrency: 2});
+  const responses = await Promise.all(Array.from({length: 6}, () => resilientFetch(url)));
+  t.true(responses.every(response => response.ok));
+  t.is(peak, 2);
+});
+
+// -- readJson --
+
+test('readJson parses JSON responses', async t => {
+  const response = new Response('{"ok":true}', {headers: {'content-type': 'application/sparql-results+json'}});
+  t.deepEqual(await readJson(response, 'https://example.org/'), {ok: true});
+});
+
+test('readJson rejects other content types with the start of the body', async t => {
+  const response = new Response('<!DOCTYPE html>\n<p>Maintenance</p>', {headers: {'content-type': 'text/html'}});
+  await t.throwsAsync(readJson(response, 'https://example.org/'), {
+    instanceOf: HttpError,
+    message: 'Expected JSON from https://example.org/ but got "text/html": <!DOCTYPE html>\n<p>Maintenance</p>',
+  });
+});
+
+test('readJson rejects malformed JSON', async t => {
+  const response = new Response('{"ok":', {headers: {'content-type': 'application/json'}});
+  const error = await t.throwsAsync(readJson(response, 'https://example.org/'), {instanceOf: HttpError});
+  t.true(error.message.startsWith('Invalid JSON from https://example.org/: '));
+  t.true(error.cause instanceof SyntaxError);
+});
@@ -0,0 +1,51 @@
+import test from 'ava';
+import {commonsFileName, breedImageURL} from '../lib/images.js';
+
+// -- Fixtures --
+
+const akita = {
+  name: 'Akita',
+  imageURL: 'https://commons.wikimedia.org/wiki/Special:FilePath/Akita%20inu%20%28cropped%29.jpg',
+};
+
+// -- commonsFileName --
+
+test('commonsFileName decodes the file name of a Special:FilePath URL', t => {
+  t.is(commonsFileName(akita.imageURL), 'Akita inu (cropped).jpg');
+  t.is(commonsFileName(`${akita.imageURL}?width=300`), 'Akita inu (cropped).jpg');
+});
+
+test('commonsFileName keeps file names that are not valid percent-encoding', t => {
+  t.is(commonsFileName('https://commons.wikimedia.org/wiki/Special:FilePath/100%.jpg'), '100%.jpg');
+  t.is(commonsFileName('https://commons.wikimedia.org/wiki/Special:FilePath/Akita%E0%A4.jpg?width=300'), 'Akita%E0%A4.jpg');
+});
+
+test('commonsFileName returns undefined for other URLs', t => {
+  t.is(commonsFileName('https://example.org/akita.jpg'), undefined);
+  t.is(commonsFileName(''), undefined);
+  t.is(commonsFileName(undefined), undefined);
+});
+
+// -- breedImageURL --
+
+test('breedImageURL builds thumbnail URLs', t => {
+  t.is(
+    breedImageURL(akita, {width: 300}),
+    'https://commons.wikimedia.org/wiki/Special:FilePath/Akita%20inu%20(cropped).jpg?width=300',
+  );
+});
+
+test('breedImageURL returns the original without a width', t => {
+  t.is(breedImageURL(akita), akita.imageURL);
+});
+
+test('breedImageURL leaves missing and non-Commons images alone', t => {
+  t.is(breedImageURL({name: 'Aidi', imageURL: ''}, {width: 300}), '');
+  t.is(breedImageURL({name: 'Aidi'}, {width: 300}), '');
+  t.is(breedImageURL({name: 'Aidi', imageURL: 'https://example.org/aidi.jpg'}, {width: 300}), 'https://example.org/aidi.jpg');
+});
+
+test('breedImageURL rejects invalid widths', t => {
+  t.throws(() => breedImageURL(akita, {width: 0}), {instanceOf: TypeError, message: 'Expected width to be a positive integer, got 0'});
+  t.throws(() => breedImageURL(akita, {width: '300'}), {instanceOf: TypeError});
+});
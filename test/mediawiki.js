@@ -0,0 +1,35 @@
+import test from 'ava';
+import {fetchJson, fetchMediaWiki, parseBulletLinks} from '../scripts/mediawiki.js';
+
+/**
+ * Create a JSON response like the Wikipedia API sends.
+ */
+function jsonResponse(data) {
+  return new Response(JSON.stringify(data), {headers: {'content-type': 'application/json; charset=utf-8'}});
+}
+
+test('fetchJson identifies the updater', async t => {
+  let headers;
+  const data = await fetchJson(new URL('https://en.wikipedia.org/w/api.php'), async (url, options) => {
+    headers = options.headers;
+    return jsonResponse({parse: {}});
+  });
+
+  t.deepEqual(data, {parse: {}});
+  t.regex(headers['User-Agent'], /^dog-breeds-updater\//);
+});
+
+test('fetchMediaWiki reports API errors and unexpected responses', async t => {
+  const url = new URL('https://commons.wikimedia.org/w/api.php');
+  await t.throwsAsync(fetchMediaWiki(url, async () => jsonResponse({error: {code: 'badvalue', info: 'Bad value'}}), 'query', 'Commons'), {
+    message: 'Commons API error (badvalue): Bad value',
+  });
+  await t.throwsAsync(fetchMediaWiki(url, async () => jsonResponse({}), 'parse'), {
+    message: 'Unexpected Wikipedia API response: no "parse" field',
+  });
+});
+
+test('parseBulletLinks collects each linked article once', t => {
+  const links = parseBulletLinks('* [[Akita (dog)|Akita]]\n*[[Beagle]]\n* [[Beagle|Other Beagle]]\n[[Not a bullet]]');
+  t.deepEqual([...links], [['Akita (dog)', 'Akita'], ['Beagle', 'Beagle']]);
+});
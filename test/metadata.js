@@ -0,0 +1,193 @@
+import test from 'ava';
+import {
+  hashText,
+  hashResults,
+  describeSources,
+  fieldSources,
+  buildMetadata,
+  isUpToDate,
+  metadataPath,
+  writeMetadata,
+} from '../scripts/metadata.js';
+
+// -- Fixtures --
+
+const AKITA = {
+  name: 'Akita',
+  origin: 'Japan',
+  imageURL: 'https://upload.wikimedia.org/wikipedia/commons/a/a1/Akita.jpg',
+  id: 'Q39058',
+  slug: 'akita',
+  article: 'Akita (dog breed)',
+  status: 'extant',
+  aliases: ['Akita Inu'],
+  image: {file: 'Akita.jpg'},
+};
+
+const UNMATCHED = {
+  name: 'Alpine Spaniel',
+  origin: '',
+  imageURL: '',
+  id: null,
+  slug: 'alpine-spaniel',
+  article: 'Alpine Spaniel',
+  status: 'extinct',
+  aliases: [],
+  image: null,
+};
+
+const BINDINGS = [
+  [{breed: {value: 'Q1'}}, {breed: {value: 'Q2'}}],
+  [],
+];
+
+const QUERIES = ['SELECT ?breed WHERE {}', 'SELECT ?origin WHERE {}'];
+
+// -- hashText / hashResults --
+
+test('hashText returns the start of the SHA-256 hash', t => {
+  t.is(hashText(''), 'e3b0c44298fc1c14');
+  t.not(hashText('a'), hashText('b'));
+});
+
+test('hashResults ignores the order of rows but not of queries', t => {
+  const reordered = [[BINDINGS[0][1], BINDINGS[0][0]], []];
+  t.is(hashResults(BINDINGS), hashResults(reordered));
+  t.not(hashResults(BINDINGS), hashResults([[], BINDINGS[0]]));
+  t.not(hashResults(BINDINGS), hashResults([[BINDINGS[0][0]], []]));
+});
+
+test('describeSources hashes the candidates of each source regardless of order', t => {
+  const source = {name: 'fci'};
+  const [described] = describeSources([{source, candidates: new Map([['Q1', {size: 'small'}], ['Q2', {}]])}]);
+
+  t.is(described.name, 'fci');
+  t.regex(described.hash, /^[\da-f]{16}$/);
+  t.deepEqual(describeSources([{source, candidates: new Map([['Q2', {}], ['Q1', {size: 'small'}]])}]), [described]);
+  t.notDeepEqual(describeSources([{source, candidates: new Map([['Q1', {size: 'large'}]])}]), [described]);
+  t.deepEqual(describeSources([]), []);
+});
+
+// -- fieldSources --
+
+test('fieldSources credits Wikipedia, Wikidata and Commons', t => {
+  t.deepEqual(fieldSources(AKITA), {
+    name: 'wikipedia',
+    origin: 'wikidata',
+    imageURL: 'wikidata',
+    id: 'wikidata',
+    slug: 'wikipedia',
+    article: 'wikidata',
+    status: 'wikipedia',
+    aliases: 'wikidata',
+    image: 'commons',
+  });
+});
+
+test('fieldSources leaves out the empty fields of unmatched breeds', t => {
+  t.deepEqual(fieldSources(UNMATCHED), {
+    name: 'wikipedia',
+    slug: 'wikipedia',
+    article: 'wikipedia',
+    status: 'wikipedia',
+    aliases: 'wikipedia',
+  });
+});
+
+test('fieldSources credits overrides', t => {
+  t.like(fieldSources(AKITA, new Set(['origin', 'image'])), {origin: 'override', image: 'override', name: 'wikipedia'});
+
+  // An id from overrides is not a Wikidata match
+  const sources = fieldSources({...UNMATCHED, id: 'Q1'}, new Set(['id']));
+  t.is(sources.id, 'override');
+  t.is(sources.origin, undefined);
+  t.is(sources.article, 'wikipedia');
+});
+
+test('fieldSources credits extra sources', t => {
+  t.like(fieldSources(AKITA, new Set(['origin']), {origin: 'fci', aliases: 'fci'}), {origin: 'override', aliases: 'fci', imageURL: 'wikidata'});
+
+  // An id from an extra source is not a Wikidata match either
+  const sources = fieldSources({...UNMATCHED, id: 'Q1'}, new Set(), {id: 'fci'});
+  t.is(sources.id, 'fci');
+  t.is(sources.origin, undefined);
+
+  // But one credited to Wikidata is
+  t.like(fieldSources(AKITA, new Set(), {id: 'wikidata', name: 'wikipedia'}), {id: 'wikidata', origin: 'wikidata', name: 'wikipedia'});
+});
+
+// -- buildMetadata / isUpToDate --
+
+test('buildMetadata describes the run and every record', t => {
+  const overridden = new Map([[AKITA, new Set(['aliases'])]]);
+  const metadata = buildMetadata([AKITA, UNMATCHED], {
+    fetchedAt: new Date('2026-10-19T12:00:00Z'),
+    revisionId: 42,
+    locales: ['ja'],
+    queries: QUERIES,
+    bindings: BINDINGS,
+    overrides: {},
+    overridden,
+  });
+
+  t.like(metadata, {
+    fetchedAt: '2026-10-19T12:00:00.000Z',
+    wikipedia: {page: 'List of dog breeds', revisionId: 42},
+    wikidata: {locales: ['ja'], queryHash: hashText(QUERIES.join('\n')), resultsHash: hashResults(BINDINGS)},
+    overridesHash: hashText('{}'),
+  });
+  t.deepEqual(metadata.extraSources, []);
+  t.deepEqual(Object.keys(metadata.sources), ['akita', 'alpine-spaniel']);
+  t.is(metadata.sources.akita.aliases, 'override');
+});
+
+test('isUpToDate compares the revision, queries, results and overrides', t => {
+  const current = {
+    revisionId: 42,
+    queries: QUERIES,
+    bindings: BINDINGS,
+    overrides: {},
+  };
+  const previous = buildMetadata([], {
+    ...current,
+    fetchedAt: new Date(),
+    locales: [],
+  });
+
+  t.true(isUpToDate(previous, current));
+  t.false(isUpToDate(previous, {...current, revisionId: 43}));
+  t.false(isUpToDate(previous, {...current, queries: [QUERIES[0]]}));
+  t.false(isUpToDate(previous, {...current, bindings: [[], []]}));
+  t.false(isUpToDate(previous, {...current, overrides: {exclude: ['Akita']}}));
+  t.false(isUpToDate(previous, {...current, sourceResults: [{source: {name: 'fci'}, candidates: new Map()}]}));
+});
+
+test('isUpToDate is false without usable metadata', t => {
+  const current = {
+    revisionId: null,
+    queries: QUERIES,
+    bindings: BINDINGS,
+    overrides: {},
+  };
+
+  t.false(isUpToDate(null, current));
+  t.false(isUpToDate([], current));
+  t.false(isUpToDate({wikipedia: {revisionId: null}}, current));
+});
+
+// -- metadataPath / writeMetadata --
+
+test('metadataPath puts the metadata next to the dataset', t => {
+  t.is(metadataPath('/data/dog-breeds.json'), '/data/dog-breeds.metadata.json');
+  t.is(metadataPath('/data/breeds'), '/data/breeds.metadata.json');
+});
+
+test('writeMetadata writes JSON and a module', t => {
+  const written = new Map();
+  const paths = writeMetadata({fetchedAt: null}, '/data/dog-breeds.json', (path, data) => written.set(path, data));
+
+  t.deepEqual(paths, ['/data/dog-breeds.metadata.json', '/data/dog-breeds.metadata.js']);
+  t.is(written.get('/data/dog-breeds.metadata.json'), '{\n  "fetchedAt": null\n}\n');
+  t.true(written.get('/data/dog-breeds.metadata.js').includes('from dog-breeds.metadata.json.'));
+  t.true(written.get('/data/dog-breeds.metadata.js').endsWith('export default {\n  "fetchedAt": null\n};\n'));
+});
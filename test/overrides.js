@@ -0,0 +1,140 @@
+import {readFileSync} from 'node:fs';
+import test from 'ava';
+import {originPoint} from '../lib/geo.js';
+import {validateBreeds} from '../lib/validate.js';
+import {applyOverrides} from '../scripts/overrides.js';
+import {emptyBreed} from '../scripts/records.js';
+
+// -- Fixtures --
+
+const breeds = [
+  {
+    name: 'Africanis',
+    origin: '',
+    imageURL: 'https://example.org/africanis.jpg',
+    id: 'Q2826573',
+    article: 'Africanis',
+  },
+  {
+    name: 'Akita',
+    origin: 'Japan',
+    imageURL: 'https://example.org/akita.jpg',
+    id: 'Q39058',
+    article: 'Akita (dog breed)',
+  },
+  {
+    name: 'Mystery Dog',
+    origin: '',
+    imageURL: '',
+    id: null,
+    article: 'Mystery Dog',
+  },
+];
+
+// -- applyOverrides --
+
+test('applyOverrides patches fields by article title', t => {
+  const {breeds: patched, overridden} = applyOverrides(breeds, {patch: {Africanis: {origin: 'South Africa'}}});
+  const africanis = patched.find(breed => breed.name === 'Africanis');
+  t.is(africanis.origin, 'South Africa');
+  t.deepEqual([...overridden.get(africanis)], ['origin']);
+});
+
+test('applyOverrides patches fields by QID', t => {
+  const {breeds: patched} = applyOverrides(breeds, {patch: {Q39058: {name: 'Akita Inu'}}});
+  t.truthy(patched.find(breed => breed.name === 'Akita Inu'));
+});
+
+test('applyOverrides does not modify the input records', t => {
+  applyOverrides(breeds, {patch: {Africanis: {origin: 'South Africa'}}});
+  t.is(breeds[0].origin, '');
+});
+
+test('applyOverrides appends aliases without normalized duplicates', t => {
+  const {breeds: patched, overridden} = applyOverrides(
+    [{...breeds[1], aliases: ['Akita Inu']}],
+    {aliases: {Q39058: ['Akita Inu', 'akita-inu', 'AKITA', 'Japanese Akita', 'Japanese akita']}},
+  );
+  t.deepEqual(patched[0].aliases, ['Akita Inu', 'Japanese Akita']);
+  t.true(overridden.get(patched[0]).has('aliases'));
+
+  const {breeds: [africanis]} = applyOverrides([breeds[0]], {aliases: {Africanis: ['africanis', 'African Dog']}});
+  t.deepEqual(africanis.aliases, ['African Dog']);
+});
+
+test('applyOverrides excludes breeds', t => {
+  const {breeds: patched} = applyOverrides(breeds, {exclude: ['Mystery Dog']});
+  t.deepEqual(patched.map(breed => breed.name), ['Africanis', 'Akita']);
+});
+
+test('the shipped overrides give valid origins that can be mapped', t => {
+  const overrides = JSON.parse(readFileSync(new URL('../scripts/overrides.json', import.meta.url), 'utf8'));
+  const {breeds: patched} = applyOverrides([{...emptyBreed('Africanis', 'Africanis'), slug: 'africanis'}], overrides);
+
+  t.deepEqual(validateBreeds(patched).errors, []);
+  t.true(patched[0].origins.length > 0);
+  t.true(patched[0].origins.every(origin => originPoint(origin)));
+});
+
+test('applyOverrides adds unlisted breeds with defaults, sorted by name', t => {
+  const {breeds: patched, overridden} = applyOverrides(breeds, {add: [{name: 'Alopekis', article: 'Alopekis (dog)', origin: 'Greece'}]});
+  t.deepEqual(patched.map(breed => breed.name), ['Africanis', 'Akita', 'Alopekis', 'Mystery Dog']);
+
+  const alopekis = patched[2];
+  t.deepEqual(alopekis, {
+    name: 'Alopekis',
+    origin: 'Greece',
+    imageURL: '',
+    origins: [],
+    id: null,
+    slug: '',
+    article: 'Alopekis (dog)',
+    status: 'extant',
+    names: {en: 'Alopekis'},
+    aliases: [],
+    weightKg: null,
+    heightCm: null,
+    lifespanYears: null,
+    size: null,
+    classifications: [],
+    parents: [],
+  });
+  t.true(overridden.get(alopekis).has('origin'));
+});
+
+test('applyOverrides requires a new article title for added breeds', t => {
+  for (const fields of [{origin: 'Greece'}, {name: 'Alopekis'}, {name: 'Alopekis', article: ''}]) {
+    t.throws(() => applyOverrides(breeds, {add: [fields]}), {
+      instanceOf: TypeError,
+      message: `Expected added breeds to have a name and an article title, got ${JSON.stringify(fields)}`,
+    });
+  }
+
+  t.throws(() => applyOverrides(breeds, {add: [{name: 'Akita Inu', article: 'Akita (dog breed)'}]}), {
+    instanceOf: TypeError,
+    message: 'Added breed "Akita Inu" has the article of a breed already in the data, "Akita (dog breed)"; patch that breed instead',
+  });
+});
+
+test('applyOverrides reports keys that matched no breed', t => {
+  const {unused} = applyOverrides(breeds, {
+    patch: {'Gone Dog': {origin: 'France'}},
+    aliases: {Q1: ['Nobody']},
+    exclude: ['Q2'],
+  });
+  t.deepEqual(unused, ['Gone Dog', 'Q1', 'Q2']);
+});
+
+test('applyOverrides without overrides returns copies of the records and their originals', t => {
+  const {
+    breeds: patched,
+    overridden,
+    unused,
+    originals,
+  } = applyOverrides(breeds);
+  t.deepEqual(patched, breeds);
+  t.not(patched[0], breeds[0]);
+  t.is(originals.get(patched[0]), breeds[0]);
+  t.is(overridden.size, 0);
+  t.deepEqual(unused, []);
+});
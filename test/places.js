@@ -0,0 +1,27 @@
+import {readFileSync} from 'node:fs';
+import test from 'ava';
+import {placeByLabel} from '../lib/places.js';
+import {originLabels} from '../lib/search.js';
+
+const breeds = JSON.parse(readFileSync(new URL('../dog-breeds.json', import.meta.url), 'utf8'));
+
+test('placeByLabel covers every origin label in dog-breeds.json', t => {
+  const labels = new Set(breeds.flatMap(breed => originLabels(breed)));
+  t.deepEqual([...labels].filter(label => !placeByLabel(label)), []);
+});
+
+test('placeByLabel resolves labels to structured origins', t => {
+  t.deepEqual(placeByLabel('Tibet'), {
+    label: 'Tibet',
+    id: 'Q17252',
+    code: 'CN-XZ',
+    coordinates: {lat: 31, lon: 88},
+    bbox: null,
+  });
+  t.is(placeByLabel('Atlantis'), undefined);
+});
+
+test('placeByLabel returns copies', t => {
+  placeByLabel('Japan').coordinates.lat = 0;
+  t.is(placeByLabel('Japan').coordinates.lat, 36);
+});
@@ -0,0 +1,112 @@
+import test from 'ava';
+import {buildQualityReport, formatQualityReport} from '../scripts/quality-report.js';
+
+// -- Fixtures --
+
+const breeds = [
+  {
+    name: 'Affenpinscher',
+    origin: 'Germany',
+    imageURL: 'https://example.org/affen.jpg',
+    id: 'Q38311',
+    article: 'Affenpinscher',
+  },
+  {
+    name: 'Mystery Dog',
+    origin: '',
+    imageURL: '',
+    id: null,
+    article: 'Mystery Dog',
+  },
+  {
+    name: 'Pointer',
+    origin: 'England',
+    imageURL: '',
+    id: 'Q1',
+    article: 'Pointer (dog breed)',
+  },
+  {
+    name: 'pointer',
+    origin: '',
+    imageURL: 'https://example.org/pointer.jpg',
+    id: 'Q2',
+    article: 'Pointer (dog type)',
+  },
+];
+
+const unmatched = [{name: 'Mystery Dog', article: 'Mystery Dog', redirect: 'Mystery dog'}];
+
+// -- buildQualityReport --
+
+test('buildQualityReport computes coverage ratios', t => {
+  const report = buildQualityReport(breeds, unmatched);
+  t.is(report.total, 4);
+  t.deepEqual(report.coverage, {wikidata: 0.75, origin: 0.5, image: 0.5});
+});
+
+test('buildQualityReport lists breeds missing origin or image', t => {
+  const report = buildQualityReport(breeds, unmatched);
+  t.deepEqual(report.missingOrigin, [{name: 'Mystery Dog', id: null}, {name: 'pointer', id: 'Q2'}]);
+  t.deepEqual(report.missingImage, [{name: 'Mystery Dog', id: null}, {name: 'Pointer', id: 'Q1'}]);
+});
+
+test('buildQualityReport includes unmatched breeds', t => {
+  t.deepEqual(buildQualityReport(breeds, unmatched).unmatched, unmatched);
+  t.deepEqual(buildQualityReport(breeds).unmatched, []);
+});
+
+test('buildQualityReport finds names that differ only in case or diacritics', t => {
+  const report = buildQualityReport(breeds);
+  t.deepEqual(report.duplicateNames, [
+    {
+      name: 'Pointer',
+      breeds: [
+        {name: 'Pointer', id: 'Q1', article: 'Pointer (dog breed)'},
+        {name: 'pointer', id: 'Q2', article: 'Pointer (dog type)'},
+      ],
+    },
+  ]);
+});
+
+test('buildQualityReport treats an empty dataset as fully covered', t => {
+  const report = buildQualityReport([]);
+  t.deepEqual(report.coverage, {wikidata: 1, origin: 1, image: 1});
+});
+
+// -- formatQualityReport --
+
+test('formatQualityReport summarizes coverage and lists problems', t => {
+  const text = formatQualityReport(buildQualityReport(breeds, unmatched));
+  t.true(text.startsWith('Data quality: 4 breeds, 75.0% matched in Wikidata, 50.0% with origin, 50.0% with image'));
+  t.true(text.includes('  2 missing origin, 2 missing image'));
+  t.true(text.includes('Unmatched in Wikidata:\n  ? Mystery Dog (also tried redirect target "Mystery dog")'));
+  t.true(text.includes('Duplicate names:\n  = Pointer (Pointer (dog breed), Pointer (dog type))'));
+});
+
+test('formatQualityReport omits empty sections', t => {
+  const text = formatQualityReport(buildQualityReport(breeds.slice(0, 1), [{name: 'X', article: 'X', redirect: null}]));
+  t.true(text.endsWith('Unmatched in Wikidata:\n  ? X'));
+  t.false(text.includes('Duplicate names'));
+});
+
+// -- Ancestry --
+
+const family = [
+  {name: 'A', id: 'Q10', parents: ['Q11']},
+  {name: 'B', id: 'Q11', parents: ['Q12']},
+  {name: 'C', id: 'Q12', parents: ['Q10', 'Q99']},
+];
+
+test('buildQualityReport finds parents not in the dataset and ancestry cycles', t => {
+  const report = buildQualityReport(family);
+  t.deepEqual(report.danglingParents, [{name: 'C', id: 'Q12', parent: 'Q99'}]);
+  t.deepEqual(report.parentCycles, [[{name: 'A', id: 'Q10'}, {name: 'B', id: 'Q11'}, {name: 'C', id: 'Q12'}]]);
+  t.deepEqual(buildQualityReport(breeds).danglingParents, []);
+  t.deepEqual(buildQualityReport(breeds).parentCycles, []);
+});
+
+test('formatQualityReport lists dangling parents and cycles', t => {
+  const text = formatQualityReport(buildQualityReport(family));
+  t.true(text.includes('Parents not in the dataset:\n  ^ C → Q99'));
+  t.true(text.includes('Ancestry cycles:\n  @ A → B → C → A'));
+});
@@ -0,0 +1,129 @@
+import test from 'ava';
+import {breedQuiz, breedSimilarity} from '../lib/quiz.js';
+
+// -- Fixtures --
+
+const image = name => `https://commons.wikimedia.org/wiki/Special:FilePath/${name.replaceAll(' ', '_')}.jpg`;
+
+const breed = (name, origin, imageURL = image(name)) => ({name, origin, imageURL});
+
+const records = [
+  breed('Akita', 'Japan'),
+  breed('Shiba Inu', 'Japan'),
+  breed('Kai Ken', 'Japan'),
+  breed('Hokkaido', 'Japan', ''),
+  breed('German Shepherd', 'Germany'),
+  breed('Dutch Shepherd', 'Netherlands'),
+  breed('Australian Shepherd', 'United States, Australia'),
+  breed('Beagle', 'United Kingdom'),
+  breed('Basset Hound', 'France'),
+  breed('Poodle', 'France, Germany'),
+  breed('Pug', 'China', ''),
+  breed('Chow Chow', 'China'),
+];
+
+const names = breeds => breeds.map(({name}) => name);
+
+// -- breedSimilarity --
+
+test('breedSimilarity scores shared origins and similar names', t => {
+  const [akita, shiba] = records;
+  const [german, dutch, , beagle] = records.slice(4);
+  t.true(breedSimilarity(akita, shiba) >= 1);
+  t.true(breedSimilarity(german, dutch) > breedSimilarity(german, beagle));
+  t.true(breedSimilarity(akita, shiba) > breedSimilarity(akita, beagle));
+  t.is(breedSimilarity(akita, akita), 2);
+});
+
+test('breedSimilarity ignores common words', t => {
+  const similarity = breedSimilarity(breed('Taiwan Dog', 'Taiwan'), breed('Carolina Dog', 'United States'));
+  t.true(similarity < 0.5);
+});
+
+// -- breedQuiz --
+
+test('breedQuiz asks about distinct breeds with an image', t => {
+  const questions = breedQuiz(records, {count: 20, seed: 1});
+
+  t.is(questions.length, 10);
+  t.is(new Set(questions.map(question => question.breed)).size, 10);
+  t.false(questions.some(question => ['Hokkaido', 'Pug'].includes(question.breed.name)));
+
+  for (const question of questions) {
+    t.is(question.imageURL, question.breed.imageURL);
+    t.is(question.choices[question.answer], question.breed);
+  }
+});
+
+test('breedQuiz offers distinct choices with one correct answer', t => {
+  for (const question of breedQuiz(records, {count: 10, choices: 5})) {
+    t.is(question.choices.length, 5);
+    t.is(new Set(names(question.choices)).size, 5);
+    t.is(question.choices.filter(choice => choice === question.breed).length, 1);
+  }
+});
+
+test('breedQuiz defaults to 10 questions with 4 choices', t => {
+  const many = Array.from({length: 30}, (_, index) => breed(`Breed ${index}`, 'Japan'));
+  const questions = breedQuiz(many);
+  t.is(questions.length, 10);
+  t.true(questions.every(question => question.choices.length === 4));
+});
+
+test('breedQuiz is reproducible with a seed', t => {
+  const summary = questions => questions.map(question => [question.breed.name, names(question.choices), question.answer]);
+  for (const difficulty of ['easy', 'medium', 'hard']) {
+    t.deepEqual(
+      summary(breedQuiz(records, {count: 5, seed: 'quiz', difficulty})),
+      summary(breedQuiz(records, {count: 5, seed: 'quiz', difficulty})),
+    );
+  }
+});
+
+test('breedQuiz picks similar distractors when hard', t => {
+  const questions = breedQuiz(records, {
+    count: 10,
+    choices: 3,
+    seed: 3,
+    difficulty: 'hard',
+  });
+
+  for (const question of questions) {
+    // The two distractors come from the four most similar breeds
+    const mostSimilar = new Set(records
+      .filter(candidate => candidate !== question.breed)
+      .sort((a, b) => breedSimilarity(question.breed, b) - breedSimilarity(question.breed, a))
+      .slice(0, 4));
+    t.true(question.choices.every(choice => choice === question.breed || mostSimilar.has(choice)));
+  }
+});
+
+test('breedQuiz gives as many choices as there are breeds', t => {
+  const [question] = breedQuiz(records.slice(0, 2), {count: 1, choices: 4});
+  t.is(question.choices.length, 2);
+});
+
+test('breedQuiz skips breeds already asked in a session', t => {
+  const session = new Set();
+  const first = breedQuiz(records, {count: 6, session});
+  const second = breedQuiz(records, {count: 6, session});
+
+  t.is(first.length, 6);
+  t.is(second.length, 4);
+  t.is(new Set([...first, ...second].map(question => question.breed)).size, 10);
+  t.true(session.has('akita'));
+  t.true(session.has('german-shepherd'));
+  t.deepEqual(breedQuiz(records, {session}), []);
+});
+
+test('breedQuiz only uses matching breeds', t => {
+  const questions = breedQuiz(records, {count: 10, filter: {origin: 'Japan'}});
+  t.deepEqual(names(questions.map(question => question.breed)).sort(), ['Akita', 'Kai Ken', 'Shiba Inu']);
+  t.true(questions.every(question => question.choices.every(choice => choice.origin === 'Japan')));
+});
+
+test('breedQuiz rejects invalid options', t => {
+  t.throws(() => breedQuiz(records, {count: -1}), {message: 'Expected count to be a non-negative integer, got -1'});
+  t.throws(() => breedQuiz(records, {choices: 1}), {message: 'Expected choices to be an integer of at least 2, got 1'});
+  t.throws(() => breedQuiz(records, {difficulty: 'expert'}), {message: 'Expected difficulty to be one of easy, medium, hard, got expert'});
+});
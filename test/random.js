@@ -0,0 +1,118 @@
+import test from 'ava';
+import {
+  hashSeed,
+  createGenerator,
+  selectPool,
+  shuffleBreeds,
+  sampleBreeds,
+  createRandomBreed,
+} from '../lib/random.js';
+
+// -- Fixtures --
+
+const records = Array.from({length: 20}, (_, index) => ({
+  name: `Breed ${index}`,
+  origin: index % 2 === 0 ? 'Japan' : 'France',
+  imageURL: index % 3 === 0 ? '' : `https://commons.wikimedia.org/wiki/Special:FilePath/${index}.jpg`,
+}));
+
+const names = breeds => breeds.map(breed => breed.name);
+
+// -- hashSeed / createGenerator --
+
+test('hashSeed is stable and distinguishes seeds', t => {
+  t.is(hashSeed('breed of the day'), hashSeed('breed of the day'));
+  t.not(hashSeed('2026-01-01'), hashSeed('2026-01-02'));
+  t.is(hashSeed(42), hashSeed('42'));
+});
+
+test('createGenerator repeats the same sequence for the same seed', t => {
+  const first = createGenerator('seed');
+  const second = createGenerator('seed');
+  const sequence = Array.from({length: 5}, () => first());
+  t.deepEqual(Array.from({length: 5}, () => second()), sequence);
+  t.true(sequence.every(value => value >= 0 && value < 1));
+});
+
+test('createGenerator falls back to Math.random without a seed', t => {
+  t.is(createGenerator(), Math.random);
+});
+
+// -- selectPool --
+
+test('selectPool accepts a predicate or filter criteria', t => {
+  t.is(selectPool(records), records);
+  t.is(selectPool(records, breed => breed.origin === 'Japan').length, 10);
+  t.is(selectPool(records, {hasImage: false}).length, 7);
+});
+
+// -- shuffleBreeds --
+
+test('shuffleBreeds is reproducible with a seed', t => {
+  const shuffled = shuffleBreeds(records, {seed: 1});
+  t.deepEqual(names(shuffleBreeds(records, {seed: 1})), names(shuffled));
+  t.notDeepEqual(names(shuffleBreeds(records, {seed: 2})), names(shuffled));
+});
+
+test('shuffleBreeds returns a permutation without touching the input', t => {
+  const before = names(records);
+  const shuffled = shuffleBreeds(records, {seed: 'x'});
+  t.deepEqual(names(records), before);
+  t.deepEqual(names(shuffled).sort(), [...before].sort());
+});
+
+test('shuffleBreeds only shuffles matching breeds', t => {
+  const shuffled = shuffleBreeds(records, {seed: 1, filter: {hasImage: true}});
+  t.is(shuffled.length, 13);
+  t.true(shuffled.every(breed => breed.imageURL));
+});
+
+// -- sampleBreeds --
+
+test('sampleBreeds picks distinct breeds reproducibly', t => {
+  const sample = sampleBreeds(records, 5, {seed: 'snapshot'});
+  t.is(sample.length, 5);
+  t.is(new Set(sample).size, 5);
+  t.deepEqual(names(sampleBreeds(records, 5, {seed: 'snapshot'})), names(sample));
+});
+
+test('sampleBreeds returns every match when count exceeds the pool', t => {
+  t.is(sampleBreeds(records, 50, {filter: {origin: 'France'}}).length, 10);
+  t.deepEqual(sampleBreeds(records, 0), []);
+});
+
+test('sampleBreeds rejects invalid counts', t => {
+  t.throws(() => sampleBreeds(records, -1), {instanceOf: TypeError});
+  t.throws(() => sampleBreeds(records, 1.5), {instanceOf: TypeError});
+});
+
+// -- createRandomBreed --
+
+test('createRandomBreed repeats the same sequence for the same seed', t => {
+  const first = createRandomBreed(records, {seed: 'day'});
+  const second = createRandomBreed(records, {seed: 'day'});
+  const sequence = Array.from({length: 10}, () => first().name);
+  t.deepEqual(Array.from({length: 10}, () => second().name), sequence);
+});
+
+test('createRandomBreed never repeats a breed consecutively', t => {
+  const random = createRandomBreed(records.slice(0, 2), {seed: 3});
+  let previous = random();
+  for (let count = 0; count < 20; count++) {
+    const current = random();
+    t.not(current, previous);
+    previous = current;
+  }
+});
+
+test('createRandomBreed only picks matching breeds', t => {
+  const random = createRandomBreed(records, {seed: 3, filter: breed => breed.imageURL !== ''});
+  for (let count = 0; count < 20; count++) {
+    t.truthy(random().imageURL);
+  }
+});
+
+test('createRandomBreed handles pools of zero or one breed', t => {
+  t.is(createRandomBreed([])(), undefined);
+  t.is(createRandomBreed(records.slice(0, 1))(), records[0]);
+});
@@ -0,0 +1,78 @@
+import {mkdtempSync, readFileSync, readdirSync} from 'node:fs';
+import {tmpdir} from 'node:os';
+import path from 'node:path';
+import test from 'ava';
+import {recordingFileName, createRecordingFetch, createReplayFetch} from '../scripts/record-replay.js';
+
+// -- Fixtures --
+
+const url = new URL('https://en.wikipedia.org/w/api.php?action=parse&page=List_of_dog_breeds');
+
+function createTemporaryDirectory() {
+  return mkdtempSync(path.join(tmpdir(), 'dog-breeds-recording-'));
+}
+
+async function mockFetch() {
+  return new Response('{"parse":{}}', {status: 200, headers: {'content-type': 'application/json'}});
+}
+
+// -- recordingFileName --
+
+test('recordingFileName is stable per URL and prefixed with the host', t => {
+  const name = recordingFileName(url);
+  t.regex(name, /^en\.wikipedia\.org-[\da-f]{16}\.json$/);
+  t.is(recordingFileName(url.href), name);
+  t.not(recordingFileName(`${url.href}&prop=wikitext`), name);
+});
+
+// -- createRecordingFetch --
+
+test('createRecordingFetch saves responses and passes them through', async t => {
+  const directory = path.join(createTemporaryDirectory(), 'nested');
+  const recordingFetch = createRecordingFetch(directory, mockFetch);
+
+  const response = await recordingFetch(url);
+  t.deepEqual(await response.json(), {parse: {}});
+  t.is(response.headers.get('content-type'), 'application/json');
+
+  const files = readdirSync(directory);
+  t.deepEqual(files, [recordingFileName(url)]);
+
+  const recording = JSON.parse(readFileSync(path.join(directory, files[0]), 'utf8'));
+  t.deepEqual(recording, {
+    url: url.href,
+    status: 200,
+    contentType: 'application/json',
+    body: '{"parse":{}}',
+  });
+});
+
+test('createRecordingFetch records error statuses too', async t => {
+  const directory = createTemporaryDirectory();
+  const failingFetch = async () => new Response('Too Many Requests', {status: 429});
+
+  const response = await createRecordingFetch(directory, failingFetch)(url);
+  t.is(response.status, 429);
+  t.is(await response.text(), 'Too Many Requests');
+});
+
+// -- createReplayFetch --
+
+test('createReplayFetch answers from recorded responses', async t => {
+  const directory = createTemporaryDirectory();
+  await createRecordingFetch(directory, mockFetch)(url);
+
+  const response = await createReplayFetch(directory)(url);
+  t.is(response.status, 200);
+  t.is(response.headers.get('content-type'), 'application/json');
+  t.deepEqual(await response.json(), {parse: {}});
+});
+
+test('createReplayFetch fails clearly for requests that were not recorded', async t => {
+  const directory = createTemporaryDirectory();
+  await t.throwsAsync(createReplayFetch(directory)(url), {message: `No recorded response for ${url.href} in ${directory}`});
+});
+
+test('createReplayFetch rethrows unreadable recordings', async t => {
+  await t.throwsAsync(createReplayFetch('fixtures', () => '{broken')(url), {instanceOf: SyntaxError});
+});
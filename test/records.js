@@ -0,0 +1,10 @@
+import test from 'ava';
+import {validateBreeds} from '../lib/validate.js';
+import {emptyBreed} from '../scripts/records.js';
+
+test('emptyBreed builds a valid record once it has a slug', t => {
+  const breed = emptyBreed('Alopekis', 'Alopekis (dog)');
+  t.like(breed, {name: 'Alopekis', article: 'Alopekis (dog)', names: {en: 'Alopekis'}});
+  t.deepEqual(validateBreeds([{...breed, slug: 'alopekis'}]).errors, []);
+  t.not(emptyBreed('Alopekis', 'Alopekis').origins, breed.origins);
+});
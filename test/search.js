@@ -0,0 +1,399 @@
+import test from 'ava';
+import {
+  normalize,
+  slugify,
+  breedSlug,
+  breedStatus,
+  breedNames,
+  localizedName,
+  originLabels,
+  breedOrigins,
+  hasCountry,
+  withinRange,
+  editDistance,
+  scoreName,
+  findBreed,
+  getBreed,
+  searchBreeds,
+  filterBreeds,
+} from '../lib/search.js';
+
+// -- Fixtures --
+
+const records = [
+  {name: 'Akita', origin: 'Japan', imageURL: 'https://commons.wikimedia.org/wiki/Special:FilePath/Akita_inu.jpg'},
+  {name: 'American Akita', origin: 'United States, Japan', imageURL: ''},
+  {name: 'Bichon Frisé', origin: 'France, Belgium', imageURL: 'https://commons.wikimedia.org/wiki/Special:FilePath/Bichon.jpg'},
+  {name: 'German Shepherd', origin: 'Germany', imageURL: 'https://commons.wikimedia.org/wiki/Special:FilePath/GSD.jpg'},
+  {name: 'Small Međimurje Dog', origin: 'Croatia', imageURL: ''},
+  {name: 'Mystery Dog', origin: '', imageURL: ''},
+  {name: 'Shiba Inu', origin: 'Japan', imageURL: ''},
+];
+
+const structuredRecords = [
+  {
+    name: 'Akita',
+    origin: 'Japan',
+    imageURL: '',
+    origins: [{label: 'Japan', id: 'Q17', code: 'JP'}],
+  },
+  {
+    name: 'Border Collie',
+    origin: 'Scotland, England',
+    imageURL: '',
+    origins: [{label: 'Scotland', id: 'Q22', code: 'GB-SCT'}, {label: 'England', id: 'Q21', code: 'GB-ENG'}],
+  },
+  {
+    name: 'Aidi',
+    origin: 'North Africa',
+    imageURL: '',
+    origins: [{label: 'North Africa', id: 'Q27381', code: null}],
+  },
+  {
+    name: 'Example Dog',
+    origin: 'Bonaire, Sint Eustatius and Saba',
+    imageURL: '',
+    origins: [{label: 'Bonaire, Sint Eustatius and Saba', id: 'Q27561', code: 'BQ'}],
+  },
+];
+
+const localizedRecords = [
+  {
+    name: 'German Shepherd',
+    names: {en: 'German Shepherd', de: 'Deutscher Schäferhund', ja: 'ジャーマン・シェパード・ドッグ'},
+  },
+  {
+    name: 'Pug',
+    names: {en: 'Pug', de: 'Mops', es: 'Carlino'},
+  },
+];
+
+const aliasedRecords = [
+  {name: 'Akita', aliases: ['Akita Inu', 'Japanese Akita']},
+  {name: 'American Akita', aliases: ['Akita']},
+  {name: 'German Shepherd', aliases: ['Alsatian', 'Alsatian Wolf Dog']},
+];
+
+const sizedRecords = [
+  {
+    name: 'Chihuahua',
+    size: 'toy',
+    weightKg: {min: 1.5, max: 3},
+    heightCm: {min: 15, max: 23},
+  },
+  {
+    name: 'Beagle',
+    size: 'small',
+    weightKg: {min: 9, max: 11},
+    heightCm: {min: 33, max: 41},
+  },
+  {
+    name: 'Great Dane',
+    size: 'giant',
+    weightKg: {min: 45, max: 90},
+    heightCm: null,
+  },
+  {
+    name: 'Mystery Dog',
+    size: null,
+    weightKg: null,
+    heightCm: null,
+  },
+];
+
+// -- normalize --
+
+test('normalize lowercases and strips diacritics', t => {
+  t.is(normalize('Bichon Frisé'), 'bichon frise');
+  t.is(normalize('Šarplaninac'), 'sarplaninac');
+  t.is(normalize('Small Međimurje Dog'), 'small medimurje dog');
+});
+
+test('normalize collapses punctuation and whitespace', t => {
+  t.is(normalize('  Danish–Swedish   Farmdog '), 'danish swedish farmdog');
+  t.is(normalize('St. Bernard'), 'st bernard');
+});
+
+test('normalize treats nullish values as empty', t => {
+  t.is(normalize(undefined), '');
+  t.is(normalize(null), '');
+});
+
+// -- slugify / breedSlug --
+
+test('slugify builds lowercase hyphenated ASCII slugs', t => {
+  t.is(slugify('Bichon Frisé'), 'bichon-frise');
+  t.is(slugify('Danish–Swedish Farmdog'), 'danish-swedish-farmdog');
+});
+
+test('breedSlug prefers the stored slug', t => {
+  t.is(breedSlug({name: 'Akita Inu', slug: 'akita'}), 'akita');
+  t.is(breedSlug({name: 'Akita Inu'}), 'akita-inu');
+});
+
+// -- breedStatus --
+
+test('breedStatus defaults to extant', t => {
+  t.is(breedStatus({name: 'Beagle'}), 'extant');
+  t.is(breedStatus({name: 'Alpine Spaniel', status: 'extinct'}), 'extinct');
+});
+
+// -- originLabels --
+
+test('originLabels splits the origin string', t => {
+  t.deepEqual(originLabels(records[1]), ['United States', 'Japan']);
+  t.deepEqual(originLabels(records[5]), []);
+});
+
+test('originLabels prefers structured origins', t => {
+  t.deepEqual(originLabels(structuredRecords[3]), ['Bonaire, Sint Eustatius and Saba']);
+});
+
+// -- breedOrigins --
+
+test('breedOrigins prefers structured origins', t => {
+  t.is(breedOrigins(structuredRecords[1]), structuredRecords[1].origins);
+});
+
+test('breedOrigins resolves known origin labels of legacy records', t => {
+  t.like(breedOrigins(records[1]), [{label: 'United States', id: 'Q30', code: 'US'}, {label: 'Japan', id: 'Q17', code: 'JP'}]);
+  t.deepEqual(breedOrigins({name: 'Example', origin: 'Scotland, Atlantis', imageURL: ''}), [{
+    label: 'Scotland',
+    id: 'Q22',
+    code: 'GB-SCT',
+    coordinates: {lat: 57, lon: -4},
+    bbox: null,
+  }]);
+  t.deepEqual(breedOrigins(records[5]), []);
+});
+
+// -- hasCountry --
+
+test('hasCountry matches ISO 3166-1 codes case-insensitively', t => {
+  t.true(hasCountry(structuredRecords[0], 'jp'));
+  t.false(hasCountry(structuredRecords[0], 'JPN'));
+});
+
+test('hasCountry counts subdivisions towards their country', t => {
+  t.true(hasCountry(structuredRecords[1], 'GB'));
+  t.true(hasCountry(structuredRecords[1], 'GB-SCT'));
+  t.false(hasCountry(structuredRecords[1], 'GB-WLS'));
+});
+
+test('hasCountry is false for regions', t => {
+  t.false(hasCountry(structuredRecords[2], 'MA'));
+});
+
+test('hasCountry resolves the origin labels of legacy records', t => {
+  t.true(hasCountry(records[0], 'JP'));
+  t.true(hasCountry(records[1], 'US'));
+  t.false(hasCountry(records[0], 'US'));
+  t.false(hasCountry(records[5], 'JP'));
+});
+
+// -- editDistance / scoreName --
+
+test('editDistance counts single-character edits', t => {
+  t.is(editDistance('beagle', 'beagle'), 0);
+  t.is(editDistance('beagle', 'beagel'), 2);
+  t.is(editDistance('', 'pug'), 3);
+});
+
+test('scoreName ranks exact over prefix over word prefix over substring', t => {
+  const exact = scoreName('akita', 'akita');
+  const prefix = scoreName('akita inu', 'akita');
+  const wordPrefix = scoreName('american akita', 'akita');
+  const substring = scoreName('shepherd', 'herd');
+  t.is(exact, 1);
+  t.true(exact > prefix);
+  t.true(prefix > wordPrefix);
+  t.true(wordPrefix > substring);
+});
+
+test('scoreName ranks names the query extends over fuzzy matches', t => {
+  const extended = scoreName('akita', 'akita inu');
+  t.true(extended > scoreName('shiba inu', 'akita inu'));
+  t.true(extended > scoreName('german shepherd', 'shepherd german'));
+  t.true(extended < scoreName('american akita', 'akita'));
+});
+
+test('scoreName matches query words in any order', t => {
+  t.is(scoreName('german shepherd', 'shepherd german'), 0.6);
+});
+
+test('scoreName gives typos a partial score', t => {
+  const score = scoreName('beagle', 'beagel');
+  t.true(score > 0.3);
+  t.true(score < 0.6);
+});
+
+// -- breedNames / localizedName --
+
+test('breedNames includes names in every locale once', t => {
+  t.deepEqual(breedNames(localizedRecords[1]), ['Pug', 'Mops', 'Carlino']);
+  t.deepEqual(breedNames(records[0]), ['Akita']);
+});
+
+test('breedNames includes aliases after the names', t => {
+  t.deepEqual(
+    breedNames({...aliasedRecords[2], names: {en: 'German Shepherd', de: 'Deutscher Schäferhund'}}),
+    ['German Shepherd', 'Deutscher Schäferhund', 'Alsatian', 'Alsatian Wolf Dog'],
+  );
+});
+
+test('localizedName returns the name in a locale', t => {
+  t.is(localizedName(localizedRecords[0], 'de'), 'Deutscher Schäferhund');
+  t.is(localizedName(localizedRecords[0], 'ja'), 'ジャーマン・シェパード・ドッグ');
+});
+
+test('localizedName falls back to the language and then to English', t => {
+  t.is(localizedName(localizedRecords[1], 'de-AT'), 'Mops');
+  t.is(localizedName(localizedRecords[1], 'ES'), 'Carlino');
+  t.is(localizedName(localizedRecords[1], 'fr'), 'Pug');
+  t.is(localizedName(localizedRecords[1]), 'Pug');
+  t.is(localizedName(records[0], 'de'), 'Akita');
+});
+
+// -- findBreed --
+
+test('findBreed matches names ignoring case and diacritics', t => {
+  t.is(findBreed(records, 'bichon frise'), records[2]);
+  t.is(findBreed(records, 'SMALL MEDIMURJE DOG'), records[4]);
+});
+
+test('findBreed matches names in any locale', t => {
+  t.is(findBreed(localizedRecords, 'deutscher schaferhund'), localizedRecords[0]);
+  t.is(findBreed(localizedRecords, 'Carlino'), localizedRecords[1]);
+});
+
+test('findBreed resolves aliases to the canonical breed', t => {
+  t.is(findBreed(aliasedRecords, 'alsatian'), aliasedRecords[2]);
+  t.is(findBreed(aliasedRecords, 'Japanese Akita'), aliasedRecords[0]);
+});
+
+test('findBreed prefers a breed name over another breed\'s alias', t => {
+  t.is(findBreed([...aliasedRecords].reverse(), 'Akita'), aliasedRecords[0]);
+});
+
+test('findBreed returns undefined for partial or empty names', t => {
+  t.is(findBreed(records, 'Bichon'), undefined);
+  t.is(findBreed(records, ''), undefined);
+});
+
+// -- getBreed --
+
+test('getBreed looks up breeds by QID', t => {
+  const breeds = [{name: 'Akita', id: 'Q39058', slug: 'akita'}];
+  t.is(getBreed(breeds, 'Q39058'), breeds[0]);
+  t.is(getBreed(breeds, 'q39058'), breeds[0]);
+  t.is(getBreed(breeds, 'Q1'), undefined);
+});
+
+test('getBreed looks up breeds by slug', t => {
+  const breeds = [{name: 'Akita Inu', id: 'Q39058', slug: 'akita'}];
+  t.is(getBreed(breeds, 'akita'), breeds[0]);
+  t.is(getBreed(breeds, 'akita-inu'), undefined);
+});
+
+test('getBreed derives slugs for records without one', t => {
+  t.is(getBreed(records, 'bichon-frise'), records[2]);
+});
+
+// -- searchBreeds --
+
+test('searchBreeds ranks the exact match first', t => {
+  const results = searchBreeds(records, 'akita');
+  t.deepEqual(results.map(b => b.name), ['Akita', 'American Akita']);
+});
+
+test('searchBreeds finds names that extend the query', t => {
+  // Shiba Inu is closer by edit distance
+  const results = searchBreeds(records, 'Akita Inu');
+  t.is(results[0].name, 'Akita');
+});
+
+test('searchBreeds tolerates typos', t => {
+  const results = searchBreeds(records, 'german shepard');
+  t.is(results[0].name, 'German Shepherd');
+});
+
+test('searchBreeds matches names in any locale', t => {
+  t.deepEqual(searchBreeds(localizedRecords, 'schäferhund'), [localizedRecords[0]]);
+  t.deepEqual(searchBreeds(localizedRecords, 'ジャーマン'), [localizedRecords[0]]);
+  t.deepEqual(searchBreeds(localizedRecords, 'mops'), [localizedRecords[1]]);
+});
+
+test('searchBreeds matches aliases', t => {
+  t.is(searchBreeds(aliasedRecords, 'alsatian')[0], aliasedRecords[2]);
+  t.is(searchBreeds(aliasedRecords, 'akita inu')[0], aliasedRecords[0]);
+});
+
+test('searchBreeds respects limit and threshold', t => {
+  t.is(searchBreeds(records, 'dog', {limit: 1}).length, 1);
+  t.deepEqual(searchBreeds(records, 'akita', {threshold: 1}).map(b => b.name), ['Akita']);
+});
+
+test('searchBreeds returns an empty array for an empty query', t => {
+  t.deepEqual(searchBreeds(records, '  '), []);
+});
+
+// -- filterBreeds --
+
+test('filterBreeds matches any origin label', t => {
+  const results = filterBreeds(records, {origin: 'japan'});
+  t.deepEqual(results.map(b => b.name), ['Akita', 'American Akita', 'Shiba Inu']);
+});
+
+test('filterBreeds filters by image availability', t => {
+  t.is(filterBreeds(records, {hasImage: true}).length, 3);
+  t.is(filterBreeds(records, {hasImage: false}).length, 4);
+});
+
+test('filterBreeds matches structured origin labels containing commas', t => {
+  const results = filterBreeds(structuredRecords, {origin: 'Bonaire, Sint Eustatius and Saba'});
+  t.deepEqual(results.map(b => b.name), ['Example Dog']);
+});
+
+test('filterBreeds filters by country code', t => {
+  t.deepEqual(filterBreeds(structuredRecords, {country: 'GB'}).map(b => b.name), ['Border Collie']);
+});
+
+test('filterBreeds filters by status', t => {
+  const breeds = [
+    {name: 'Beagle', status: 'extant'},
+    {name: 'Alpine Spaniel', status: 'extinct'},
+    {name: 'Legacy Dog'},
+  ];
+  t.deepEqual(filterBreeds(breeds, {status: 'extant'}).map(b => b.name), ['Beagle', 'Legacy Dog']);
+  t.deepEqual(filterBreeds(breeds, {status: 'extinct'}).map(b => b.name), ['Alpine Spaniel']);
+  t.is(filterBreeds(breeds, {status: null}).length, 3);
+});
+
+test('filterBreeds filters by size class', t => {
+  t.deepEqual(filterBreeds(sizedRecords, {size: 'toy'}).map(b => b.name), ['Chihuahua']);
+  t.deepEqual(filterBreeds(sizedRecords, {size: ['toy', 'giant']}).map(b => b.name), ['Chihuahua', 'Great Dane']);
+  t.deepEqual(filterBreeds(records, {size: 'small'}), []);
+});
+
+test('filterBreeds filters by weight and height', t => {
+  t.deepEqual(filterBreeds(sizedRecords, {maxWeightKg: 11}).map(b => b.name), ['Chihuahua', 'Beagle']);
+  t.deepEqual(filterBreeds(sizedRecords, {minWeightKg: 40}).map(b => b.name), ['Great Dane']);
+  t.deepEqual(filterBreeds(sizedRecords, {minHeightCm: 20, maxHeightCm: 45}).map(b => b.name), ['Beagle']);
+  t.deepEqual(filterBreeds(sizedRecords, {size: 'small', maxWeightKg: 10}), []);
+});
+
+test('withinRange ignores missing bounds and rejects unknown ranges', t => {
+  t.true(withinRange(null));
+  t.true(withinRange({min: 9, max: 11}, 9, 11));
+  t.false(withinRange({min: 9, max: 11}, 10));
+  t.false(withinRange(null, undefined, 10));
+});
+
+test('filterBreeds combines criteria', t => {
+  const results = filterBreeds(records, {origin: 'Japan', hasImage: true});
+  t.deepEqual(results.map(b => b.name), ['Akita']);
+});
+
+test('filterBreeds returns every record without criteria', t => {
+  t.is(filterBreeds(records).length, records.length);
+});
@@ -0,0 +1,335 @@
+import {once} from 'node:events';
+import http from 'node:http';
+import test from 'ava';
+import {createHandler, createServer, datasetVersion} from '../server.js';
+import {all, metadata} from '../index.js';
+
+// -- Fixtures --
+
+const BREEDS = [
+  {
+    name: 'Akita',
+    origin: 'Japan',
+    imageURL: '',
+    id: 'Q39058',
+    slug: 'akita',
+    aliases: ['Akita Inu'],
+    size: 'large',
+  },
+  {
+    name: 'Beagle',
+    origin: 'United Kingdom',
+    imageURL: '',
+    origins: [{label: 'United Kingdom', id: 'Q145', code: 'GB'}],
+    id: 'Q21102',
+    slug: 'beagle',
+    size: 'small',
+  },
+  {
+    name: 'Shiba Inu',
+    origin: 'Japan',
+    imageURL: '',
+    id: 'Q39121',
+    slug: 'shiba-inu',
+    size: 'small',
+  },
+  {
+    name: 'Talbot',
+    origin: 'England',
+    imageURL: '',
+    id: 'Q1334434',
+    slug: 'talbot',
+    status: 'extinct',
+  },
+];
+
+const OPTIONS = {breeds: BREEDS, version: 'v1', lastModified: new Date('2026-10-01T12:00:00.500Z')};
+
+/**
+ * Start the API on a local port for the duration of a test.
+ *
+ * @param {object} t - The ava execution context
+ * @param {object} [options] - Options for `createServer`
+ * @returns {Promise<string>} The server's base URL
+ */
+async function startServer(t, options = OPTIONS) {
+  const server = createServer(options);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.teardown(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Request a URL and parse the JSON body, if any.
+ *
+ * @param {string} url - The URL
+ * @param {object} [init] - Options for `fetch`
+ * @returns {Promise<{response: Response, body: *}>} The response and its body
+ */
+async function request(url, init) {
+  const response = await fetch(url, init);
+  const text = await response.text();
+  return {response, body: text ? JSON.parse(text) : undefined};
+}
+
+// -- /breeds --
+
+test('/breeds lists extant breeds in pages', async t => {
+  const base = await startServer(t);
+
+  const {response, body} = await request(`${base}/breeds?limit=2`);
+  t.is(response.status, 200);
+  t.is(response.headers.get('content-type'), 'application/json; charset=utf-8');
+  t.deepEqual(body.breeds.map(breed => breed.name), ['Akita', 'Beagle']);
+  t.like(body, {
+    page: 1,
+    limit: 2,
+    total: 3,
+    pages: 2,
+  });
+
+  const {body: second} = await request(`${base}/breeds?limit=2&page=2`);
+  t.deepEqual(second.breeds.map(breed => breed.name), ['Shiba Inu']);
+
+  const {body: beyond} = await request(`${base}/breeds?limit=2&page=5`);
+  t.deepEqual(beyond.breeds, []);
+});
+
+test('/breeds filters by name, origin, country, status and size', async t => {
+  const base = await startServer(t);
+  const names = async query => {
+    const {body} = await request(`${base}/breeds?${query}`);
+    return body.breeds.map(breed => breed.name);
+  };
+
+  t.deepEqual(await names('name=inu'), ['Akita', 'Shiba Inu']);
+  t.deepEqual(await names('name=BEAG'), ['Beagle']);
+  t.deepEqual(await names('origin=japan'), ['Akita', 'Shiba Inu']);
+  t.deepEqual(await names('origin=Japan&size=small'), ['Shiba Inu']);
+  t.deepEqual(await names('country=GB'), ['Beagle']);
+  t.deepEqual(await names('status=extinct'), ['Talbot']);
+  t.deepEqual(await names('status=all'), ['Akita', 'Beagle', 'Shiba Inu', 'Talbot']);
+});
+
+test('/breeds rejects invalid parameters with a JSON error', async t => {
+  const base = await startServer(t);
+  const queries = ['page=0', 'page=two', 'limit=101', 'status=alive', 'size=huge'];
+  const results = await Promise.all(queries.map(query => request(`${base}/breeds?${query}`)));
+
+  for (const {response, body} of results) {
+    t.is(response.status, 400);
+    t.is(body.error.status, 400);
+    t.regex(body.error.message, /^Expected (page|limit|status|size)/);
+  }
+});
+
+test('/breeds defaults to the first page of 20 from dog-breeds.json', async t => {
+  const base = await startServer(t, {});
+  const {body} = await request(`${base}/breeds`);
+
+  t.is(body.total, all.length);
+  t.is(body.limit, 20);
+  t.deepEqual(body.breeds, all.slice(0, 20));
+});
+
+// -- /breeds/:id --
+
+test('/breeds/:id finds a breed by QID or slug', async t => {
+  const base = await startServer(t);
+  const name = async path => {
+    const {body} = await request(`${base}${path}`);
+    return body.name;
+  };
+
+  t.is(await name('/breeds/Q21102'), 'Beagle');
+  t.is(await name('/breeds/shiba-inu'), 'Shiba Inu');
+  t.is(await name('/breeds/talbot/'), 'Talbot');
+});
+
+test('/breeds/:id answers 404 for unknown breeds', async t => {
+  const base = await startServer(t);
+
+  const {response, body} = await request(`${base}/breeds/Q1`);
+  t.is(response.status, 404);
+  t.deepEqual(body, {error: {status: 404, message: 'No breed with id or slug "Q1"'}});
+
+  const malformed = await request(`${base}/breeds/%E0%A4%A`);
+  t.is(malformed.response.status, 400);
+});
+
+// -- /breeds/random --
+
+test('/breeds/random picks an extant breed and is not cached', async t => {
+  const base = await startServer(t);
+
+  const {response, body} = await request(`${base}/breeds/random`);
+  t.is(response.status, 200);
+  t.true(['Akita', 'Beagle', 'Shiba Inu'].includes(body.name));
+  t.is(response.headers.get('cache-control'), 'no-store');
+  t.is(response.headers.get('etag'), null);
+});
+
+test('/breeds/random takes a count and a seed', async t => {
+  const base = await startServer(t);
+
+  const {body: sample} = await request(`${base}/breeds/random?count=2`);
+  t.is(sample.length, 2);
+  t.not(sample[0].name, sample[1].name);
+
+  const seeded = await request(`${base}/breeds/random?count=3&seed=42`);
+  const again = await request(`${base}/breeds/random?count=3&seed=42`);
+  t.is(seeded.response.headers.get('etag'), '"v1"');
+  t.deepEqual(seeded.body, again.body);
+
+  const single = await request(`${base}/breeds/random?seed=42`);
+  const singleAgain = await request(`${base}/breeds/random?seed=42`);
+  t.is(single.body.name, singleAgain.body.name);
+
+  const invalid = await request(`${base}/breeds/random?count=0`);
+  t.is(invalid.response.status, 400);
+});
+
+// -- Caching --
+
+test('responses carry an ETag and Last-Modified from the dataset version', async t => {
+  const base = await startServer(t);
+  const {response} = await request(`${base}/breeds`);
+
+  t.is(response.headers.get('etag'), '"v1"');
+  t.is(response.headers.get('last-modified'), 'Thu, 01 Oct 2026 12:00:00 GMT');
+  t.is(response.headers.get('cache-control'), 'no-cache');
+});
+
+test('conditional requests are answered with 304 Not Modified', async t => {
+  const base = await startServer(t);
+  const status = async headers => {
+    const {response} = await request(`${base}/breeds/akita`, {headers});
+    return response.status;
+  };
+
+  t.is(await status({'If-None-Match': '"v1"'}), 304);
+  t.is(await status({'If-None-Match': '"v0", W/"v1"'}), 304);
+  t.is(await status({'If-None-Match': '*'}), 304);
+  t.is(await status({'If-None-Match': '"v0"'}), 200);
+  t.is(await status({'If-Modified-Since': 'Thu, 01 Oct 2026 12:00:00 GMT'}), 304);
+  t.is(await status({'If-Modified-Since': 'Wed, 30 Sep 2026 12:00:00 GMT'}), 200);
+  t.is(await status({'If-Modified-Since': 'yesterday'}), 200);
+
+  // If-None-Match takes precedence
+  t.is(await status({'If-None-Match': '"v0"', 'If-Modified-Since': 'Thu, 01 Oct 2026 12:00:00 GMT'}), 200);
+});
+
+test('Last-Modified is only sent when the update time is known', async t => {
+  const base = await startServer(t, {breeds: BREEDS, version: 'v1'});
+  const {response} = await request(`${base}/breeds/akita`, {headers: {'If-Modified-Since': 'Thu, 01 Oct 2026 12:00:00 GMT'}});
+
+  t.is(response.status, 200);
+  t.is(response.headers.get('last-modified'), null);
+  t.is(response.headers.get('etag'), '"v1"');
+});
+
+test('the shipped data is last modified when its metadata says it was fetched', async t => {
+  const base = await startServer(t, {});
+  const {response} = await request(`${base}/breeds`);
+  const expected = metadata.fetchedAt ? new Date(metadata.fetchedAt).toUTCString() : null;
+  t.is(response.headers.get('last-modified'), expected);
+});
+
+test('the default version is a hash of the dataset', async t => {
+  const base = await startServer(t, {breeds: BREEDS});
+  const {response} = await request(`${base}/breeds`);
+
+  t.is(response.headers.get('etag'), `"${datasetVersion(JSON.stringify(BREEDS))}"`);
+  t.regex(datasetVersion('[]'), /^[\da-f]{16}$/);
+  t.not(datasetVersion('[]'), datasetVersion('[{}]'));
+});
+
+// -- CORS, methods and errors --
+
+test('responses carry CORS headers', async t => {
+  const allowOrigin = async options => {
+    const base = await startServer(t, options);
+    const {response} = await request(`${base}/breeds`);
+    return response.headers.get('access-control-allow-origin');
+  };
+
+  const base = await startServer(t);
+  const {response} = await request(`${base}/breeds`);
+  t.is(response.headers.get('access-control-allow-origin'), '*');
+  t.is(response.headers.get('access-control-expose-headers'), 'ETag, Last-Modified');
+
+  t.is(await allowOrigin({breeds: BREEDS, cors: 'https://example.org'}), 'https://example.org');
+  t.is(await allowOrigin({breeds: BREEDS, cors: false}), null);
+});
+
+test('OPTIONS answers CORS preflight requests', async t => {
+  const base = await startServer(t);
+  const {response, body} = await request(`${base}/breeds`, {method: 'OPTIONS'});
+
+  t.is(response.status, 204);
+  t.is(response.headers.get('access-control-allow-methods'), 'GET, HEAD, OPTIONS');
+  t.is(response.headers.get('access-control-allow-headers'), 'If-None-Match, If-Modified-Since');
+  t.is(body, undefined);
+});
+
+test('HEAD sends the headers without a body', async t => {
+  const base = await startServer(t);
+  const {response, body} = await request(`${base}/breeds/akita`, {method: 'HEAD'});
+
+  t.is(response.status, 200);
+  t.is(response.headers.get('etag'), '"v1"');
+  t.is(body, undefined);
+});
+
+test('other methods and unknown routes are JSON errors', async t => {
+  const base = await startServer(t);
+
+  const post = await request(`${base}/breeds`, {method: 'POST'});
+  t.is(post.response.status, 405);
+  t.is(post.response.headers.get('allow'), 'GET, HEAD, OPTIONS');
+  t.deepEqual(post.body, {error: {status: 405, message: 'Method POST not allowed'}});
+
+  const unknown = await request(`${base}/dogs`);
+  t.is(unknown.response.status, 404);
+  t.deepEqual(unknown.body, {error: {status: 404, message: 'No route for /dogs'}});
+});
+
+test('unexpected errors are answered with 500 without details', async t => {
+  // Malformed origins make the origin filter throw
+  const broken = {
+    name: 'Broken',
+    origin: '',
+    imageURL: '',
+    origins: 5,
+  };
+  const base = await startServer(t, {breeds: [broken]});
+  const {response, body} = await request(`${base}/breeds?origin=x`);
+
+  t.is(response.status, 500);
+  t.deepEqual(body, {error: {status: 500, message: 'Internal server error'}});
+});
+
+test('createHandler works in another server', async t => {
+  const handler = createHandler({breeds: BREEDS});
+  const server = http.createServer((request, response) => {
+    if (request.url.startsWith('/api/')) {
+      request.url = request.url.slice(4);
+      handler(request, response);
+    } else {
+      response.writeHead(204).end();
+    }
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.teardown(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const {body} = await request(`http://127.0.0.1:${server.address().port}/api/breeds/akita`);
+  t.is(body.name, 'Akita');
+});
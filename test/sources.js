@@ -0,0 +1,364 @@
+import {mkdtempSync, writeFileSync} from 'node:fs';
+import {tmpdir} from 'node:os';
+import path from 'node:path';
+import test from 'ava';
+import {validateBreeds} from '../lib/validate.js';
+import {toCsv} from '../scripts/export.js';
+import {
+  isQid,
+  findCandidate,
+  candidateTitles,
+  mergeSources,
+  fetchSources,
+  loadSourceModule,
+  parseCsv,
+  csvSource,
+  fetchWikidataIdBatch,
+  wikipediaListSource,
+} from '../scripts/sources.js';
+
+// -- Fixtures --
+
+const AKITA = {
+  name: 'Akita',
+  origin: 'Japan',
+  imageURL: '',
+  origins: [],
+  id: 'Q39058',
+  slug: 'akita',
+  article: 'Akita (dog breed)',
+  status: 'extant',
+  names: {en: 'Akita', ja: '秋田犬'},
+  aliases: ['Akita Inu'],
+  weightKg: null,
+  heightCm: null,
+  lifespanYears: null,
+  size: null,
+  classifications: [],
+  parents: [],
+};
+
+const ALPINE = {
+  ...AKITA,
+  name: 'Alpine Spaniel',
+  origin: '',
+  id: null,
+  slug: 'alpine-spaniel',
+  article: 'Alpine Spaniel',
+  status: 'extinct',
+  names: {en: 'Alpine Spaniel'},
+  aliases: [],
+};
+
+/**
+ * The result `fetchSources` gives for a source.
+ *
+ * @param {string} name - The source name
+ * @param {Array<[string, object]>} entries - key → candidate
+ * @param {boolean} [lists] - Whether the source adds breeds
+ * @returns {{source: object, candidates: Map<string, object>}}
+ */
+function result(name, entries, lists = false) {
+  return {source: {name, lists}, candidates: new Map(entries)};
+}
+
+const byName = (breeds, name) => breeds.find(breed => breed.name === name);
+
+/**
+ * Create a JSON response like the Wikipedia API sends.
+ */
+function jsonResponse(data) {
+  return new Response(JSON.stringify(data), {headers: {'content-type': 'application/json; charset=utf-8'}});
+}
+
+// -- findCandidate / candidateTitles --
+
+test('isQid tells QIDs from article titles', t => {
+  t.true(isQid('Q39058'));
+  t.false(isQid('Q-Tip'));
+  t.false(isQid('Akita (dog breed)'));
+});
+
+test('findCandidate tries the keys in order and skips empty ones', t => {
+  const candidates = new Map([['Akita', 1], ['Q39058', 2]]);
+  t.is(findCandidate([null, 'Akita', 'Q39058'], candidates), 1);
+  t.is(findCandidate(['Q39058', 'Akita'], candidates), 2);
+  t.is(findCandidate([undefined, 'Beagle'], candidates), undefined);
+});
+
+test('candidateTitles lists article titles but not QIDs', t => {
+  const titles = candidateTitles([
+    result('a', [['Akita Inu', {}], ['Q1', {article: 'Beagle'}]]),
+    result('b', [['Akita Inu', {article: 'Akita Inu'}], ['Q2', {}]]),
+  ]);
+  t.deepEqual(titles, ['Akita Inu', 'Beagle']);
+});
+
+// -- mergeSources --
+
+test('mergeSources fills empty fields and keeps the others by default', t => {
+  const {breeds, sourced} = mergeSources([AKITA, ALPINE], [
+    result('fci', [
+      ['Q39058', {origin: 'Japan, United States', size: 'large'}],
+      ['Alpine Spaniel', {origin: 'Switzerland'}],
+    ]),
+  ]);
+
+  t.like(byName(breeds, 'Akita'), {origin: 'Japan', size: 'large'});
+  t.is(byName(breeds, 'Alpine Spaniel').origin, 'Switzerland');
+  t.deepEqual(sourced.get(byName(breeds, 'Akita')), {size: 'fci'});
+  t.is(AKITA.size, null, 'the input records are not modified');
+});
+
+test('mergeSources follows the precedence of each field', t => {
+  const candidate = {origin: 'Akita Prefecture', size: 'large', name: 'Akita Inu'};
+  const merge = precedence => mergeSources([AKITA], [result('fci', [['Akita (dog breed)', candidate]])], {precedence}).breeds[0];
+
+  t.is(merge({}).origin, 'Japan');
+  t.is(merge({origin: ['fci', 'wikidata']}).origin, 'Akita Prefecture');
+  t.is(merge({origin: ['fci', 'wikidata']}).name, 'Akita');
+  t.is(merge({'*': ['fci']}).name, 'Akita Inu');
+});
+
+test('mergeSources gives earlier extra sources precedence over later ones', t => {
+  const {breeds, sourced} = mergeSources([AKITA], [
+    result('first', [['Q39058', {size: 'large'}]]),
+    result('second', [['Q39058', {size: 'giant'}]]),
+  ]);
+  t.is(breeds[0].size, 'large');
+  t.is(sourced.get(breeds[0]).size, 'first');
+
+  const reordered = mergeSources([AKITA], [
+    result('first', [['Q39058', {size: 'large'}]]),
+    result('second', [['Q39058', {size: 'giant'}]]),
+  ], {precedence: {size: ['second', 'first']}});
+  t.is(reordered.breeds[0].size, 'giant');
+});
+
+test('mergeSources combines localized names and aliases', t => {
+  const {breeds} = mergeSources([AKITA], [
+    result('wikipedia-de', [['Q39058', {names: {de: 'Akita Inu', ja: 'あきたいぬ'}, aliases: ['akita inu', 'Great Japanese Dog']}]]),
+  ]);
+
+  t.deepEqual(breeds[0].names, {de: 'Akita Inu', ja: '秋田犬', en: 'Akita'});
+  t.deepEqual(breeds[0].aliases, ['Akita Inu', 'Great Japanese Dog']);
+});
+
+test('mergeSources matches candidates through redirects and their own keys', t => {
+  const redirectMap = new Map([['Akita Inu', 'Akita (dog breed)']]);
+  const {breeds} = mergeSources([AKITA, ALPINE], [
+    result('fci', [
+      ['Akita Inu', {size: 'large'}],
+      ['FCI-1', {article: 'Alpine Spaniel', size: 'medium'}],
+    ]),
+  ], {redirectMap});
+
+  t.is(byName(breeds, 'Akita').size, 'large');
+  t.is(byName(breeds, 'Alpine Spaniel').size, 'medium');
+});
+
+test('mergeSources fills every breed that resolves to a candidate', t => {
+  const redirectMap = new Map([['Akita (dog)', 'Akita (dog breed)'], ['Akita Inu (dog)', 'Akita (dog breed)']]);
+  const {breeds, sourced} = mergeSources([], [
+    result('wikipedia', [
+      ['Akita (dog)', {name: 'Akita', status: 'extant'}],
+      ['Akita Inu (dog)', {name: 'Akita Inu', status: 'extant'}],
+    ], true),
+    result('wikidata', [['Akita (dog breed)', {id: 'Q39058', origin: 'Japan'}]]),
+  ], {redirectMap});
+
+  t.deepEqual(breeds.map(breed => [breed.name, breed.id, breed.origin]), [['Akita', 'Q39058', 'Japan'], ['Akita Inu', 'Q39058', 'Japan']]);
+  t.true(breeds.every(breed => sourced.get(breed).origin === 'wikidata'));
+});
+
+test('mergeSources adds the breeds only listing sources know', t => {
+  const redirectMap = new Map([['Kintamani', 'Kintamani dog']]);
+  const {breeds, sourced, unlisted} = mergeSources([AKITA], [
+    result('fci', [
+      ['Kintamani', {name: 'Kintamani', origin: 'Indonesia', names: {id: 'Anjing Kintamani'}}],
+      ['Q1', {name: 'No Article'}],
+      ['Nameless', {origin: 'Nowhere'}],
+    ], true),
+    result('other', [['Q2', {name: 'Not Listed', article: 'Not Listed'}]]),
+  ], {redirectMap});
+
+  t.deepEqual(breeds.map(breed => breed.name), ['Akita', 'Kintamani']);
+  t.like(byName(breeds, 'Kintamani'), {
+    origin: 'Indonesia',
+    article: 'Kintamani dog',
+    slug: '',
+    status: 'extant',
+    id: null,
+    names: {en: 'Kintamani', id: 'Anjing Kintamani'},
+  });
+  t.like(sourced.get(byName(breeds, 'Kintamani')), {name: 'fci', origin: 'fci', article: 'fci'});
+  t.deepEqual(unlisted, [{source: 'fci', key: 'Q1'}, {source: 'fci', key: 'Nameless'}]);
+});
+
+// -- fetchSources / loadSourceModule --
+
+test('fetchSources passes the context and accepts plain objects', async t => {
+  const context = {fetchFunction() {}, readFunction() {}};
+  const results = await fetchSources([
+    {name: 'map', fetch: async ({readFunction}) => new Map([['Q1', {size: readFunction === context.readFunction ? 'small' : null}]])},
+    {name: 'object', fetch: async () => ({Q2: {size: 'large'}})},
+  ], context);
+
+  t.deepEqual(results.map(({source}) => source.name), ['map', 'object']);
+  t.deepEqual([...results[0].candidates], [['Q1', {size: 'small'}]]);
+  t.deepEqual([...results[1].candidates], [['Q2', {size: 'large'}]]);
+});
+
+test('fetchSources rejects malformed sources', async t => {
+  await t.throwsAsync(fetchSources([{name: 'fci'}], {}), {message: 'Expected a source with a name and a fetch function, got {"name":"fci"}'});
+  await t.throwsAsync(fetchSources([null], {}), {instanceOf: TypeError});
+});
+
+test('loadSourceModule imports the sources and precedence of a module', async t => {
+  const directory = mkdtempSync(path.join(tmpdir(), 'dog-breeds-sources-'));
+  const modulePath = path.join(directory, 'sources.mjs');
+  writeFileSync(modulePath, 'export const sources = [{name: "fci", fetch: async () => ({})}];\nexport const precedence = {size: ["fci"]};\n');
+  const emptyPath = path.join(directory, 'empty.mjs');
+  writeFileSync(emptyPath, 'export const precedence = {};\n');
+
+  const {sources, precedence} = await loadSourceModule(modulePath);
+  t.is(sources[0].name, 'fci');
+  t.deepEqual(precedence, {size: ['fci']});
+  await t.throwsAsync(loadSourceModule(emptyPath), {message: `Expected ${emptyPath} to export an array of sources, got undefined`});
+});
+
+// -- parseCsv / csvSource --
+
+test('parseCsv reads quoted fields and any line endings', t => {
+  t.deepEqual(parseCsv('name,origin\r\n"Chow, ""Chow""",China\nPug,\n\n'), [
+    ['name', 'origin'],
+    ['Chow, "Chow"', 'China'],
+    ['Pug', ''],
+  ]);
+  t.deepEqual(parseCsv('"line\nbreak"'), [['line\nbreak']]);
+  t.deepEqual(parseCsv(''), []);
+});
+
+test('csvSource keys rows by id or article and nests columns', async t => {
+  const csv = [
+    'id,article,name,size,names_de',
+    'Q39058,Akita (dog breed),Akita,large,Akita Inu',
+    ',Kintamani dog,Kintamani,,',
+    ',,Unknown,small,',
+  ].join('\n');
+  const source = csvSource({name: 'fci', path: 'fci.csv', lists: true});
+  const candidates = await source.fetch({readFunction: file => file === 'fci.csv' ? csv : ''});
+
+  t.like(source, {name: 'fci', lists: true});
+  t.deepEqual([...candidates], [
+    ['Q39058', {
+      id: 'Q39058',
+      article: 'Akita (dog breed)',
+      name: 'Akita',
+      size: 'large',
+      names: {de: 'Akita Inu'},
+    }],
+    ['Kintamani dog', {article: 'Kintamani dog', name: 'Kintamani'}],
+  ]);
+  t.false(csvSource({name: 'club', path: 'club.csv'}).lists);
+});
+
+test('csvSource reads the CSV export back with the types of the fields', async t => {
+  const akita = {
+    ...AKITA,
+    origins: [{
+      label: 'Japan',
+      id: 'Q17',
+      code: 'JP',
+      coordinates: {lat: 35, lon: 136},
+      bbox: null,
+    }],
+    weightKg: {
+      min: 32,
+      max: 59,
+      male: {min: 45, max: 59},
+      female: null,
+    },
+    size: 'large',
+    classifications: [{club: 'FCI', standard: '255', group: {number: 5, name: 'Spitz and primitive types'}}],
+    image: {
+      file: 'Akita inu.jpg',
+      width: 800,
+      height: 600,
+      author: null,
+      license: 'CC BY-SA 4.0',
+      licenseURL: null,
+    },
+  };
+  const csv = toCsv([akita, {...ALPINE, id: 'Q1', parents: ['Q39058']}]);
+  const candidates = await csvSource({name: 'export', path: 'dog-breeds.csv'}).fetch({readFunction: () => csv});
+
+  // Empty cells are left out, so only fields that are null or empty are missing
+  const {imageURL, heightCm, lifespanYears, ...expected} = akita;
+  t.deepEqual(candidates.get('Q39058'), expected);
+  t.deepEqual(candidates.get('Q1').parents, ['Q39058']);
+
+  const missing = {imageURL, heightCm, lifespanYears};
+  t.deepEqual(validateBreeds([{...candidates.get('Q39058'), ...missing}]).errors, []);
+});
+
+test('csvSource rejects array columns that are not JSON', async t => {
+  const source = csvSource({name: 'fci', path: 'fci.csv'});
+  await t.throwsAsync(source.fetch({readFunction: () => 'id,aliases\nQ39058,Akita Inu\n'}), {
+    message: 'Expected aliases in fci.csv to be a JSON array, got Akita Inu',
+  });
+});
+
+// -- fetchWikidataIdBatch / wikipediaListSource --
+
+// A pageprops response of the German Wikipedia, as JSON for its snake_case fields
+const germanWikidataItemsResponse = JSON.parse(`{
+  "query": {
+    "normalized": [{"from": "akita Inu", "to": "Akita Inu"}],
+    "redirects": [{"from": "Akita (Hund)", "to": "Akita Inu"}],
+    "pages": {
+      "1": {"title": "Affenpinscher", "pageprops": {"wikibase_item": "Q38311"}},
+      "2": {"title": "Akita Inu", "pageprops": {"wikibase_item": "Q39058"}},
+      "-1": {"title": "Rotlink", "missing": ""}
+    }
+  }
+}`);
+
+/**
+ * Create a mock fetch for the German Wikipedia: a list page and the Wikidata
+ * items of its links.
+ */
+function createGermanWikipediaFetch() {
+  return async function (url) {
+    if (new URL(url).searchParams.get('action') === 'parse') {
+      return jsonResponse({parse: {wikitext: {'*': '* [[Affenpinscher]]\n* [[Akita (Hund)|Akita]]\n* [[akita Inu]]\n* [[Rotlink]]'}}});
+    }
+
+    return jsonResponse(germanWikidataItemsResponse);
+  };
+}
+
+test('fetchWikidataIdBatch follows normalizations and redirects', async t => {
+  const ids = await fetchWikidataIdBatch(['Affenpinscher', 'Akita (Hund)', 'akita Inu', 'Rotlink'], 'https://de.wikipedia.org/w/api.php', createGermanWikipediaFetch());
+  t.deepEqual([...ids], [['Affenpinscher', 'Q38311'], ['Akita (Hund)', 'Q39058'], ['akita Inu', 'Q39058']]);
+});
+
+test('wikipediaListSource collects names from another language\'s list', async t => {
+  const requested = [];
+  const germanFetch = createGermanWikipediaFetch();
+  const source = wikipediaListSource({language: 'de', page: 'Liste der Hunderassen'});
+  const candidates = await source.fetch({
+    async fetchFunction(url) {
+      requested.push(String(url));
+      return germanFetch(url);
+    },
+  });
+
+  t.like(source, {name: 'wikipedia-de', lists: false});
+  t.true(requested.every(url => url.startsWith('https://de.wikipedia.org/w/api.php?')));
+  t.true(requested[0].includes('page=Liste+der+Hunderassen'));
+  t.deepEqual([...candidates], [
+    ['Q38311', {names: {de: 'Affenpinscher'}}],
+    ['Q39058', {names: {de: 'Akita'}}],
+  ]);
+});
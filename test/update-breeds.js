@@ -1,15 +1,45 @@
+import {mkdtempSync, readdirSync, writeFileSync} from 'node:fs';
+import {tmpdir} from 'node:os';
+import path from 'node:path';
 import test from 'ava';
 import {
   parseBreedListWikitext,
+  parseExtinctBreedListWikitext,
   parseWikidataResults,
+  parseWikidataOrigins,
+  parseWikidataLabels,
+  parseWikidataAliases,
+  parseWikidataParents,
+  stripDisambiguation,
+  collectAliases,
+  stripHtml,
+  parseCommonsImageInfo,
+  attachImageInfo,
+  fetchImageInfo,
+  labelsSparqlQuery,
   findInWikidata,
+  articleSlug,
+  assignSlugs,
+  breedListCandidates,
   mergeBreedData,
+  findUnmatchedBreeds,
+  qualityReportPath,
+  loadExistingBreeds,
+  readJsonFile,
   fetchWikipediaBreedList,
-  fetchWikidataBreedInfo,
+  fetchWikipediaRevision,
+  wikipediaBreedListSource,
+  wikidataSource,
+  parseWikidataBindings,
+  wikidataQueries,
+  querySparql,
   resolveRedirectBatch,
   resolveRedirects,
+  parseWktPoint,
+  parseCliArguments,
   main,
 } from '../scripts/update-breeds.js';
+import {csvSource} from '../scripts/sources.js';
 
 // -- Fixtures --
 
@@ -26,34 +56,183 @@ const sampleWikitext = `
 == Extinct and critically endangered breeds ==
 * [[Alpine Spaniel]]
 * [[Extinct Breed Two]]
+
+== See also ==
+* [[List of cat breeds]]
 `;
 
 const sampleWikidataBindings = [
   {
     breedLabel: {value: 'Affenpinscher'},
+    breed: {value: 'http://www.wikidata.org/entity/Q38311'},
     article: {value: 'https://en.wikipedia.org/wiki/Affenpinscher'},
     origins: {value: 'Germany'},
     image: {value: 'http://commons.wikimedia.org/wiki/Special:FilePath/Affenpinscher.jpg'},
   },
   {
     breedLabel: {value: 'Afghan Hound'},
+    breed: {value: 'http://www.wikidata.org/entity/Q38463'},
     article: {value: 'https://en.wikipedia.org/wiki/Afghan_Hound'},
     origins: {value: 'Afghanistan'},
     image: {value: 'http://commons.wikimedia.org/wiki/Special:FilePath/Afghan_Hound.jpg'},
   },
   {
     breedLabel: {value: 'Akita'},
+    breed: {value: 'http://www.wikidata.org/entity/Q39058'},
     article: {value: 'https://en.wikipedia.org/wiki/Akita_(dog_breed)'},
     origins: {value: 'Japan'},
     image: {value: 'http://commons.wikimedia.org/wiki/Special:FilePath/Akita_inu.jpg'},
   },
   {
     breedLabel: {value: 'Alaskan Malamute'},
+    breed: {value: 'http://www.wikidata.org/entity/Q39216'},
     article: {value: 'https://en.wikipedia.org/wiki/Alaskan_Malamute'},
     origins: {value: ''},
   },
 ];
 
+const sampleOriginBindings = [
+  {
+    breed: {value: 'http://www.wikidata.org/entity/Q38311'},
+    origin: {value: 'http://www.wikidata.org/entity/Q183'},
+    originLabel: {value: 'Germany'},
+    countryCode: {value: 'DE'},
+  },
+  {
+    breed: {value: 'http://www.wikidata.org/entity/Q38463'},
+    origin: {value: 'http://www.wikidata.org/entity/Q889'},
+    originLabel: {value: 'Afghanistan'},
+    countryCode: {value: 'AF'},
+  },
+  {
+    breed: {value: 'http://www.wikidata.org/entity/Q39058'},
+    origin: {value: 'http://www.wikidata.org/entity/Q17'},
+    originLabel: {value: 'Japan'},
+    countryCode: {value: 'JP'},
+    coordinates: {value: 'Point(139 35)'},
+    north: {value: 'Point(148.75 45.52)'},
+    south: {value: 'Point(136.07 20.42)'},
+    east: {value: 'Point(153.99 24.28)'},
+    west: {value: 'Point(122.93 24.45)'},
+  },
+];
+
+const JAPAN = {
+  label: 'Japan',
+  id: 'Q17',
+  code: 'JP',
+  coordinates: {lat: 35, lon: 139},
+  bbox: {
+    west: 122.93,
+    south: 20.42,
+    east: 153.99,
+    north: 45.52,
+  },
+};
+
+const GERMANY = {
+  label: 'Germany',
+  id: 'Q183',
+  code: 'DE',
+  coordinates: null,
+  bbox: null,
+};
+
+const sampleLabelBindings = [
+  {
+    breed: {value: 'http://www.wikidata.org/entity/Q38311'},
+    label: {value: 'Affenpinscher'},
+    labelLanguage: {value: 'de'},
+  },
+  {
+    breed: {value: 'http://www.wikidata.org/entity/Q39058'},
+    label: {value: 'Akita'},
+    labelLanguage: {value: 'de'},
+  },
+  {
+    breed: {value: 'http://www.wikidata.org/entity/Q39058'},
+    label: {value: '秋田犬'},
+    labelLanguage: {value: 'ja'},
+  },
+];
+
+const sampleAliasBindings = [
+  {
+    breed: {value: 'http://www.wikidata.org/entity/Q38311'},
+    alias: {value: 'Monkey Terrier'},
+  },
+  {
+    breed: {value: 'http://www.wikidata.org/entity/Q39058'},
+    alias: {value: 'Akita Inu'},
+  },
+  {
+    breed: {value: 'http://www.wikidata.org/entity/Q39058'},
+    alias: {value: 'Japanese Akita'},
+  },
+];
+
+const sampleCharacteristicBindings = [
+  {
+    breed: {value: 'http://www.wikidata.org/entity/Q38311'},
+    measure: {value: 'weightKg'},
+    amount: {value: '4'},
+    lowerBound: {value: '3'},
+    upperBound: {value: '6'},
+    unit: {value: 'http://www.wikidata.org/entity/Q11570'},
+  },
+];
+
+const sampleClassificationBindings = [
+  {
+    breed: {value: 'http://www.wikidata.org/entity/Q39058'},
+    club: {value: 'FCI'},
+    standard: {value: '255'},
+    groupLabel: {value: 'FCI Group 5: Spitz and primitive types'},
+  },
+  {
+    breed: {value: 'http://www.wikidata.org/entity/Q39058'},
+    club: {value: 'AKC'},
+    standard: {value: 'akita'},
+    groupLabel: {value: 'Working Group'},
+  },
+];
+
+const sampleParentBindings = [
+  {
+    breed: {value: 'http://www.wikidata.org/entity/Q39058'},
+    parent: {value: 'http://www.wikidata.org/entity/Q38311'},
+  },
+];
+
+/**
+ * Build a Commons imageinfo response for the requested file titles.
+ */
+function commonsImageInfo(titles) {
+  return {
+    query: {
+      pages: Object.fromEntries(titles.map((title, index) => [-index - 1, {
+        title,
+        imageinfo: [{
+          width: 1200,
+          height: 800,
+          extmetadata: {
+            Artist: {value: '<a href="//commons.wikimedia.org/wiki/User:Example">Example User</a>'},
+            LicenseShortName: {value: 'CC BY-SA 4.0'},
+            LicenseUrl: {value: 'https://creativecommons.org/licenses/by-sa/4.0'},
+          },
+        }],
+      }])),
+    },
+  };
+}
+
+/**
+ * Create a JSON response like the Wikipedia and Wikidata APIs send.
+ */
+function jsonResponse(data) {
+  return new Response(JSON.stringify(data), {headers: {'content-type': 'application/json; charset=utf-8'}});
+}
+
 /**
  * Create a mock fetch that returns canned responses based on URL parameters.
  */
@@ -61,31 +240,65 @@ function createMockFetch() {
   return async function (url) {
     const urlString = url.toString();
 
+    // Commons imageinfo API → return details for every requested file
+    if (urlString.includes('commons.wikimedia.org')) {
+      return jsonResponse(commonsImageInfo(new URL(url).searchParams.get('titles').split('|')));
+    }
+
     // Wikipedia parse API → return wikitext
     if (urlString.includes('action=parse')) {
-      return {
-        json: async () => ({parse: {wikitext: {'*': sampleWikitext}}}),
-      };
+      return jsonResponse({parse: {revid: 1_234_567, wikitext: {'*': sampleWikitext}}});
+    }
+
+    // Wikipedia revisions API → return the latest revision of the list
+    if (urlString.includes('prop=revisions')) {
+      return jsonResponse({query: {pages: {12_345: {title: 'List of dog breeds', revisions: [{revid: 1_234_567}]}}}});
     }
 
     // Wikipedia query API → return redirect data
     if (urlString.includes('action=query')) {
-      return {
-        json: async () => ({
-          query: {
-            normalized: [{from: 'Akita (dog)', to: 'Akita (dog)'}],
-            redirects: [{from: 'Akita (dog)', to: 'Akita (dog breed)'}],
-            pages: {},
-          },
-        }),
-      };
+      return jsonResponse({
+        query: {
+          normalized: [{from: 'Akita (dog)', to: 'Akita (dog)'}],
+          redirects: [{from: 'Akita (dog)', to: 'Akita (dog breed)'}],
+          pages: {},
+        },
+      });
+    }
+
+    // Wikidata origins SPARQL → return one row per breed/origin
+    if (urlString.includes('wikidata') && urlString.includes('P297')) {
+      return jsonResponse({results: {bindings: sampleOriginBindings}});
+    }
+
+    // Wikidata labels SPARQL → return one row per breed/label
+    if (urlString.includes('wikidata') && urlString.includes('labelLanguage')) {
+      return jsonResponse({results: {bindings: sampleLabelBindings}});
+    }
+
+    // Wikidata aliases SPARQL → return one row per breed/alias
+    if (urlString.includes('wikidata') && urlString.includes('altLabel')) {
+      return jsonResponse({results: {bindings: sampleAliasBindings}});
+    }
+
+    // Wikidata characteristics SPARQL → return one row per statement
+    if (urlString.includes('wikidata') && urlString.includes('P2067')) {
+      return jsonResponse({results: {bindings: sampleCharacteristicBindings}});
+    }
+
+    // Wikidata classifications SPARQL → return one row per breed/club
+    if (urlString.includes('wikidata') && urlString.includes('P2378')) {
+      return jsonResponse({results: {bindings: sampleClassificationBindings}});
+    }
+
+    // Wikidata parents SPARQL → return one row per breed/parent
+    if (urlString.includes('wikidata') && urlString.includes('P144')) {
+      return jsonResponse({results: {bindings: sampleParentBindings}});
     }
 
     // Wikidata SPARQL → return bindings
     if (urlString.includes('wikidata')) {
-      return {
-        json: async () => ({results: {bindings: sampleWikidataBindings}}),
-      };
+      return jsonResponse({results: {bindings: sampleWikidataBindings}});
     }
 
     throw new Error(`Unexpected fetch URL: ${urlString}`);
@@ -127,6 +340,29 @@ test('parseBreedListWikitext deduplicates repeated article links', t => {
   t.is(breeds.size, 1);
 });
 
+// -- parseExtinctBreedListWikitext --
+
+test('parseExtinctBreedListWikitext extracts breeds from the extinct section', t => {
+  const breeds = parseExtinctBreedListWikitext(sampleWikitext);
+  t.deepEqual([...breeds.keys()], ['Alpine Spaniel', 'Extinct Breed Two']);
+});
+
+test('parseExtinctBreedListWikitext stops at the next top-level heading', t => {
+  const breeds = parseExtinctBreedListWikitext(sampleWikitext);
+  t.false(breeds.has('List of cat breeds'));
+});
+
+test('parseExtinctBreedListWikitext keeps subsections of the extinct section', t => {
+  const wikitext = '== Extinct breeds ==\n=== A–M ===\n* [[Alpine Spaniel]]\n=== N–Z ===\n* [[Talbot (dog)|Talbot]]';
+  const breeds = parseExtinctBreedListWikitext(wikitext);
+  t.is(breeds.size, 2);
+  t.is(breeds.get('Talbot (dog)'), 'Talbot');
+});
+
+test('parseExtinctBreedListWikitext handles wikitext with no extinct section', t => {
+  t.is(parseExtinctBreedListWikitext('* [[Beagle]]').size, 0);
+});
+
 // -- parseWikidataResults --
 
 test('parseWikidataResults parses SPARQL bindings into a map', t => {
@@ -136,6 +372,17 @@ test('parseWikidataResults parses SPARQL bindings into a map', t => {
     name: 'Affenpinscher',
     origin: 'Germany',
     imageURL: 'https://commons.wikimedia.org/wiki/Special:FilePath/Affenpinscher.jpg',
+    origins: [],
+    id: 'Q38311',
+    article: 'Affenpinscher',
+    names: {},
+    aliases: [],
+    weightKg: null,
+    heightCm: null,
+    lifespanYears: null,
+    size: null,
+    classifications: [],
+    parents: [],
   });
 });
 
@@ -158,6 +405,127 @@ test('parseWikidataResults handles missing image gracefully', t => {
   t.is(breeds.get('Alaskan Malamute').imageURL, '');
 });
 
+test('parseWikidataResults attaches structured origins by breed QID', t => {
+  const breeds = parseWikidataResults(sampleWikidataBindings, {origins: parseWikidataOrigins(sampleOriginBindings)});
+  t.deepEqual(breeds.get('Akita (dog breed)').origins, [JAPAN]);
+  t.deepEqual(breeds.get('Alaskan Malamute').origins, []);
+});
+
+test('parseWikidataResults attaches localized names by breed QID', t => {
+  const breeds = parseWikidataResults(sampleWikidataBindings, {labels: parseWikidataLabels(sampleLabelBindings)});
+  t.deepEqual(breeds.get('Akita (dog breed)').names, {de: 'Akita', ja: '秋田犬'});
+  t.deepEqual(breeds.get('Alaskan Malamute').names, {});
+});
+
+test('parseWikidataResults attaches aliases by breed QID', t => {
+  const breeds = parseWikidataResults(sampleWikidataBindings, {aliases: parseWikidataAliases(sampleAliasBindings)});
+  t.deepEqual(breeds.get('Akita (dog breed)').aliases, ['Akita Inu', 'Japanese Akita']);
+  t.deepEqual(breeds.get('Alaskan Malamute').aliases, []);
+});
+
+test('parseWikidataResults attaches parent breeds by breed QID', t => {
+  const breeds = parseWikidataResults(sampleWikidataBindings, {parents: parseWikidataParents(sampleParentBindings)});
+  t.deepEqual(breeds.get('Akita (dog breed)').parents, ['Q38311']);
+  t.deepEqual(breeds.get('Affenpinscher').parents, []);
+});
+
+test('parseWikidataParents groups parent QIDs by breed', t => {
+  const parents = parseWikidataParents([
+    ...sampleParentBindings,
+    {breed: {value: 'http://www.wikidata.org/entity/Q39058'}, parent: {value: 'http://www.wikidata.org/entity/Q1'}},
+  ]);
+  t.deepEqual(parents.get('Q39058'), ['Q38311', 'Q1']);
+});
+
+// -- labelsSparqlQuery / parseWikidataLabels --
+
+test('labelsSparqlQuery filters labels to the given locales', t => {
+  t.true(labelsSparqlQuery(['de', 'ja']).includes('FILTER(LANG(?label) IN ("de", "ja"))'));
+});
+
+test('parseWikidataLabels groups labels by breed QID and locale', t => {
+  const labels = parseWikidataLabels(sampleLabelBindings);
+  t.deepEqual(labels.get('Q38311'), {de: 'Affenpinscher'});
+  t.deepEqual(labels.get('Q39058'), {de: 'Akita', ja: '秋田犬'});
+});
+
+// -- parseWikidataOrigins --
+
+test('parseWikidataOrigins groups origins by breed QID', t => {
+  const origins = parseWikidataOrigins(sampleOriginBindings);
+  t.is(origins.size, 3);
+  t.deepEqual(origins.get('Q38311'), [GERMANY]);
+});
+
+test('parseWikidataOrigins keeps labels containing commas intact', t => {
+  const origins = parseWikidataOrigins([
+    {
+      breed: {value: 'http://www.wikidata.org/entity/Q1'},
+      origin: {value: 'http://www.wikidata.org/entity/Q2'},
+      originLabel: {value: 'Bonaire, Sint Eustatius and Saba'},
+    },
+    {
+      breed: {value: 'http://www.wikidata.org/entity/Q1'},
+      origin: {value: 'http://www.wikidata.org/entity/Q55'},
+      originLabel: {value: 'Netherlands'},
+      countryCode: {value: 'NL'},
+    },
+  ]);
+  t.deepEqual(origins.get('Q1').map(origin => origin.label), ['Bonaire, Sint Eustatius and Saba', 'Netherlands']);
+});
+
+test('parseWikidataOrigins uses subdivision codes and null for regions', t => {
+  const origins = parseWikidataOrigins([
+    {
+      breed: {value: 'http://www.wikidata.org/entity/Q1'},
+      origin: {value: 'http://www.wikidata.org/entity/Q21'},
+      originLabel: {value: 'England'},
+      subdivisionCode: {value: 'GB-ENG'},
+    },
+    {
+      breed: {value: 'http://www.wikidata.org/entity/Q1'},
+      origin: {value: 'http://www.wikidata.org/entity/Q27381'},
+      originLabel: {value: 'North Africa'},
+    },
+  ]);
+  t.deepEqual(origins.get('Q1').map(origin => origin.code), ['GB-ENG', null]);
+});
+
+test('parseWikidataOrigins reads coordinates, and bounding boxes with all four extremes', t => {
+  const origins = parseWikidataOrigins([
+    sampleOriginBindings[2],
+    {
+      breed: {value: 'http://www.wikidata.org/entity/Q1'},
+      origin: {value: 'http://www.wikidata.org/entity/Q21'},
+      originLabel: {value: 'England'},
+      coordinates: {value: 'Point(-1.17 52.35)'},
+      north: {value: 'Point(-1.8 55.81)'},
+    },
+  ]);
+
+  t.deepEqual(origins.get('Q39058'), [JAPAN]);
+  t.like(origins.get('Q1')[0], {coordinates: {lat: 52.35, lon: -1.17}, bbox: null});
+});
+
+test('parseWktPoint reads Earth coordinates only', t => {
+  t.deepEqual(parseWktPoint('Point(-73.94 40.67)'), {lat: 40.67, lon: -73.94});
+  t.deepEqual(parseWktPoint('Point(1e-3 -45)'), {lat: -45, lon: 0.001});
+  t.is(parseWktPoint('<http://www.wikidata.org/entity/Q405> Point(23.47 0.67)'), null);
+  t.is(parseWktPoint('Point(200 10)'), null);
+  t.is(parseWktPoint(undefined), null);
+});
+
+test('parseWikidataOrigins deduplicates origins with several codes', t => {
+  const row = {
+    breed: {value: 'http://www.wikidata.org/entity/Q1'},
+    origin: {value: 'http://www.wikidata.org/entity/Q183'},
+    originLabel: {value: 'Germany'},
+    countryCode: {value: 'DE'},
+  };
+  const origins = parseWikidataOrigins([row, {...row, countryCode: {value: 'XX'}}]);
+  t.deepEqual(origins.get('Q1'), [GERMANY]);
+});
+
 // -- findInWikidata --
 
 test('findInWikidata returns breed by direct article title match', t => {
@@ -182,14 +550,216 @@ test('findInWikidata returns undefined for unmatched breed', t => {
   t.is(result, undefined);
 });
 
-// -- mergeBreedData --
+// -- stripDisambiguation / collectAliases --
+
+test('stripDisambiguation drops a trailing parenthetical', t => {
+  t.is(stripDisambiguation('Akita (dog breed)'), 'Akita');
+  t.is(stripDisambiguation('Beagle'), 'Beagle');
+});
+
+test('collectAliases skips the display name and duplicates', t => {
+  t.deepEqual(
+    collectAliases('Bichon Frisé', ['Bichon Frise (dog)', 'Bichon Tenerife'], ['bichon tenerife', 'Tenerife Dog', '']),
+    ['Bichon Tenerife', 'Tenerife Dog'],
+  );
+});
+
+// -- stripHtml / parseCommonsImageInfo / attachImageInfo --
+
+test('stripHtml reduces Commons metadata to text', t => {
+  t.is(stripHtml('<a href="//commons.wikimedia.org/wiki/User:A" title="User:A">Jane &amp; John</a>\n Doe'), 'Jane & John Doe');
+  t.is(stripHtml('&quot;Rex&quot;&nbsp;&lt;3 &#39;s'), '"Rex" <3 \'s');
+});
+
+test('parseCommonsImageInfo maps file names to size, author and license', t => {
+  const info = parseCommonsImageInfo(commonsImageInfo(['File:Akita inu.jpg']));
+  t.deepEqual(info.get('Akita inu.jpg'), {
+    width: 1200,
+    height: 800,
+    author: 'Example User',
+    license: 'CC BY-SA 4.0',
+    licenseURL: 'https://creativecommons.org/licenses/by-sa/4.0',
+  });
+});
+
+test('parseCommonsImageInfo follows normalized titles and skips missing files', t => {
+  const info = parseCommonsImageInfo({
+    query: {
+      normalized: [{from: 'File:Akita_inu.jpg', to: 'File:Akita inu.jpg'}],
+      pages: {
+        1: {title: 'File:Akita inu.jpg', imageinfo: [{width: 10, height: 20}]},
+        '-1': {title: 'File:Deleted.jpg', missing: ''},
+      },
+    },
+  });
+  t.deepEqual(info.get('Akita_inu.jpg'), {
+    width: 10,
+    height: 20,
+    author: null,
+    license: null,
+    licenseURL: null,
+  });
+  t.false(info.has('Deleted.jpg'));
+});
+
+test('attachImageInfo adds image details and null for breeds without an image', t => {
+  const breeds = attachImageInfo([
+    {name: 'Akita', imageURL: 'https://commons.wikimedia.org/wiki/Special:FilePath/Akita%20inu.jpg'},
+    {name: 'Aidi', imageURL: 'https://commons.wikimedia.org/wiki/Special:FilePath/Aidi.jpg'},
+    {name: 'Mystery Dog', imageURL: ''},
+  ], parseCommonsImageInfo(commonsImageInfo(['File:Akita inu.jpg'])));
+  t.is(breeds[0].image.file, 'Akita inu.jpg');
+  t.is(breeds[0].image.license, 'CC BY-SA 4.0');
+  t.deepEqual(breeds[1].image, {
+    file: 'Aidi.jpg',
+    width: null,
+    height: null,
+    author: null,
+    license: null,
+    licenseURL: null,
+  });
+  t.is(breeds[2].image, null);
+});
+
+test('attachImageInfo keeps image details set by overrides', t => {
+  const [breed] = attachImageInfo([{
+    name: 'Aidi',
+    imageURL: 'https://commons.wikimedia.org/wiki/Special:FilePath/Aidi.jpg',
+    image: {author: 'Corrected Author'},
+  }], parseCommonsImageInfo(commonsImageInfo(['File:Aidi.jpg'])));
+  t.is(breed.image.author, 'Corrected Author');
+  t.is(breed.image.license, 'CC BY-SA 4.0');
+});
+
+// -- articleSlug / assignSlugs --
+
+test('articleSlug drops trailing disambiguation', t => {
+  t.is(articleSlug('Akita (dog breed)'), 'akita');
+  t.is(articleSlug('Bichon Frisé'), 'bichon-frise');
+});
+
+test('assignSlugs disambiguates colliding slugs', t => {
+  const breeds = assignSlugs([
+    {id: 'Q1', slug: '', article: 'Pointer (dog breed)'},
+    {id: 'Q2', slug: '', article: 'Pointer (dog type)'},
+    {id: 'Q3', slug: '', article: 'Pointer (dog type)'},
+  ]);
+  t.deepEqual(breeds.map(b => b.slug), ['pointer', 'pointer-dog-type', 'pointer-dog-type-2']);
+});
+
+test('assignSlugs gives previous slugs priority over new ones', t => {
+  const breeds = assignSlugs(
+    [
+      {id: 'Q1', slug: '', article: 'Alpha'},
+      {id: 'Q2', slug: '', article: 'Beta'},
+    ],
+    [{id: 'Q2', slug: 'alpha'}],
+  );
+  t.deepEqual(breeds.map(b => b.slug), ['alpha-2', 'alpha']);
+});
+
+// -- findUnmatchedBreeds / qualityReportPath --
+
+test('findUnmatchedBreeds lists breeds without a Wikidata match', t => {
+  const wikipediaBreeds = new Map([['Affenpinscher', 'Affenpinscher'], ['Mystery Dog', 'Mystery']]);
+  const extinctBreeds = new Map([['Old Dog (extinct)', 'Old Dog']]);
+  const wikidataBreeds = parseWikidataResults(sampleWikidataBindings);
+  const redirectMap = new Map([['Old Dog (extinct)', 'Old Dog']]);
+
+  const unmatched = findUnmatchedBreeds([wikipediaBreeds, extinctBreeds], wikidataBreeds, redirectMap);
+  t.deepEqual(unmatched, [
+    {name: 'Mystery', article: 'Mystery Dog', redirect: null},
+    {name: 'Old Dog', article: 'Old Dog (extinct)', redirect: 'Old Dog'},
+  ]);
+});
+
+test('findUnmatchedBreeds does not count breeds matched through a redirect', t => {
+  const wikipediaBreeds = new Map([['Akita (dog)', 'Akita']]);
+  const wikidataBreeds = parseWikidataResults(sampleWikidataBindings);
+  const redirectMap = new Map([['Akita (dog)', 'Akita (dog breed)']]);
+
+  t.deepEqual(findUnmatchedBreeds([wikipediaBreeds], wikidataBreeds, redirectMap), []);
+});
+
+test('findUnmatchedBreeds lists a breed in several lists once', t => {
+  const wikipediaBreeds = new Map([['Mystery Dog', 'Mystery Dog']]);
+  t.is(findUnmatchedBreeds([wikipediaBreeds, wikipediaBreeds], new Map(), new Map()).length, 1);
+});
+
+test('qualityReportPath puts the report next to the dataset', t => {
+  t.is(qualityReportPath('/data/dog-breeds.json'), '/data/dog-breeds.quality.json');
+  t.is(qualityReportPath('/data/breeds'), '/data/breeds.quality.json');
+});
+
+test('assignSlugs keeps slugs that are already set', t => {
+  const breeds = assignSlugs([
+    {id: 'Q1', slug: 'alpha', article: 'Alpha'},
+    {id: null, slug: '', article: 'Alpha'},
+  ]);
+  t.deepEqual(breeds.map(b => b.slug), ['alpha', 'alpha-2']);
+});
+
+// -- readJsonFile / loadExistingBreeds --
+
+test('readJsonFile returns the fallback when the file is missing', t => {
+  const readFunction = () => {
+    throw Object.assign(new Error('not found'), {code: 'ENOENT'});
+  };
+
+  t.deepEqual(readJsonFile('overrides.json', {}, readFunction), {});
+  t.deepEqual(readJsonFile('overrides.json', {}, () => '{"exclude":["X"]}'), {exclude: ['X']});
+});
+
+test('loadExistingBreeds parses the dataset on disk', t => {
+  const breeds = loadExistingBreeds('dog-breeds.json', () => '[{"name":"Beagle"}]');
+  t.deepEqual(breeds, [{name: 'Beagle'}]);
+});
+
+test('loadExistingBreeds returns an empty array when the file is missing', t => {
+  const readFunction = () => {
+    throw Object.assign(new Error('not found'), {code: 'ENOENT'});
+  };
+
+  t.deepEqual(loadExistingBreeds('missing.json', readFunction), []);
+});
+
+test('loadExistingBreeds rethrows other errors', t => {
+  t.throws(() => loadExistingBreeds('dog-breeds.json', () => '{not json'), {instanceOf: SyntaxError});
+});
+
+// -- breedListCandidates / mergeBreedData --
+
+/**
+ * The results of the Wikipedia list and Wikidata sources, as `fetchSources`
+ * returns them.
+ */
+function listAndWikidata(wikipediaBreeds, wikidataBreeds, extinctBreeds) {
+  return [
+    {source: {name: 'wikipedia', lists: true}, candidates: breedListCandidates(wikipediaBreeds, extinctBreeds)},
+    {source: {name: 'wikidata', lists: false}, candidates: wikidataBreeds},
+  ];
+}
+
+test('breedListCandidates keeps the display name, status and link text', t => {
+  const candidates = breedListCandidates(parseBreedListWikitext(sampleWikitext), parseExtinctBreedListWikitext(sampleWikitext));
+  t.is(candidates.size, 6);
+  t.deepEqual(candidates.get('Akita (dog)'), {name: 'Akita', status: 'extant', aliases: []});
+  t.deepEqual(candidates.get('Alpine Spaniel'), {name: 'Alpine Spaniel', status: 'extinct', aliases: []});
+  t.deepEqual(breedListCandidates(new Map([['Alsatian dog', 'German Shepherd']])).get('Alsatian dog').aliases, ['Alsatian dog']);
+});
+
+test('breedListCandidates lists a breed in both sections once, as extant', t => {
+  const candidates = breedListCandidates(new Map([['Beagle', 'Beagle']]), new Map([['Beagle', 'Beagle']]));
+  t.is(candidates.size, 1);
+  t.is(candidates.get('Beagle').status, 'extant');
+});
 
 test('mergeBreedData combines Wikipedia and Wikidata data', t => {
   const wikipediaBreeds = parseBreedListWikitext(sampleWikitext);
   const wikidataBreeds = parseWikidataResults(sampleWikidataBindings);
   const redirectMap = new Map([['Akita (dog)', 'Akita (dog breed)']]);
 
-  const merged = mergeBreedData(wikipediaBreeds, wikidataBreeds, redirectMap);
+  const {breeds: merged} = mergeBreedData(listAndWikidata(wikipediaBreeds, wikidataBreeds), redirectMap);
   t.is(merged.length, 4);
 
   const affenpinscher = merged.find(b => b.name === 'Affenpinscher');
@@ -202,20 +772,96 @@ test('mergeBreedData uses display names from Wikipedia, not Wikidata', t => {
   const wikidataBreeds = parseWikidataResults(sampleWikidataBindings);
   const redirectMap = new Map([['Akita (dog)', 'Akita (dog breed)']]);
 
-  const merged = mergeBreedData(wikipediaBreeds, wikidataBreeds, redirectMap);
+  const {breeds: merged} = mergeBreedData(listAndWikidata(wikipediaBreeds, wikidataBreeds), redirectMap);
   const akita = merged.find(b => b.name === 'Akita');
   t.truthy(akita);
   t.is(akita.origin, 'Japan');
 });
 
+test('mergeBreedData adds localized names with the English display name', t => {
+  const wikipediaBreeds = parseBreedListWikitext(sampleWikitext);
+  const wikidataBreeds = parseWikidataResults(sampleWikidataBindings, {labels: parseWikidataLabels(sampleLabelBindings)});
+  const {breeds: merged} = mergeBreedData(listAndWikidata(wikipediaBreeds, wikidataBreeds), new Map([['Akita (dog)', 'Akita (dog breed)']]));
+  const akita = merged.find(b => b.id === 'Q39058');
+  t.deepEqual(akita.names, {de: 'Akita', ja: '秋田犬', en: akita.name});
+});
+
+test('mergeBreedData collects aliases from Wikidata, redirects and link text', t => {
+  const wikipediaBreeds = new Map([['Alsatian dog', 'German Shepherd'], ['Akita (dog)', 'Akita']]);
+  const wikidataBreeds = parseWikidataResults(sampleWikidataBindings, {aliases: parseWikidataAliases(sampleAliasBindings)});
+  const redirectMap = new Map([['Alsatian dog', 'German Shepherd (dog)'], ['Akita (dog)', 'Akita (dog breed)']]);
+  const {breeds: merged} = mergeBreedData(listAndWikidata(wikipediaBreeds, wikidataBreeds), redirectMap);
+  t.deepEqual(merged.find(b => b.name === 'Akita').aliases, ['Akita Inu', 'Japanese Akita']);
+  t.deepEqual(merged.find(b => b.name === 'German Shepherd').aliases, ['Alsatian dog']);
+});
+
+test('mergeBreedData gives Wikidata data to every title that redirects to its article', t => {
+  const wikipediaBreeds = new Map([['Akita (dog)', 'Akita'], ['Akita Inu (dog)', 'Akita Inu']]);
+  const wikidataBreeds = parseWikidataResults(sampleWikidataBindings);
+  const redirectMap = new Map([['Akita (dog)', 'Akita (dog breed)'], ['Akita Inu (dog)', 'Akita (dog breed)']]);
+
+  const {breeds: merged} = mergeBreedData(listAndWikidata(wikipediaBreeds, wikidataBreeds), redirectMap);
+  t.deepEqual(merged.map(b => [b.name, b.id, b.origin]), [['Akita', 'Q39058', 'Japan'], ['Akita Inu', 'Q39058', 'Japan']]);
+});
+
 test('mergeBreedData includes unmatched breeds with empty fields', t => {
   const wikipediaBreeds = new Map([['Mystery Dog', 'Mystery Dog']]);
   const wikidataBreeds = new Map();
   const redirectMap = new Map();
 
-  const merged = mergeBreedData(wikipediaBreeds, wikidataBreeds, redirectMap);
+  const {breeds: merged} = mergeBreedData(listAndWikidata(wikipediaBreeds, wikidataBreeds), redirectMap);
   t.is(merged.length, 1);
-  t.deepEqual(merged[0], {name: 'Mystery Dog', origin: '', imageURL: ''});
+  t.deepEqual(merged[0], {
+    name: 'Mystery Dog',
+    origin: '',
+    imageURL: '',
+    origins: [],
+    id: null,
+    slug: 'mystery-dog',
+    article: 'Mystery Dog',
+    status: 'extant',
+    names: {en: 'Mystery Dog'},
+    aliases: [],
+    weightKg: null,
+    heightCm: null,
+    lifespanYears: null,
+    size: null,
+    classifications: [],
+    parents: [],
+  });
+});
+
+test('mergeBreedData keeps the QID and canonical article title', t => {
+  const wikipediaBreeds = parseBreedListWikitext(sampleWikitext);
+  const wikidataBreeds = parseWikidataResults(sampleWikidataBindings);
+  const redirectMap = new Map([['Akita (dog)', 'Akita (dog breed)']]);
+
+  const {breeds: merged} = mergeBreedData(listAndWikidata(wikipediaBreeds, wikidataBreeds), redirectMap);
+  const akita = merged.find(b => b.name === 'Akita');
+  t.is(akita.id, 'Q39058');
+  t.is(akita.article, 'Akita (dog breed)');
+  t.is(akita.slug, 'akita');
+});
+
+test('mergeBreedData keeps slugs from the previous dataset', t => {
+  const wikipediaBreeds = new Map([['Akita (dog)', 'Akita Inu']]);
+  const wikidataBreeds = parseWikidataResults(sampleWikidataBindings);
+  const redirectMap = new Map([['Akita (dog)', 'Akita (dog breed)']]);
+  const previousBreeds = [{name: 'Akita', id: 'Q39058', slug: 'japanese-akita'}];
+
+  const {breeds: merged} = mergeBreedData(listAndWikidata(wikipediaBreeds, wikidataBreeds), redirectMap, {previousBreeds});
+  t.is(merged[0].slug, 'japanese-akita');
+});
+
+test('mergeBreedData tags extant and extinct breeds', t => {
+  const wikipediaBreeds = parseBreedListWikitext(sampleWikitext);
+  const extinctBreeds = parseExtinctBreedListWikitext(sampleWikitext);
+  const wikidataBreeds = parseWikidataResults(sampleWikidataBindings);
+
+  const {breeds: merged} = mergeBreedData(listAndWikidata(wikipediaBreeds, wikidataBreeds, extinctBreeds), new Map());
+  t.is(merged.length, 6);
+  t.is(merged.find(b => b.name === 'Affenpinscher').status, 'extant');
+  t.is(merged.find(b => b.name === 'Alpine Spaniel').status, 'extinct');
 });
 
 test('mergeBreedData sorts results alphabetically', t => {
@@ -223,30 +869,142 @@ test('mergeBreedData sorts results alphabetically', t => {
   const wikidataBreeds = parseWikidataResults(sampleWikidataBindings);
   const redirectMap = new Map([['Akita (dog)', 'Akita (dog breed)']]);
 
-  const merged = mergeBreedData(wikipediaBreeds, wikidataBreeds, redirectMap);
+  const {breeds: merged} = mergeBreedData(listAndWikidata(wikipediaBreeds, wikidataBreeds), redirectMap);
   const names = merged.map(b => b.name);
   const sorted = [...names].sort((a, b) => a.localeCompare(b));
   t.deepEqual(names, sorted);
 });
 
+test('mergeBreedData credits the fields of each breed to the list and Wikidata', t => {
+  const wikipediaBreeds = new Map([['Akita (dog)', 'Akita'], ['Mystery Dog', 'Mystery Dog']]);
+  const wikidataBreeds = parseWikidataResults(sampleWikidataBindings);
+  const {breeds, sourced} = mergeBreedData(listAndWikidata(wikipediaBreeds, wikidataBreeds), new Map([['Akita (dog)', 'Akita (dog breed)']]));
+
+  t.like(sourced.get(breeds.find(b => b.name === 'Akita')), {
+    name: 'wikipedia',
+    status: 'wikipedia',
+    id: 'wikidata',
+    origin: 'wikidata',
+  });
+  t.deepEqual(sourced.get(breeds.find(b => b.name === 'Mystery Dog')), {
+    name: 'wikipedia',
+    article: 'wikipedia',
+    status: 'wikipedia',
+    names: 'wikipedia',
+  });
+});
+
+test('mergeBreedData gives extra sources precedence over Wikidata by name', t => {
+  const wikipediaBreeds = parseBreedListWikitext(sampleWikitext);
+  const wikidataBreeds = parseWikidataResults(sampleWikidataBindings);
+  const results = [
+    ...listAndWikidata(wikipediaBreeds, wikidataBreeds),
+    {source: {name: 'club', lists: false}, candidates: new Map([['Q38311', {origin: 'Deutschland'}]])},
+  ];
+
+  t.is(mergeBreedData(results, new Map()).breeds.find(b => b.name === 'Affenpinscher').origin, 'Germany');
+  t.is(mergeBreedData(results, new Map(), {precedence: {origin: ['club', 'wikidata']}}).breeds.find(b => b.name === 'Affenpinscher').origin, 'Deutschland');
+});
+
 // -- fetchWikipediaBreedList (with mock fetch) --
 
+test('fetchWikipediaBreedList rejects responses without wikitext', async t => {
+  await t.throwsAsync(fetchWikipediaBreedList(async () => jsonResponse({})), {
+    message: 'Unexpected Wikipedia API response: no "parse" field',
+  });
+});
+
 test('fetchWikipediaBreedList parses Wikipedia API response', async t => {
   const mockFetch = createMockFetch();
-  const breeds = await fetchWikipediaBreedList(mockFetch);
-  t.true(breeds instanceof Map);
-  t.is(breeds.size, 4);
-  t.is(breeds.get('Affenpinscher'), 'Affenpinscher');
+  const {extant, extinct} = await fetchWikipediaBreedList(mockFetch);
+  t.true(extant instanceof Map);
+  t.is(extant.size, 4);
+  t.is(extant.get('Affenpinscher'), 'Affenpinscher');
+  t.is(extinct.size, 2);
+  t.is(extinct.get('Alpine Spaniel'), 'Alpine Spaniel');
+});
+
+test('fetchWikipediaBreedList returns the revision and can fetch a given one', async t => {
+  const mockFetch = createMockFetch();
+  const requested = [];
+  const fetchFunction = async url => {
+    requested.push(new URL(url).searchParams);
+    return mockFetch(url);
+  };
+
+  const {revisionId} = await fetchWikipediaBreedList(fetchFunction);
+  t.is(revisionId, 1_234_567);
+  t.is(requested[0].get('page'), 'List of dog breeds');
+
+  await fetchWikipediaBreedList(fetchFunction, {revisionId: 1_234_567});
+  t.is(requested[1].get('oldid'), '1234567');
+  t.false(requested[1].has('page'));
+});
+
+// -- fetchWikipediaRevision (with mock fetch) --
+
+test('fetchWikipediaRevision returns the latest revision id', async t => {
+  t.is(await fetchWikipediaRevision(createMockFetch()), 1_234_567);
+});
+
+test('fetchWikipediaRevision rejects responses without a revision', async t => {
+  await t.throwsAsync(fetchWikipediaRevision(async () => jsonResponse({query: {pages: {'-1': {missing: ''}}}})), {
+    message: 'Unexpected Wikipedia API response: no revision of "List of dog breeds"',
+  });
 });
 
-// -- fetchWikidataBreedInfo (with mock fetch) --
+// -- wikidataQueries --
 
-test('fetchWikidataBreedInfo parses Wikidata SPARQL response', async t => {
+test('wikidataQueries builds the labels query for the locales', t => {
+  const queries = wikidataQueries(['ja']);
+  t.is(queries.length, 7);
+  t.is(queries[2], labelsSparqlQuery(['ja']));
+  t.deepEqual(wikidataQueries(), wikidataQueries(['de', 'es', 'fr', 'ja']));
+});
+
+// -- wikipediaBreedListSource / wikidataSource --
+
+test('wikipediaBreedListSource lists the breeds of a revision', async t => {
+  const source = wikipediaBreedListSource();
+  const candidates = await source.fetch({fetchFunction: createMockFetch()});
+
+  t.like(source, {name: 'wikipedia', lists: true, revisionId: 1_234_567});
+  t.is(candidates.size, 6);
+  t.deepEqual(candidates.get('Alpine Spaniel'), {name: 'Alpine Spaniel', status: 'extinct', aliases: []});
+});
+
+test('wikidataSource keeps the results of its queries', async t => {
+  const source = wikidataSource({locales: ['ja']});
+  const candidates = await source.fetch({fetchFunction: createMockFetch()});
+
+  t.like(source, {name: 'wikidata', lists: false});
+  t.deepEqual(source.queries, wikidataQueries(['ja']));
+  t.is(source.bindings.length, source.queries.length);
+  t.deepEqual(candidates, parseWikidataBindings(source.bindings));
+  t.is(candidates.size, 4);
+  t.is(candidates.get('Affenpinscher').origin, 'Germany');
+  t.deepEqual(candidates.get('Affenpinscher').origins, [GERMANY]);
+});
+
+// -- querySparql (with mock fetch) --
+
+test('querySparql returns the result bindings', async t => {
   const mockFetch = createMockFetch();
-  const breeds = await fetchWikidataBreedInfo(mockFetch);
-  t.true(breeds instanceof Map);
-  t.is(breeds.size, 4);
-  t.is(breeds.get('Affenpinscher').origin, 'Germany');
+  const bindings = await querySparql('SELECT ?breed WHERE {}', mockFetch);
+  t.deepEqual(bindings, sampleWikidataBindings);
+});
+
+test('querySparql rejects responses without bindings', async t => {
+  await t.throwsAsync(querySparql('SELECT ?breed WHERE {}', async () => jsonResponse({})), {
+    message: 'Unexpected Wikidata SPARQL response: no "results.bindings" array',
+  });
+});
+
+test('querySparql rejects non-JSON responses', async t => {
+  const htmlFetch = async () => new Response('<html>Service unavailable</html>', {headers: {'content-type': 'text/html'}});
+  const error = await t.throwsAsync(querySparql('SELECT ?breed WHERE {}', htmlFetch));
+  t.is(error.name, 'HttpError');
+  t.regex(error.message, /^Expected JSON from https:\/\/query\.wikidata\.org\/sparql.* but got "text\/html": <html>/);
 });
 
 // -- resolveRedirectBatch (with mock fetch) --
@@ -259,14 +1017,19 @@ test('resolveRedirectBatch resolves redirects and normalizations', async t => {
 });
 
 test('resolveRedirectBatch handles response with no redirects', async t => {
-  const noRedirectFetch = async () => ({
-    json: async () => ({query: {pages: {}}}),
-  });
+  const noRedirectFetch = async () => jsonResponse({query: {pages: {}}});
 
   const result = await resolveRedirectBatch(['Beagle'], noRedirectFetch);
   t.is(result.size, 0);
 });
 
+test('resolveRedirectBatch reports Wikipedia API errors', async t => {
+  const errorFetch = async () => jsonResponse({error: {code: 'toomanyvalues', info: 'Too many values supplied'}});
+  await t.throwsAsync(resolveRedirectBatch(['Beagle'], errorFetch), {
+    message: 'Wikipedia API error (toomanyvalues): Too many values supplied',
+  });
+});
+
 // -- resolveRedirects (with mock fetch) --
 
 test('resolveRedirects batches titles and merges results', async t => {
@@ -277,29 +1040,553 @@ test('resolveRedirects batches titles and merges results', async t => {
   t.is(redirectMap.get('Akita (dog)'), 'Akita (dog breed)');
 });
 
+// -- fetchImageInfo (with mock fetch) --
+
+test('fetchImageInfo batches files and merges results', async t => {
+  const mockFetch = createMockFetch();
+  const requests = [];
+  const files = Array.from({length: 51}, (_, index) => `Dog ${index}.jpg`);
+  const info = await fetchImageInfo(files, async url => {
+    requests.push(url);
+    return mockFetch(url);
+  });
+  t.is(requests.length, 2);
+  t.is(info.size, 51);
+  t.is(info.get('Dog 50.jpg').author, 'Example User');
+});
+
+test('fetchImageInfo reports Commons API errors', async t => {
+  const errorFetch = async () => jsonResponse({error: {code: 'badvalue', info: 'Bad value'}});
+  await t.throwsAsync(fetchImageInfo(['Aidi.jpg'], errorFetch), {message: 'Commons API error (badvalue): Bad value'});
+});
+
+// -- parseCliArguments --
+
+test('parseCliArguments defaults to writing with a text report', t => {
+  t.deepEqual(parseCliArguments([]), {
+    check: false,
+    json: false,
+    qualityReport: false,
+    incremental: false,
+  });
+});
+
+test('parseCliArguments reads check mode and thresholds', t => {
+  const options = parseCliArguments(['--check', '--json', '--max-removals', '10', '--max-lost-images=2%']);
+  t.deepEqual(options, {
+    check: true,
+    json: true,
+    qualityReport: false,
+    incremental: false,
+    maxRemovals: '10',
+    maxLostImages: '2%',
+  });
+});
+
+test('parseCliArguments reads the quality report flag', t => {
+  t.true(parseCliArguments(['--quality-report']).qualityReport);
+});
+
+test('parseCliArguments reads the incremental flag', t => {
+  t.true(parseCliArguments(['--incremental']).incremental);
+});
+
+test('parseCliArguments reads record and replay directories', t => {
+  t.is(parseCliArguments(['--record', 'fixtures/run']).record, 'fixtures/run');
+  t.is(parseCliArguments(['--replay=fixtures/run']).replay, 'fixtures/run');
+  t.throws(() => parseCliArguments(['--record', 'a', '--replay', 'b']), {message: '--record and --replay cannot be used together'});
+});
+
+test('parseCliArguments reads a comma-separated list of locales', t => {
+  t.deepEqual(parseCliArguments(['--locales', 'de, ja,']).locales, ['de', 'ja']);
+  t.deepEqual(parseCliArguments(['--locales=']).locales, []);
+});
+
+test('parseCliArguments reads the sources module', t => {
+  t.is(parseCliArguments(['--sources', 'my-sources.mjs']).sourcesModule, 'my-sources.mjs');
+});
+
+test('parseCliArguments rejects unknown options and missing values', t => {
+  t.throws(() => parseCliArguments(['--force']), {message: 'Unknown option: --force'});
+  t.throws(() => parseCliArguments(['--check=yes']), {message: 'Unknown option: --check=yes'});
+  t.throws(() => parseCliArguments(['--max-removals']), {message: 'Missing value for --max-removals'});
+});
+
 // -- main (with mock fetch + mock write) --
 
 test('main orchestrates fetch, merge, and write', async t => {
   const mockFetch = createMockFetch();
-  let writtenPath = '';
-  let writtenData = '';
-  const mockWrite = (path, data) => {
-    writtenPath = path;
-    writtenData = data;
-  };
+  const written = new Map();
 
   const breeds = await main({
     fetchFunction: mockFetch,
-    writeFunction: mockWrite,
+    readFunction: () => '[]',
+    writeFunction: (path, data) => written.set(path, data),
+    log() {},
     outputPath: '/tmp/test-dog-breeds.json',
   });
 
   t.true(Array.isArray(breeds));
-  t.is(breeds.length, 4);
-  t.is(writtenPath, '/tmp/test-dog-breeds.json');
-  t.truthy(writtenData);
+  t.is(breeds.length, 6);
+  t.truthy(written.get('/tmp/test-dog-breeds.json'));
 
-  const parsed = JSON.parse(writtenData);
-  t.is(parsed.length, 4);
+  const parsed = JSON.parse(written.get('/tmp/test-dog-breeds.json'));
+  t.is(parsed.length, 6);
   t.truthy(parsed.find(b => b.name === 'Affenpinscher'));
+  t.is(parsed.find(b => b.name === 'Affenpinscher').image.license, 'CC BY-SA 4.0');
+  t.deepEqual(parsed.find(b => b.name === 'Affenpinscher').weightKg, {
+    min: 3,
+    max: 6,
+    male: null,
+    female: null,
+  });
+  t.is(parsed.find(b => b.name === 'Affenpinscher').size, 'toy');
+  t.is(parsed.find(b => b.name === 'Alpine Spaniel').size, null);
+  t.deepEqual(parsed.find(b => b.name === 'Akita').classifications.map(c => c.club), ['FCI', 'AKC']);
+  t.deepEqual(parsed.find(b => b.name === 'Akita').parents, ['Q38311']);
+  t.is(parsed.filter(b => b.status === 'extinct').length, 2);
+});
+
+test('main logs a change report against the existing dataset', async t => {
+  const logged = [];
+  const previous = [{name: 'Affenpinscher', origin: 'France', id: 'Q38311'}];
+
+  await main({
+    fetchFunction: createMockFetch(),
+    readFunction: () => JSON.stringify(previous),
+    writeFunction() {},
+    log: message => logged.push(message),
+    outputPath: '/tmp/test-dog-breeds.json',
+  });
+
+  t.is(logged.length, 1);
+  t.true(logged[0].startsWith('Breeds: 1 → 6 (5 added, 0 removed'));
+  t.true(logged[0].includes('* Affenpinscher: origin "France" → "Germany"'));
+  t.true(logged[0].includes('Data quality: 6 breeds, 66.7% matched in Wikidata'));
+});
+
+test('main logs the change report as JSON', async t => {
+  const logged = [];
+
+  await main({
+    fetchFunction: createMockFetch(),
+    readFunction: () => '[]',
+    writeFunction() {},
+    log: message => logged.push(message),
+    outputPath: '/tmp/test-dog-breeds.json',
+    json: true,
+  });
+
+  const report = JSON.parse(logged[0]);
+  t.is(report.added.length, 6);
+  t.deepEqual(report.removed, []);
+});
+
+test('main in check mode does not write', async t => {
+  let written = false;
+
+  const breeds = await main({
+    fetchFunction: createMockFetch(),
+    readFunction: () => '[]',
+    writeFunction() {
+      written = true;
+    },
+    log() {},
+    outputPath: '/tmp/test-dog-breeds.json',
+    check: true,
+  });
+
+  t.is(breeds.length, 6);
+  t.false(written);
+});
+
+test('main in check mode fails when too many breeds are removed', async t => {
+  const previous = Array.from({length: 10}, (_, index) => ({
+    name: `Vanished Dog ${index}`,
+    origin: '',
+    imageURL: '',
+  }));
+
+  await t.throwsAsync(
+    main({
+      fetchFunction: createMockFetch(),
+      readFunction: () => JSON.stringify(previous),
+      writeFunction() {},
+      log() {},
+      outputPath: '/tmp/test-dog-breeds.json',
+      check: true,
+      maxRemovals: '50%',
+    }),
+    {message: /^Update check failed:\n {2}- 10 breeds removed, more than the allowed 5/},
+  );
+});
+
+test('main writes the quality report next to the dataset when asked', async t => {
+  const written = new Map();
+
+  await main({
+    fetchFunction: createMockFetch(),
+    readFunction: () => '[]',
+    writeFunction: (path, data) => written.set(path, data),
+    log() {},
+    outputPath: '/tmp/test-dog-breeds.json',
+    qualityReport: true,
+  });
+
+  const report = JSON.parse(written.get('/tmp/test-dog-breeds.quality.json'));
+  t.is(report.total, 6);
+  t.deepEqual(report.unmatched.map(entry => entry.article), ['Alpine Spaniel', 'Extinct Breed Two']);
+});
+
+test('main only writes the quality report when asked', async t => {
+  const written = [];
+
+  await main({
+    fetchFunction: createMockFetch(),
+    readFunction: () => '[]',
+    writeFunction: path => written.push(path),
+    log() {},
+    outputPath: '/tmp/test-dog-breeds.json',
+  });
+
+  t.false(written.includes('/tmp/test-dog-breeds.quality.json'));
+});
+
+test('main writes the exports and modules next to the dataset', async t => {
+  const written = new Map();
+
+  const breeds = await main({
+    fetchFunction: createMockFetch(),
+    readFunction: () => '[]',
+    writeFunction: (path, data) => written.set(path, data),
+    log() {},
+    outputPath: '/tmp/test-dog-breeds.json',
+  });
+
+  t.deepEqual([...written.keys()], [
+    '/tmp/test-dog-breeds.json',
+    '/tmp/test-dog-breeds.csv',
+    '/tmp/test-dog-breeds.ndjson',
+    '/tmp/test-dog-breeds.yaml',
+    '/tmp/test-dog-breeds.sql',
+    '/tmp/test-dog-breeds.js',
+    '/tmp/test-dog-breeds.names.js',
+    '/tmp/test-dog-breeds.metadata.json',
+    '/tmp/test-dog-breeds.metadata.js',
+  ]);
+  t.is(written.get('/tmp/test-dog-breeds.csv').trimEnd().split('\n').length, breeds.length + 1);
+  t.deepEqual(written.get('/tmp/test-dog-breeds.ndjson').trimEnd().split('\n').map(line => JSON.parse(line)), breeds);
+});
+
+test('main applies overrides and marks them in the report', async t => {
+  const logged = [];
+  const warnings = [];
+  const files = new Map([
+    ['/tmp/test-dog-breeds.json', '[{"name":"Affenpinscher","origin":"Germany","id":"Q38311"}]'],
+    ['/tmp/overrides.json', JSON.stringify({
+      patch: {Q38311: {origin: 'Germany, France'}, 'Gone Dog': {origin: 'Nowhere'}},
+      exclude: ['Alpine Spaniel'],
+      add: [{name: 'Alopekis', article: 'Alopekis', origin: 'Greece'}],
+    })],
+  ]);
+
+  const breeds = await main({
+    fetchFunction: createMockFetch(),
+    readFunction: path => files.get(path),
+    writeFunction() {},
+    log: message => logged.push(message),
+    warn: message => warnings.push(message),
+    outputPath: '/tmp/test-dog-breeds.json',
+    overridesPath: '/tmp/overrides.json',
+  });
+
+  t.is(breeds.find(b => b.name === 'Affenpinscher').origin, 'Germany, France');
+  t.falsy(breeds.find(b => b.name === 'Alpine Spaniel'));
+  t.is(breeds.find(b => b.name === 'Alopekis').slug, 'alopekis');
+  t.true(logged[0].includes('* Affenpinscher: origin "Germany" → "Germany, France" (override)'));
+  t.true(logged[0].includes('+ Alopekis (override)'));
+  t.deepEqual(warnings, ['Override "Gone Dog" in /tmp/overrides.json matched no breed']);
+});
+
+test('main refuses to write data that does not match the schema', async t => {
+  let written = false;
+  const files = new Map([
+    ['/tmp/overrides.json', JSON.stringify({
+      patch: {Q38311: {imageURL: 'http://example.org/affenpinscher.jpg'}},
+      add: [{name: 'Akita', article: 'Akita (hunting dog)', origin: 'Japan'}],
+    })],
+  ]);
+
+  const error = await t.throwsAsync(main({
+    fetchFunction: createMockFetch(),
+    readFunction: path => files.get(path) ?? '[]',
+    writeFunction() {
+      written = true;
+    },
+    log() {},
+    outputPath: '/tmp/test-dog-breeds.json',
+    overridesPath: '/tmp/overrides.json',
+  }));
+
+  const lines = error.message.split('\n');
+  t.is(lines[0], 'Breed data does not match dog-breeds.schema.json, not writing it:');
+  t.true(lines.includes('  - /0/imageURL must match ^(https://\\S+)?$, got "http://example.org/affenpinscher.jpg"'));
+  t.true(lines.some(line => /^ {2}- \/\d\/name duplicates \/\d\/name$/.test(line)));
+  t.false(written);
+});
+
+test('main writes provenance metadata next to the dataset', async t => {
+  const written = new Map();
+  const files = new Map([
+    ['/tmp/overrides.json', JSON.stringify({patch: {Q38311: {origin: 'Germany, France'}}})],
+  ]);
+
+  await main({
+    fetchFunction: createMockFetch(),
+    readFunction: path => files.get(path) ?? '[]',
+    writeFunction: (path, data) => written.set(path, data),
+    log() {},
+    outputPath: '/tmp/test-dog-breeds.json',
+    overridesPath: '/tmp/overrides.json',
+    now: () => new Date('2026-10-19T12:00:00Z'),
+  });
+
+  const metadata = JSON.parse(written.get('/tmp/test-dog-breeds.metadata.json'));
+  t.is(metadata.fetchedAt, '2026-10-19T12:00:00.000Z');
+  t.deepEqual(metadata.wikipedia, {page: 'List of dog breeds', revisionId: 1_234_567});
+  t.deepEqual(metadata.wikidata.locales, ['de', 'es', 'fr', 'ja']);
+  t.regex(metadata.wikidata.queryHash, /^[\da-f]{16}$/);
+  t.regex(metadata.wikidata.resultsHash, /^[\da-f]{16}$/);
+  t.regex(metadata.overridesHash, /^[\da-f]{16}$/);
+  t.deepEqual(Object.keys(metadata.sources).sort(), JSON.parse(written.get('/tmp/test-dog-breeds.json')).map(breed => breed.slug).sort());
+  t.like(metadata.sources.affenpinscher, {
+    name: 'wikipedia',
+    origin: 'override',
+    imageURL: 'wikidata',
+    image: 'commons',
+  });
+  t.like(metadata.sources['alpine-spaniel'], {name: 'wikipedia', article: 'wikipedia'});
+  t.is(metadata.sources['alpine-spaniel'].origin, undefined);
+  t.true(written.get('/tmp/test-dog-breeds.metadata.js').includes('export default {'));
+});
+
+test('main keys field sources by the slugs overrides give', async t => {
+  const written = new Map();
+  const files = new Map([
+    ['/tmp/overrides.json', JSON.stringify({patch: {Q38311: {slug: 'affen'}}})],
+  ]);
+
+  await main({
+    fetchFunction: createMockFetch(),
+    readFunction: path => files.get(path) ?? '[]',
+    writeFunction: (path, data) => written.set(path, data),
+    log() {},
+    outputPath: '/tmp/test-dog-breeds.json',
+    overridesPath: '/tmp/overrides.json',
+  });
+
+  const {sources} = JSON.parse(written.get('/tmp/test-dog-breeds.metadata.json'));
+  t.is(sources.affenpinscher, undefined);
+  t.like(sources.affen, {name: 'wikipedia', slug: 'override', article: 'wikipedia'});
+});
+
+test('main merges extra sources and credits them in the metadata', async t => {
+  const written = new Map();
+  const warnings = [];
+  const files = new Map([
+    ['/tmp/fci.csv', 'id,article,name,origin,size\nQ38311,,,Germany,small\n,Kintamani dog,Kintamani,Indonesia,medium\n,,Nameless,,\nQ1,,,,\n'],
+  ]);
+
+  const breeds = await main({
+    fetchFunction: createMockFetch(),
+    readFunction: path => files.get(path) ?? '[]',
+    writeFunction: (path, data) => written.set(path, data),
+    log() {},
+    warn: message => warnings.push(message),
+    outputPath: '/tmp/test-dog-breeds.json',
+    sources: [
+      csvSource({name: 'fci', path: '/tmp/fci.csv', lists: true}),
+      {name: 'club', fetch: async () => ({'Akita (dog)': {size: 'giant'}})},
+    ],
+    precedence: {size: ['fci', 'wikidata']},
+  });
+
+  t.is(breeds.length, 7);
+  t.like(breeds.find(b => b.name === 'Affenpinscher'), {origin: 'Germany', size: 'small'});
+  t.like(breeds.find(b => b.name === 'Akita'), {size: 'giant'});
+  t.like(breeds.find(b => b.name === 'Kintamani'), {slug: 'kintamani-dog', origin: 'Indonesia', status: 'extant'});
+  t.deepEqual(warnings, ['Source "fci" lists "Q1" without a name or article title, not adding it']);
+
+  const metadata = JSON.parse(written.get('/tmp/test-dog-breeds.metadata.json'));
+  t.deepEqual(metadata.extraSources.map(source => source.name), ['fci', 'club']);
+  t.like(metadata.sources.affenpinscher, {origin: 'wikidata', size: 'fci'});
+  t.like(metadata.sources.akita, {size: 'club'});
+  t.like(metadata.sources['kintamani-dog'], {name: 'fci', origin: 'fci', slug: 'wikipedia'});
+  t.is(metadata.sources['kintamani-dog'].id, undefined);
+});
+
+test('main loads extra sources from a module', async t => {
+  const directory = mkdtempSync(path.join(tmpdir(), 'dog-breeds-sources-'));
+  const sourcesModule = path.join(directory, 'sources.mjs');
+  writeFileSync(sourcesModule, 'export const sources = [{name: "club", fetch: async () => ({Q38311: {origin: "Deutschland"}})}];\nexport const precedence = {origin: ["club"]};\n');
+
+  const breeds = await main({
+    fetchFunction: createMockFetch(),
+    readFunction: () => '[]',
+    writeFunction() {},
+    log() {},
+    outputPath: '/tmp/test-dog-breeds.json',
+    sourcesModule,
+  });
+
+  t.is(breeds.find(b => b.id === 'Q38311').origin, 'Deutschland');
+});
+
+test('main in incremental mode keeps an up-to-date dataset', async t => {
+  const files = new Map();
+  const options = {
+    readFunction(path) {
+      if (!files.has(path)) {
+        throw Object.assign(new Error(`ENOENT: ${path}`), {code: 'ENOENT'});
+      }
+
+      return files.get(path);
+    },
+    writeFunction: (path, data) => files.set(path, data),
+    outputPath: '/tmp/test-dog-breeds.json',
+    overridesPath: '/tmp/overrides.json',
+    incremental: true,
+  };
+
+  const first = await main({...options, fetchFunction: createMockFetch(), log() {}});
+  t.true(files.has('/tmp/test-dog-breeds.metadata.json'));
+
+  const mockFetch = createMockFetch();
+  const requested = [];
+  const logged = [];
+  let written = false;
+  const second = await main({
+    ...options,
+    async fetchFunction(url) {
+      requested.push(String(url));
+      return mockFetch(url);
+    },
+    writeFunction() {
+      written = true;
+    },
+    log: message => logged.push(message),
+  });
+
+  t.deepEqual(second, first);
+  t.false(written);
+  t.false(requested.some(url => url.includes('action=parse') || url.includes('commons')));
+  t.regex(logged[0], /^Up to date: revision 1234567 of "List of dog breeds", and the same Wikidata results and overrides as on /);
+});
+
+test('main in incremental mode rebuilds when anything changed', async t => {
+  const files = new Map();
+  const options = {
+    readFunction: path => files.get(path) ?? '[]',
+    writeFunction: (path, data) => files.set(path, data),
+    log() {},
+    outputPath: '/tmp/test-dog-breeds.json',
+    overridesPath: '/tmp/overrides.json',
+    incremental: true,
+  };
+
+  await main({...options, fetchFunction: createMockFetch()});
+  const metadata = JSON.parse(files.get('/tmp/test-dog-breeds.metadata.json'));
+
+  // The parse request, and the revision it asked for, if main rebuilt the dataset
+  const rebuilds = async (changedOptions, change) => {
+    if (change) {
+      files.set('/tmp/test-dog-breeds.metadata.json', JSON.stringify({...metadata, ...change}));
+    }
+
+    const mockFetch = createMockFetch();
+    const requested = [];
+    await main({
+      ...options,
+      ...changedOptions,
+      async fetchFunction(url) {
+        requested.push(new URL(url).searchParams);
+        return mockFetch(url);
+      },
+    });
+    return requested.find(parameters => parameters.get('action') === 'parse')?.get('oldid');
+  };
+
+  t.is(await rebuilds({}, {wikipedia: {...metadata.wikipedia, revisionId: 1}}), '1234567');
+  t.is(await rebuilds({}, {wikidata: {...metadata.wikidata, resultsHash: 'old'}}), '1234567');
+  t.is(await rebuilds({locales: ['ja']}, {}), '1234567');
+  t.is(await rebuilds({sources: [{name: 'club', fetch: async () => ({Q38311: {size: 'small'}})}]}, {}), '1234567');
+  files.set('/tmp/overrides.json', '{"exclude": ["Alpine Spaniel"]}');
+  t.is(await rebuilds({}, {}), '1234567');
+
+  // The last run wrote metadata for the new overrides
+  t.is(await rebuilds({}), undefined);
+});
+
+test('main replays a recorded run without the network', async t => {
+  const directory = mkdtempSync(path.join(tmpdir(), 'dog-breeds-recording-'));
+  const options = {
+    readFunction: () => '[]',
+    writeFunction() {},
+    log() {},
+    outputPath: '/tmp/test-dog-breeds.json',
+  };
+
+  const recorded = await main({...options, fetchFunction: createMockFetch(), record: directory});
+  t.is(readdirSync(directory).length, 10);
+
+  const offlineFetch = async url => {
+    throw new Error(`Unexpected network request: ${url}`);
+  };
+
+  const replayed = await main({...options, fetchFunction: offlineFetch, replay: directory});
+  t.deepEqual(replayed, recorded);
+});
+
+test('main retries failed requests', async t => {
+  const mockFetch = createMockFetch();
+  let failures = 0;
+  const flakyFetch = async url => {
+    if (String(url).includes('wikidata') && failures < 2) {
+      failures++;
+      return new Response('busy', {status: 503});
+    }
+
+    return mockFetch(url);
+  };
+
+  const breeds = await main({
+    fetchFunction: flakyFetch,
+    readFunction: () => '[]',
+    writeFunction() {},
+    log() {},
+    outputPath: '/tmp/test-dog-breeds.json',
+    http: {async sleep() {}},
+  });
+
+  t.is(failures, 2);
+  t.is(breeds.length, 6);
+});
+
+test('main collects names in the requested locales', async t => {
+  const mockFetch = createMockFetch();
+  const requested = [];
+  const breeds = await main({
+    async fetchFunction(url) {
+      requested.push(new URL(url).searchParams.get('query'));
+      return mockFetch(url);
+    },
+    readFunction: () => '[]',
+    writeFunction() {},
+    log() {},
+    outputPath: '/tmp/test-dog-breeds.json',
+    locales: ['ja'],
+  });
+
+  t.true(requested.some(query => query?.includes('IN ("ja")')));
+  t.is(breeds.find(b => b.id === 'Q39058').names.ja, '秋田犬');
 });
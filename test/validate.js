@@ -0,0 +1,127 @@
+import test from 'ava';
+import {schema, validateBreeds, formatValidationErrors} from '../lib/validate.js';
+
+// -- Fixtures --
+
+const akita = {
+  name: 'Akita',
+  origin: 'Japan',
+  imageURL: 'https://commons.wikimedia.org/wiki/Special:FilePath/Akita%20inu.jpg',
+  origins: [{label: 'Japan', id: 'Q17', code: 'JP'}],
+  id: 'Q39058',
+  slug: 'akita',
+  article: 'Akita (dog breed)',
+  status: 'extant',
+  names: {en: 'Akita', ja: '秋田犬'},
+  aliases: ['Akita Inu'],
+  weightKg: {
+    min: 32,
+    max: 59,
+    male: {min: 45, max: 59},
+    female: null,
+  },
+  heightCm: null,
+  lifespanYears: null,
+  size: 'large',
+  classifications: [{club: 'FCI', standard: '255', group: {number: 5, name: 'Spitz and primitive types'}}],
+  parents: [],
+  image: {
+    file: 'Akita inu.jpg',
+    width: 800,
+    height: 600,
+    author: 'Someone',
+    license: 'CC BY-SA 4.0',
+    licenseURL: null,
+  },
+};
+
+const errorsOf = records => validateBreeds(records).errors;
+
+// -- validateBreeds --
+
+test('validateBreeds accepts full and legacy records', t => {
+  t.deepEqual(validateBreeds([akita, {name: 'Pug', origin: '', imageURL: ''}]), {valid: true, errors: []});
+  t.deepEqual(validateBreeds([]), {valid: true, errors: []});
+});
+
+test('validateBreeds reports wrong types with JSON Pointer paths', t => {
+  t.deepEqual(errorsOf({}), [{path: '', message: 'must be array, got object'}]);
+  t.deepEqual(errorsOf([null]), [{path: '/0', message: 'must be object, got null'}]);
+  t.deepEqual(errorsOf([{...akita, origin: 1, weightKg: {...akita.weightKg, max: '59'}}]), [
+    {path: '/0/origin', message: 'must be string, got integer'},
+    {path: '/0/weightKg/max', message: 'must be number, got string'},
+  ]);
+});
+
+test('validateBreeds reports empty names and non-https image URLs', t => {
+  t.deepEqual(errorsOf([{...akita, name: ' '}, {name: 'Pug', origin: '', imageURL: 'http://example.org/pug.jpg'}]), [
+    {path: '/0/name', message: 'must match \\S, got " "'},
+    {path: '/1/imageURL', message: 'must match ^(https://\\S+)?$, got "http://example.org/pug.jpg"'},
+  ]);
+});
+
+test('validateBreeds reports missing, unknown and misnamed properties', t => {
+  const {origin, ...withoutOrigin} = akita;
+  t.deepEqual(errorsOf([{...withoutOrigin, colour: 'red', names: {EN: 'Akita'}}]), [
+    {path: '/0', message: 'must have property "origin"'},
+    {path: '/0/names', message: 'must have property "en"'},
+    {path: '/0/names/EN', message: 'property name must match ^[a-z]{2,3}(-[a-z\\d]+)*$'},
+    {path: '/0/colour', message: 'is not an allowed property'},
+  ]);
+});
+
+test('validateBreeds checks enums, minimums and repeated items', t => {
+  t.deepEqual(errorsOf([{
+    ...akita,
+    size: 'huge',
+    aliases: ['Akita Inu', 'Akita Inu'],
+    image: {...akita.image, width: 0},
+    classifications: [{club: 'XYZ', standard: '', group: null}],
+  }]), [
+    {path: '/0/aliases/1', message: 'must not repeat "Akita Inu"'},
+    {path: '/0/size', message: 'must be one of "toy", "small", "medium", "large", "giant", null, got "huge"'},
+    {path: '/0/classifications/0/club', message: 'must be one of "FCI", "AKC", "KC", "UKC", "CKC", got "XYZ"'},
+    {path: '/0/classifications/0/standard', message: 'must have at least 1 character'},
+    {path: '/0/image/width', message: 'must be at least 1, got 0'},
+  ]);
+});
+
+test('validateBreeds checks origin coordinates and bounding boxes', t => {
+  const japan = {
+    label: 'Japan',
+    id: 'Q17',
+    code: 'JP',
+    coordinates: {lat: 35, lon: 139},
+    bbox: {
+      west: 122.93,
+      south: 20.42,
+      east: 153.99,
+      north: 45.52,
+    },
+  };
+  t.deepEqual(errorsOf([{...akita, origins: [japan]}]), []);
+  t.deepEqual(errorsOf([{...akita, origins: [{...japan, coordinates: {lat: 91, lon: -181}, bbox: null}]}]), [
+    {path: '/0/origins/0/coordinates/lat', message: 'must be at most 90, got 91'},
+    {path: '/0/origins/0/coordinates/lon', message: 'must be at least -180, got -181'},
+  ]);
+});
+
+test('validateBreeds reports duplicate names, ids and slugs', t => {
+  t.deepEqual(errorsOf([akita, {...akita, name: 'AKITA', slug: 'akita-inu'}, {...akita, name: 'Akita Inu', id: 'Q1'}]), [
+    {path: '/1/name', message: 'duplicates /0/name'},
+    {path: '/1/id', message: 'duplicates /0/id'},
+    {path: '/2/slug', message: 'duplicates /0/slug'},
+  ]);
+});
+
+test('the schema describes a single record under $defs', t => {
+  t.is(schema.items.$ref, '#/$defs/breed');
+  t.deepEqual(schema.$defs.breed.required, ['name', 'origin', 'imageURL']);
+});
+
+// -- formatValidationErrors --
+
+test('formatValidationErrors renders one line per error', t => {
+  t.deepEqual(formatValidationErrors(errorsOf({})), ['/ must be array, got object']);
+  t.deepEqual(formatValidationErrors(errorsOf([{...akita, size: 1}])), ['/0/size must be one of "toy", "small", "medium", "large", "giant", null, got 1']);
+});
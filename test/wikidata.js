@@ -0,0 +1,7 @@
+import test from 'ava';
+import {entityId} from '../scripts/wikidata.js';
+
+test('entityId extracts the QID from an entity URI', t => {
+  t.is(entityId('http://www.wikidata.org/entity/Q17'), 'Q17');
+  t.is(entityId('http://www.wikidata.org/entity/Q11570'), 'Q11570');
+});